@@ -0,0 +1,78 @@
+/**
+ * Kitchen device capability registry
+ * Device types a kitchen can connect: the step actions each performs, the
+ * equipment names it stands in for, its default operating limits (temperatures
+ * in Celsius, speeds in rpm) and the sensors it has built in. Connected devices
+ * override the limits through their `capabilities`.
+ *
+ * `simulation` describes the device for dry runs: rated power in watts, how
+ * fast it heats or cools in °C per minute, how long a single `run` command
+ * takes and the longest it may run without a break, both in minutes.
+ */
+
+module.exports = {
+  oven: {
+    actions: ['bake', 'roast', 'heat', 'braise'],
+    equipment: ['oven', 'baking_sheet', 'baking_dish', 'baking_tray', 'roasting_pan', 'casserole'],
+    capabilities: { minTemperature: 50, maxTemperature: 250 },
+    sensors: ['temperature'],
+    simulation: { power: 3500, heatingRate: 10, maxRunTime: 360 }
+  },
+  hob: {
+    actions: ['boil', 'simmer', 'fry', 'saute', 'heat', 'poach', 'stew', 'braise', 'steam', 'cook'],
+    equipment: ['hob', 'stove', 'burner', 'pot', 'large_pot', 'saucepan', 'pan', 'frying_pan', 'skillet', 'wok'],
+    capabilities: { minTemperature: 40, maxTemperature: 230 },
+    sensors: ['temperature'],
+    simulation: { power: 2000, heatingRate: 25, maxRunTime: 240 }
+  },
+  grill: {
+    actions: ['grill'],
+    equipment: ['grill', 'griddle'],
+    capabilities: { minTemperature: 150, maxTemperature: 320 },
+    sensors: ['temperature'],
+    simulation: { power: 2500, heatingRate: 30, maxRunTime: 60 }
+  },
+  chiller: {
+    actions: ['chill', 'cool', 'freeze'],
+    equipment: ['refrigerator', 'fridge', 'freezer', 'blast_chiller'],
+    capabilities: { minTemperature: -25, maxTemperature: 10 },
+    sensors: ['temperature'],
+    simulation: { power: 800, heatingRate: 3, maxRunTime: 720 }
+  },
+  stirrer: {
+    actions: ['stir', 'mix', 'fold', 'combine'],
+    equipment: ['stirrer', 'wooden_spoon', 'spatula'],
+    capabilities: { minSpeed: 10, maxSpeed: 200 },
+    sensors: ['motion'],
+    simulation: { power: 150, maxRunTime: 120 }
+  },
+  mixer: {
+    actions: ['mix', 'whisk', 'beat', 'knead'],
+    equipment: ['mixer', 'stand_mixer', 'hand_mixer', 'whisk'],
+    capabilities: { minSpeed: 60, maxSpeed: 1200 },
+    sensors: ['motion'],
+    simulation: { power: 500, maxRunTime: 20 }
+  },
+  blender: {
+    actions: ['blend', 'puree', 'emulsify'],
+    equipment: ['blender', 'immersion_blender'],
+    capabilities: { minSpeed: 1000, maxSpeed: 25000 },
+    sensors: ['motion'],
+    simulation: { power: 1200, maxRunTime: 5 }
+  },
+  cutter: {
+    actions: ['chop', 'dice', 'slice', 'mince', 'cut', 'grate'],
+    equipment: ['food_processor', 'knife', 'mandoline', 'grater'],
+    capabilities: {},
+    sensors: [],
+    simulation: { power: 600, runTime: 2, maxRunTime: 15 }
+  },
+  // Loads ingredients into other devices; `ingredients` lists what it holds ('*' for anything)
+  dispenser: {
+    actions: ['season'],
+    equipment: ['dispenser'],
+    capabilities: { ingredients: [] },
+    sensors: ['weight'],
+    simulation: { power: 50, runTime: 0.25, maxRunTime: 30 }
+  }
+};
@@ -0,0 +1,1230 @@
+/**
+ * Sample ingredient catalog
+ * Seed data for the in-memory ingredient catalog (nutrition and cost per 100g, density in g/ml, piece weights in g)
+ * Substitutes are names, or edges with a ratio, the contexts they work in and their effect on texture
+ */
+
+module.exports = [
+  {
+    name: 'Tomato',
+    category: 'vegetable',
+    commonUnits: ['g', 'piece', 'cup'],
+    nutritionPer100g: {
+      calories: 18,
+      protein: 0.9,
+      carbohydrates: 3.9,
+      fat: 0.2,
+      fiber: 1.2,
+      sugar: 2.6,
+      sodium: 5,
+      vitaminC: 13.7,
+      potassium: 237
+    },
+    averageCost: 0.50,
+    shelfLife: 7,
+    storageConditions: 'room_temperature',
+    allergens: [],
+    substitutes: [
+      'canned_tomato',
+      {
+        name: 'tomato_paste',
+        ratio: { from: { amount: 100, unit: 'g' }, to: { amount: 25, unit: 'g' } },
+        contexts: ['sauce'],
+        texture: 'no juice or chunks; thin with water'
+      }
+    ],
+    seasonality: ['summer', 'fall'],
+    sustainability: {
+      carbonFootprint: 1.1,
+      waterUsage: 214,
+      localAvailability: true
+    },
+    automationData: {
+      prepComplexity: 'easy',
+      requiredEquipment: ['knife', 'cutting_board'],
+      processingTime: 2
+    },
+    density: 0.75,
+    pieceWeights: { piece: 150, large: 200, medium: 150, small: 90 }
+  },
+  {
+    name: 'Chicken Breast',
+    category: 'protein',
+    commonUnits: ['g', 'lb', 'piece'],
+    nutritionPer100g: {
+      calories: 165,
+      protein: 31,
+      carbohydrates: 0,
+      fat: 3.6,
+      fiber: 0,
+      sugar: 0,
+      sodium: 74,
+      cholesterol: 85
+    },
+    averageCost: 2.50,
+    shelfLife: 3,
+    storageConditions: 'refrigerated',
+    allergens: [],
+    substitutes: [
+      'chicken_thigh',
+      'turkey_breast',
+      {
+        name: 'tofu',
+        contexts: ['frying', 'roasting', 'sauce'],
+        texture: 'softer; press and dry before frying'
+      }
+    ],
+    seasonality: ['year_round'],
+    sustainability: {
+      carbonFootprint: 6.9,
+      waterUsage: 4325,
+      localAvailability: false
+    },
+    automationData: {
+      prepComplexity: 'medium',
+      requiredEquipment: ['knife', 'cutting_board', 'thermometer'],
+      processingTime: 5
+    },
+    pieceWeights: { piece: 200 }
+  },
+  {
+    name: 'Rice',
+    category: 'grain',
+    commonUnits: ['g', 'cup'],
+    nutritionPer100g: {
+      calories: 130,
+      protein: 2.7,
+      carbohydrates: 28,
+      fat: 0.3,
+      fiber: 0.4,
+      sugar: 0.1,
+      sodium: 1
+    },
+    averageCost: 0.15,
+    shelfLife: 365,
+    storageConditions: 'dry_pantry',
+    allergens: [],
+    substitutes: ['quinoa', 'cauliflower_rice', 'pasta'],
+    seasonality: ['year_round'],
+    sustainability: {
+      carbonFootprint: 2.7,
+      waterUsage: 2497,
+      localAvailability: false
+    },
+    automationData: {
+      prepComplexity: 'easy',
+      requiredEquipment: ['pot', 'measuring_cup'],
+      processingTime: 20
+    },
+    density: 0.85
+  },
+  {
+    name: 'Spaghetti',
+    aliases: ['pasta'],
+    category: 'grain',
+    commonUnits: ['g', 'lb'],
+    nutritionPer100g: {
+      calories: 371,
+      protein: 13,
+      carbohydrates: 75,
+      fat: 1.5,
+      fiber: 3.2,
+      sugar: 2.7,
+      sodium: 6
+    },
+    averageCost: 0.30,
+    shelfLife: 730,
+    storageConditions: 'dry_pantry',
+    allergens: ['wheat'],
+    substitutes: ['whole_wheat_spaghetti', 'rice_noodles'],
+    seasonality: ['year_round'],
+    sustainability: {
+      carbonFootprint: 1.6,
+      waterUsage: 1850,
+      localAvailability: false
+    },
+    automationData: {
+      prepComplexity: 'easy',
+      requiredEquipment: ['large_pot'],
+      processingTime: 10
+    }
+  },
+  {
+    name: 'Whole Wheat Spaghetti',
+    category: 'grain',
+    commonUnits: ['g', 'lb'],
+    nutritionPer100g: {
+      calories: 348,
+      protein: 14.6,
+      carbohydrates: 72,
+      fat: 1.4,
+      fiber: 8.3,
+      sugar: 2.5,
+      sodium: 8
+    },
+    averageCost: 0.40,
+    shelfLife: 730,
+    storageConditions: 'dry_pantry',
+    allergens: ['wheat'],
+    substitutes: ['spaghetti', 'rice_noodles'],
+    seasonality: ['year_round'],
+    sustainability: {
+      carbonFootprint: 1.5,
+      waterUsage: 1800,
+      localAvailability: false
+    },
+    automationData: {
+      prepComplexity: 'easy',
+      requiredEquipment: ['large_pot'],
+      processingTime: 11
+    }
+  },
+  {
+    name: 'Rice Noodles',
+    category: 'grain',
+    commonUnits: ['g'],
+    nutritionPer100g: {
+      calories: 364,
+      protein: 6,
+      carbohydrates: 80,
+      fat: 0.6,
+      fiber: 1.6,
+      sugar: 0.1,
+      sodium: 182
+    },
+    averageCost: 0.45,
+    shelfLife: 540,
+    storageConditions: 'dry_pantry',
+    allergens: [],
+    substitutes: ['spaghetti'],
+    seasonality: ['year_round'],
+    sustainability: {
+      carbonFootprint: 2.5,
+      waterUsage: 2400,
+      localAvailability: false
+    },
+    automationData: {
+      prepComplexity: 'easy',
+      requiredEquipment: ['large_pot'],
+      processingTime: 6
+    }
+  },
+  {
+    name: 'Egg',
+    aliases: ['eggs', 'large egg'],
+    category: 'protein',
+    commonUnits: ['piece', 'large', 'medium'],
+    nutritionPer100g: {
+      calories: 143,
+      protein: 12.6,
+      carbohydrates: 0.7,
+      fat: 9.5,
+      fiber: 0,
+      sugar: 0.4,
+      sodium: 142,
+      cholesterol: 372
+    },
+    averageCost: 0.35,
+    shelfLife: 28,
+    storageConditions: 'refrigerated',
+    allergens: ['eggs'],
+    substitutes: [
+      {
+        name: 'flax_egg',
+        ratio: { from: { amount: 1, unit: 'piece' }, to: { amount: 45, unit: 'g' } },
+        contexts: ['baking'],
+        texture: 'denser, nuttier crumb',
+        notes: '1 tbsp ground flaxseed soaked in 3 tbsp water'
+      },
+      {
+        name: 'applesauce',
+        ratio: { from: { amount: 1, unit: 'piece' }, to: { amount: 60, unit: 'g' } },
+        contexts: ['baking'],
+        texture: 'moister, denser crumb with less rise'
+      }
+    ],
+    seasonality: ['year_round'],
+    sustainability: {
+      carbonFootprint: 4.5,
+      waterUsage: 3265,
+      localAvailability: true
+    },
+    automationData: {
+      prepComplexity: 'easy',
+      requiredEquipment: ['mixing_bowl'],
+      processingTime: 1
+    },
+    density: 1.03,
+    pieceWeights: { piece: 50, large: 50, medium: 44, small: 38 }
+  },
+  {
+    name: 'Parmesan Cheese',
+    aliases: ['parmesan', 'parmigiano reggiano'],
+    category: 'dairy',
+    commonUnits: ['g', 'cup', 'tbsp'],
+    nutritionPer100g: {
+      calories: 431,
+      protein: 38,
+      carbohydrates: 4.1,
+      fat: 29,
+      fiber: 0,
+      sugar: 0.9,
+      sodium: 1529,
+      calcium: 1184
+    },
+    averageCost: 2.20,
+    shelfLife: 180,
+    storageConditions: 'refrigerated',
+    allergens: ['dairy'],
+    substitutes: ['pecorino_romano', 'nutritional_yeast'],
+    seasonality: ['year_round'],
+    sustainability: {
+      carbonFootprint: 13.5,
+      waterUsage: 5060,
+      localAvailability: false
+    },
+    automationData: {
+      prepComplexity: 'easy',
+      requiredEquipment: ['grater'],
+      processingTime: 2
+    },
+    density: 0.42
+  },
+  {
+    name: 'Pecorino Romano',
+    category: 'dairy',
+    commonUnits: ['g', 'cup', 'tbsp'],
+    nutritionPer100g: {
+      calories: 387,
+      protein: 32,
+      carbohydrates: 3.6,
+      fat: 27,
+      fiber: 0,
+      sugar: 0,
+      sodium: 1200,
+      calcium: 1064
+    },
+    averageCost: 2.40,
+    shelfLife: 180,
+    storageConditions: 'refrigerated',
+    allergens: ['dairy'],
+    substitutes: ['parmesan_cheese'],
+    seasonality: ['year_round'],
+    sustainability: {
+      carbonFootprint: 14,
+      waterUsage: 5200,
+      localAvailability: false
+    },
+    automationData: {
+      prepComplexity: 'easy',
+      requiredEquipment: ['grater'],
+      processingTime: 2
+    },
+    density: 0.42
+  },
+  {
+    name: 'Nutritional Yeast',
+    category: 'other',
+    commonUnits: ['g', 'tbsp'],
+    nutritionPer100g: {
+      calories: 325,
+      protein: 50,
+      carbohydrates: 36,
+      fat: 5,
+      fiber: 20,
+      sugar: 0,
+      sodium: 50
+    },
+    averageCost: 3.00,
+    shelfLife: 365,
+    storageConditions: 'dry_pantry',
+    allergens: [],
+    substitutes: ['parmesan_cheese'],
+    seasonality: ['year_round'],
+    sustainability: {
+      carbonFootprint: 1.2,
+      waterUsage: 300,
+      localAvailability: false
+    },
+    automationData: {
+      prepComplexity: 'easy',
+      requiredEquipment: [],
+      processingTime: 0
+    },
+    density: 0.33
+  },
+  {
+    name: 'Pancetta',
+    category: 'meat',
+    commonUnits: ['g', 'slice'],
+    nutritionPer100g: {
+      calories: 400,
+      protein: 14,
+      carbohydrates: 0,
+      fat: 38,
+      fiber: 0,
+      sugar: 0,
+      sodium: 1600
+    },
+    averageCost: 2.00,
+    shelfLife: 21,
+    storageConditions: 'refrigerated',
+    allergens: [],
+    substitutes: ['turkey_bacon', 'smoked_tofu'],
+    seasonality: ['year_round'],
+    sustainability: {
+      carbonFootprint: 7.6,
+      waterUsage: 5990,
+      localAvailability: false
+    },
+    automationData: {
+      prepComplexity: 'medium',
+      requiredEquipment: ['knife', 'cutting_board', 'frying_pan'],
+      processingTime: 4
+    },
+    pieceWeights: { slice: 10 }
+  },
+  {
+    name: 'Turkey Bacon',
+    category: 'meat',
+    commonUnits: ['g', 'slice'],
+    nutritionPer100g: {
+      calories: 218,
+      protein: 15,
+      carbohydrates: 3,
+      fat: 16,
+      fiber: 0,
+      sugar: 1.5,
+      sodium: 1100
+    },
+    averageCost: 1.50,
+    shelfLife: 21,
+    storageConditions: 'refrigerated',
+    allergens: [],
+    substitutes: ['pancetta', 'smoked_tofu'],
+    seasonality: ['year_round'],
+    sustainability: {
+      carbonFootprint: 5.5,
+      waterUsage: 4300,
+      localAvailability: false
+    },
+    automationData: {
+      prepComplexity: 'medium',
+      requiredEquipment: ['knife', 'cutting_board', 'frying_pan'],
+      processingTime: 4
+    },
+    pieceWeights: { slice: 15 }
+  },
+  {
+    name: 'Smoked Tofu',
+    category: 'protein',
+    commonUnits: ['g'],
+    nutritionPer100g: {
+      calories: 170,
+      protein: 16,
+      carbohydrates: 3,
+      fat: 10,
+      fiber: 1,
+      sugar: 1,
+      sodium: 300
+    },
+    averageCost: 1.20,
+    shelfLife: 30,
+    storageConditions: 'refrigerated',
+    allergens: ['soy'],
+    substitutes: ['pancetta', 'tofu'],
+    seasonality: ['year_round'],
+    sustainability: {
+      carbonFootprint: 2.0,
+      waterUsage: 2150,
+      localAvailability: true
+    },
+    automationData: {
+      prepComplexity: 'easy',
+      requiredEquipment: ['knife', 'cutting_board'],
+      processingTime: 3
+    }
+  },
+  {
+    name: 'Tofu',
+    category: 'protein',
+    commonUnits: ['g', 'cup'],
+    nutritionPer100g: {
+      calories: 76,
+      protein: 8,
+      carbohydrates: 1.9,
+      fat: 4.8,
+      fiber: 0.3,
+      sugar: 0.6,
+      sodium: 7,
+      calcium: 350
+    },
+    averageCost: 0.60,
+    shelfLife: 14,
+    storageConditions: 'refrigerated',
+    allergens: ['soy'],
+    substitutes: ['chicken_breast', 'smoked_tofu'],
+    seasonality: ['year_round'],
+    sustainability: {
+      carbonFootprint: 2.0,
+      waterUsage: 2150,
+      localAvailability: true
+    },
+    automationData: {
+      prepComplexity: 'easy',
+      requiredEquipment: ['knife', 'cutting_board'],
+      processingTime: 2
+    }
+  },
+  {
+    name: 'Turkey Breast',
+    category: 'protein',
+    commonUnits: ['g', 'lb', 'piece'],
+    nutritionPer100g: {
+      calories: 114,
+      protein: 23.7,
+      carbohydrates: 0,
+      fat: 1.5,
+      fiber: 0,
+      sugar: 0,
+      sodium: 113
+    },
+    averageCost: 2.20,
+    shelfLife: 3,
+    storageConditions: 'refrigerated',
+    allergens: [],
+    substitutes: ['chicken_breast', 'tofu'],
+    seasonality: ['year_round'],
+    sustainability: {
+      carbonFootprint: 5.8,
+      waterUsage: 4300,
+      localAvailability: false
+    },
+    automationData: {
+      prepComplexity: 'medium',
+      requiredEquipment: ['knife', 'cutting_board', 'thermometer'],
+      processingTime: 5
+    },
+    pieceWeights: { piece: 250 }
+  },
+  {
+    name: 'Quinoa',
+    category: 'grain',
+    commonUnits: ['g', 'cup'],
+    nutritionPer100g: {
+      calories: 120,
+      protein: 4.4,
+      carbohydrates: 21.3,
+      fat: 1.9,
+      fiber: 2.8,
+      sugar: 0.9,
+      sodium: 7
+    },
+    averageCost: 0.60,
+    shelfLife: 365,
+    storageConditions: 'dry_pantry',
+    allergens: [],
+    substitutes: ['rice', 'cauliflower_rice'],
+    seasonality: ['year_round'],
+    sustainability: {
+      carbonFootprint: 1.5,
+      waterUsage: 1500,
+      localAvailability: false
+    },
+    automationData: {
+      prepComplexity: 'easy',
+      requiredEquipment: ['medium_pot'],
+      processingTime: 15
+    },
+    density: 0.72
+  },
+  {
+    name: 'Cauliflower Rice',
+    category: 'vegetable',
+    commonUnits: ['g', 'cup'],
+    nutritionPer100g: {
+      calories: 25,
+      protein: 1.9,
+      carbohydrates: 5,
+      fat: 0.3,
+      fiber: 2,
+      sugar: 1.9,
+      sodium: 30
+    },
+    averageCost: 0.45,
+    shelfLife: 5,
+    storageConditions: 'refrigerated',
+    allergens: [],
+    substitutes: ['rice', 'quinoa'],
+    seasonality: ['fall', 'winter'],
+    sustainability: {
+      carbonFootprint: 0.5,
+      waterUsage: 285,
+      localAvailability: true
+    },
+    automationData: {
+      prepComplexity: 'easy',
+      requiredEquipment: ['food_processor'],
+      processingTime: 5
+    },
+    density: 0.45
+  },
+  {
+    name: 'Black Pepper',
+    category: 'spice',
+    commonUnits: ['g', 'tsp', 'tbsp'],
+    nutritionPer100g: {
+      calories: 251,
+      protein: 10,
+      carbohydrates: 64,
+      fat: 3.3,
+      fiber: 25,
+      sugar: 0.6,
+      sodium: 20
+    },
+    averageCost: 3.50,
+    shelfLife: 1095,
+    storageConditions: 'dry_pantry',
+    allergens: [],
+    substitutes: ['white_pepper'],
+    seasonality: ['year_round'],
+    sustainability: {
+      carbonFootprint: 2.0,
+      waterUsage: 6000,
+      localAvailability: false
+    },
+    automationData: {
+      prepComplexity: 'easy',
+      requiredEquipment: ['grater'],
+      processingTime: 0
+    },
+    density: 0.47
+  },
+  {
+    name: 'White Pepper',
+    category: 'spice',
+    commonUnits: ['g', 'tsp', 'tbsp'],
+    nutritionPer100g: {
+      calories: 296,
+      protein: 10.4,
+      carbohydrates: 69,
+      fat: 2.1,
+      fiber: 26,
+      sugar: 0,
+      sodium: 5
+    },
+    averageCost: 4.00,
+    shelfLife: 1095,
+    storageConditions: 'dry_pantry',
+    allergens: [],
+    substitutes: ['black_pepper'],
+    seasonality: ['year_round'],
+    sustainability: {
+      carbonFootprint: 2.0,
+      waterUsage: 6000,
+      localAvailability: false
+    },
+    automationData: {
+      prepComplexity: 'easy',
+      requiredEquipment: ['grater'],
+      processingTime: 0
+    },
+    density: 0.5
+  },
+  {
+    name: 'Salt',
+    aliases: ['sea salt', 'table salt'],
+    category: 'spice',
+    commonUnits: ['g', 'tsp', 'tbsp'],
+    nutritionPer100g: {
+      calories: 0,
+      protein: 0,
+      carbohydrates: 0,
+      fat: 0,
+      fiber: 0,
+      sugar: 0,
+      sodium: 38758
+    },
+    averageCost: 0.05,
+    shelfLife: 1825,
+    storageConditions: 'dry_pantry',
+    allergens: [],
+    substitutes: ['low_sodium_salt'],
+    seasonality: ['year_round'],
+    sustainability: {
+      carbonFootprint: 0.2,
+      waterUsage: 10,
+      localAvailability: true
+    },
+    automationData: {
+      prepComplexity: 'easy',
+      requiredEquipment: [],
+      processingTime: 0
+    },
+    density: 1.22
+  },
+  {
+    name: 'Low Sodium Salt',
+    category: 'spice',
+    commonUnits: ['g', 'tsp'],
+    nutritionPer100g: {
+      calories: 0,
+      protein: 0,
+      carbohydrates: 0,
+      fat: 0,
+      fiber: 0,
+      sugar: 0,
+      sodium: 19000,
+      potassium: 26000
+    },
+    averageCost: 0.40,
+    shelfLife: 1825,
+    storageConditions: 'dry_pantry',
+    allergens: [],
+    substitutes: ['salt'],
+    seasonality: ['year_round'],
+    sustainability: {
+      carbonFootprint: 0.3,
+      waterUsage: 10,
+      localAvailability: false
+    },
+    automationData: {
+      prepComplexity: 'easy',
+      requiredEquipment: [],
+      processingTime: 0
+    },
+    density: 1.2
+  },
+  {
+    name: 'Soy Sauce',
+    category: 'sauce',
+    commonUnits: ['ml', 'tbsp', 'tsp'],
+    nutritionPer100g: {
+      calories: 53,
+      protein: 8.1,
+      carbohydrates: 4.9,
+      fat: 0.6,
+      fiber: 0.8,
+      sugar: 0.4,
+      sodium: 5493
+    },
+    averageCost: 0.50,
+    shelfLife: 730,
+    storageConditions: 'dry_pantry',
+    allergens: ['soy', 'wheat'],
+    substitutes: [
+      'low_sodium_soy_sauce',
+      'tamari',
+      { name: 'coconut_aminos', texture: 'sweeter and less salty' }
+    ],
+    seasonality: ['year_round'],
+    sustainability: {
+      carbonFootprint: 1.1,
+      waterUsage: 700,
+      localAvailability: false
+    },
+    automationData: {
+      prepComplexity: 'easy',
+      requiredEquipment: [],
+      processingTime: 0
+    },
+    density: 1.2
+  },
+  {
+    name: 'Low Sodium Soy Sauce',
+    category: 'sauce',
+    commonUnits: ['ml', 'tbsp', 'tsp'],
+    nutritionPer100g: {
+      calories: 53,
+      protein: 8.1,
+      carbohydrates: 4.9,
+      fat: 0.6,
+      fiber: 0.8,
+      sugar: 0.4,
+      sodium: 3333
+    },
+    averageCost: 0.60,
+    shelfLife: 730,
+    storageConditions: 'dry_pantry',
+    allergens: ['soy', 'wheat'],
+    substitutes: ['soy_sauce', 'coconut_aminos'],
+    seasonality: ['year_round'],
+    sustainability: {
+      carbonFootprint: 1.1,
+      waterUsage: 700,
+      localAvailability: false
+    },
+    automationData: {
+      prepComplexity: 'easy',
+      requiredEquipment: [],
+      processingTime: 0
+    },
+    density: 1.18
+  },
+  {
+    name: 'Tamari',
+    category: 'sauce',
+    commonUnits: ['ml', 'tbsp', 'tsp'],
+    nutritionPer100g: {
+      calories: 60,
+      protein: 10.5,
+      carbohydrates: 5.6,
+      fat: 0.1,
+      fiber: 0.8,
+      sugar: 1.7,
+      sodium: 5586
+    },
+    averageCost: 0.90,
+    shelfLife: 730,
+    storageConditions: 'dry_pantry',
+    allergens: ['soy'],
+    substitutes: ['soy_sauce', 'coconut_aminos'],
+    seasonality: ['year_round'],
+    sustainability: {
+      carbonFootprint: 1.2,
+      waterUsage: 700,
+      localAvailability: false
+    },
+    automationData: {
+      prepComplexity: 'easy',
+      requiredEquipment: [],
+      processingTime: 0
+    },
+    density: 1.2
+  },
+  {
+    name: 'Coconut Aminos',
+    category: 'sauce',
+    commonUnits: ['ml', 'tbsp', 'tsp'],
+    nutritionPer100g: {
+      calories: 60,
+      protein: 0,
+      carbohydrates: 13,
+      fat: 0,
+      fiber: 0,
+      sugar: 13,
+      sodium: 1800
+    },
+    averageCost: 1.40,
+    shelfLife: 365,
+    storageConditions: 'dry_pantry',
+    allergens: [],
+    substitutes: ['soy_sauce', 'tamari'],
+    seasonality: ['year_round'],
+    sustainability: {
+      carbonFootprint: 1.0,
+      waterUsage: 900,
+      localAvailability: false
+    },
+    automationData: {
+      prepComplexity: 'easy',
+      requiredEquipment: [],
+      processingTime: 0
+    },
+    density: 1.1
+  },
+  {
+    name: 'Olive Oil',
+    category: 'oil',
+    commonUnits: ['ml', 'tbsp', 'tsp'],
+    nutritionPer100g: {
+      calories: 884,
+      protein: 0,
+      carbohydrates: 0,
+      fat: 100,
+      fiber: 0,
+      sugar: 0,
+      sodium: 2
+    },
+    averageCost: 1.00,
+    shelfLife: 540,
+    storageConditions: 'dry_pantry',
+    allergens: [],
+    substitutes: [{ name: 'butter', ratio: 1.25, texture: 'richer; browns and burns sooner' }],
+    seasonality: ['year_round'],
+    sustainability: {
+      carbonFootprint: 3.5,
+      waterUsage: 14500,
+      localAvailability: false
+    },
+    automationData: {
+      prepComplexity: 'easy',
+      requiredEquipment: [],
+      processingTime: 0
+    },
+    density: 0.91
+  },
+  {
+    name: 'Butter',
+    category: 'dairy',
+    commonUnits: ['g', 'tbsp', 'tsp'],
+    nutritionPer100g: {
+      calories: 717,
+      protein: 0.9,
+      carbohydrates: 0.1,
+      fat: 81,
+      fiber: 0,
+      sugar: 0.1,
+      sodium: 643
+    },
+    averageCost: 1.10,
+    shelfLife: 60,
+    storageConditions: 'refrigerated',
+    allergens: ['dairy'],
+    substitutes: [
+      'unsalted_butter',
+      {
+        name: 'olive_oil',
+        ratio: 0.75,
+        contexts: ['frying', 'roasting', 'sauce'],
+        texture: 'no browned, nutty notes'
+      }
+    ],
+    seasonality: ['year_round'],
+    sustainability: {
+      carbonFootprint: 9.0,
+      waterUsage: 5550,
+      localAvailability: true
+    },
+    automationData: {
+      prepComplexity: 'easy',
+      requiredEquipment: [],
+      processingTime: 0
+    },
+    density: 0.96
+  },
+  {
+    name: 'Unsalted Butter',
+    category: 'dairy',
+    commonUnits: ['g', 'tbsp', 'tsp'],
+    nutritionPer100g: {
+      calories: 717,
+      protein: 0.9,
+      carbohydrates: 0.1,
+      fat: 81,
+      fiber: 0,
+      sugar: 0.1,
+      sodium: 11
+    },
+    averageCost: 1.10,
+    shelfLife: 60,
+    storageConditions: 'refrigerated',
+    allergens: ['dairy'],
+    substitutes: [
+      { name: 'butter', notes: 'reduce the added salt' },
+      {
+        name: 'olive_oil',
+        ratio: 0.75,
+        contexts: ['frying', 'roasting', 'sauce'],
+        texture: 'no browned, nutty notes'
+      }
+    ],
+    seasonality: ['year_round'],
+    sustainability: {
+      carbonFootprint: 9.0,
+      waterUsage: 5550,
+      localAvailability: true
+    },
+    automationData: {
+      prepComplexity: 'easy',
+      requiredEquipment: [],
+      processingTime: 0
+    },
+    density: 0.96
+  },
+  {
+    name: 'All-Purpose Flour',
+    aliases: ['flour', 'plain flour'],
+    category: 'grain',
+    commonUnits: ['g', 'cup', 'tbsp'],
+    nutritionPer100g: {
+      calories: 364,
+      protein: 10,
+      carbohydrates: 76,
+      fat: 1,
+      fiber: 2.7,
+      sugar: 0.3,
+      sodium: 2
+    },
+    averageCost: 0.10,
+    shelfLife: 365,
+    storageConditions: 'dry_pantry',
+    allergens: ['wheat'],
+    substitutes: [
+      {
+        name: 'whole_wheat_flour',
+        contexts: ['baking', 'sauce'],
+        texture: 'denser, heavier crumb; absorbs more liquid'
+      }
+    ],
+    seasonality: ['year_round'],
+    sustainability: {
+      carbonFootprint: 0.8,
+      waterUsage: 1600,
+      localAvailability: true
+    },
+    automationData: {
+      prepComplexity: 'easy',
+      requiredEquipment: ['measuring_cups'],
+      processingTime: 0
+    },
+    density: 0.53
+  },
+  {
+    name: 'Whole Wheat Flour',
+    category: 'grain',
+    commonUnits: ['g', 'cup', 'tbsp'],
+    nutritionPer100g: {
+      calories: 340,
+      protein: 13,
+      carbohydrates: 72,
+      fat: 2.5,
+      fiber: 10.7,
+      sugar: 0.4,
+      sodium: 2
+    },
+    averageCost: 0.15,
+    shelfLife: 180,
+    storageConditions: 'dry_pantry',
+    allergens: ['wheat'],
+    substitutes: ['all_purpose_flour'],
+    seasonality: ['year_round'],
+    sustainability: {
+      carbonFootprint: 0.8,
+      waterUsage: 1600,
+      localAvailability: true
+    },
+    automationData: {
+      prepComplexity: 'easy',
+      requiredEquipment: ['measuring_cups'],
+      processingTime: 0
+    },
+    density: 0.51
+  },
+  {
+    name: 'Onion',
+    category: 'vegetable',
+    commonUnits: ['g', 'piece', 'cup'],
+    nutritionPer100g: {
+      calories: 40,
+      protein: 1.1,
+      carbohydrates: 9.3,
+      fat: 0.1,
+      fiber: 1.7,
+      sugar: 4.2,
+      sodium: 4
+    },
+    averageCost: 0.25,
+    shelfLife: 30,
+    storageConditions: 'room_temperature',
+    allergens: [],
+    substitutes: ['shallot'],
+    seasonality: ['year_round'],
+    sustainability: {
+      carbonFootprint: 0.5,
+      waterUsage: 272,
+      localAvailability: true
+    },
+    automationData: {
+      prepComplexity: 'medium',
+      requiredEquipment: ['knife', 'cutting_board'],
+      processingTime: 2
+    },
+    density: 0.68,
+    pieceWeights: { piece: 150, large: 225, medium: 150, small: 70 }
+  },
+  {
+    name: 'Shallot',
+    category: 'vegetable',
+    commonUnits: ['g', 'piece'],
+    nutritionPer100g: {
+      calories: 72,
+      protein: 2.5,
+      carbohydrates: 16.8,
+      fat: 0.1,
+      fiber: 3.2,
+      sugar: 7.9,
+      sodium: 12
+    },
+    averageCost: 0.80,
+    shelfLife: 30,
+    storageConditions: 'room_temperature',
+    allergens: [],
+    substitutes: ['onion'],
+    seasonality: ['year_round'],
+    sustainability: {
+      carbonFootprint: 0.6,
+      waterUsage: 300,
+      localAvailability: true
+    },
+    automationData: {
+      prepComplexity: 'medium',
+      requiredEquipment: ['knife', 'cutting_board'],
+      processingTime: 2
+    },
+    density: 0.68,
+    pieceWeights: { piece: 40 }
+  },
+  {
+    name: 'Garlic',
+    aliases: ['garlic clove'],
+    category: 'vegetable',
+    commonUnits: ['g', 'clove'],
+    nutritionPer100g: {
+      calories: 149,
+      protein: 6.4,
+      carbohydrates: 33,
+      fat: 0.5,
+      fiber: 2.1,
+      sugar: 1,
+      sodium: 17
+    },
+    averageCost: 0.90,
+    shelfLife: 90,
+    storageConditions: 'room_temperature',
+    allergens: [],
+    substitutes: ['shallot'],
+    seasonality: ['year_round'],
+    sustainability: {
+      carbonFootprint: 0.8,
+      waterUsage: 590,
+      localAvailability: true
+    },
+    automationData: {
+      prepComplexity: 'medium',
+      requiredEquipment: ['knife', 'cutting_board'],
+      processingTime: 2
+    },
+    density: 0.57,
+    pieceWeights: { piece: 50, clove: 5 }
+  },
+  {
+    name: 'Lettuce',
+    category: 'vegetable',
+    commonUnits: ['g', 'piece', 'cup'],
+    nutritionPer100g: {
+      calories: 15,
+      protein: 1.4,
+      carbohydrates: 2.9,
+      fat: 0.2,
+      fiber: 1.3,
+      sugar: 0.8,
+      sodium: 28
+    },
+    averageCost: 0.40,
+    shelfLife: 7,
+    storageConditions: 'refrigerated',
+    allergens: [],
+    substitutes: [{ name: 'spinach', contexts: ['raw'], texture: 'softer leaves, less crunch' }],
+    seasonality: ['spring', 'summer', 'fall'],
+    sustainability: {
+      carbonFootprint: 0.4,
+      waterUsage: 237,
+      localAvailability: true
+    },
+    automationData: {
+      prepComplexity: 'easy',
+      requiredEquipment: ['knife', 'cutting_board'],
+      processingTime: 1
+    },
+    density: 0.2,
+    pieceWeights: { piece: 300 }
+  },
+  {
+    name: 'Spinach',
+    category: 'vegetable',
+    commonUnits: ['g', 'cup'],
+    nutritionPer100g: {
+      calories: 23,
+      protein: 2.9,
+      carbohydrates: 3.6,
+      fat: 0.4,
+      fiber: 2.2,
+      sugar: 0.4,
+      sodium: 79,
+      iron: 2.7
+    },
+    averageCost: 0.70,
+    shelfLife: 5,
+    storageConditions: 'refrigerated',
+    allergens: [],
+    substitutes: [{ name: 'lettuce', contexts: ['raw'], texture: 'crisper; does not wilt' }],
+    seasonality: ['spring', 'fall'],
+    sustainability: {
+      carbonFootprint: 0.5,
+      waterUsage: 292,
+      localAvailability: true
+    },
+    automationData: {
+      prepComplexity: 'easy',
+      requiredEquipment: ['colander'],
+      processingTime: 1
+    },
+    density: 0.13
+  },
+  {
+    name: 'Herbs',
+    aliases: ['fresh herbs'],
+    category: 'herb',
+    commonUnits: ['g', 'tbsp', 'cup'],
+    nutritionPer100g: {
+      calories: 36,
+      protein: 3,
+      carbohydrates: 6,
+      fat: 0.8,
+      fiber: 3.3,
+      sugar: 0.9,
+      sodium: 56
+    },
+    averageCost: 2.50,
+    shelfLife: 7,
+    storageConditions: 'refrigerated',
+    allergens: [],
+    substitutes: [],
+    seasonality: ['spring', 'summer'],
+    sustainability: {
+      carbonFootprint: 0.6,
+      waterUsage: 300,
+      localAvailability: true
+    },
+    automationData: {
+      prepComplexity: 'easy',
+      requiredEquipment: ['knife', 'cutting_board'],
+      processingTime: 1
+    },
+    density: 0.15
+  },
+  {
+    name: 'Applesauce',
+    aliases: ['apple sauce'],
+    category: 'fruit',
+    commonUnits: ['g', 'cup', 'tbsp'],
+    nutritionPer100g: {
+      calories: 42,
+      protein: 0.2,
+      carbohydrates: 11.3,
+      fat: 0.1,
+      fiber: 1.2,
+      sugar: 9.4,
+      sodium: 2,
+      vitaminC: 1.2
+    },
+    averageCost: 0.40,
+    shelfLife: 10,
+    storageConditions: 'refrigerated',
+    allergens: [],
+    substitutes: [],
+    seasonality: ['year_round'],
+    sustainability: {
+      carbonFootprint: 0.6,
+      waterUsage: 820,
+      localAvailability: true
+    },
+    automationData: {
+      prepComplexity: 'easy',
+      requiredEquipment: [],
+      processingTime: 0
+    },
+    density: 1.03
+  }
+];
@@ -0,0 +1,37 @@
+/**
+ * Substitution contexts
+ * How a recipe step uses an ingredient, which decides whether a substitute
+ * works there: applesauce stands in for egg in a cake but not in an omelette.
+ * Each context lists the step actions that put an ingredient in it and the
+ * words that give it away in steps without an action. An ingredient in a step
+ * that matches none (whisking, chopping) takes the context of the next step
+ * that does, or `raw` when nothing cooks it. Contexts are tried in order, so
+ * "roast in the oven" is roasting.
+ */
+
+module.exports = {
+  roasting: {
+    actions: ['roast'],
+    terms: ['roast']
+  },
+  baking: {
+    actions: ['bake'],
+    terms: ['bake', 'baking', 'oven']
+  },
+  frying: {
+    actions: ['fry', 'saute', 'grill', 'heat'],
+    terms: ['fry', 'fried', 'saute', 'sauté', 'grill', 'sear', 'skillet']
+  },
+  boiling: {
+    actions: ['boil', 'steam', 'poach'],
+    terms: ['boil', 'steam', 'poach', 'blanch']
+  },
+  sauce: {
+    actions: ['simmer', 'stew', 'braise', 'emulsify'],
+    terms: ['simmer', 'sauce', 'stew', 'braise', 'emulsif', 'reduce', 'gravy']
+  },
+  raw: {
+    actions: [],
+    terms: ['raw', 'dressing', 'uncooked']
+  }
+};
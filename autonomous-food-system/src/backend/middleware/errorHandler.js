@@ -1,5 +1,13 @@
 const logger = require('../utils/logger');
 
+// Error classes live in utils/errors; re-exported here for existing callers
+const {
+  RecipeValidationError,
+  AutomationError,
+  CookingProcessError,
+  HardwareError
+} = require('../utils/errors');
+
 /**
  * Global error handler middleware
  * Handles all errors that occur in the application
@@ -53,6 +61,26 @@ const errorHandler = (err, req, res, next) => {
     error = { message: err.message, statusCode: 400, details: err.details };
   }
 
+  // Recipes changed by another request since they were read
+  if (err.name === 'RecipeVersionConflictError') {
+    error = { message: err.message, statusCode: 409, details: err.details };
+  }
+
+  // Unit conversion errors
+  if (err.name === 'UnitConversionError') {
+    error = { message: err.message, statusCode: 400, details: err.details };
+  }
+
+  // Recipe import errors
+  if (err.name === 'RecipeImportError') {
+    error = { message: err.message, statusCode: 422, details: err.details };
+  }
+
+  // Nutrition database import errors
+  if (err.name === 'NutritionImportError') {
+    error = { message: err.message, statusCode: 422, details: err.details };
+  }
+
   // Automation errors
   if (err.name === 'AutomationError') {
     error = { message: err.message, statusCode: 422, details: err.details };
@@ -63,6 +91,16 @@ const errorHandler = (err, req, res, next) => {
     error = { message: err.message, statusCode: 409, details: err.details };
   }
 
+  // Meal plan errors
+  if (err.name === 'MealPlanError') {
+    error = { message: err.message, statusCode: 409, details: err.details };
+  }
+
+  // Cooking feedback errors
+  if (err.name === 'FeedbackError') {
+    error = { message: err.message, statusCode: 409, details: err.details };
+  }
+
   // Hardware errors
   if (err.name === 'HardwareError') {
     error = { message: err.message, statusCode: 503, details: err.details };
@@ -140,41 +178,6 @@ const errorHandler = (err, req, res, next) => {
   res.status(statusCode).json(errorResponse);
 };
 
-/**
- * Custom error classes
- */
-class RecipeValidationError extends Error {
-  constructor(message, details = []) {
-    super(message);
-    this.name = 'RecipeValidationError';
-    this.details = details;
-  }
-}
-
-class AutomationError extends Error {
-  constructor(message, details = {}) {
-    super(message);
-    this.name = 'AutomationError';
-    this.details = details;
-  }
-}
-
-class CookingProcessError extends Error {
-  constructor(message, details = {}) {
-    super(message);
-    this.name = 'CookingProcessError';
-    this.details = details;
-  }
-}
-
-class HardwareError extends Error {
-  constructor(message, details = {}) {
-    super(message);
-    this.name = 'HardwareError';
-    this.details = details;
-  }
-}
-
 /**
  * Async error wrapper
  * Wraps async route handlers to catch errors automatically
@@ -1,21 +1,21 @@
 const Joi = require('joi');
-const { RecipeValidationError } = require('./errorHandler');
+const { RecipeValidationError } = require('../utils/errors');
+const { ACCEPTED_UNITS } = require('../utils/units');
+const KITCHEN_DEVICES = require('../data/kitchenDevices');
+const SUBSTITUTION_CONTEXTS = Object.keys(require('../data/substitutionContexts'));
 
 // Ingredient validation schema
 const ingredientSchema = Joi.object({
   name: Joi.string().required().min(1).max(100),
   amount: Joi.number().positive().required(),
-  unit: Joi.string().required().valid(
-    'g', 'kg', 'ml', 'l', 'cup', 'cups', 'tbsp', 'tsp', 'oz', 'lb',
-    'piece', 'pieces', 'slice', 'slices', 'clove', 'cloves',
-    'large', 'medium', 'small', 'whole', 'half', 'quarter'
-  ),
+  unit: Joi.string().required().valid(...ACCEPTED_UNITS),
   type: Joi.string().optional().valid(
     'protein', 'vegetable', 'fruit', 'grain', 'dairy', 'spice', 'herb',
     'oil', 'sauce', 'condiment', 'pasta', 'meat', 'seafood', 'nuts',
     'seeds', 'legumes', 'other'
   ),
   optional: Joi.boolean().default(false),
+  preparation: Joi.string().max(100).optional(), // e.g. "finely chopped"
   substitutes: Joi.array().items(Joi.string()).optional()
 });
 
@@ -24,6 +24,7 @@ const instructionSchema = Joi.object({
   step: Joi.string().required().min(5).max(500),
   timing: Joi.number().positive().optional(), // minutes
   temperature: Joi.number().min(-20).max(300).optional(), // Celsius
+  speed: Joi.number().positive().max(30000).optional(), // rpm for stirring, mixing and blending
   action: Joi.string().optional().valid(
     'prep', 'chop', 'dice', 'slice', 'mince', 'grate', 'mix', 'stir',
     'whisk', 'beat', 'fold', 'knead', 'roll', 'cut', 'season',
@@ -35,7 +36,9 @@ const instructionSchema = Joi.object({
   equipment: Joi.array().items(Joi.string()).optional(),
   notes: Joi.string().max(200).optional(),
   automatable: Joi.boolean().default(false),
-  safetyNotes: Joi.string().max(200).optional()
+  safetyNotes: Joi.string().max(200).optional(),
+  dependsOn: Joi.array().items(Joi.number().integer().min(1)).unique().optional(), // 1-based step numbers
+  resources: Joi.array().items(Joi.string()).unique().optional() // e.g. oven, burner, hands
 });
 
 // Equipment validation schema
@@ -67,7 +70,17 @@ const nutritionSchema = Joi.object({
   vitaminA: Joi.number().min(0).optional(), // IU
   vitaminC: Joi.number().min(0).optional(), // mg
   calcium: Joi.number().min(0).optional(), // mg
-  iron: Joi.number().min(0).optional() // mg
+  iron: Joi.number().min(0).optional(), // mg
+  vitaminD: Joi.number().min(0).optional(), // µg
+  vitaminE: Joi.number().min(0).optional(), // mg
+  vitaminK: Joi.number().min(0).optional(), // µg
+  vitaminB6: Joi.number().min(0).optional(), // mg
+  vitaminB12: Joi.number().min(0).optional(), // µg
+  folate: Joi.number().min(0).optional(), // µg
+  magnesium: Joi.number().min(0).optional(), // mg
+  phosphorus: Joi.number().min(0).optional(), // mg
+  potassium: Joi.number().min(0).optional(), // mg
+  zinc: Joi.number().min(0).optional() // mg
 });
 
 // Main recipe validation schema
@@ -122,6 +135,14 @@ const recipeUpdateSchema = recipeSchema.fork(
   (schema) => schema.optional()
 );
 
+// Recipe fork request; `changes` is a partial recipe applied over the parent's content
+const recipeForkSchema = Joi.object({
+  name: Joi.string().min(3).max(100).optional(),
+  label: Joi.string().max(50).optional(), // e.g. "less salty", "oven-free"
+  reason: Joi.string().max(300).optional(),
+  changes: recipeUpdateSchema.optional()
+});
+
 // Cooking session validation schema
 const cookingSessionSchema = Joi.object({
   recipeId: Joi.string().required(),
@@ -149,7 +170,19 @@ const cookingSessionSchema = Joi.object({
   automationLevel: Joi.string().valid(
     'manual', 'assisted', 'semi_automated', 'fully_automated'
   ).default('manual'),
-  notes: Joi.string().max(500).optional()
+  // Kitchen whose devices run the recipe's automation program; automated sessions need one
+  kitchenId: Joi.string().when('automationLevel', {
+    is: 'manual',
+    then: Joi.forbidden().messages({ 'any.unknown': '"kitchenId" requires an automationLevel other than manual' }),
+    otherwise: Joi.required().messages({ 'any.required': '"kitchenId" is required unless automationLevel is manual' })
+  }),
+  notes: Joi.string().max(500).optional(),
+  // Consumption profile to check the recipe against before cooking
+  userId: Joi.string().optional(),
+  // Pantry the cooked ingredients are taken from; default: the user's household
+  householdId: Joi.string().optional(),
+  overrideCompliance: Joi.boolean().default(false),
+  overrideReason: Joi.string().max(200).optional()
 });
 
 // Optimization criteria schema
@@ -160,7 +193,8 @@ const optimizationSchema = Joi.object({
     minProtein: Joi.number().min(0).optional(),
     maxFat: Joi.number().min(0).optional(),
     maxCarbs: Joi.number().min(0).optional(),
-    minFiber: Joi.number().min(0).optional()
+    minFiber: Joi.number().min(0).optional(),
+    maxSugar: Joi.number().min(0).optional()
   }).optional(),
   cost: Joi.object({
     maxBudget: Joi.number().min(0).optional(),
@@ -169,7 +203,9 @@ const optimizationSchema = Joi.object({
   time: Joi.object({
     maxTotalTime: Joi.number().min(0).optional(),
     maxPrepTime: Joi.number().min(0).optional(),
-    maxCookTime: Joi.number().min(0).optional()
+    maxCookTime: Joi.number().min(0).optional(),
+    // Kitchen capacity per resource, e.g. { burner: 2 }
+    resources: Joi.object().pattern(Joi.string(), Joi.number().integer().min(1)).optional()
   }).optional(),
   wasteReduction: Joi.object({
     minimizeLeftovers: Joi.boolean().default(false),
@@ -179,7 +215,219 @@ const optimizationSchema = Joi.object({
   dietary: Joi.object({
     restrictions: Joi.array().items(Joi.string()).optional(),
     preferences: Joi.array().items(Joi.string()).optional()
-  }).optional()
+  }).optional(),
+  // Proposals for issues reported in cooking feedback
+  feedback: Joi.object({
+    minReports: Joi.number().integer().min(1).default(2),
+    minShare: Joi.number().min(0).max(1).default(0.25)
+  }).optional(),
+  // Lower-footprint ingredient swaps; caps are per serving
+  sustainability: Joi.object({
+    metric: Joi.string().valid('carbon', 'water').default('carbon'),
+    maxCarbon: Joi.number().min(0).optional(), // kg CO2e
+    maxWater: Joi.number().min(0).optional() // liters
+  }).optional(),
+  // Proposal ids from a previous optimization run to apply to the recipe
+  apply: Joi.array().items(Joi.string()).optional()
+});
+
+// Rating, review and outcome of a completed cooking session
+const feedbackSchema = Joi.object({
+  rating: Joi.number().integer().min(1).max(5).optional(),
+  review: Joi.string().max(2000).optional(),
+  success: Joi.boolean().required(), // did the dish turn out as intended
+  issues: Joi.array().items(Joi.string().valid(
+    'too_salty', 'too_bland', 'too_spicy', 'undercooked', 'overcooked',
+    'portion_too_big', 'portion_too_small', 'took_too_long'
+  )).unique().default([])
+});
+
+const STORAGE_CONDITIONS = ['room_temperature', 'dry_pantry', 'refrigerated', 'frozen'];
+
+const measureSchema = Joi.object({
+  amount: Joi.number().positive().required(),
+  unit: Joi.string().required().valid(...ACCEPTED_UNITS)
+});
+
+// A substitute name, or an edge with how much to use and where it works
+const substituteEdgeSchema = Joi.alternatives().try(
+  Joi.string().max(100),
+  Joi.object({
+    name: Joi.string().max(100).required(),
+    ratio: Joi.alternatives().try(
+      Joi.number().positive(), // substitute per unit of the ingredient, same unit
+      Joi.object({ from: measureSchema.required(), to: measureSchema.required() }) // e.g. 1 piece -> 60 g
+    ),
+    contexts: Joi.array().items(Joi.string().valid(...SUBSTITUTION_CONTEXTS)).unique(), // empty: anywhere
+    texture: Joi.string().max(200),
+    notes: Joi.string().max(200)
+  })
+);
+
+// Catalog ingredient; omitted fields get the Ingredient model's defaults
+const catalogIngredientSchema = Joi.object({
+  name: Joi.string().min(1).max(100).required(),
+  aliases: Joi.array().items(Joi.string().min(1).max(100)).unique().max(20),
+  category: Joi.string().valid(
+    'protein', 'vegetable', 'fruit', 'grain', 'dairy', 'spice', 'herb',
+    'oil', 'sauce', 'condiment', 'pasta', 'meat', 'seafood', 'nuts',
+    'seeds', 'legumes', 'other'
+  ),
+  commonUnits: Joi.array().items(Joi.string().valid(...ACCEPTED_UNITS)).unique(),
+  nutritionPer100g: nutritionSchema.fork(
+    ['calories', 'protein', 'carbohydrates', 'fat', 'fiber', 'sugar', 'sodium'],
+    (schema) => schema.required()
+  ).pattern(Joi.string(), Joi.number().min(0)), // other nutrients, e.g. potassium (mg)
+  averageCost: Joi.number().min(0), // per 100g
+  shelfLife: Joi.number().integer().min(1).max(3650), // days
+  storageConditions: Joi.string().valid(...STORAGE_CONDITIONS),
+  allergens: Joi.array().items(Joi.string().valid(
+    'dairy', 'eggs', 'fish', 'shellfish', 'tree_nuts',
+    'peanuts', 'wheat', 'gluten', 'soy', 'sesame'
+  )).unique(),
+  substitutes: Joi.array().items(substituteEdgeSchema)
+    .unique((a, b) => (typeof a === 'string' ? a : a.name) === (typeof b === 'string' ? b : b.name)),
+  seasonality: Joi.array().items(Joi.string().valid('spring', 'summer', 'fall', 'winter', 'year_round')).unique(),
+  sustainability: Joi.object({
+    carbonFootprint: Joi.number().min(0).required(), // kg CO2 per kg
+    waterUsage: Joi.number().min(0).required(), // liters per kg
+    localAvailability: Joi.boolean().default(false)
+  }),
+  automationData: Joi.object({
+    prepComplexity: Joi.string().valid('easy', 'medium', 'hard').default('medium'),
+    requiredEquipment: Joi.array().items(Joi.string()).default([]),
+    processingTime: Joi.number().min(0).default(0) // minutes
+  }),
+  density: Joi.number().positive().max(5).allow(null), // g/ml
+  pieceWeights: Joi.object().pattern(
+    Joi.string().valid('piece', 'large', 'medium', 'small', 'slice', 'clove'),
+    Joi.number().positive()
+  )
+});
+
+const catalogIngredientUpdateSchema = catalogIngredientSchema.fork(['name'], (schema) => schema.optional()).min(1);
+
+// Duplicates folded into the ingredient being merged into
+const ingredientMergeSchema = Joi.object({
+  duplicateIds: Joi.array().items(Joi.string()).min(1).unique().required()
+});
+
+// Import from FoodData Central downloads in the FDC data directory
+const fdcImportSchema = Joi.object({
+  path: Joi.string().max(500).default('.'), // JSON file or directory, relative to the data directory
+  mapping: Joi.object().pattern(Joi.string(), Joi.string().allow(null)).default({}) // fdcId -> ingredient id; null skips
+});
+
+// Kitchen hardware registration; actuator types come from the device registry
+const kitchenSchema = Joi.object({
+  id: Joi.string().pattern(/^[A-Za-z0-9_-]+$/).max(60).optional(),
+  name: Joi.string().max(100).optional(),
+  actuators: Joi.array().items(Joi.object({
+    id: Joi.string().required(),
+    type: Joi.string().valid(...Object.keys(KITCHEN_DEVICES)).required(),
+    location: Joi.string().optional(),
+    capabilities: Joi.object({
+      minTemperature: Joi.number().optional(), // Celsius
+      maxTemperature: Joi.number().optional(),
+      minSpeed: Joi.number().min(0).optional(), // rpm
+      maxSpeed: Joi.number().min(0).optional(),
+      ingredients: Joi.array().items(Joi.string()).optional(), // dispensers; '*' for anything
+      sensors: Joi.array().items(Joi.string()).optional() // overrides the built-in sensors
+    }).default({})
+  })).unique('id').default([]),
+  robots: Joi.array().items(Joi.object({
+    id: Joi.string().required(),
+    type: Joi.string().required(),
+    capabilities: Joi.array().items(Joi.string()).default([]) // step actions, e.g. serve, garnish
+  })).unique('id').default([]),
+  sensors: Joi.array().items(Joi.object({
+    id: Joi.string().required(),
+    type: Joi.string().required(),
+    location: Joi.string().optional()
+  })).unique('id').default([])
+});
+
+// Dry run of a recipe's automation program
+const simulationSchema = Joi.object({
+  kitchenId: Joi.string().optional(), // default: one device of every registered type
+  servings: Joi.number().integer().min(1).max(50).optional(),
+  automationLevel: Joi.string().valid('assisted', 'semi_automated', 'fully_automated').default('semi_automated'),
+  ambientTemperature: Joi.number().min(-20).max(50).optional(), // Celsius; default: 20
+  checkpointDelay: Joi.number().min(0).max(60).default(1), // minutes a cook takes to confirm
+  powerLimit: Joi.number().positive().optional() // watts the kitchen can draw at once
+});
+
+// Prep list for cooking several recipes at once
+const prepListSchema = Joi.object({
+  recipes: Joi.array().items(Joi.object({
+    recipeId: Joi.string().required(),
+    servings: Joi.number().integer().min(1).max(200).optional() // default: the recipe's servings
+  })).min(1).max(20).unique('recipeId').required(),
+  system: Joi.string().valid('metric', 'us', 'imperial').default('metric')
+});
+
+// "What can I cook": pantry items on hand, matched together with growing harvests
+const cookableSchema = Joi.object({
+  pantry: Joi.array().items(Joi.object({
+    name: Joi.string().required(),
+    amount: Joi.number().positive().optional(), // omitted: plenty
+    unit: Joi.string().optional(),
+    expiresAt: Joi.date().iso().optional()
+  })).max(200).default([]),
+  householdId: Joi.string().optional(), // adds the household's pantry lots
+  includeHarvests: Joi.boolean().default(true),
+  horizonDays: Joi.number().integer().min(0).max(30).default(3), // harvests ready within this many days
+  servings: Joi.number().integer().min(1).max(50).optional(),
+  category: Joi.string().optional(),
+  minCoverage: Joi.number().min(0).max(1).default(0),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Lot of one ingredient in a household pantry
+const pantryLotSchema = Joi.object({
+  ingredient: Joi.string().min(1).max(100).required(),
+  quantity: Joi.number().positive().required(),
+  unit: Joi.string().valid(...ACCEPTED_UNITS).required(),
+  acquiredAt: Joi.date().iso().optional(), // default: now
+  expiresAt: Joi.date().iso().optional(), // default: acquiredAt plus the catalog shelf life
+  storageConditions: Joi.string().valid(...STORAGE_CONDITIONS).optional(),
+  reference: Joi.string().max(100).optional()
+});
+
+const pantryLotUpdateSchema = Joi.object({
+  quantity: Joi.number().min(0), // 0 removes the lot
+  expiresAt: Joi.date().iso(),
+  storageConditions: Joi.string().valid(...STORAGE_CONDITIONS)
+}).min(1);
+
+// Ingredients used outside a cooking session
+const pantryConsumeSchema = Joi.object({
+  items: Joi.array().items(Joi.object({
+    name: Joi.string().required(),
+    amount: Joi.number().positive().required(),
+    unit: Joi.string().valid(...ACCEPTED_UNITS).required()
+  })).min(1).max(100).required()
+});
+
+// Delivery to a household; without items, the user's distribution for the day is delivered
+const deliverySchema = Joi.object({
+  userId: Joi.string().required(),
+  deliveredAt: Joi.date().iso().optional(),
+  items: Joi.array().items(Joi.object({
+    ingredient: Joi.string().required(),
+    amount: Joi.number().positive().required(),
+    unit: Joi.string().valid(...ACCEPTED_UNITS).default('g'),
+    expiresAt: Joi.date().iso().optional()
+  })).min(1).max(100).optional()
+});
+
+// Meal plan generation request
+const mealPlanSchema = Joi.object({
+  userId: Joi.string().required(),
+  startDate: Joi.date().iso().optional(),
+  days: Joi.number().integer().min(1).max(28).default(7),
+  mealTypes: Joi.array().items(Joi.string().valid('breakfast', 'lunch', 'dinner')).min(1).unique().optional(),
+  servings: Joi.number().integer().min(1).max(50).default(1)
 });
 
 // Validation middleware functions
@@ -199,19 +447,16 @@ const validateRecipe = (req, res, next) => {
     throw new RecipeValidationError('Recipe validation failed', details);
   }
 
-  // Calculate total time if not provided
-  if (!value.totalTime) {
-    value.totalTime = (value.prepTime || 0) + (value.cookTime || 0);
-  }
-
   req.body = value;
   next();
 };
 
 const validateRecipeUpdate = (req, res, next) => {
+  // Partial updates must not reset omitted fields to their create-time defaults
   const { error, value } = recipeUpdateSchema.validate(req.body, {
     abortEarly: false,
-    stripUnknown: true
+    stripUnknown: true,
+    noDefaults: true
   });
 
   if (error) {
@@ -228,6 +473,28 @@ const validateRecipeUpdate = (req, res, next) => {
   next();
 };
 
+const validateRecipeFork = (req, res, next) => {
+  // Changes only override what they name; defaults would clobber the parent's content
+  const { error, value } = recipeForkSchema.validate(req.body, {
+    abortEarly: false,
+    stripUnknown: true,
+    noDefaults: true
+  });
+
+  if (error) {
+    const details = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+      value: detail.context?.value
+    }));
+
+    throw new RecipeValidationError('Recipe fork validation failed', details);
+  }
+
+  req.body = value;
+  next();
+};
+
 const validateCookingSession = (req, res, next) => {
   const { error, value } = cookingSessionSchema.validate(req.body, {
     abortEarly: false,
@@ -268,6 +535,287 @@ const validateOptimization = (req, res, next) => {
   next();
 };
 
+const validateFeedback = (req, res, next) => {
+  const { error, value } = feedbackSchema.validate(req.body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    const details = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+      value: detail.context?.value
+    }));
+
+    throw new RecipeValidationError('Feedback validation failed', details);
+  }
+
+  req.body = value;
+  next();
+};
+
+const validateCatalogIngredient = (req, res, next) => {
+  const { error, value } = catalogIngredientSchema.validate(req.body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    const details = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+      value: detail.context?.value
+    }));
+
+    throw new RecipeValidationError('Ingredient validation failed', details);
+  }
+
+  req.body = value;
+  next();
+};
+
+const validateCatalogIngredientUpdate = (req, res, next) => {
+  const { error, value } = catalogIngredientUpdateSchema.validate(req.body, {
+    abortEarly: false,
+    stripUnknown: true,
+    noDefaults: true
+  });
+
+  if (error) {
+    const details = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+      value: detail.context?.value
+    }));
+
+    throw new RecipeValidationError('Ingredient update validation failed', details);
+  }
+
+  req.body = value;
+  next();
+};
+
+const validateIngredientMerge = (req, res, next) => {
+  const { error, value } = ingredientMergeSchema.validate(req.body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    const details = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+      value: detail.context?.value
+    }));
+
+    throw new RecipeValidationError('Ingredient merge validation failed', details);
+  }
+
+  req.body = value;
+  next();
+};
+
+const validateKitchen = (req, res, next) => {
+  const { error, value } = kitchenSchema.validate(req.body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    const details = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+      value: detail.context?.value
+    }));
+
+    throw new RecipeValidationError('Kitchen validation failed', details);
+  }
+
+  req.body = value;
+  next();
+};
+
+const validateFdcImport = (req, res, next) => {
+  const { error, value } = fdcImportSchema.validate(req.body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    const details = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+      value: detail.context?.value
+    }));
+
+    throw new RecipeValidationError('FoodData Central import validation failed', details);
+  }
+
+  req.body = value;
+  next();
+};
+
+const validateSimulation = (req, res, next) => {
+  const { error, value } = simulationSchema.validate(req.body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    const details = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+      value: detail.context?.value
+    }));
+
+    throw new RecipeValidationError('Simulation validation failed', details);
+  }
+
+  req.body = value;
+  next();
+};
+
+const validatePrepList = (req, res, next) => {
+  const { error, value } = prepListSchema.validate(req.body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    const details = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+      value: detail.context?.value
+    }));
+
+    throw new RecipeValidationError('Prep list validation failed', details);
+  }
+
+  req.body = value;
+  next();
+};
+
+const validateCookable = (req, res, next) => {
+  const { error, value } = cookableSchema.validate(req.body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    const details = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+      value: detail.context?.value
+    }));
+
+    throw new RecipeValidationError('Inventory match validation failed', details);
+  }
+
+  req.body = value;
+  next();
+};
+
+const validatePantryLot = (req, res, next) => {
+  const { error, value } = pantryLotSchema.validate(req.body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    const details = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+      value: detail.context?.value
+    }));
+
+    throw new RecipeValidationError('Pantry lot validation failed', details);
+  }
+
+  req.body = value;
+  next();
+};
+
+const validatePantryLotUpdate = (req, res, next) => {
+  const { error, value } = pantryLotUpdateSchema.validate(req.body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    const details = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+      value: detail.context?.value
+    }));
+
+    throw new RecipeValidationError('Pantry lot update validation failed', details);
+  }
+
+  req.body = value;
+  next();
+};
+
+const validatePantryConsume = (req, res, next) => {
+  const { error, value } = pantryConsumeSchema.validate(req.body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    const details = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+      value: detail.context?.value
+    }));
+
+    throw new RecipeValidationError('Pantry consumption validation failed', details);
+  }
+
+  req.body = value;
+  next();
+};
+
+const validateDelivery = (req, res, next) => {
+  const { error, value } = deliverySchema.validate(req.body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    const details = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+      value: detail.context?.value
+    }));
+
+    throw new RecipeValidationError('Delivery validation failed', details);
+  }
+
+  req.body = value;
+  next();
+};
+
+const validateMealPlan = (req, res, next) => {
+  const { error, value } = mealPlanSchema.validate(req.body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    const details = error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message,
+      value: detail.context?.value
+    }));
+
+    throw new RecipeValidationError('Meal plan validation failed', details);
+  }
+
+  req.body = value;
+  next();
+};
+
 // Query parameter validation
 const validateQueryParams = (schema) => (req, res, next) => {
   const { error, value } = schema.validate(req.query, {
@@ -301,23 +849,79 @@ const paginationSchema = Joi.object({
   sortOrder: Joi.string().valid('asc', 'desc').default('asc')
 });
 
+// Fields recipe listings can sort by
+const RECIPE_SORT_FIELDS = [
+  'relevance', 'name', 'category', 'cuisine', 'difficulty', 'totalTime',
+  'servings', 'carbonFootprint', 'waterUsage', 'createdAt', 'updatedAt'
+];
+
 const recipeFilterSchema = paginationSchema.keys({
+  sortBy: Joi.string().valid(...RECIPE_SORT_FIELDS).optional(), // relevance when searching, name otherwise
+  sortOrder: Joi.string().valid('asc', 'desc').optional(),
   category: Joi.string().optional(),
   cuisine: Joi.string().optional(),
   difficulty: Joi.string().valid('easy', 'medium', 'hard').optional(),
   maxTime: Joi.number().integer().min(0).optional(),
-  search: Joi.string().max(100).optional(),
+  time: Joi.string().optional(), // a RecipeSearchIndex time bucket
+  maxCarbon: Joi.number().min(0).optional(), // kg CO2e per serving
+  maxWater: Joi.number().min(0).optional(), // liters per serving
+  search: Joi.string().allow('').max(100).optional(),
+  compliantFor: Joi.string().optional(),
   tags: Joi.string().optional() // comma-separated tags
 });
 
+// Variants compared with a recipe
+const variantQuerySchema = Joi.object({
+  descendants: Joi.boolean().default(false),
+  ids: Joi.string().optional() // comma-separated recipe ids
+});
+
+// Feedback entries listed with a recipe's feedback summary
+const feedbackQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Substitutes for a use of an ingredient: a recipe step, or a context and amount
+const substituteQuerySchema = Joi.object({
+  recipeId: Joi.string().optional(),
+  step: Joi.number().integer().min(1).optional(), // 1-based; defaults to the first step naming the ingredient
+  context: Joi.string().valid(...SUBSTITUTION_CONTEXTS).optional(),
+  amount: Joi.number().positive().optional(),
+  unit: Joi.string().valid(...ACCEPTED_UNITS).optional(),
+  userId: Joi.string().optional(), // profile whose allergies, restrictions and dislikes apply
+  allergenFree: Joi.string().optional(), // comma-separated allergens
+  restrictions: Joi.string().optional(), // comma-separated, e.g. vegan
+  householdId: Joi.string().optional(), // pantry checked for stock
+  includeHarvests: Joi.boolean().default(true),
+  horizonDays: Joi.number().integer().min(0).max(30).default(3)
+}).with('step', 'recipeId').and('amount', 'unit');
+
 module.exports = {
   validateRecipe,
   validateRecipeUpdate,
+  validateRecipeFork,
   validateCookingSession,
   validateOptimization,
+  validateFeedback,
+  validateKitchen,
+  validateCatalogIngredient,
+  validateCatalogIngredientUpdate,
+  validateIngredientMerge,
+  validateFdcImport,
+  validateSimulation,
+  validatePrepList,
+  validateCookable,
+  validatePantryLot,
+  validatePantryLotUpdate,
+  validatePantryConsume,
+  validateDelivery,
+  validateMealPlan,
   validateQueryParams,
   paginationSchema,
   recipeFilterSchema,
+  variantQuerySchema,
+  feedbackQuerySchema,
+  substituteQuerySchema,
   recipeSchema,
   ingredientSchema,
   instructionSchema,
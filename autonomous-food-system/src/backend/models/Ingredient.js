@@ -0,0 +1,108 @@
+/**
+ * Ingredient Model - Single catalog ingredient with nutritional and usage data
+ */
+
+const units = require('../utils/units');
+
+class Ingredient {
+  constructor(data) {
+    this.id = data.id || this.generateId();
+    this.name = data.name;
+    this.aliases = data.aliases || []; // alternative names used in recipes
+    this.category = data.category || 'other';
+    this.commonUnits = data.commonUnits || ['g', 'cup'];
+    this.nutritionPer100g = data.nutritionPer100g || {};
+    this.averageCost = data.averageCost || 0; // per 100g
+    this.shelfLife = data.shelfLife || 7; // days
+    this.storageConditions = data.storageConditions || 'room_temperature';
+    this.allergens = data.allergens || [];
+    this.substitutes = data.substitutes || [];
+    this.seasonality = data.seasonality || [];
+    this.sustainability = data.sustainability || {
+      carbonFootprint: 0, // kg CO2 per kg
+      waterUsage: 0, // liters per kg
+      localAvailability: false
+    };
+    this.automationData = data.automationData || {
+      prepComplexity: 'medium',
+      requiredEquipment: [],
+      processingTime: 0
+    };
+    // Unit conversion data: density in g/ml and weights in grams per piece size
+    this.density = data.density || null;
+    this.pieceWeights = { ...(data.pieceWeights || {}) };
+    if (data.averagePieceWeight && !this.pieceWeights.piece) {
+      this.pieceWeights.piece = data.averagePieceWeight;
+    }
+    // Where nutrition was imported from, e.g. { provider: 'usda_fdc', fdcId }; null when entered by hand
+    this.nutritionSource = data.nutritionSource || null;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  generateId() {
+    return 'ingredient_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+  }
+
+  // Calculate nutrition for specific amount and unit
+  calculateNutrition(amount, unit) {
+    const gramsAmount = this.convertToGrams(amount, unit);
+    const factor = gramsAmount / 100;
+    
+    const nutrition = {};
+    Object.keys(this.nutritionPer100g).forEach(key => {
+      nutrition[key] = this.nutritionPer100g[key] * factor;
+    });
+    
+    return nutrition;
+  }
+
+  // Convert various units to grams
+  convertToGrams(amount, unit) {
+    return units.toGrams(amount, unit, this);
+  }
+
+  // Convert between units, crossing mass/volume/count with this ingredient's data
+  convert(amount, fromUnit, toUnit) {
+    return units.convert(amount, fromUnit, toUnit, this);
+  }
+
+  // Substitutes as edges { name, ratio, contexts, texture, notes }. A plain name
+  // swaps 1:1 in any context; a number ratio scales the amount in the same unit.
+  getSubstitutes() {
+    return this.substitutes.map(substitute => {
+      const edge = typeof substitute === 'string' ? { name: substitute } : substitute;
+      const ratio = typeof edge.ratio === 'number' || edge.ratio === undefined
+        ? { from: { amount: 1, unit: null }, to: { amount: edge.ratio || 1, unit: null } }
+        : edge.ratio;
+
+      return {
+        name: edge.name,
+        ratio,
+        contexts: edge.contexts || [],
+        texture: edge.texture || null,
+        notes: edge.notes || null
+      };
+    });
+  }
+
+  // Find substitutes that apply in a context (baking, sauce, raw...)
+  findSubstitutes(criteria = {}) {
+    return this.getSubstitutes().filter(substitute =>
+      !criteria.context || substitute.contexts.length === 0 || substitute.contexts.includes(criteria.context));
+  }
+
+  // Calculate environmental impact
+  calculateEnvironmentalImpact(amount, unit) {
+    const gramsAmount = this.convertToGrams(amount, unit);
+    const kgAmount = gramsAmount / 1000;
+    
+    return {
+      carbonFootprint: this.sustainability.carbonFootprint * kgAmount,
+      waterUsage: this.sustainability.waterUsage * kgAmount,
+      localAvailability: this.sustainability.localAvailability
+    };
+  }
+}
+
+module.exports = Ingredient;
@@ -3,6 +3,11 @@
  * Implements the recipe schema from the TruMate specification
  */
 
+const { scheduleSteps, validateStepDependencies } = require('../utils/stepSchedule');
+const { scaleRecipe } = require('../utils/scaling');
+const { assessKitchen, registryKitchen } = require('../utils/equipmentMatching');
+const KITCHEN_DEVICES = require('../data/kitchenDevices');
+
 class Recipe {
   constructor(data = {}) {
     this.id = data.id || this.generateId();
@@ -35,6 +40,12 @@ class Recipe {
       sugar: 0,
       sodium: 0
     };
+
+    // How nutrition was derived: source, per-serving values and unmatched ingredients
+    this.nutritionAnalysis = data.nutritionAnalysis || null;
+
+    // CO2e and water footprint per recipe and per serving, split by origin
+    this.sustainability = data.sustainability || null;
     
     // Automation parameters
     this.automation = data.automation || {
@@ -45,11 +56,14 @@ class Recipe {
       qualityMetrics: []
     };
     
-    // Learning and optimization data
+    // Learning and optimization data; ratings and outcomes come from cooking feedback
     this.analytics = data.analytics || {
       successRate: 0,
       averageRating: 0,
       timesCooked: 0,
+      ratingCount: 0,
+      feedbackCount: 0,
+      issueCounts: {},
       lastOptimized: null,
       optimizationHistory: []
     };
@@ -57,6 +71,8 @@ class Recipe {
     // Metadata
     this.tags = data.tags || [];
     this.source = data.source || 'user';
+    // Set on forks: { parentId, parentVersion, rootId, depth, label, reason, forkedAt }
+    this.lineage = data.lineage || null;
     this.createdAt = data.createdAt || new Date();
     this.updatedAt = data.updatedAt || new Date();
     this.version = data.version || '1.0.0';
@@ -105,6 +121,8 @@ class Recipe {
         errors.push(`Instruction ${index + 1} must have a step description`);
       }
     });
+
+    errors.push(...validateStepDependencies(this.instructions));
     
     return {
       isValid: errors.length === 0,
@@ -118,36 +136,94 @@ class Recipe {
       throw new Error('Servings must be greater than 0');
     }
     
-    const scaleFactor = newServings / this.servings;
+    const scaling = scaleRecipe(this, newServings);
     
-    // Scale ingredients
-    this.ingredients = this.ingredients.map(ingredient => ({
-      ...ingredient,
-      amount: ingredient.amount * scaleFactor
-    }));
+    // Scale ingredients and step timings
+    this.ingredients = scaling.ingredients;
+    this.instructions = scaling.instructions;
     
     // Scale nutrition
     Object.keys(this.nutrition).forEach(key => {
-      this.nutrition[key] *= scaleFactor;
+      this.nutrition[key] *= scaling.factor;
     });
     
     this.servings = newServings;
+    if (this.instructions.some(instruction => instruction.timing)) {
+      this.totalTime = this.calculateTotalTime();
+    }
     this.updatedAt = new Date();
     
     return this;
   }
 
+  /**
+   * New recipe derived from this one that records its parent. Content is
+   * copied and `changes` applied over it; analytics and history start fresh.
+   */
+  fork(options = {}) {
+    const { name, label = null, reason = null, changes = {} } = options;
+    const {
+      id, analytics, nutritionAnalysis, sustainability, lineage, createdAt, updatedAt, version, ...content
+    } = this.toJSON();
+
+    return new Recipe({
+      ...JSON.parse(JSON.stringify(content)),
+      ...changes,
+      name: name || changes.name || `${this.name} (${label || 'variant'})`,
+      source: 'fork',
+      lineage: {
+        parentId: this.id,
+        parentVersion: this.version,
+        rootId: this.lineage ? this.lineage.rootId : this.id,
+        depth: this.lineage ? this.lineage.depth + 1 : 1,
+        label,
+        reason,
+        forkedAt: new Date()
+      }
+    });
+  }
+
+  /**
+   * Scaled copy of the recipe plus the adjustments, warnings and notes behind it;
+   * this recipe is left untouched
+   */
+  previewScale(newServings) {
+    if (newServings <= 0) {
+      throw new Error('Servings must be greater than 0');
+    }
+
+    const scaling = scaleRecipe(this, newServings);
+    const copy = Recipe.fromJSON(JSON.parse(JSON.stringify(this.toJSON())));
+    copy.createdAt = this.createdAt;
+    copy.scaleServings(newServings);
+
+    return {
+      recipe: copy,
+      originalServings: this.servings,
+      servings: newServings,
+      scaleFactor: scaling.factor,
+      adjustments: scaling.adjustments,
+      warnings: scaling.warnings,
+      notes: scaling.notes
+    };
+  }
+
   // Optimization methods
-  optimize(criteria = {}) {
+  // `context` supplies collaborators such as the nutritionOptimizer; objectives
+  // produce proposals and only those listed in `criteria.apply` change the recipe
+  optimize(criteria = {}, context = {}) {
     const optimization = {
       timestamp: new Date(),
       criteria,
-      changes: []
+      changes: [],
+      proposals: [],
+      applied: [],
+      skipped: []
     };
     
     // Nutritional optimization
     if (criteria.nutrition) {
-      this.optimizeNutrition(criteria.nutrition, optimization);
+      this.optimizeNutrition(criteria.nutrition, optimization, context);
     }
     
     // Cost optimization
@@ -164,6 +240,20 @@ class Recipe {
     if (criteria.wasteReduction) {
       this.optimizeWaste(criteria.wasteReduction, optimization);
     }
+
+    // Adjustments for issues cooks keep reporting
+    if (criteria.feedback) {
+      this.optimizeFeedback(criteria.feedback, optimization, context);
+    }
+
+    // Lower-footprint ingredient swaps
+    if (criteria.sustainability) {
+      this.optimizeSustainability(criteria.sustainability, optimization, context);
+    }
+
+    if (criteria.apply && criteria.apply.length > 0) {
+      this.applyProposals(criteria.apply, optimization);
+    }
     
     this.analytics.optimizationHistory.push(optimization);
     this.analytics.lastOptimized = new Date();
@@ -172,14 +262,157 @@ class Recipe {
     return optimization;
   }
 
-  optimizeNutrition(targets, optimization) {
-    // Placeholder for nutritional optimization logic
-    // This would analyze ingredients and suggest substitutions
+  optimizeNutrition(targets, optimization, context = {}) {
+    if (!context.nutritionOptimizer) {
+      optimization.changes.push({
+        type: 'nutrition',
+        description: 'Nutritional optimization skipped',
+        impact: 'No ingredient database available'
+      });
+      return;
+    }
+
+    const result = context.nutritionOptimizer.propose(this, targets);
+
+    optimization.nutrition = {
+      constraints: result.constraints,
+      before: result.before,
+      violations: result.violations,
+      rejected: result.rejected,
+      unmatched: result.unmatched
+    };
+    optimization.proposals.push(...result.proposals);
+
+    if (result.violations.length === 0) {
+      optimization.changes.push({
+        type: 'nutrition',
+        description: 'Nutrition already within targets',
+        impact: 'No changes needed'
+      });
+    } else {
+      optimization.changes.push({
+        type: 'nutrition',
+        description: `${result.proposals.length} ingredient changes proposed`,
+        impact: `Targets not met: ${result.violations.map(violation => violation.metric).join(', ')}`
+      });
+    }
+  }
+
+  optimizeFeedback(options, optimization, context = {}) {
+    if (!context.feedbackService) {
+      optimization.changes.push({
+        type: 'feedback',
+        description: 'Feedback optimization skipped',
+        impact: 'No feedback available'
+      });
+      return;
+    }
+
+    const result = context.feedbackService.propose(this, options);
+
+    optimization.feedback = {
+      summary: result.summary,
+      advice: result.advice
+    };
+    optimization.proposals.push(...result.proposals);
+
+    optimization.changes.push({
+      type: 'feedback',
+      description: result.proposals.length > 0 || result.advice.length > 0
+        ? `${result.proposals.length} change(s) proposed from cooking feedback`
+        : 'No recurring issues in cooking feedback',
+      impact: `Based on ${result.summary.feedbackCount} feedback reports`
+    });
+  }
+
+  optimizeSustainability(targets, optimization, context = {}) {
+    if (!context.sustainabilityEngine) {
+      optimization.changes.push({
+        type: 'sustainability',
+        description: 'Sustainability optimization skipped',
+        impact: 'No ingredient database available'
+      });
+      return;
+    }
+
+    const result = context.sustainabilityEngine.propose(this, targets);
+
+    optimization.sustainability = {
+      metric: result.metric,
+      constraints: result.constraints,
+      before: result.before,
+      violations: result.violations,
+      rejected: result.rejected,
+      unmatched: result.unmatched
+    };
+    optimization.proposals.push(...result.proposals);
+
     optimization.changes.push({
-      type: 'nutrition',
-      description: 'Nutritional optimization applied',
-      impact: 'Improved nutritional balance'
+      type: 'sustainability',
+      description: result.constraints.length > 0 && result.violations.length === 0
+        ? 'Footprint already within targets'
+        : `${result.proposals.length} lower-footprint ingredient changes proposed`,
+      impact: result.violations.length > 0
+        ? `Targets not met: ${result.violations.map(violation => violation.metric).join(', ')}`
+        : `${result.before.carbonFootprint} kg CO2e and ${result.before.waterUsage} L water per serving`
+    });
+  }
+
+  /**
+   * Apply selected proposals; at most one proposal per ingredient line or step
+   */
+  applyProposals(ids, optimization) {
+    const changedLines = new Set();
+    let stepsChanged = false;
+
+    ids.forEach(id => {
+      const proposal = optimization.proposals.find(candidate => candidate.id === id);
+
+      if (!proposal) {
+        optimization.skipped.push({ id, reason: 'Unknown proposal' });
+        return;
+      }
+
+      const isStep = proposal.stepIndex !== undefined;
+      const isRecipe = !isStep && proposal.ingredientIndex === undefined;
+      const line = isRecipe ? 'recipe'
+        : isStep ? `step-${proposal.stepIndex}` : `ingredient-${proposal.ingredientIndex}`;
+      if (changedLines.has(line)) {
+        optimization.skipped.push({ id, reason: 'Conflicts with another selected proposal' });
+        return;
+      }
+
+      if (isRecipe) {
+        // Recipe-level fields such as the scheduled totalTime
+        Object.assign(this, proposal.replacement);
+      } else if (isStep) {
+        this.instructions[proposal.stepIndex] = {
+          ...this.instructions[proposal.stepIndex],
+          ...proposal.replacement
+        };
+        stepsChanged = true;
+      } else {
+        const { ingredientId, ...replacement } = proposal.replacement;
+        this.ingredients[proposal.ingredientIndex] = {
+          ...this.ingredients[proposal.ingredientIndex],
+          ...replacement
+        };
+      }
+      changedLines.add(line);
+
+      optimization.applied.push(id);
+      optimization.changes.push({
+        type: proposal.objective,
+        description: proposal.description,
+        impact: proposal.impact || (proposal.resolves.length > 0
+          ? `Meets ${proposal.resolves.join(', ')} target`
+          : 'Moves recipe towards targets')
+      });
     });
+
+    if (stepsChanged) {
+      this.totalTime = this.calculateTotalTime();
+    }
   }
 
   optimizeCost(budget, optimization) {
@@ -191,13 +424,48 @@ class Recipe {
     });
   }
 
-  optimizeTime(maxTime, optimization) {
-    // Placeholder for time optimization logic
+  optimizeTime(timeTargets, optimization) {
+    if (!this.instructions.some(instruction => instruction.timing)) {
+      optimization.changes.push({
+        type: 'time',
+        description: 'Time optimization skipped',
+        impact: 'Instructions have no timing information'
+      });
+      return;
+    }
+
+    const schedule = this.buildSchedule({ capacity: timeTargets.resources });
+    optimization.schedule = schedule;
+
+    if (schedule.totalTime !== this.totalTime) {
+      optimization.proposals.push({
+        id: 'time-schedule',
+        objective: 'time',
+        replacement: { totalTime: schedule.totalTime },
+        description: `Change total time from ${this.totalTime} to ${schedule.totalTime} minutes`,
+        impact: 'Matches the parallel step schedule',
+        resolves: timeTargets.maxTotalTime !== undefined && schedule.totalTime <= timeTargets.maxTotalTime
+          ? ['maxTotalTime']
+          : []
+      });
+    }
+
     optimization.changes.push({
       type: 'time',
-      description: 'Time optimization applied',
-      impact: 'Reduced cooking time'
+      description: `Scheduled steps in parallel: ${schedule.totalTime} min ` +
+        `(critical path ${schedule.criticalPath.time} min, sequential ${schedule.sequentialTime} min)`,
+      impact: schedule.timeSaved > 0
+        ? `Saves ${schedule.timeSaved} minutes over working step by step`
+        : 'No steps can overlap'
     });
+
+    if (timeTargets.maxTotalTime !== undefined && schedule.totalTime > timeTargets.maxTotalTime) {
+      optimization.changes.push({
+        type: 'time',
+        description: `Exceeds maximum total time of ${timeTargets.maxTotalTime} minutes`,
+        impact: `Critical path runs through steps ${schedule.criticalPath.steps.join(', ')}`
+      });
+    }
   }
 
   optimizeWaste(wasteTargets, optimization) {
@@ -209,45 +477,68 @@ class Recipe {
     });
   }
 
+  // Step scheduling
+  buildSchedule(options = {}) {
+    return scheduleSteps(this.instructions, options);
+  }
+
+  /**
+   * Shortest realistic total time: the parallel step schedule when steps are
+   * timed, otherwise the declared prep and cook times
+   */
+  calculateTotalTime(options = {}) {
+    if (!this.instructions.some(instruction => instruction.timing)) {
+      return this.prepTime + this.cookTime;
+    }
+    return this.buildSchedule(options).totalTime;
+  }
+
   // Automation assessment
-  assessAutomation() {
-    let automationScore = 0;
-    let complexity = 'manual';
-    let requiredSensors = [];
-    let safetyChecks = [];
-    
-    // Analyze instructions for automation potential
-    this.instructions.forEach(instruction => {
+  // Matches every step against a kitchen's devices (see utils/equipmentMatching);
+  // without a kitchen, against one device of each registered type
+  assessAutomation(kitchen = null) {
+    const assessment = assessKitchen(this, kitchen || registryKitchen());
+    const requiredSensors = [];
+    const safetyChecks = [];
+
+    this.instructions.forEach((instruction, index) => {
+      const step = assessment.steps[index];
+
       if (instruction.temperature) {
         requiredSensors.push('temperature');
         safetyChecks.push('temperature_monitoring');
-        automationScore += 10;
       }
-      
+
       if (instruction.timing) {
         requiredSensors.push('timer');
-        automationScore += 5;
-      }
-      
-      if (instruction.action && ['mix', 'stir', 'blend'].includes(instruction.action.toLowerCase())) {
-        requiredSensors.push('motion');
-        automationScore += 15;
       }
+
+      step.devices.forEach(device => {
+        requiredSensors.push(...(KITCHEN_DEVICES[device.type] ? KITCHEN_DEVICES[device.type].sensors : []));
+      });
     });
-    
-    // Determine complexity
-    if (automationScore >= 50) {
+
+    const automationScore = Math.round(assessment.coverage * 100);
+
+    // Determine complexity from the share of steps the kitchen can run
+    let complexity = 'manual';
+    if (automationScore === 100) {
       complexity = 'fully_automated';
-    } else if (automationScore >= 25) {
+    } else if (automationScore >= 50) {
       complexity = 'semi_automated';
-    } else if (automationScore >= 10) {
+    } else if (automationScore > 0) {
       complexity = 'assisted';
     }
-    
+
     this.automation = {
       automatable: automationScore > 0,
       complexity,
       automationScore,
+      kitchenId: assessment.kitchenId,
+      automatableSteps: assessment.automatableSteps,
+      totalSteps: assessment.totalSteps,
+      steps: assessment.steps,
+      missing: assessment.missing,
       requiredSensors: [...new Set(requiredSensors)],
       safetyChecks: [...new Set(safetyChecks)],
       qualityMetrics: this.generateQualityMetrics()
@@ -288,10 +579,13 @@ class Recipe {
       instructions: this.instructions,
       equipment: this.equipment,
       nutrition: this.nutrition,
+      nutritionAnalysis: this.nutritionAnalysis,
+      sustainability: this.sustainability,
       automation: this.automation,
       analytics: this.analytics,
       tags: this.tags,
       source: this.source,
+      lineage: this.lineage,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
       version: this.version
@@ -0,0 +1,93 @@
+/**
+ * Ingredient Repository - Storage-agnostic access to the ingredient catalog
+ * Hands out Ingredient model instances regardless of the underlying driver.
+ * Lookups go through the in-process IngredientCatalog, which follows the
+ * changes stored here.
+ */
+
+const Ingredient = require('../models/Ingredient');
+const logger = require('../utils/logger');
+
+class IngredientRepository {
+  constructor(driver) {
+    if (!driver) {
+      throw new Error('IngredientRepository requires a storage driver');
+    }
+
+    this.driver = driver;
+    this.listeners = [];
+  }
+
+  /**
+   * Register a listener for catalog changes: { type: 'create' | 'update', ingredient },
+   * { type: 'delete', id } or { type: 'clear' }
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  notify(event) {
+    // The change is already stored; a failing listener must not fail the write
+    this.listeners.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        logger.error(`Ingredient change listener failed on ${event.type}:`, error);
+      }
+    });
+  }
+
+  get driverName() {
+    return this.driver.name;
+  }
+
+  async findById(id) {
+    const document = await this.driver.findById(id);
+    return document ? new Ingredient(document) : null;
+  }
+
+  /**
+   * Every stored ingredient, by name
+   */
+  async findAll() {
+    const documents = await this.driver.findAll();
+    return documents.map(document => new Ingredient(document));
+  }
+
+  async create(ingredient) {
+    const document = await this.driver.insert({ ...ingredient });
+    const stored = new Ingredient(document);
+    this.notify({ type: 'create', ingredient: stored });
+    return stored;
+  }
+
+  async update(ingredient) {
+    const document = await this.driver.replace(ingredient.id, { ...ingredient });
+    if (!document) {
+      return null;
+    }
+
+    const stored = new Ingredient(document);
+    this.notify({ type: 'update', ingredient: stored });
+    return stored;
+  }
+
+  async delete(id) {
+    const removed = await this.driver.remove(id);
+    if (removed) {
+      this.notify({ type: 'delete', id });
+    }
+    return removed;
+  }
+
+  async count() {
+    return this.driver.count();
+  }
+
+  async clear() {
+    await this.driver.clear();
+    this.notify({ type: 'clear' });
+  }
+}
+
+module.exports = IngredientRepository;
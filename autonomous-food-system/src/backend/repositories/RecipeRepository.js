@@ -0,0 +1,168 @@
+/**
+ * Recipe Repository - Storage-agnostic access to the recipe catalog
+ * Hands out Recipe model instances regardless of the underlying driver
+ */
+
+const Recipe = require('../models/Recipe');
+const logger = require('../utils/logger');
+
+// Sort keys that name a nested document path; footprints sort per serving
+const SORT_PATHS = {
+  carbonFootprint: 'sustainability.perServing.carbonFootprint',
+  waterUsage: 'sustainability.perServing.waterUsage'
+};
+
+class RecipeRepository {
+  constructor(driver) {
+    if (!driver) {
+      throw new Error('RecipeRepository requires a storage driver');
+    }
+
+    this.driver = driver;
+    this.listeners = [];
+  }
+
+  /**
+   * Register a listener for catalog changes: { type: 'create' | 'update', recipe },
+   * { type: 'delete', id } or { type: 'clear' }
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  notify(event) {
+    // The change is already stored; a failing listener must not fail the write
+    this.listeners.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        logger.error(`Recipe change listener failed on ${event.type}:`, error);
+      }
+    });
+  }
+
+  get driverName() {
+    return this.driver.name;
+  }
+
+  async findById(id) {
+    const document = await this.driver.findById(id);
+    return document ? Recipe.fromJSON(document) : null;
+  }
+
+  /**
+   * List recipes with filtering, sorting and pagination
+   */
+  async list(query = {}) {
+    const {
+      filters = {},
+      sortBy = 'name',
+      sortOrder = 'asc',
+      page = 1,
+      limit = 20
+    } = query;
+
+    const pageNumber = parseInt(page);
+    const pageSize = parseInt(limit);
+
+    const { items, total } = await this.driver.find(this.normalizeFilters(filters), {
+      sortBy: Object.hasOwn(SORT_PATHS, sortBy) ? SORT_PATHS[sortBy] : sortBy,
+      sortOrder,
+      skip: (pageNumber - 1) * pageSize,
+      limit: pageSize
+    });
+
+    return {
+      recipes: items.map(Recipe.fromJSON),
+      total
+    };
+  }
+
+  /**
+   * Every stored recipe, unpaginated
+   */
+  async findAll(filters = {}) {
+    const { items } = await this.driver.find(this.normalizeFilters(filters));
+    return items.map(Recipe.fromJSON);
+  }
+
+  async create(recipe) {
+    const document = await this.driver.insert(recipe.toJSON());
+    const stored = Recipe.fromJSON(document);
+    this.notify({ type: 'create', recipe: stored });
+    return stored;
+  }
+
+  /**
+   * Replace a stored recipe; with `expectedVersion`, only while it is still at
+   * that version. Resolves with null when no recipe matched.
+   */
+  async update(recipe, options = {}) {
+    const document = await this.driver.replace(recipe.id, recipe.toJSON(), options.expectedVersion);
+    if (!document) {
+      return null;
+    }
+
+    const stored = Recipe.fromJSON(document);
+    this.notify({ type: 'update', recipe: stored });
+    return stored;
+  }
+
+  async delete(id) {
+    const removed = await this.driver.remove(id);
+    if (removed) {
+      await this.driver.removeRevisions(id);
+      this.notify({ type: 'delete', id });
+    }
+    return removed;
+  }
+
+  async count() {
+    return this.driver.count();
+  }
+
+  async clear() {
+    await this.driver.clear();
+    this.notify({ type: 'clear' });
+  }
+
+  // Revision history - revisions are append-only
+  async addRevision(revision) {
+    return this.driver.insertRevision(revision);
+  }
+
+  async getRevisions(recipeId) {
+    return this.driver.findRevisions(recipeId);
+  }
+
+  async getRevision(recipeId, version) {
+    return this.driver.findRevision(recipeId, version);
+  }
+
+  normalizeFilters(filters) {
+    const normalized = {};
+
+    ['category', 'cuisine', 'difficulty', 'search'].forEach(key => {
+      if (filters[key]) {
+        normalized[key] = filters[key];
+      }
+    });
+
+    ['minTime', 'maxTime'].forEach(key => {
+      if (filters[key] !== undefined && filters[key] !== '') {
+        normalized[key] = parseInt(filters[key]);
+      }
+    });
+
+    // Footprint caps per serving: kg CO2e and litres of water
+    ['maxCarbon', 'maxWater'].forEach(key => {
+      if (filters[key] !== undefined && filters[key] !== '') {
+        normalized[key] = parseFloat(filters[key]);
+      }
+    });
+
+    return normalized;
+  }
+}
+
+module.exports = RecipeRepository;
@@ -0,0 +1,58 @@
+/**
+ * Memory Ingredient Driver - In-process ingredient storage
+ * Used by the test suite and when no MongoDB connection is configured
+ */
+
+const cloneDocument = require('./cloneDocument');
+
+class MemoryIngredientDriver {
+  constructor() {
+    this.name = 'memory';
+    this.documents = new Map();
+  }
+
+  async findById(id) {
+    const document = this.documents.get(id);
+    return document ? cloneDocument(document) : null;
+  }
+
+  async findAll() {
+    return Array.from(this.documents.values())
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(cloneDocument);
+  }
+
+  async insert(document) {
+    if (this.documents.has(document.id)) {
+      const error = new Error(`Ingredient with id ${document.id} already exists`);
+      error.code = 11000;
+      throw error;
+    }
+
+    this.documents.set(document.id, cloneDocument(document));
+    return cloneDocument(document);
+  }
+
+  async replace(id, document) {
+    if (!this.documents.has(id)) {
+      return null;
+    }
+
+    this.documents.set(id, cloneDocument(document));
+    return cloneDocument(document);
+  }
+
+  async remove(id) {
+    return this.documents.delete(id);
+  }
+
+  async count() {
+    return this.documents.size;
+  }
+
+  async clear() {
+    this.documents.clear();
+  }
+}
+
+module.exports = MemoryIngredientDriver;
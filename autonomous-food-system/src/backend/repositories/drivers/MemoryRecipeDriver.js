@@ -0,0 +1,176 @@
+/**
+ * Memory Recipe Driver - In-process recipe storage
+ * Used by the test suite and when no MongoDB connection is configured
+ */
+
+const cloneDocument = require('./cloneDocument');
+
+class MemoryRecipeDriver {
+  constructor() {
+    this.name = 'memory';
+    this.documents = new Map();
+    this.revisions = new Map(); // recipeId -> revisions in creation order
+  }
+
+  async findById(id) {
+    const document = this.documents.get(id);
+    return document ? cloneDocument(document) : null;
+  }
+
+  async find(filters = {}, options = {}) {
+    const {
+      sortBy = 'name',
+      sortOrder = 'asc',
+      skip = 0,
+      limit
+    } = options;
+
+    let documents = Array.from(this.documents.values());
+
+    // Apply filters
+    if (filters.category) {
+      documents = documents.filter(recipe => recipe.category === filters.category);
+    }
+
+    if (filters.cuisine) {
+      documents = documents.filter(recipe => recipe.cuisine === filters.cuisine);
+    }
+
+    if (filters.difficulty) {
+      documents = documents.filter(recipe => recipe.difficulty === filters.difficulty);
+    }
+
+    if (filters.minTime !== undefined) {
+      documents = documents.filter(recipe => recipe.totalTime >= filters.minTime);
+    }
+
+    if (filters.maxTime !== undefined) {
+      documents = documents.filter(recipe => recipe.totalTime <= filters.maxTime);
+    }
+
+    // Recipes without a computed footprint never pass a footprint cap
+    if (filters.maxCarbon !== undefined) {
+      documents = documents.filter(recipe => {
+        const value = valueAt(recipe, 'sustainability.perServing.carbonFootprint');
+        return value !== null && value <= filters.maxCarbon;
+      });
+    }
+
+    if (filters.maxWater !== undefined) {
+      documents = documents.filter(recipe => {
+        const value = valueAt(recipe, 'sustainability.perServing.waterUsage');
+        return value !== null && value <= filters.maxWater;
+      });
+    }
+
+    if (filters.search) {
+      const searchLower = filters.search.toLowerCase();
+      documents = documents.filter(recipe =>
+        recipe.name.toLowerCase().includes(searchLower) ||
+        recipe.description.toLowerCase().includes(searchLower) ||
+        recipe.tags.some(tag => tag.toLowerCase().includes(searchLower))
+      );
+    }
+
+    // Apply sorting; sortBy may be a dotted path, and recipes missing it sort last
+    documents.sort((a, b) => {
+      let aValue = valueAt(a, sortBy);
+      let bValue = valueAt(b, sortBy);
+
+      if (aValue === null || bValue === null) {
+        return (aValue === null) - (bValue === null);
+      }
+
+      if (typeof aValue === 'string') {
+        aValue = aValue.toLowerCase();
+        bValue = bValue.toLowerCase();
+      }
+
+      if (sortOrder === 'desc') {
+        return bValue > aValue ? 1 : -1;
+      }
+      return aValue > bValue ? 1 : -1;
+    });
+
+    const total = documents.length;
+    const end = limit !== undefined ? skip + limit : undefined;
+
+    return {
+      items: documents.slice(skip, end).map(cloneDocument),
+      total
+    };
+  }
+
+  async insert(document) {
+    if (this.documents.has(document.id)) {
+      const error = new Error(`Recipe with id ${document.id} already exists`);
+      error.code = 11000;
+      throw error;
+    }
+
+    this.documents.set(document.id, cloneDocument(document));
+    return cloneDocument(document);
+  }
+
+  async replace(id, document, expectedVersion) {
+    const existing = this.documents.get(id);
+    if (!existing || (expectedVersion !== undefined && existing.version !== expectedVersion)) {
+      return null;
+    }
+
+    this.documents.set(id, cloneDocument(document));
+    return cloneDocument(document);
+  }
+
+  async remove(id) {
+    return this.documents.delete(id);
+  }
+
+  async count() {
+    return this.documents.size;
+  }
+
+  async clear() {
+    this.documents.clear();
+    this.revisions.clear();
+  }
+
+  // Revision history
+  async insertRevision(revision) {
+    const history = this.revisions.get(revision.recipeId) || [];
+
+    if (history.some(existing => existing.version === revision.version)) {
+      const error = new Error(`Revision ${revision.version} of recipe ${revision.recipeId} already exists`);
+      error.code = 11000;
+      throw error;
+    }
+
+    history.push(cloneDocument(revision));
+    this.revisions.set(revision.recipeId, history);
+    return cloneDocument(revision);
+  }
+
+  async findRevisions(recipeId) {
+    return (this.revisions.get(recipeId) || []).map(cloneDocument);
+  }
+
+  async findRevision(recipeId, version) {
+    const revision = (this.revisions.get(recipeId) || [])
+      .find(existing => existing.version === version);
+    return revision ? cloneDocument(revision) : null;
+  }
+
+  async removeRevisions(recipeId) {
+    return this.revisions.delete(recipeId);
+  }
+}
+
+/**
+ * Value at a dotted path such as 'sustainability.perServing.waterUsage'; null when missing
+ */
+function valueAt(document, path) {
+  const value = path.split('.').reduce((current, key) => (current ? current[key] : undefined), document);
+  return value === undefined ? null : value;
+}
+
+module.exports = MemoryRecipeDriver;
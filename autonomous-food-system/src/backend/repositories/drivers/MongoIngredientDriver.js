@@ -0,0 +1,51 @@
+/**
+ * Mongo Ingredient Driver - MongoDB-backed ingredient storage via Mongoose
+ */
+
+const mongoose = require('mongoose');
+const ingredientSchema = require('../schemas/IngredientSchema');
+
+class MongoIngredientDriver {
+  constructor(connection = mongoose) {
+    this.name = 'mongodb';
+    this.model = connection.models.Ingredient || connection.model('Ingredient', ingredientSchema);
+  }
+
+  async findById(id) {
+    const document = await this.model.findOne({ id }, { _id: 0 }).lean();
+    return document || null;
+  }
+
+  async findAll() {
+    return this.model.find({}, { _id: 0 }).sort({ name: 1, id: 1 }).lean();
+  }
+
+  async insert(document) {
+    await this.model.create(document);
+    return this.findById(document.id);
+  }
+
+  async replace(id, document) {
+    const replaced = await this.model.findOneAndReplace({ id }, document, {
+      new: true,
+      projection: { _id: 0 }
+    }).lean();
+
+    return replaced || null;
+  }
+
+  async remove(id) {
+    const result = await this.model.deleteOne({ id });
+    return result.deletedCount > 0;
+  }
+
+  async count() {
+    return this.model.estimatedDocumentCount();
+  }
+
+  async clear() {
+    await this.model.deleteMany({});
+  }
+}
+
+module.exports = MongoIngredientDriver;
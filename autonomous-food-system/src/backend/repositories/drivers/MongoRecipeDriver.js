@@ -0,0 +1,148 @@
+/**
+ * Mongo Recipe Driver - MongoDB-backed recipe storage via Mongoose
+ */
+
+const mongoose = require('mongoose');
+const recipeSchema = require('../schemas/RecipeSchema');
+const recipeRevisionSchema = require('../schemas/RecipeRevisionSchema');
+
+class MongoRecipeDriver {
+  constructor(connection = mongoose) {
+    this.name = 'mongodb';
+    this.model = connection.models.Recipe || connection.model('Recipe', recipeSchema);
+    this.revisionModel = connection.models.RecipeRevision ||
+      connection.model('RecipeRevision', recipeRevisionSchema);
+  }
+
+  async findById(id) {
+    const document = await this.model.findOne({ id }, { _id: 0 }).lean();
+    return document || null;
+  }
+
+  async find(filters = {}, options = {}) {
+    const {
+      sortBy = 'name',
+      sortOrder = 'asc',
+      skip = 0,
+      limit
+    } = options;
+
+    const query = {};
+
+    if (filters.category) {
+      query.category = filters.category;
+    }
+
+    if (filters.cuisine) {
+      query.cuisine = filters.cuisine;
+    }
+
+    if (filters.difficulty) {
+      query.difficulty = filters.difficulty;
+    }
+
+    if (filters.minTime !== undefined || filters.maxTime !== undefined) {
+      query.totalTime = {
+        ...(filters.minTime !== undefined && { $gte: filters.minTime }),
+        ...(filters.maxTime !== undefined && { $lte: filters.maxTime })
+      };
+    }
+
+    if (filters.maxCarbon !== undefined) {
+      query['sustainability.perServing.carbonFootprint'] = { $lte: filters.maxCarbon };
+    }
+
+    if (filters.maxWater !== undefined) {
+      query['sustainability.perServing.waterUsage'] = { $lte: filters.maxWater };
+    }
+
+    if (filters.search) {
+      const pattern = new RegExp(escapeRegExp(filters.search), 'i');
+      query.$or = [
+        { name: pattern },
+        { description: pattern },
+        { tags: pattern }
+      ];
+    }
+
+    // Recipes missing the sort field (no footprint yet) sort last in either order
+    const pipeline = [
+      { $match: query },
+      { $addFields: { sortMissing: { $eq: [{ $ifNull: [`$${sortBy}`, null] }, null] } } },
+      { $sort: { sortMissing: 1, [sortBy]: sortOrder === 'desc' ? -1 : 1, id: 1 } },
+      { $skip: skip }
+    ];
+
+    if (limit !== undefined) {
+      pipeline.push({ $limit: limit });
+    }
+
+    pipeline.push({ $project: { _id: 0, sortMissing: 0 } });
+
+    const [items, total] = await Promise.all([
+      this.model.aggregate(pipeline),
+      this.model.countDocuments(query)
+    ]);
+
+    return { items, total };
+  }
+
+  async insert(document) {
+    await this.model.create(document);
+    return this.findById(document.id);
+  }
+
+  async replace(id, document, expectedVersion) {
+    const filter = expectedVersion !== undefined ? { id, version: expectedVersion } : { id };
+    const replaced = await this.model.findOneAndReplace(filter, document, {
+      new: true,
+      projection: { _id: 0 }
+    }).lean();
+
+    return replaced || null;
+  }
+
+  async remove(id) {
+    const result = await this.model.deleteOne({ id });
+    return result.deletedCount > 0;
+  }
+
+  async count() {
+    return this.model.estimatedDocumentCount();
+  }
+
+  async clear() {
+    await Promise.all([
+      this.model.deleteMany({}),
+      this.revisionModel.deleteMany({})
+    ]);
+  }
+
+  // Revision history
+  async insertRevision(revision) {
+    await this.revisionModel.create(revision);
+    return this.findRevision(revision.recipeId, revision.version);
+  }
+
+  async findRevisions(recipeId) {
+    return this.revisionModel.find({ recipeId }, { _id: 0 })
+      .sort({ createdAt: 1, _id: 1 })
+      .lean();
+  }
+
+  async findRevision(recipeId, version) {
+    const revision = await this.revisionModel.findOne({ recipeId, version }, { _id: 0 }).lean();
+    return revision || null;
+  }
+
+  async removeRevisions(recipeId) {
+    const result = await this.revisionModel.deleteMany({ recipeId });
+    return result.deletedCount > 0;
+  }
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = MongoRecipeDriver;
@@ -0,0 +1,26 @@
+/**
+ * Deep copy a stored document so callers can never mutate storage in place.
+ * Dates are preserved, matching what the MongoDB driver hands back.
+ */
+function cloneDocument(value) {
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(cloneDocument);
+  }
+
+  if (value && typeof value === 'object') {
+    const source = typeof value.toJSON === 'function' ? value.toJSON() : value;
+    const copy = {};
+    Object.keys(source).forEach(key => {
+      copy[key] = cloneDocument(source[key]);
+    });
+    return copy;
+  }
+
+  return value;
+}
+
+module.exports = cloneDocument;
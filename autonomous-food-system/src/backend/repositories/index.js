@@ -0,0 +1,25 @@
+/**
+ * Shared repository instances
+ * Storage driver is chosen once at startup: MongoDB when configured, memory otherwise
+ */
+
+const RecipeRepository = require('./RecipeRepository');
+const IngredientRepository = require('./IngredientRepository');
+const MemoryRecipeDriver = require('./drivers/MemoryRecipeDriver');
+const MongoRecipeDriver = require('./drivers/MongoRecipeDriver');
+const MemoryIngredientDriver = require('./drivers/MemoryIngredientDriver');
+const MongoIngredientDriver = require('./drivers/MongoIngredientDriver');
+const { isDatabaseConfigured } = require('../utils/database');
+
+const recipeRepository = new RecipeRepository(
+  isDatabaseConfigured() ? new MongoRecipeDriver() : new MemoryRecipeDriver()
+);
+
+const ingredientRepository = new IngredientRepository(
+  isDatabaseConfigured() ? new MongoIngredientDriver() : new MemoryIngredientDriver()
+);
+
+module.exports = {
+  recipeRepository,
+  ingredientRepository
+};
@@ -0,0 +1,39 @@
+/**
+ * Ingredient Schema - Mongoose persistence schema for catalog ingredients
+ * Mirrors the fields of the Ingredient model
+ */
+
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+const ingredientSchema = new Schema({
+  id: { type: String, required: true, unique: true },
+  name: { type: String, required: true },
+  aliases: { type: [String], default: [] },
+  category: { type: String, default: 'other' },
+  commonUnits: { type: [String], default: [] },
+  nutritionPer100g: { type: Schema.Types.Mixed, default: () => ({}) },
+  averageCost: { type: Number, default: 0 },
+  shelfLife: { type: Number, default: 7 },
+  storageConditions: { type: String, default: 'room_temperature' },
+  allergens: { type: [String], default: [] },
+  substitutes: { type: [Schema.Types.Mixed], default: [] }, // names or substitute edges
+  seasonality: { type: [String], default: [] },
+  sustainability: { type: Schema.Types.Mixed, default: null },
+  automationData: { type: Schema.Types.Mixed, default: null },
+  density: { type: Number, default: null }, // g/ml
+  pieceWeights: { type: Schema.Types.Mixed, default: () => ({}) },
+  nutritionSource: { type: Schema.Types.Mixed, default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+}, {
+  collection: 'ingredients',
+  id: false, // the domain id is stored in its own `id` path
+  versionKey: false,
+  minimize: false
+});
+
+ingredientSchema.index({ name: 1 });
+
+module.exports = ingredientSchema;
@@ -0,0 +1,28 @@
+/**
+ * Recipe Revision Schema - Immutable snapshots of every stored recipe version
+ */
+
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+const recipeRevisionSchema = new Schema({
+  recipeId: { type: String, required: true },
+  version: { type: String, required: true },
+  previousVersion: { type: String, default: null },
+  bump: { type: String, enum: ['initial', 'major', 'minor', 'patch'], required: true },
+  reason: { type: String, required: true }, // created, update, optimize, rollback, rescore
+  summary: { type: [String], default: [] },
+  restoredVersion: { type: String, default: null },
+  snapshot: { type: Schema.Types.Mixed, required: true },
+  createdAt: { type: Date, default: Date.now }
+}, {
+  collection: 'recipe_revisions',
+  versionKey: false,
+  minimize: false
+});
+
+recipeRevisionSchema.index({ recipeId: 1, version: 1 }, { unique: true });
+recipeRevisionSchema.index({ recipeId: 1, createdAt: 1 });
+
+module.exports = recipeRevisionSchema;
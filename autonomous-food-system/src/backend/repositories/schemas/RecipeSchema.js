@@ -0,0 +1,125 @@
+/**
+ * Recipe Schema - Mongoose persistence schema for recipes
+ * Mirrors the shape produced by Recipe.toJSON()
+ */
+
+const mongoose = require('mongoose');
+
+const { Schema } = mongoose;
+
+const ingredientSchema = new Schema({
+  name: { type: String, required: true },
+  amount: Number,
+  unit: String,
+  type: String,
+  optional: Boolean,
+  preparation: String,
+  substitutes: [String]
+}, { _id: false });
+
+const instructionSchema = new Schema({
+  step: { type: String, required: true },
+  timing: Number, // minutes
+  temperature: Number, // Celsius
+  action: String,
+  equipment: [String],
+  notes: String,
+  automatable: Boolean,
+  safetyNotes: String,
+  dependsOn: { type: [Number], default: undefined },
+  resources: { type: [String], default: undefined },
+  speed: Number // rpm
+}, { _id: false });
+
+const nutritionSchema = new Schema({
+  calories: { type: Number, default: 0 },
+  protein: { type: Number, default: 0 },
+  carbohydrates: { type: Number, default: 0 },
+  fat: { type: Number, default: 0 },
+  fiber: { type: Number, default: 0 },
+  sugar: { type: Number, default: 0 },
+  sodium: { type: Number, default: 0 },
+  cholesterol: Number,
+  saturatedFat: Number,
+  transFat: Number,
+  vitaminA: Number,
+  vitaminC: Number,
+  calcium: Number,
+  iron: Number,
+  vitaminD: Number,
+  vitaminE: Number,
+  vitaminK: Number,
+  vitaminB6: Number,
+  vitaminB12: Number,
+  folate: Number,
+  magnesium: Number,
+  phosphorus: Number,
+  potassium: Number,
+  zinc: Number
+}, { _id: false });
+
+const automationSchema = new Schema({
+  automatable: { type: Boolean, default: false },
+  complexity: { type: String, default: 'manual' },
+  automationScore: Number,
+  kitchenId: { type: String, default: null },
+  automatableSteps: Number,
+  totalSteps: Number,
+  steps: { type: [Schema.Types.Mixed], default: undefined },
+  missing: Schema.Types.Mixed,
+  requiredSensors: [String],
+  safetyChecks: [String],
+  qualityMetrics: [String]
+}, { _id: false });
+
+const analyticsSchema = new Schema({
+  successRate: { type: Number, default: 0 },
+  averageRating: { type: Number, default: 0 },
+  timesCooked: { type: Number, default: 0 },
+  ratingCount: { type: Number, default: 0 },
+  feedbackCount: { type: Number, default: 0 },
+  issueCounts: { type: Schema.Types.Mixed, default: () => ({}) },
+  lastOptimized: { type: Date, default: null },
+  optimizationHistory: { type: [Schema.Types.Mixed], default: [] }
+}, { _id: false });
+
+const recipeSchema = new Schema({
+  id: { type: String, required: true, unique: true },
+  name: { type: String, required: true },
+  description: { type: String, default: '' },
+  category: { type: String, default: 'general' },
+  cuisine: { type: String, default: 'international' },
+  difficulty: { type: String, default: 'medium' },
+  servings: { type: Number, default: 4 },
+  prepTime: { type: Number, default: 0 },
+  cookTime: { type: Number, default: 0 },
+  totalTime: { type: Number, default: 0 },
+  ingredients: { type: [ingredientSchema], default: [] },
+  instructions: { type: [instructionSchema], default: [] },
+  equipment: { type: [String], default: [] },
+  nutrition: { type: nutritionSchema, default: () => ({}) },
+  nutritionAnalysis: { type: Schema.Types.Mixed, default: null },
+  sustainability: { type: Schema.Types.Mixed, default: null },
+  automation: { type: automationSchema, default: () => ({}) },
+  analytics: { type: analyticsSchema, default: () => ({}) },
+  tags: { type: [String], default: [] },
+  source: { type: String, default: 'user' },
+  lineage: { type: Schema.Types.Mixed, default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+  version: { type: String, default: '1.0.0' }
+}, {
+  collection: 'recipes',
+  id: false, // the domain id is stored in its own `id` path
+  versionKey: false,
+  minimize: false
+});
+
+// Indexes backing the /api/recipes filters
+recipeSchema.index({ category: 1 });
+recipeSchema.index({ cuisine: 1 });
+recipeSchema.index({ tags: 1 });
+recipeSchema.index({ 'sustainability.perServing.carbonFootprint': 1 });
+recipeSchema.index({ 'sustainability.perServing.waterUsage': 1 });
+
+module.exports = recipeSchema;
@@ -1,170 +1,8 @@
 const express = require('express');
 const router = express.Router();
+const AnalyticsService = require('../services/AnalyticsService');
 const logger = require('../utils/logger');
 
-// In-memory analytics storage
-const analyticsData = {
-  recipeUsage: new Map(),
-  cookingSessions: new Map(),
-  systemMetrics: new Map(),
-  userBehavior: new Map(),
-  automationMetrics: new Map()
-};
-
-/**
- * Analytics Service
- * Handles data collection, processing, and reporting
- */
-class AnalyticsService {
-  static recordRecipeUsage(recipeId, recipeName, sessionData) {
-    const key = recipeId;
-    const existing = analyticsData.recipeUsage.get(key) || {
-      recipeId,
-      recipeName,
-      totalUses: 0,
-      totalCookingTime: 0,
-      averageRating: 0,
-      successRate: 0,
-      completedSessions: 0,
-      abortedSessions: 0,
-      lastUsed: null,
-      popularTimes: {},
-      commonModifications: {},
-      qualityMetrics: {}
-    };
-
-    existing.totalUses++;
-    existing.lastUsed = new Date();
-    
-    if (sessionData.status === 'completed') {
-      existing.completedSessions++;
-      existing.totalCookingTime += sessionData.duration || 0;
-    } else if (sessionData.status === 'aborted') {
-      existing.abortedSessions++;
-    }
-
-    existing.successRate = existing.completedSessions / existing.totalUses;
-
-    // Track popular cooking times
-    const hour = new Date().getHours();
-    existing.popularTimes[hour] = (existing.popularTimes[hour] || 0) + 1;
-
-    analyticsData.recipeUsage.set(key, existing);
-    
-    logger.info(`Recorded recipe usage: ${recipeName} (${recipeId})`);
-  }
-
-  static recordSystemMetric(metric, value, metadata = {}) {
-    const timestamp = new Date();
-    const key = `${metric}_${timestamp.toISOString().split('T')[0]}`;
-    
-    const existing = analyticsData.systemMetrics.get(key) || {
-      metric,
-      date: timestamp.toISOString().split('T')[0],
-      values: [],
-      min: Infinity,
-      max: -Infinity,
-      average: 0,
-      count: 0
-    };
-
-    existing.values.push({ value, timestamp, metadata });
-    existing.count++;
-    existing.min = Math.min(existing.min, value);
-    existing.max = Math.max(existing.max, value);
-    existing.average = existing.values.reduce((sum, v) => sum + v.value, 0) / existing.count;
-
-    analyticsData.systemMetrics.set(key, existing);
-  }
-
-  static recordAutomationMetric(recipeId, automationLevel, sensorData, success) {
-    const key = `${recipeId}_${automationLevel}`;
-    const existing = analyticsData.automationMetrics.get(key) || {
-      recipeId,
-      automationLevel,
-      totalAttempts: 0,
-      successfulAttempts: 0,
-      successRate: 0,
-      averageSensorReadings: 0,
-      commonIssues: {},
-      performanceMetrics: {
-        accuracy: 0,
-        efficiency: 0,
-        reliability: 0
-      }
-    };
-
-    existing.totalAttempts++;
-    if (success) {
-      existing.successfulAttempts++;
-    }
-    existing.successRate = existing.successfulAttempts / existing.totalAttempts;
-    
-    if (sensorData && sensorData.length) {
-      existing.averageSensorReadings = 
-        (existing.averageSensorReadings + sensorData.length) / 2;
-    }
-
-    analyticsData.automationMetrics.set(key, existing);
-  }
-
-  static getRecipeAnalytics(recipeId) {
-    return analyticsData.recipeUsage.get(recipeId);
-  }
-
-  static getTopRecipes(limit = 10) {
-    return Array.from(analyticsData.recipeUsage.values())
-      .sort((a, b) => b.totalUses - a.totalUses)
-      .slice(0, limit);
-  }
-
-  static getSystemHealth() {
-    const metrics = Array.from(analyticsData.systemMetrics.values());
-    const recent = metrics.filter(m => {
-      const metricDate = new Date(m.date);
-      const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
-      return metricDate >= dayAgo;
-    });
-
-    return {
-      totalMetrics: metrics.length,
-      recentMetrics: recent.length,
-      systemStatus: recent.length > 0 ? 'active' : 'inactive',
-      lastUpdate: recent.length > 0 ? 
-        Math.max(...recent.map(m => new Date(m.date))) : null
-    };
-  }
-
-  static getAutomationInsights() {
-    const automationData = Array.from(analyticsData.automationMetrics.values());
-    
-    const byLevel = automationData.reduce((acc, data) => {
-      if (!acc[data.automationLevel]) {
-        acc[data.automationLevel] = {
-          totalAttempts: 0,
-          successfulAttempts: 0,
-          recipes: 0
-        };
-      }
-      acc[data.automationLevel].totalAttempts += data.totalAttempts;
-      acc[data.automationLevel].successfulAttempts += data.successfulAttempts;
-      acc[data.automationLevel].recipes++;
-      return acc;
-    }, {});
-
-    Object.keys(byLevel).forEach(level => {
-      const data = byLevel[level];
-      data.successRate = data.successfulAttempts / data.totalAttempts;
-    });
-
-    return {
-      byAutomationLevel: byLevel,
-      totalRecipesWithAutomation: automationData.length,
-      overallSuccessRate: automationData.reduce((sum, d) => sum + d.successRate, 0) / automationData.length
-    };
-  }
-}
-
 // GET /api/analytics/dashboard - Main analytics dashboard
 router.get('/dashboard', (req, res) => {
   try {
@@ -172,16 +10,17 @@ router.get('/dashboard', (req, res) => {
     const systemHealth = AnalyticsService.getSystemHealth();
     const automationInsights = AnalyticsService.getAutomationInsights();
 
-    const totalSessions = Array.from(analyticsData.recipeUsage.values())
+    const recipeUsage = AnalyticsService.getAllRecipeUsage();
+    const totalSessions = recipeUsage
       .reduce((sum, recipe) => sum + recipe.totalUses, 0);
 
-    const averageSuccessRate = Array.from(analyticsData.recipeUsage.values())
+    const averageSuccessRate = recipeUsage
       .reduce((sum, recipe) => sum + recipe.successRate, 0) / 
-      analyticsData.recipeUsage.size;
+      recipeUsage.length;
 
     res.json({
       summary: {
-        totalRecipes: analyticsData.recipeUsage.size,
+        totalRecipes: recipeUsage.length,
         totalSessions,
         averageSuccessRate: averageSuccessRate || 0,
         systemStatus: systemHealth.systemStatus
@@ -216,13 +55,14 @@ router.get('/recipes', (req, res) => {
       return res.json(analytics);
     }
 
-    const allRecipes = Array.from(analyticsData.recipeUsage.values())
+    const recipeUsage = AnalyticsService.getAllRecipeUsage();
+    const allRecipes = recipeUsage
       .sort((a, b) => b[sortBy] - a[sortBy])
       .slice(0, parseInt(limit));
 
     res.json({
       recipes: allRecipes,
-      total: analyticsData.recipeUsage.size,
+      total: recipeUsage.length,
       sortBy,
       limit: parseInt(limit)
     });
@@ -241,7 +81,7 @@ router.get('/system', (req, res) => {
     const { metric, days = 7 } = req.query;
     const cutoffDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
 
-    let metrics = Array.from(analyticsData.systemMetrics.values())
+    let metrics = AnalyticsService.getSystemMetrics()
       .filter(m => new Date(m.date) >= cutoffDate);
 
     if (metric) {
@@ -271,7 +111,7 @@ router.get('/system', (req, res) => {
 router.get('/automation', (req, res) => {
   try {
     const insights = AnalyticsService.getAutomationInsights();
-    const detailedMetrics = Array.from(analyticsData.automationMetrics.values());
+    const detailedMetrics = AnalyticsService.getAutomationMetrics();
 
     res.json({
       insights,
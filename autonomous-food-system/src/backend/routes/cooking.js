@@ -1,12 +1,17 @@
 const express = require('express');
 const router = express.Router();
-const { validateCookingSession } = require('../middleware/validation');
-const { CookingProcessError } = require('../middleware/errorHandler');
+const { validateCookingSession, validateFeedback } = require('../middleware/validation');
+const { AutomationError, CookingProcessError, FeedbackError } = require('../utils/errors');
+const { scheduleSteps } = require('../utils/stepSchedule');
+const { compileProgram, validateProgram, listProgram } = require('../utils/automationProgram');
+const { recipeRepository } = require('../repositories');
+const {
+  complianceChecker, distributionService, feedbackService, kitchenRegistry, programExecutor, pantryService
+} = require('../services');
 const logger = require('../utils/logger');
 
 // In-memory storage for cooking sessions
 const cookingSessions = new Map();
-const recipes = require('./recipes'); // Import recipes from recipes route
 
 /**
  * Cooking Session Class
@@ -20,6 +25,8 @@ class CookingSession {
     this.servings = data.servings || data.recipe.servings;
     this.modifications = data.modifications || {};
     this.automationLevel = data.automationLevel || 'manual';
+    this.kitchenId = data.kitchenId || null;
+    this.program = data.program || null; // compiled automation program, run by the program executor
     this.status = 'initialized';
     this.currentStep = 0;
     this.startTime = null;
@@ -29,6 +36,10 @@ class CookingSession {
     this.sensorData = [];
     this.qualityMetrics = {};
     this.notes = data.notes || '';
+    this.userId = data.userId || null;
+    this.compliance = data.compliance || null; // dietary check for userId, if one was given
+    this.householdId = data.householdId || null; // pantry the cooked ingredients are taken from
+    this.pantryUsage = null;
     this.errors = [];
     this.warnings = [];
     this.createdAt = new Date();
@@ -150,6 +161,10 @@ class CookingSession {
   }
 
   abort(reason = 'User cancelled') {
+    if (this.status !== 'in_progress' && this.status !== 'paused') {
+      throw new CookingProcessError(`Cannot abort session that is ${this.status}`);
+    }
+
     this.status = 'aborted';
     this.endTime = new Date();
     this.updatedAt = new Date();
@@ -195,16 +210,12 @@ class CookingSession {
   }
 
   calculateRemainingTime() {
-    let remainingTime = 0;
-    
-    for (let i = this.currentStep; i < this.recipe.instructions.length; i++) {
-      const instruction = this.recipe.instructions[i];
-      if (instruction.timing) {
-        remainingTime += instruction.timing;
-      }
-    }
-    
-    return remainingTime; // in minutes
+    // Started steps no longer count; the rest follow the recipe's parallel schedule
+    const completed = this.recipe.instructions
+      .slice(0, this.currentStep)
+      .map((instruction, index) => index);
+
+    return scheduleSteps(this.recipe.instructions, { completed }).totalTime; // in minutes
   }
 
   addSensorData(sensorType, value, timestamp = new Date()) {
@@ -239,8 +250,7 @@ class CookingSession {
   }
 
   updateRecipeAnalytics() {
-    // This would update the recipe's analytics in the database
-    // For now, just log the completion
+    // The stored recipe is updated by the route through feedbackService.recordSession
     logger.logRecipeAction('cooking_completed', this.recipeId, this.recipe.name, null, {
       sessionId: this.id,
       totalDuration: this.endTime - this.startTime,
@@ -249,6 +259,21 @@ class CookingSession {
   }
 }
 
+/**
+ * Record a finished session in the recipe's analytics and draw its
+ * ingredients from the household pantry
+ */
+const recordCompletion = async (session) => {
+  await feedbackService.recordSession(session);
+
+  session.pantryUsage = pantryService.recordSession(session);
+  if (session.pantryUsage) {
+    const short = session.pantryUsage.items.filter(item => item.status !== 'consumed').length;
+    logger.info(`Took ${session.recipe.name} ingredients from the pantry of household ${session.householdId}` +
+      (short > 0 ? ` (${short} short)` : ''));
+  }
+};
+
 // GET /api/cooking/sessions - List all cooking sessions
 router.get('/sessions', (req, res) => {
   const sessions = Array.from(cookingSessions.values()).map(session => ({
@@ -269,20 +294,84 @@ router.get('/sessions', (req, res) => {
 // POST /api/cooking/start - Start a new cooking session
 router.post('/start', validateCookingSession, async (req, res) => {
   try {
-    const { recipeId, servings, modifications, automationLevel, notes } = req.body;
-    
-    // Get recipe (in a real app, this would be from database)
-    // For now, we'll create a mock recipe
-    const recipe = {
-      id: recipeId,
-      name: 'Sample Recipe',
-      instructions: [
-        { step: 'Prepare ingredients', timing: 5 },
-        { step: 'Cook ingredients', timing: 15 },
-        { step: 'Serve', timing: 2 }
-      ],
-      servings: 4
-    };
+    const {
+      recipeId,
+      servings,
+      modifications,
+      automationLevel,
+      kitchenId,
+      notes,
+      userId,
+      householdId,
+      overrideCompliance,
+      overrideReason
+    } = req.body;
+
+    const recipe = await recipeRepository.findById(recipeId);
+    if (!recipe) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Recipe with id ${recipeId} not found`
+      });
+    }
+
+    // Recipes cooked for a profile must respect its allergies and restrictions
+    let compliance = null;
+    let profile = null;
+    if (userId) {
+      profile = distributionService.getConsumptionProfile(userId);
+      if (!profile) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `Consumption profile for user ${userId} not found`
+        });
+      }
+
+      const report = complianceChecker.check(recipe, profile.preferences, {
+        substitutions: modifications && modifications.ingredientSubstitutions
+      });
+
+      if (!report.compliant && !overrideCompliance) {
+        return res.status(422).json({
+          error: 'Compliance Error',
+          message: `${recipe.name} does not comply with the profile of user ${userId}`,
+          violations: report.violations,
+          hint: 'Substitute the listed ingredients or set overrideCompliance to cook anyway'
+        });
+      }
+
+      compliance = {
+        compliant: report.compliant,
+        violations: report.violations,
+        overridden: !report.compliant,
+        overrideReason: !report.compliant ? overrideReason || null : null
+      };
+    }
+
+    // Automated sessions run a program compiled for the kitchen's devices
+    let program = null;
+    if (kitchenId) {
+      const kitchen = kitchenRegistry.getKitchen(kitchenId);
+      if (!kitchen) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `Kitchen with id ${kitchenId} not found`
+        });
+      }
+
+      const cooked = servings && servings !== recipe.servings ? recipe.previewScale(servings).recipe : recipe;
+      program = compileProgram(cooked, kitchen, { confirmEachStep: automationLevel === 'assisted' });
+
+      const validation = validateProgram(program, kitchen);
+      if (!validation.valid) {
+        throw new AutomationError(`${recipe.name} cannot run in kitchen ${kitchen.name}`, { errors: validation.errors });
+      }
+      if (automationLevel === 'fully_automated' && program.summary.checkpoints > 0) {
+        throw new AutomationError(`${recipe.name} needs ${program.summary.checkpoints} manual checkpoint(s) in kitchen ${kitchen.name}`, {
+          checkpoints: program.operations.filter(operation => operation.type === 'checkpoint')
+        });
+      }
+    }
 
     const sessionData = {
       recipeId,
@@ -290,21 +379,55 @@ router.post('/start', validateCookingSession, async (req, res) => {
       servings,
       modifications,
       automationLevel,
-      notes
+      kitchenId,
+      program,
+      notes,
+      userId,
+      // Profiles without a household keep their pantry under the user id
+      householdId: householdId || (profile && (profile.householdId || userId)) || null,
+      compliance
     };
 
     const session = new CookingSession(sessionData);
+    if (compliance && compliance.overridden) {
+      session.warnings.push({
+        type: 'compliance_override',
+        message: `Started despite ${compliance.violations.length} dietary violation(s) for user ${userId}`,
+        reason: compliance.overrideReason,
+        timestamp: new Date()
+      });
+      logger.warn(`Compliance override for session ${session.id}: ${recipe.name} for user ${userId}`);
+    }
     session.start();
     
     cookingSessions.set(session.id, session);
 
+    let automation = null;
+    if (program) {
+      automation = await programExecutor.start(session, program, {
+        onFinish: (finished) => recordCompletion(finished).catch(error => {
+          logger.error('Error recording automated cooking session:', error);
+        })
+      });
+    }
+
     res.status(201).json({
       sessionId: session.id,
       status: session.status,
       currentStep: session.getCurrentStepInfo(),
+      ...(compliance && { compliance }),
+      ...(automation && { automation: { summary: program.summary, execution: automation } }),
       message: 'Cooking session started successfully'
     });
   } catch (error) {
+    if (error instanceof AutomationError) {
+      return res.status(422).json({
+        error: 'Automation Error',
+        message: error.message,
+        details: error.details
+      });
+    }
+
     logger.error('Error starting cooking session:', error);
     res.status(500).json({
       error: 'Internal Server Error',
@@ -337,6 +460,13 @@ router.get('/:sessionId', (req, res) => {
       stepTimings: session.stepTimings,
       qualityMetrics: session.qualityMetrics,
       sensorData: session.sensorData.slice(-10), // Last 10 sensor readings
+      userId: session.userId,
+      compliance: session.compliance,
+      householdId: session.householdId,
+      pantryUsage: session.pantryUsage,
+      automationLevel: session.automationLevel,
+      kitchenId: session.kitchenId,
+      automation: programExecutor.describe(session.id),
       errors: session.errors,
       warnings: session.warnings
     });
@@ -349,8 +479,38 @@ router.get('/:sessionId', (req, res) => {
   }
 });
 
-// POST /api/cooking/:sessionId/next - Advance to next step
-router.post('/:sessionId/next', (req, res) => {
+// GET /api/cooking/:sessionId/program - Get the automation program and its progress
+router.get('/:sessionId/program', (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const session = cookingSessions.get(sessionId);
+
+    if (!session || !session.program) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: session
+          ? `Cooking session ${sessionId} has no automation program`
+          : `Cooking session ${sessionId} not found`
+      });
+    }
+
+    res.json({
+      sessionId: session.id,
+      program: session.program,
+      listing: listProgram(session.program),
+      execution: programExecutor.describe(session.id)
+    });
+  } catch (error) {
+    logger.error('Error retrieving automation program:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve automation program'
+    });
+  }
+});
+
+// POST /api/cooking/:sessionId/next - Advance to next step, or confirm the automation program's checkpoint
+router.post('/:sessionId/next', async (req, res) => {
   try {
     const { sessionId } = req.params;
     const session = cookingSessions.get(sessionId);
@@ -362,13 +522,31 @@ router.post('/:sessionId/next', (req, res) => {
       });
     }
 
+    // The program advances the steps; the cook only confirms its checkpoints
+    if (session.program) {
+      if (session.status !== 'in_progress') {
+        throw new CookingProcessError('Cannot advance step when session is not in progress');
+      }
+      const automation = await programExecutor.confirm(session.id);
+      return res.json({
+        sessionId: session.id,
+        status: session.status,
+        currentStep: session.getCurrentStepInfo(),
+        automation
+      });
+    }
+
     const result = session.nextStep();
+    if (session.status === 'completed') {
+      await recordCompletion(session);
+    }
     
     res.json({
       sessionId: session.id,
       status: session.status,
       currentStep: session.getCurrentStepInfo(),
-      result
+      result,
+      ...(session.pantryUsage && { pantryUsage: session.pantryUsage })
     });
   } catch (error) {
     if (error instanceof CookingProcessError) {
@@ -400,6 +578,7 @@ router.post('/:sessionId/pause', (req, res) => {
     }
 
     session.pause();
+    programExecutor.pause(session.id);
     
     res.json({
       sessionId: session.id,
@@ -423,7 +602,7 @@ router.post('/:sessionId/pause', (req, res) => {
 });
 
 // POST /api/cooking/:sessionId/resume - Resume cooking session
-router.post('/:sessionId/resume', (req, res) => {
+router.post('/:sessionId/resume', async (req, res) => {
   try {
     const { sessionId } = req.params;
     const session = cookingSessions.get(sessionId);
@@ -436,6 +615,7 @@ router.post('/:sessionId/resume', (req, res) => {
     }
 
     session.resume();
+    await programExecutor.resume(session.id);
     
     res.json({
       sessionId: session.id,
@@ -460,7 +640,7 @@ router.post('/:sessionId/resume', (req, res) => {
 });
 
 // POST /api/cooking/:sessionId/abort - Abort cooking session
-router.post('/:sessionId/abort', (req, res) => {
+router.post('/:sessionId/abort', async (req, res) => {
   try {
     const { sessionId } = req.params;
     const { reason } = req.body;
@@ -474,6 +654,8 @@ router.post('/:sessionId/abort', (req, res) => {
     }
 
     session.abort(reason);
+    await programExecutor.abort(session.id); // switches off devices the program left on
+    await feedbackService.recordSession(session);
     
     res.json({
       sessionId: session.id,
@@ -481,6 +663,13 @@ router.post('/:sessionId/abort', (req, res) => {
       message: 'Cooking session aborted'
     });
   } catch (error) {
+    if (error instanceof CookingProcessError) {
+      return res.status(409).json({
+        error: 'Cooking Process Error',
+        message: error.message
+      });
+    }
+
     logger.error('Error aborting cooking session:', error);
     res.status(500).json({
       error: 'Internal Server Error',
@@ -489,8 +678,51 @@ router.post('/:sessionId/abort', (req, res) => {
   }
 });
 
+// POST /api/cooking/:sessionId/feedback - Rate and review a completed session
+router.post('/:sessionId/feedback', validateFeedback, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const session = cookingSessions.get(sessionId);
+
+    if (!session) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Cooking session ${sessionId} not found`
+      });
+    }
+
+    if (session.status !== 'completed') {
+      return res.status(409).json({
+        error: 'Cooking Process Error',
+        message: `Feedback can only be given for a completed session (status: ${session.status})`
+      });
+    }
+
+    const { feedback, recipe } = await feedbackService.submitFeedback(session, req.body);
+
+    logger.info(`Recorded feedback for session ${session.id} on ${recipe.name}`);
+    res.status(201).json({
+      feedback,
+      analytics: feedbackService.summarize(recipe)
+    });
+  } catch (error) {
+    if (error instanceof FeedbackError) {
+      return res.status(409).json({
+        error: 'Feedback Error',
+        message: error.message
+      });
+    }
+
+    logger.error('Error recording cooking feedback:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to record cooking feedback'
+    });
+  }
+});
+
 // POST /api/cooking/:sessionId/sensor - Add sensor data
-router.post('/:sessionId/sensor', (req, res) => {
+router.post('/:sessionId/sensor', async (req, res) => {
   try {
     const { sessionId } = req.params;
     const { sensorType, value } = req.body;
@@ -504,6 +736,9 @@ router.post('/:sessionId/sensor', (req, res) => {
     }
 
     session.addSensorData(sensorType, value);
+
+    // A reading can satisfy the condition the automation program waits on
+    const automation = session.program ? await programExecutor.notify(session.id) : null;
     
     res.json({
       sessionId: session.id,
@@ -512,7 +747,8 @@ router.post('/:sessionId/sensor', (req, res) => {
         sensorType,
         value,
         timestamp: new Date()
-      }
+      },
+      ...(automation && { automation })
     });
   } catch (error) {
     logger.error('Error recording sensor data:', error);
@@ -1,11 +1,9 @@
 const express = require('express');
 const router = express.Router();
-const PrecisionDistributionService = require('../services/PrecisionDistributionService');
+const { validateDelivery } = require('../middleware/validation');
+const { distributionService, pantryService } = require('../services');
 const logger = require('../utils/logger');
 
-// Initialize distribution service
-const distributionService = new PrecisionDistributionService();
-
 // Initialize sample consumption profiles
 const initializeSampleProfiles = () => {
   const sampleUsers = [
@@ -319,6 +317,53 @@ router.get('/waste-reduction/:userId', (req, res) => {
   }
 });
 
+// POST /api/distribution/deliveries - Record a delivery into the household pantry
+router.post('/deliveries', validateDelivery, (req, res) => {
+  try {
+    const { userId } = req.body;
+    const deliveredAt = req.body.deliveredAt || new Date();
+
+    const profile = distributionService.getConsumptionProfile(userId);
+    if (!profile) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Consumption profile for user ${userId} not found`
+      });
+    }
+
+    // Without explicit items, the day's distribution (in grams) is what arrived
+    const items = req.body.items || [...distributionService.generateDailyDistribution(userId, deliveredAt).ingredients]
+      .map(([ingredient, amount]) => ({ ingredient, amount, unit: 'g' }));
+
+    const deliveryId = 'delivery_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    const householdId = profile.householdId || userId;
+    const lots = items.map(item => pantryService.addLot(householdId, {
+      ingredient: item.ingredient,
+      quantity: item.amount,
+      unit: item.unit,
+      acquiredAt: deliveredAt,
+      expiresAt: item.expiresAt,
+      source: 'delivery',
+      reference: deliveryId
+    }));
+
+    logger.info(`Delivered ${lots.length} items to household ${householdId} (${deliveryId})`);
+    res.status(201).json({
+      deliveryId,
+      userId,
+      householdId,
+      deliveredAt,
+      lots
+    });
+  } catch (error) {
+    logger.error('Error recording delivery:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to record delivery'
+    });
+  }
+});
+
 // POST /api/distribution/harvest-request - Request harvest for distribution
 router.post('/harvest-request', (req, res) => {
   try {
@@ -2,15 +2,27 @@ const express = require('express');
 const router = express.Router();
 const GrowingModule = require('../models/GrowingModule');
 const GrowthOptimizationEngine = require('../services/GrowthOptimizationEngine');
-const HardwareIntegrationService = require('../services/HardwareIntegrationService');
+const { hardwareService, growingModules, recipeRescorer, inventoryMatcher } = require('../services');
 const logger = require('../utils/logger');
 
-// In-memory storage for growing modules (will be replaced with database)
-const growingModules = new Map();
-
 // Initialize services
 const optimizationEngine = new GrowthOptimizationEngine();
-const hardwareService = new HardwareIntegrationService();
+
+/**
+ * Re-score stored recipe footprints in the background once the crops in the
+ * modules change, so home-grown credit follows the active cycles
+ */
+const refreshRecipeFootprints = () => {
+  recipeRescorer.rescore('Scores recalculated after the crops in the growing modules changed')
+    .then(updated => {
+      if (updated > 0) {
+        logger.info(`Updated the footprint of ${updated} recipes after the growing modules changed`);
+      }
+    })
+    .catch(error => {
+      logger.error('Error refreshing recipe footprints:', error);
+    });
+};
 
 /**
  * Initialize sample growing modules
@@ -198,6 +210,7 @@ router.put('/modules/:id', (req, res) => {
     
     module.updatedAt = new Date();
     growingModules.set(id, module);
+    refreshRecipeFootprints();
 
     logger.info(`Updated growing module: ${module.name} (${id})`);
     res.json(module.toJSON());
@@ -225,6 +238,7 @@ router.post('/modules/:id/cycles', (req, res) => {
 
     const cycle = module.startGrowingCycle(req.body);
     growingModules.set(id, module);
+    refreshRecipeFootprints();
 
     logger.info(`Started growing cycle: ${cycle.cropVariety} in ${module.name}`);
     res.status(201).json(cycle);
@@ -252,6 +266,7 @@ router.post('/modules/:id/cycles/:cycleId/harvest', (req, res) => {
 
     const harvestedCycle = module.harvestCycle(cycleId, req.body);
     growingModules.set(id, module);
+    refreshRecipeFootprints();
 
     logger.info(`Harvested cycle: ${harvestedCycle.cropVariety} from ${module.name}`);
     res.json(harvestedCycle);
@@ -326,30 +341,10 @@ router.post('/modules/:id/sensors', (req, res) => {
   }
 });
 
-// GET /api/growing/inventory - Get available ingredients for cooking system
+// GET /api/growing/inventory - Get available ingredients for cooking system, soonest to expire first
 router.get('/inventory', (req, res) => {
   try {
-    const inventory = [];
-    
-    growingModules.forEach(module => {
-      module.activeCycles.forEach(cycle => {
-        // Check if cycle is ready for harvest (within 3 days)
-        const daysUntilHarvest = Math.ceil((cycle.expectedHarvestDate - new Date()) / (1000 * 60 * 60 * 24));
-        
-        if (daysUntilHarvest <= 3) {
-          inventory.push({
-            moduleId: module.id,
-            moduleName: module.name,
-            cycleId: cycle.id,
-            ingredient: cycle.cropVariety,
-            estimatedAmount: cycle.plantCount * 0.1, // rough estimate kg per plant
-            quality: 'fresh',
-            availableDate: cycle.expectedHarvestDate,
-            daysUntilReady: Math.max(0, daysUntilHarvest)
-          });
-        }
-      });
-    });
+    const inventory = inventoryMatcher.harvestInventory([...growingModules.values()]);
 
     res.json({
       inventory,
@@ -539,5 +534,6 @@ router.get('/hardware/status', (req, res) => {
 
 // Initialize sample data
 initializeSampleModules();
+refreshRecipeFootprints();
 
 module.exports = router;
@@ -1,210 +1,69 @@
 const express = require('express');
+const path = require('path');
 const router = express.Router();
+const Ingredient = require('../models/Ingredient');
+const IngredientCatalog = require('../services/IngredientCatalog');
+const FdcImporter = require('../services/FdcImporter');
+const SubstitutionEngine = require('../services/SubstitutionEngine');
+const {
+  validateCatalogIngredient, validateCatalogIngredientUpdate, validateIngredientMerge, validateFdcImport,
+  validateQueryParams, substituteQuerySchema
+} = require('../middleware/validation');
+const { NutritionImportError } = require('../utils/errors');
+const {
+  ingredientCatalog, complianceChecker, distributionService, inventoryMatcher, growingModules, pantryService,
+  recipeRescorer
+} = require('../services');
+const { recipeRepository, ingredientRepository } = require('../repositories');
+const { isKnownUnit, toSystem } = require('../utils/units');
 const logger = require('../utils/logger');
 
-// In-memory ingredient database
-const ingredients = new Map();
+const substitutionEngine = new SubstitutionEngine(ingredientCatalog, complianceChecker);
+
+// FoodData Central downloads are only read from this directory
+const fdcImporter = new FdcImporter(ingredientCatalog, ingredientRepository, {
+  dataDir: process.env.FDC_DATA_DIR || path.join(__dirname, '../../../data/fdc')
+});
 
 /**
- * Ingredient Class
- * Represents a single ingredient with nutritional and usage data
+ * Recipe ingredient lines that resolve to one of `ingredientIds` in `catalog`
  */
-class Ingredient {
-  constructor(data) {
-    this.id = data.id || this.generateId();
-    this.name = data.name;
-    this.category = data.category || 'other';
-    this.commonUnits = data.commonUnits || ['g', 'cup'];
-    this.nutritionPer100g = data.nutritionPer100g || {};
-    this.averageCost = data.averageCost || 0; // per 100g
-    this.shelfLife = data.shelfLife || 7; // days
-    this.storageConditions = data.storageConditions || 'room_temperature';
-    this.allergens = data.allergens || [];
-    this.substitutes = data.substitutes || [];
-    this.seasonality = data.seasonality || [];
-    this.sustainability = data.sustainability || {
-      carbonFootprint: 0, // kg CO2 per kg
-      waterUsage: 0, // liters per kg
-      localAvailability: false
-    };
-    this.automationData = data.automationData || {
-      prepComplexity: 'medium',
-      requiredEquipment: [],
-      processingTime: 0
-    };
-    this.createdAt = data.createdAt || new Date();
-    this.updatedAt = data.updatedAt || new Date();
-  }
-
-  generateId() {
-    return 'ingredient_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-  }
-
-  // Calculate nutrition for specific amount and unit
-  calculateNutrition(amount, unit) {
-    const gramsAmount = this.convertToGrams(amount, unit);
-    const factor = gramsAmount / 100;
-    
-    const nutrition = {};
-    Object.keys(this.nutritionPer100g).forEach(key => {
-      nutrition[key] = this.nutritionPer100g[key] * factor;
-    });
-    
-    return nutrition;
-  }
-
-  // Convert various units to grams
-  convertToGrams(amount, unit) {
-    const conversions = {
-      'g': 1,
-      'kg': 1000,
-      'ml': 1, // Approximate for most ingredients
-      'l': 1000,
-      'cup': 240, // Approximate
-      'tbsp': 15,
-      'tsp': 5,
-      'oz': 28.35,
-      'lb': 453.59,
-      'piece': this.averagePieceWeight || 100,
-      'large': this.averageLargeWeight || 150,
-      'medium': this.averageMediumWeight || 100,
-      'small': this.averageSmallWeight || 50
-    };
-    
-    return amount * (conversions[unit] || 1);
-  }
+const recipeReferences = async (ingredientIds, catalog = ingredientCatalog) => {
+  const recipes = await recipeRepository.findAll();
+
+  return recipes.flatMap(recipe => recipe.ingredients
+    .filter(line => {
+      const match = catalog.findByName(line.name);
+      return match && ingredientIds.includes(match.id);
+    })
+    .map(line => ({ recipeId: recipe.id, recipeName: recipe.name, ingredient: line.name })));
+};
 
-  // Find suitable substitutes
-  findSubstitutes(criteria = {}) {
-    return this.substitutes.filter(substitute => {
-      if (criteria.allergenFree && substitute.allergens) {
-        return !substitute.allergens.some(allergen => 
-          criteria.allergenFree.includes(allergen)
-        );
+/**
+ * Score stored recipes again after a catalog change, in the background;
+ * `change` completes "Scores recalculated after ..."
+ */
+const rescoreRecipes = (change) => {
+  recipeRescorer.rescore(`Scores recalculated after ${change}`)
+    .then(updated => {
+      if (updated > 0) {
+        logger.info(`Updated the scores of ${updated} recipes after ${change}`);
       }
-      return true;
+    })
+    .catch(error => {
+      logger.error('Error re-scoring recipes:', error);
     });
-  }
+};
 
-  // Calculate environmental impact
-  calculateEnvironmentalImpact(amount, unit) {
-    const gramsAmount = this.convertToGrams(amount, unit);
-    const kgAmount = gramsAmount / 1000;
-    
-    return {
-      carbonFootprint: this.sustainability.carbonFootprint * kgAmount,
-      waterUsage: this.sustainability.waterUsage * kgAmount,
-      localAvailability: this.sustainability.localAvailability
-    };
-  }
-}
-
-// Initialize sample ingredients
-const initializeSampleIngredients = () => {
-  const sampleIngredients = [
-    {
-      name: 'Tomato',
-      category: 'vegetable',
-      commonUnits: ['g', 'piece', 'cup'],
-      nutritionPer100g: {
-        calories: 18,
-        protein: 0.9,
-        carbohydrates: 3.9,
-        fat: 0.2,
-        fiber: 1.2,
-        sugar: 2.6,
-        sodium: 5,
-        vitaminC: 13.7,
-        potassium: 237
-      },
-      averageCost: 0.50,
-      shelfLife: 7,
-      storageConditions: 'room_temperature',
-      allergens: [],
-      substitutes: ['canned_tomato', 'tomato_paste'],
-      seasonality: ['summer', 'fall'],
-      sustainability: {
-        carbonFootprint: 1.1,
-        waterUsage: 214,
-        localAvailability: true
-      },
-      automationData: {
-        prepComplexity: 'easy',
-        requiredEquipment: ['knife', 'cutting_board'],
-        processingTime: 2
-      },
-      averagePieceWeight: 150
-    },
-    {
-      name: 'Chicken Breast',
-      category: 'protein',
-      commonUnits: ['g', 'lb', 'piece'],
-      nutritionPer100g: {
-        calories: 165,
-        protein: 31,
-        carbohydrates: 0,
-        fat: 3.6,
-        fiber: 0,
-        sugar: 0,
-        sodium: 74,
-        cholesterol: 85
-      },
-      averageCost: 2.50,
-      shelfLife: 3,
-      storageConditions: 'refrigerated',
-      allergens: [],
-      substitutes: ['chicken_thigh', 'turkey_breast', 'tofu'],
-      seasonality: ['year_round'],
-      sustainability: {
-        carbonFootprint: 6.9,
-        waterUsage: 4325,
-        localAvailability: false
-      },
-      automationData: {
-        prepComplexity: 'medium',
-        requiredEquipment: ['knife', 'cutting_board', 'thermometer'],
-        processingTime: 5
-      },
-      averagePieceWeight: 200
-    },
-    {
-      name: 'Rice',
-      category: 'grain',
-      commonUnits: ['g', 'cup'],
-      nutritionPer100g: {
-        calories: 130,
-        protein: 2.7,
-        carbohydrates: 28,
-        fat: 0.3,
-        fiber: 0.4,
-        sugar: 0.1,
-        sodium: 1
-      },
-      averageCost: 0.15,
-      shelfLife: 365,
-      storageConditions: 'dry_pantry',
-      allergens: [],
-      substitutes: ['quinoa', 'cauliflower_rice', 'pasta'],
-      seasonality: ['year_round'],
-      sustainability: {
-        carbonFootprint: 2.7,
-        waterUsage: 2497,
-        localAvailability: false
-      },
-      automationData: {
-        prepComplexity: 'easy',
-        requiredEquipment: ['pot', 'measuring_cup'],
-        processingTime: 20
-      }
-    }
-  ];
+const ingredientNotFound = (res, id) => res.status(404).json({
+  error: 'Not Found',
+  message: `Ingredient with id ${id} not found`
+});
 
-  sampleIngredients.forEach(ingredientData => {
-    const ingredient = new Ingredient(ingredientData);
-    ingredients.set(ingredient.id, ingredient);
-    logger.info(`Initialized ingredient: ${ingredient.name}`);
-  });
-};
+const nameConflict = (res, conflicts) => res.status(409).json({
+  error: 'Conflict',
+  message: `Name or alias already used by ${conflicts.map(conflict => `${conflict.name} (${conflict.id})`).join(', ')}`
+});
 
 // GET /api/ingredients - List all ingredients
 router.get('/', (req, res) => {
@@ -219,7 +78,7 @@ router.get('/', (req, res) => {
       sortOrder = 'asc'
     } = req.query;
 
-    let ingredientList = Array.from(ingredients.values());
+    let ingredientList = ingredientCatalog.getAll();
 
     // Apply filters
     if (category) {
@@ -285,7 +144,7 @@ router.get('/', (req, res) => {
 router.get('/:id', (req, res) => {
   try {
     const { id } = req.params;
-    const ingredient = ingredients.get(id);
+    const ingredient = ingredientCatalog.get(id);
 
     if (!ingredient) {
       return res.status(404).json({
@@ -304,6 +163,201 @@ router.get('/:id', (req, res) => {
   }
 });
 
+// POST /api/ingredients - Add an ingredient to the catalog
+router.post('/', validateCatalogIngredient, async (req, res) => {
+  try {
+    const conflicts = ingredientCatalog.findConflicts([req.body.name, ...(req.body.aliases || [])]);
+    if (conflicts.length > 0) {
+      return nameConflict(res, conflicts);
+    }
+
+    const ingredient = await ingredientRepository.create(new Ingredient(req.body));
+    rescoreRecipes(`adding ingredient ${ingredient.name}`);
+
+    logger.info(`Added ingredient to catalog: ${ingredient.name} (${ingredient.id})`);
+    res.status(201).json(ingredient);
+  } catch (error) {
+    logger.error('Error creating ingredient:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to create ingredient'
+    });
+  }
+});
+
+// POST /api/ingredients/import/fdc - Import nutrition from local USDA FoodData Central downloads
+router.post('/import/fdc', validateFdcImport, async (req, res) => {
+  try {
+    const { path: source, mapping } = req.body;
+    const dryRun = req.query.dryRun === 'true';
+
+    const unknown = [...new Set(Object.values(mapping))].filter(id => id !== null && !ingredientCatalog.get(id));
+    if (unknown.length > 0) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Ingredients not found: ${unknown.join(', ')}`
+      });
+    }
+
+    const foods = await fdcImporter.load(source);
+    const report = await fdcImporter.import(foods, { mapping, dryRun });
+
+    if (!dryRun) {
+      logger.info(`Imported FoodData Central nutrition from ${source}: ${report.applied} of ${report.foods} foods applied`);
+    }
+    if (report.applied > 0) {
+      rescoreRecipes(`importing FoodData Central nutrition from ${source}`);
+    }
+    res.json({ source, dryRun, ...report });
+  } catch (error) {
+    if (error instanceof NutritionImportError) {
+      return res.status(422).json({
+        error: 'Import Error',
+        message: error.message,
+        details: error.details
+      });
+    }
+
+    logger.error('Error importing FoodData Central data:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to import FoodData Central data'
+    });
+  }
+});
+
+// PUT /api/ingredients/:id - Update an ingredient; `force=true` allows recipes to stop matching it
+router.put('/:id', validateCatalogIngredientUpdate, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const existing = ingredientCatalog.get(id);
+    if (!existing) {
+      return ingredientNotFound(res, id);
+    }
+
+    const candidate = new Ingredient({ ...existing, ...req.body, id });
+    const conflicts = ingredientCatalog.findConflicts([candidate.name, ...candidate.aliases], [id]);
+    if (conflicts.length > 0) {
+      return nameConflict(res, conflicts);
+    }
+
+    // Recipe lines matched by a name or alias the update drops
+    const preview = new IngredientCatalog([...ingredientCatalog.getAll().filter(entry => entry.id !== id), candidate]);
+    const unmatched = (await recipeReferences([id])).filter(reference => {
+      const match = preview.findByName(reference.ingredient);
+      return !match || match.id !== id;
+    });
+
+    if (unmatched.length > 0 && req.query.force !== 'true') {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `${unmatched.length} recipe ingredient(s) would no longer match ${existing.name}; keep their names as aliases or pass force=true`,
+        recipes: unmatched
+      });
+    }
+
+    const changed = ingredientCatalog.withChanges(id, req.body);
+    const ingredient = changed && await ingredientRepository.update(changed);
+    if (!ingredient) {
+      return ingredientNotFound(res, id);
+    }
+    rescoreRecipes(`updating ingredient ${ingredient.name}`);
+
+    logger.info(`Updated ingredient: ${ingredient.name} (${id})`);
+    res.json(unmatched.length > 0 ? { ...ingredient, unmatchedRecipes: unmatched } : ingredient);
+  } catch (error) {
+    logger.error('Error updating ingredient:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update ingredient'
+    });
+  }
+});
+
+// POST /api/ingredients/:id/merge - Fold duplicate entries into this ingredient
+router.post('/:id/merge', validateIngredientMerge, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { duplicateIds } = req.body;
+
+    if (!ingredientCatalog.get(id)) {
+      return ingredientNotFound(res, id);
+    }
+
+    if (duplicateIds.includes(id)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'An ingredient cannot be merged into itself'
+      });
+    }
+
+    const missing = duplicateIds.filter(duplicateId => !ingredientCatalog.get(duplicateId));
+    if (missing.length > 0) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Ingredients not found: ${missing.join(', ')}`
+      });
+    }
+
+    const duplicates = duplicateIds.map(duplicateId => ingredientCatalog.get(duplicateId));
+    const rematched = await recipeReferences(duplicateIds);
+    const merged = ingredientCatalog.merged(id, duplicateIds);
+    const ingredient = merged && await ingredientRepository.update(merged);
+    if (!ingredient) {
+      return ingredientNotFound(res, id);
+    }
+    for (const duplicateId of duplicateIds) {
+      await ingredientRepository.delete(duplicateId);
+    }
+    rescoreRecipes(`merging ${duplicates.map(duplicate => duplicate.name).join(', ')} into ingredient ${ingredient.name}`);
+
+    logger.info(`Merged ${duplicates.map(duplicate => duplicate.name).join(', ')} into ingredient ${ingredient.name} (${id})`);
+    res.json({
+      ingredient,
+      merged: duplicates.map(duplicate => ({ id: duplicate.id, name: duplicate.name })),
+      rematchedRecipes: rematched
+    });
+  } catch (error) {
+    logger.error('Error merging ingredients:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to merge ingredients'
+    });
+  }
+});
+
+// DELETE /api/ingredients/:id - Remove an ingredient; recipes using it need `force=true`
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const ingredient = ingredientCatalog.get(id);
+    if (!ingredient) {
+      return ingredientNotFound(res, id);
+    }
+
+    const references = await recipeReferences([id]);
+    if (references.length > 0 && req.query.force !== 'true') {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `${ingredient.name} is used by ${references.length} recipe ingredient(s); merge it into another ingredient or pass force=true`,
+        recipes: references
+      });
+    }
+
+    await ingredientRepository.delete(id);
+    rescoreRecipes(`deleting ingredient ${ingredient.name}`);
+
+    logger.info(`Deleted ingredient: ${ingredient.name} (${id})${references.length > 0 ? `, unmatched in ${references.length} recipe ingredient(s)` : ''}`);
+    res.status(204).send();
+  } catch (error) {
+    logger.error('Error deleting ingredient:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to delete ingredient'
+    });
+  }
+});
+
 // POST /api/ingredients/:id/nutrition - Calculate nutrition for amount
 router.post('/:id/nutrition', (req, res) => {
   try {
@@ -317,7 +371,14 @@ router.post('/:id/nutrition', (req, res) => {
       });
     }
 
-    const ingredient = ingredients.get(id);
+    if (!isKnownUnit(unit)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `Unknown unit: ${unit}`
+      });
+    }
+
+    const ingredient = ingredientCatalog.get(id);
     if (!ingredient) {
       return res.status(404).json({
         error: 'Not Found',
@@ -335,6 +396,7 @@ router.post('/:id/nutrition', (req, res) => {
       },
       amount,
       unit,
+      grams: ingredient.convertToGrams(amount, unit),
       nutrition,
       environmentalImpact
     });
@@ -347,13 +409,35 @@ router.post('/:id/nutrition', (req, res) => {
   }
 });
 
-// GET /api/ingredients/:id/substitutes - Get ingredient substitutes
-router.get('/:id/substitutes', (req, res) => {
+// POST /api/ingredients/:id/convert - Convert an amount to another unit or measurement system
+router.post('/:id/convert', (req, res) => {
   try {
     const { id } = req.params;
-    const { allergenFree } = req.query;
+    const { amount, unit, to, system } = req.body;
+
+    if (!amount || !unit || (!to && !system)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Amount, unit and either a target unit or measurement system are required'
+      });
+    }
+
+    const unknownUnit = [unit, to].find(value => value && !isKnownUnit(value));
+    if (unknownUnit) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `Unknown unit: ${unknownUnit}`
+      });
+    }
 
-    const ingredient = ingredients.get(id);
+    if (system && !['metric', 'us', 'imperial'].includes(system)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'System must be one of metric, us, imperial'
+      });
+    }
+
+    const ingredient = ingredientCatalog.get(id);
     if (!ingredient) {
       return res.status(404).json({
         error: 'Not Found',
@@ -361,21 +445,92 @@ router.get('/:id/substitutes', (req, res) => {
       });
     }
 
-    const criteria = {};
-    if (allergenFree) {
-      criteria.allergenFree = allergenFree.split(',');
-    }
-
-    const substitutes = ingredient.findSubstitutes(criteria);
+    const converted = to
+      ? { amount: ingredient.convert(amount, unit, to), unit: to }
+      : toSystem(amount, unit, system, ingredient);
 
     res.json({
       ingredient: {
         id: ingredient.id,
-        name: ingredient.name
+        name: ingredient.name,
+        density: ingredient.density,
+        pieceWeights: ingredient.pieceWeights
+      },
+      from: { amount, unit },
+      to: {
+        amount: Math.round(converted.amount * 100) / 100,
+        unit: converted.unit
       },
-      substitutes,
-      criteria
+      grams: Math.round(ingredient.convertToGrams(amount, unit) * 10) / 10
     });
+  } catch (error) {
+    logger.error('Error converting ingredient units:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to convert units'
+    });
+  }
+});
+
+// GET /api/ingredients/:id/substitutes - Rank substitutes for a recipe step, the user's restrictions and stock
+router.get('/:id/substitutes', validateQueryParams(substituteQuerySchema), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const {
+      recipeId, step, context, amount, unit, userId, allergenFree, restrictions, householdId, includeHarvests, horizonDays
+    } = req.query;
+
+    const ingredient = ingredientCatalog.get(id);
+    if (!ingredient) {
+      return ingredientNotFound(res, id);
+    }
+
+    let recipe = null;
+    if (recipeId) {
+      recipe = await recipeRepository.findById(recipeId);
+      if (!recipe) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `Recipe with id ${recipeId} not found`
+        });
+      }
+      if (step && step > recipe.instructions.length) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: `Recipe ${recipe.name} has ${recipe.instructions.length} steps`
+        });
+      }
+    }
+
+    let profile = null;
+    if (userId) {
+      profile = distributionService.getConsumptionProfile(userId);
+      if (!profile) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `Consumption profile for user ${userId} not found`
+        });
+      }
+    }
+
+    const split = (list) => (list ? list.split(',').map(item => item.trim()).filter(Boolean) : []);
+    const profilePreferences = (profile && profile.preferences) || {};
+    const preferences = {
+      allergies: [...(profilePreferences.allergies || []), ...split(allergenFree)],
+      dietaryRestrictions: [...(profilePreferences.dietaryRestrictions || []), ...split(restrictions)],
+      dislikes: profilePreferences.dislikes || []
+    };
+
+    // Stock comes from the household pantry and harvests that are nearly ready
+    const household = householdId || (profile && (profile.householdId || userId)) || null;
+    const harvests = includeHarvests
+      ? inventoryMatcher.harvestInventory([...growingModules.values()], { horizonDays })
+      : [];
+    const supplies = inventoryMatcher.supplies(harvests, household ? pantryService.supplies(household) : [], new Date());
+
+    const ranking = substitutionEngine.rank(ingredient, { recipe, step, context, amount, unit, preferences, supplies });
+
+    res.json({ ...ranking, householdId: household });
   } catch (error) {
     logger.error('Error finding substitutes:', error);
     res.status(500).json({
@@ -388,7 +543,7 @@ router.get('/:id/substitutes', (req, res) => {
 // GET /api/ingredients/categories - Get all ingredient categories
 router.get('/meta/categories', (req, res) => {
   try {
-    const categories = [...new Set(Array.from(ingredients.values()).map(i => i.category))];
+    const categories = [...new Set(ingredientCatalog.getAll().map(i => i.category))];
     res.json({ categories });
   } catch (error) {
     logger.error('Error retrieving categories:', error);
@@ -413,7 +568,7 @@ router.get('/search/advanced', (req, res) => {
       automationFriendly
     } = req.query;
 
-    let results = Array.from(ingredients.values());
+    let results = ingredientCatalog.getAll();
 
     // Text search
     if (query) {
@@ -492,7 +647,4 @@ router.get('/search/advanced', (req, res) => {
   }
 });
 
-// Initialize sample data
-initializeSampleIngredients();
-
 module.exports = router;
@@ -0,0 +1,84 @@
+const express = require('express');
+const router = express.Router();
+const { validateKitchen } = require('../middleware/validation');
+const { HardwareError } = require('../utils/errors');
+const { kitchenRegistry } = require('../services');
+const logger = require('../utils/logger');
+
+// GET /api/kitchens - List registered kitchens
+router.get('/', (req, res) => {
+  try {
+    const kitchens = kitchenRegistry.listKitchens().map(kitchen => ({
+      id: kitchen.id,
+      name: kitchen.name,
+      status: kitchen.status,
+      devices: kitchen.devices.length,
+      available: kitchen.devices.filter(device => device.available).length,
+      registeredAt: kitchen.registeredAt
+    }));
+
+    res.json({
+      kitchens,
+      total: kitchens.length
+    });
+  } catch (error) {
+    logger.error('Error retrieving kitchens:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve kitchens'
+    });
+  }
+});
+
+// POST /api/kitchens - Connect a kitchen's devices and register it
+router.post('/', validateKitchen, async (req, res) => {
+  try {
+    if (req.body.id && kitchenRegistry.isIdInUse(req.body.id)) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `A kitchen or hardware module with id ${req.body.id} already exists`
+      });
+    }
+
+    const kitchen = await kitchenRegistry.registerKitchen(req.body);
+
+    logger.info(`Registered kitchen ${kitchen.name} (${kitchen.id}) with ${kitchen.devices.length} devices`);
+    res.status(201).json(kitchen);
+  } catch (error) {
+    if (error instanceof HardwareError) {
+      return res.status(503).json({
+        error: 'Hardware Error',
+        message: error.message
+      });
+    }
+
+    logger.error('Error registering kitchen:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to register kitchen'
+    });
+  }
+});
+
+// GET /api/kitchens/:id - Get a kitchen and its device capabilities
+router.get('/:id', (req, res) => {
+  try {
+    const kitchen = kitchenRegistry.getKitchen(req.params.id);
+    if (!kitchen) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Kitchen with id ${req.params.id} not found`
+      });
+    }
+
+    res.json(kitchen);
+  } catch (error) {
+    logger.error('Error retrieving kitchen:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve kitchen'
+    });
+  }
+});
+
+module.exports = router;
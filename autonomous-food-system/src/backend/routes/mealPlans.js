@@ -0,0 +1,281 @@
+const express = require('express');
+const router = express.Router();
+const { validateMealPlan } = require('../middleware/validation');
+const { MealPlanError } = require('../utils/errors');
+const { recipeRepository } = require('../repositories');
+const { mealPlanner, distributionService } = require('../services');
+const logger = require('../utils/logger');
+
+const planNotFound = (res, id) => res.status(404).json({
+  error: 'Not Found',
+  message: `Meal plan with ID ${id} not found`
+});
+
+const mealNotFound = (res, plan, mealId) => res.status(404).json({
+  error: 'Not Found',
+  message: `Meal ${mealId} not found in plan ${plan.id}`
+});
+
+const hasMeal = (plan, mealId) => plan.days.some(day => day.meals.some(meal => meal.id === mealId));
+
+const conflict = (res, error) => res.status(409).json({
+  error: 'Meal Plan Error',
+  message: error.message,
+  details: error.details
+});
+
+// GET /api/meal-plans - List meal plans, optionally for one user
+router.get('/', (req, res) => {
+  try {
+    const plans = mealPlanner.getPlans(req.query.userId).map(plan => ({
+      id: plan.id,
+      userId: plan.userId,
+      startDate: plan.startDate,
+      endDate: plan.endDate,
+      servings: plan.servings,
+      meals: plan.days.reduce((count, day) => count + day.meals.length, 0),
+      locked: plan.days.reduce((count, day) => count + day.meals.filter(meal => meal.locked).length, 0),
+      updatedAt: plan.updatedAt
+    }));
+
+    res.json({
+      plans,
+      total: plans.length
+    });
+  } catch (error) {
+    logger.error('Error retrieving meal plans:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve meal plans'
+    });
+  }
+});
+
+// POST /api/meal-plans - Generate a meal plan from a user's consumption profile
+router.post('/', validateMealPlan, async (req, res) => {
+  try {
+    const { userId, ...options } = req.body;
+
+    if (!distributionService.getConsumptionProfile(userId)) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Consumption profile for user ${userId} not found`
+      });
+    }
+
+    const plan = await mealPlanner.generatePlan(userId, options);
+
+    logger.info(`Generated meal plan ${plan.id} for user ${userId} (${plan.days.length} days)`);
+    res.status(201).json(plan);
+  } catch (error) {
+    if (error instanceof MealPlanError) {
+      return conflict(res, error);
+    }
+
+    logger.error('Error generating meal plan:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to generate meal plan'
+    });
+  }
+});
+
+// GET /api/meal-plans/:id - Get a meal plan
+router.get('/:id', (req, res) => {
+  try {
+    const plan = mealPlanner.getPlan(req.params.id);
+    if (!plan) {
+      return planNotFound(res, req.params.id);
+    }
+
+    res.json(plan);
+  } catch (error) {
+    logger.error('Error retrieving meal plan:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve meal plan'
+    });
+  }
+});
+
+// DELETE /api/meal-plans/:id - Delete a meal plan
+router.delete('/:id', (req, res) => {
+  try {
+    if (!mealPlanner.deletePlan(req.params.id)) {
+      return planNotFound(res, req.params.id);
+    }
+
+    logger.info(`Deleted meal plan ${req.params.id}`);
+    res.status(204).send();
+  } catch (error) {
+    logger.error('Error deleting meal plan:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to delete meal plan'
+    });
+  }
+});
+
+// POST /api/meal-plans/:id/regenerate - Re-pick every meal that is not locked
+router.post('/:id/regenerate', async (req, res) => {
+  try {
+    if (!mealPlanner.getPlan(req.params.id)) {
+      return planNotFound(res, req.params.id);
+    }
+
+    const plan = await mealPlanner.regeneratePlan(req.params.id);
+
+    logger.info(`Regenerated meal plan ${plan.id}`);
+    res.json(plan);
+  } catch (error) {
+    if (error instanceof MealPlanError) {
+      return conflict(res, error);
+    }
+
+    logger.error('Error regenerating meal plan:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to regenerate meal plan'
+    });
+  }
+});
+
+// PUT /api/meal-plans/:id/meals/:mealId/lock - Lock or unlock a meal
+router.put('/:id/meals/:mealId/lock', (req, res) => {
+  try {
+    const { id, mealId } = req.params;
+    const { locked = true } = req.body;
+
+    const plan = mealPlanner.getPlan(id);
+    if (!plan) {
+      return planNotFound(res, id);
+    }
+    if (!hasMeal(plan, mealId)) {
+      return mealNotFound(res, plan, mealId);
+    }
+
+    const meal = mealPlanner.setLocked(id, mealId, locked !== false);
+
+    res.json(meal);
+  } catch (error) {
+    if (error instanceof MealPlanError) {
+      return conflict(res, error);
+    }
+
+    logger.error('Error locking meal:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update meal lock'
+    });
+  }
+});
+
+// POST /api/meal-plans/:id/meals/:mealId/swap - Swap a meal for a chosen or the next best recipe
+router.post('/:id/meals/:mealId/swap', async (req, res) => {
+  try {
+    const { id, mealId } = req.params;
+    const { recipeId } = req.body;
+
+    const plan = mealPlanner.getPlan(id);
+    if (!plan) {
+      return planNotFound(res, id);
+    }
+    if (!hasMeal(plan, mealId)) {
+      return mealNotFound(res, plan, mealId);
+    }
+    if (recipeId && !(await recipeRepository.findById(recipeId))) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Recipe with ID ${recipeId} not found`
+      });
+    }
+
+    const meal = await mealPlanner.swapMeal(id, mealId, recipeId);
+
+    logger.info(`Swapped meal ${mealId} in plan ${id} to ${meal.recipeName}`);
+    res.json({
+      meal,
+      plan
+    });
+  } catch (error) {
+    if (error instanceof MealPlanError) {
+      return conflict(res, error);
+    }
+
+    logger.error('Error swapping meal:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to swap meal'
+    });
+  }
+});
+
+// GET /api/meal-plans/:id/demand - Aggregated ingredient demand of a plan
+router.get('/:id/demand', async (req, res) => {
+  try {
+    if (!mealPlanner.getPlan(req.params.id)) {
+      return planNotFound(res, req.params.id);
+    }
+
+    const demand = await mealPlanner.calculateDemand(req.params.id);
+
+    res.json(demand);
+  } catch (error) {
+    logger.error('Error calculating meal plan demand:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to calculate meal plan demand'
+    });
+  }
+});
+
+// POST /api/meal-plans/:id/distribute - Feed a plan's demand into distribution and harvest scheduling
+router.post('/:id/distribute', async (req, res) => {
+  try {
+    const plan = mealPlanner.getPlan(req.params.id);
+    if (!plan) {
+      return planNotFound(res, req.params.id);
+    }
+    if (!distributionService.getConsumptionProfile(plan.userId)) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Consumption profile for user ${plan.userId} not found`
+      });
+    }
+
+    const demand = await mealPlanner.calculateDemand(plan.id);
+    distributionService.setPlannedDemand(plan.userId, demand.daily);
+
+    const harvestRequests = demand.harvestRequests.map(request => distributionService.scheduleHarvestForDistribution(
+      plan.userId,
+      request.ingredient,
+      new Date(request.requiredDate),
+      request.amount
+    ));
+
+    const schedule = distributionService.generateDistributionSchedule(plan.userId, plan.days.length);
+
+    logger.info(`Distributed meal plan ${plan.id}: ${demand.ingredients.length} ingredients, ${harvestRequests.length} harvest requests`);
+    res.json({
+      planId: plan.id,
+      demand,
+      harvestRequests,
+      schedule: {
+        ...schedule,
+        dailyDistributions: schedule.dailyDistributions.map(distribution => ({
+          ...distribution,
+          ingredients: Object.fromEntries(distribution.ingredients)
+        })),
+        totalIngredients: Object.fromEntries(schedule.totalIngredients)
+      }
+    });
+  } catch (error) {
+    logger.error('Error distributing meal plan:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to distribute meal plan'
+    });
+  }
+});
+
+module.exports = router;
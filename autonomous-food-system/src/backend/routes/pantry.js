@@ -0,0 +1,166 @@
+const express = require('express');
+const router = express.Router();
+const { validatePantryLot, validatePantryLotUpdate, validatePantryConsume } = require('../middleware/validation');
+const PantryService = require('../services/PantryService');
+const { pantryService, inventoryMatcher } = require('../services');
+const { recipeRepository } = require('../repositories');
+const logger = require('../utils/logger');
+
+const lotNotFound = (res, householdId, lotId) => res.status(404).json({
+  error: 'Not Found',
+  message: `Lot ${lotId} not found in the pantry of household ${householdId}`
+});
+
+// GET /api/pantry/:householdId - List a household's lots, soonest to expire first
+router.get('/:householdId', (req, res) => {
+  try {
+    const { householdId } = req.params;
+    const lots = pantryService.getLots(householdId);
+
+    res.json({
+      householdId,
+      lots,
+      summary: {
+        lots: lots.length,
+        fresh: lots.filter(lot => lot.status === 'fresh').length,
+        useSoon: lots.filter(lot => lot.status === 'use_soon').length,
+        expired: lots.filter(lot => lot.status === 'expired').length
+      }
+    });
+  } catch (error) {
+    logger.error('Error retrieving pantry:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve pantry'
+    });
+  }
+});
+
+// POST /api/pantry/:householdId/lots - Add a lot to the pantry
+router.post('/:householdId/lots', validatePantryLot, (req, res) => {
+  try {
+    const { householdId } = req.params;
+    const lot = pantryService.addLot(householdId, req.body);
+
+    logger.info(`Added ${lot.quantity} ${lot.unit} ${lot.ingredient} to the pantry of household ${householdId}`);
+    res.status(201).json(lot);
+  } catch (error) {
+    logger.error('Error adding pantry lot:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to add pantry lot'
+    });
+  }
+});
+
+// PUT /api/pantry/:householdId/lots/:lotId - Correct a lot's quantity, expiry or storage
+router.put('/:householdId/lots/:lotId', validatePantryLotUpdate, (req, res) => {
+  try {
+    const { householdId, lotId } = req.params;
+    const lot = pantryService.updateLot(householdId, lotId, req.body);
+    if (!lot) {
+      return lotNotFound(res, householdId, lotId);
+    }
+
+    res.json(lot);
+  } catch (error) {
+    logger.error('Error updating pantry lot:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update pantry lot'
+    });
+  }
+});
+
+// DELETE /api/pantry/:householdId/lots/:lotId - Remove a lot
+router.delete('/:householdId/lots/:lotId', (req, res) => {
+  try {
+    const { householdId, lotId } = req.params;
+    if (!pantryService.removeLot(householdId, lotId)) {
+      return lotNotFound(res, householdId, lotId);
+    }
+
+    logger.info(`Removed lot ${lotId} from the pantry of household ${householdId}`);
+    res.status(204).send();
+  } catch (error) {
+    logger.error('Error removing pantry lot:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to remove pantry lot'
+    });
+  }
+});
+
+// POST /api/pantry/:householdId/consume - Take ingredients used outside a cooking session
+router.post('/:householdId/consume', validatePantryConsume, (req, res) => {
+  try {
+    const { householdId } = req.params;
+    const items = pantryService.consume(householdId, req.body.items);
+
+    res.json({
+      householdId,
+      items,
+      consumedAt: new Date()
+    });
+  } catch (error) {
+    logger.error('Error consuming pantry stock:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to consume pantry stock'
+    });
+  }
+});
+
+// GET /api/pantry/:householdId/use-soon - Lots nearing expiry and recipes that use them
+router.get('/:householdId/use-soon', async (req, res) => {
+  try {
+    const { householdId } = req.params;
+    const days = req.query.days !== undefined ? Number(req.query.days) : PantryService.USE_SOON_DAYS;
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : 5;
+
+    if (!Number.isInteger(days) || days < 0 || !Number.isInteger(limit) || limit < 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'days and limit must be non-negative integers'
+      });
+    }
+
+    const items = pantryService.useSoon(householdId, { days });
+
+    // Recipes cookable from the pantry that use at least one of the items
+    const urgent = (source) => source.source === 'pantry' && source.daysUntilExpiry !== null && source.daysUntilExpiry <= days;
+    const recipes = items.some(item => item.status !== 'expired')
+      ? inventoryMatcher.match(await recipeRepository.findAll(), { pantry: pantryService.supplies(householdId), limit: Infinity })
+        .recipes
+        .filter(match => match.ingredients.some(ingredient => ingredient.sources.some(urgent)))
+        .slice(0, limit)
+        .map(match => ({
+          recipeId: match.recipeId,
+          recipeName: match.recipeName,
+          coverage: match.coverage,
+          canCook: match.canCook,
+          uses: match.ingredients
+            .filter(ingredient => ingredient.sources.some(urgent))
+            .map(ingredient => ingredient.name),
+          missing: match.missing
+        }))
+      : [];
+
+    res.json({
+      householdId,
+      days,
+      items,
+      expired: items.filter(item => item.status === 'expired').length,
+      recipes,
+      generatedAt: new Date()
+    });
+  } catch (error) {
+    logger.error('Error ranking pantry items to use soon:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to rank pantry items to use soon'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,91 +1,234 @@
 const express = require('express');
 const router = express.Router();
 const Recipe = require('../models/Recipe');
-const { validateRecipe, validateRecipeUpdate } = require('../middleware/validation');
+const {
+  validateRecipe, validateRecipeUpdate, validateRecipeFork, validateOptimization, validateSimulation, validatePrepList,
+  validateCookable, validateQueryParams, recipeFilterSchema, variantQuerySchema, feedbackQuerySchema
+} = require('../middleware/validation');
+const RecipeVersioningService = require('../services/RecipeVersioningService');
+const RecipeLineageService = require('../services/RecipeLineageService');
+const NutritionEngine = require('../services/NutritionEngine');
+const NutritionOptimizer = require('../services/NutritionOptimizer');
+const RecipeSearchIndex = require('../services/RecipeSearchIndex');
+const RecipeSimulator = require('../services/RecipeSimulator');
+const RecipeLinter = require('../services/RecipeLinter');
+const PrepListBuilder = require('../services/PrepListBuilder');
+const { recipeRepository } = require('../repositories');
+const {
+  ingredientCatalog, recipeSearchIndex, complianceChecker, distributionService, feedbackService, kitchenRegistry,
+  hardwareService, growingModules, sustainabilityEngine, inventoryMatcher, pantryService
+} = require('../services');
+const { RecipeVersionConflictError } = require('../utils/errors');
+const { importRecipe } = require('../utils/recipeImport');
+const { EXPORT_FORMATS, exportRecipe, toJsonLd } = require('../utils/recipeExport');
+const { compileProgram, validateProgram, listProgram } = require('../utils/automationProgram');
+const { registryKitchen } = require('../utils/equipmentMatching');
 const logger = require('../utils/logger');
 
-// In-memory storage for now (will be replaced with database)
-const recipes = new Map();
+const versioningService = new RecipeVersioningService(recipeRepository);
+const lineageService = new RecipeLineageService(recipeRepository);
+const nutritionEngine = new NutritionEngine(ingredientCatalog);
+const nutritionOptimizer = new NutritionOptimizer(ingredientCatalog);
+const recipeSimulator = new RecipeSimulator(hardwareService);
+const recipeLinter = new RecipeLinter(ingredientCatalog);
+const prepListBuilder = new PrepListBuilder(ingredientCatalog);
 
-// GET /api/recipes - List all recipes with filtering and pagination
-router.get('/', async (req, res) => {
+// Raw text/html and application/ld+json bodies for POST /import
+const importBodyParser = [
+  express.text({ type: ['text/*'], limit: '10mb' }),
+  express.json({ type: ['application/ld+json'], limit: '10mb' })
+];
+
+/**
+ * Parse an import payload into req.body so validateRecipe can check it.
+ * Accepts { content, format } JSON, a bare JSON-LD object, or a raw text/html body.
+ */
+const parseImport = (req, res, next) => {
+  const body = req.body;
+  const wrapped = body && typeof body === 'object' && !Array.isArray(body) && body.content !== undefined;
+  const content = wrapped ? body.content : body;
+  const format = (wrapped && body.format) || req.query.format ||
+    (req.is('text/html') ? 'html' : undefined);
+
+  if (content === undefined || content === null || content === '' ||
+    (typeof content === 'object' && Object.keys(content).length === 0)) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Import content is required'
+    });
+  }
+
+  const { format: detectedFormat, recipe, warnings } = importRecipe(content, { format });
+  req.recipeImport = { format: detectedFormat, warnings };
+  req.body = recipe;
+  next();
+};
+
+/**
+ * 409 for a change made from a version another request has already replaced
+ */
+const versionConflict = (res, error) => res.status(409).json({
+  error: 'Conflict',
+  message: error.message,
+  details: error.details
+});
+
+/**
+ * Build a new Recipe with derived fields (total time, nutrition, automation)
+ */
+const buildNewRecipe = (data) => {
+  const recipe = new Recipe(data);
+
+  const validation = recipe.validate();
+  if (!validation.isValid) {
+    return { recipe, validation };
+  }
+
+  // Derive total time from the step schedule unless given explicitly
+  if (data.totalTime === undefined) {
+    recipe.totalTime = recipe.calculateTotalTime();
+  }
+
+  // Compute nutrition and footprint from the ingredient database
+  nutritionEngine.applyTo(recipe);
+  sustainabilityEngine.applyTo(recipe);
+
+  // Assess automation potential
+  recipe.assessAutomation();
+
+  return { recipe, validation };
+};
+
+// GET /api/recipes - List recipes; `search` ranks matches by relevance, `compliantFor`
+// keeps recipes a user's profile allows, `maxCarbon`/`maxWater` cap the footprint
+// per serving. Includes facet counts.
+router.get('/', validateQueryParams(recipeFilterSchema), async (req, res) => {
   try {
     const {
-      page = 1,
-      limit = 20,
+      page,
+      limit,
       category,
       cuisine,
       difficulty,
       maxTime,
+      time,
+      maxCarbon,
+      maxWater,
       search,
-      sortBy = 'name',
-      sortOrder = 'asc'
+      compliantFor,
+      sortBy,
+      sortOrder
     } = req.query;
 
-    let recipeList = Array.from(recipes.values());
-
-    // Apply filters
-    if (category) {
-      recipeList = recipeList.filter(recipe => recipe.category === category);
-    }
-    
-    if (cuisine) {
-      recipeList = recipeList.filter(recipe => recipe.cuisine === cuisine);
-    }
-    
-    if (difficulty) {
-      recipeList = recipeList.filter(recipe => recipe.difficulty === difficulty);
-    }
-    
-    if (maxTime) {
-      recipeList = recipeList.filter(recipe => recipe.totalTime <= parseInt(maxTime));
-    }
-    
-    if (search) {
-      const searchLower = search.toLowerCase();
-      recipeList = recipeList.filter(recipe => 
-        recipe.name.toLowerCase().includes(searchLower) ||
-        recipe.description.toLowerCase().includes(searchLower) ||
-        recipe.tags.some(tag => tag.toLowerCase().includes(searchLower))
-      );
-    }
-
-    // Apply sorting
-    recipeList.sort((a, b) => {
-      let aValue = a[sortBy];
-      let bValue = b[sortBy];
-      
-      if (typeof aValue === 'string') {
-        aValue = aValue.toLowerCase();
-        bValue = bValue.toLowerCase();
+    const timeBucket = time ? RecipeSearchIndex.TIME_BUCKETS.find(bucket => bucket.value === time) : null;
+    if (time && !timeBucket) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Unknown time bucket: ${time}`,
+        buckets: RecipeSearchIndex.TIME_BUCKETS.map(bucket => bucket.value)
+      });
+    }
+
+    const facetFilters = { category, cuisine, difficulty, maxTime, time, maxCarbon, maxWater };
+
+    let paginatedRecipes;
+    let total;
+    let facets;
+    let searchInfo;
+    let include;
+    let complianceInfo;
+
+    if (compliantFor) {
+      const profile = distributionService.getConsumptionProfile(compliantFor);
+      if (!profile) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `Consumption profile for user ${compliantFor} not found`
+        });
       }
-      
-      if (sortOrder === 'desc') {
-        return bValue > aValue ? 1 : -1;
+
+      const catalog = await recipeRepository.findAll();
+      const compliantIds = new Set(catalog
+        .filter(recipe => complianceChecker.isCompliant(recipe, profile.preferences))
+        .map(recipe => recipe.id));
+
+      include = id => compliantIds.has(id);
+      complianceInfo = { userId: compliantFor, excluded: catalog.length - compliantIds.size };
+    }
+
+    const ranked = Boolean(search && search.trim());
+
+    if (ranked || include) {
+      // Ranked search over the inverted index; sorted by relevance unless asked otherwise
+      const result = await recipeSearchIndex.search(ranked ? search : '', {
+        filters: facetFilters,
+        sortBy: sortBy || (ranked ? 'relevance' : 'name'),
+        sortOrder: sortOrder || (ranked && !sortBy ? 'desc' : 'asc'),
+        include
+      });
+      const pageResults = result.results.slice((page - 1) * limit, page * limit);
+      const recipes = await Promise.all(pageResults.map(({ id }) => recipeRepository.findById(id)));
+
+      paginatedRecipes = recipes.filter(Boolean);
+      total = result.total;
+      facets = result.facets;
+      if (ranked) {
+        searchInfo = {
+          query: search,
+          terms: result.terms,
+          corrections: result.corrections,
+          scores: pageResults.reduce((scores, { id, score }) => ({ ...scores, [id]: score }), {})
+        };
       }
-      return aValue > bValue ? 1 : -1;
-    });
+    } else {
+      const bucketMax = timeBucket && timeBucket.maxTime !== Infinity ? timeBucket.maxTime : undefined;
+      const listMaxTime = [maxTime, bucketMax]
+        .filter(value => value !== undefined && value !== '')
+        .reduce((lowest, value) => (lowest === undefined ? Number(value) : Math.min(lowest, Number(value))), undefined);
 
-    // Apply pagination
-    const startIndex = (page - 1) * limit;
-    const endIndex = startIndex + parseInt(limit);
-    const paginatedRecipes = recipeList.slice(startIndex, endIndex);
+      const listed = await recipeRepository.list({
+        filters: {
+          category,
+          cuisine,
+          difficulty,
+          minTime: timeBucket ? timeBucket.minTime : undefined,
+          maxTime: listMaxTime,
+          maxCarbon,
+          maxWater
+        },
+        sortBy: sortBy && sortBy !== 'relevance' ? sortBy : 'name',
+        sortOrder: sortOrder || 'asc',
+        page,
+        limit
+      });
+
+      paginatedRecipes = listed.recipes;
+      total = listed.total;
+      ({ facets } = await recipeSearchIndex.search('', { filters: facetFilters }));
+    }
 
     res.json({
       recipes: paginatedRecipes,
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: recipeList.length,
-        pages: Math.ceil(recipeList.length / limit)
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
       },
       filters: {
         category,
         cuisine,
         difficulty,
         maxTime,
-        search
-      }
+        time,
+        maxCarbon,
+        maxWater,
+        search,
+        compliantFor
+      },
+      facets,
+      ...(searchInfo && { search: searchInfo }),
+      ...(complianceInfo && { compliance: complianceInfo })
     });
 
     logger.info(`Retrieved ${paginatedRecipes.length} recipes (page ${page})`);
@@ -98,11 +241,47 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /api/recipes/export - Bulk export of the catalog as NDJSON (one recipe per line)
+router.get('/export', async (req, res) => {
+  try {
+    const { format = 'json', category, cuisine, difficulty } = req.query;
+
+    if (!['json', 'jsonld'].includes(format)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Unsupported bulk export format: ${format}`,
+        formats: ['json', 'jsonld']
+      });
+    }
+
+    const recipes = await recipeRepository.findAll({ category, cuisine, difficulty });
+
+    res.set('Content-Type', 'application/x-ndjson; charset=utf-8');
+    res.set('Content-Disposition', 'attachment; filename="recipes.ndjson"');
+    recipes.forEach(recipe => {
+      res.write(`${JSON.stringify(format === 'jsonld' ? toJsonLd(recipe) : recipe)}\n`);
+    });
+    res.end();
+
+    logger.info(`Exported ${recipes.length} recipes as ${format} NDJSON`);
+  } catch (error) {
+    logger.error('Error exporting recipes:', error);
+    // Part of the stream is already sent; cut it off so the client sees it is incomplete
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to export recipes'
+    });
+  }
+});
+
 // GET /api/recipes/:id - Get specific recipe
 router.get('/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const recipe = recipes.get(id);
+    const recipe = await recipeRepository.findById(id);
 
     if (!recipe) {
       return res.status(404).json({
@@ -125,10 +304,8 @@ router.get('/:id', async (req, res) => {
 // POST /api/recipes - Create new recipe
 router.post('/', validateRecipe, async (req, res) => {
   try {
-    const recipe = new Recipe(req.body);
-    
-    // Validate recipe
-    const validation = recipe.validate();
+    const { recipe, validation } = buildNewRecipe(req.body);
+
     if (!validation.isValid) {
       return res.status(400).json({
         error: 'Validation Error',
@@ -137,14 +314,11 @@ router.post('/', validateRecipe, async (req, res) => {
       });
     }
 
-    // Assess automation potential
-    recipe.assessAutomation();
-
-    // Store recipe
-    recipes.set(recipe.id, recipe);
+    // Store recipe with its initial revision
+    const { recipe: storedRecipe } = await versioningService.createRecipe(recipe);
 
-    logger.info(`Created new recipe: ${recipe.name} (${recipe.id})`);
-    res.status(201).json(recipe);
+    logger.info(`Created new recipe: ${storedRecipe.name} (${storedRecipe.id})`);
+    res.status(201).json({ ...storedRecipe.toJSON(), warnings: recipeLinter.lint(storedRecipe).findings });
   } catch (error) {
     logger.error('Error creating recipe:', error);
     res.status(500).json({
@@ -154,11 +328,112 @@ router.post('/', validateRecipe, async (req, res) => {
   }
 });
 
+// POST /api/recipes/import - Import a recipe from JSON-LD, HTML or plain text
+router.post('/import', importBodyParser, parseImport, validateRecipe, async (req, res) => {
+  try {
+    const { recipe, validation } = buildNewRecipe(req.body);
+
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Recipe validation failed',
+        details: validation.errors
+      });
+    }
+
+    const report = {
+      format: req.recipeImport.format,
+      warnings: req.recipeImport.warnings,
+      nutritionCoverage: recipe.nutritionAnalysis ? recipe.nutritionAnalysis.coverage : 0,
+      lint: recipeLinter.lint(recipe).findings
+    };
+
+    // Dry runs return the parsed recipe without storing it
+    if (req.query.dryRun === 'true') {
+      return res.json({ recipe, import: report });
+    }
+
+    const { recipe: storedRecipe } = await versioningService.createRecipe(recipe);
+
+    logger.info(`Imported recipe: ${storedRecipe.name} (${storedRecipe.id}) from ${report.format}`);
+    res.status(201).json({ recipe: storedRecipe, import: report });
+  } catch (error) {
+    logger.error('Error importing recipe:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to import recipe'
+    });
+  }
+});
+
+// POST /api/recipes/cookable - Rank recipes by how much of them harvests and a pantry cover
+router.post('/cookable', validateCookable, async (req, res) => {
+  try {
+    const { householdId, includeHarvests, horizonDays, servings, category, minCoverage, limit } = req.body;
+    const pantry = householdId ? [...req.body.pantry, ...pantryService.supplies(householdId)] : req.body.pantry;
+
+    const harvests = includeHarvests
+      ? inventoryMatcher.harvestInventory([...growingModules.values()], { horizonDays })
+      : [];
+
+    const recipes = (await recipeRepository.findAll({ category }))
+      .map(recipe => (servings && servings !== recipe.servings ? recipe.previewScale(servings).recipe : recipe));
+
+    const { recipes: matches, total } = inventoryMatcher.match(recipes, { harvests, pantry, minCoverage, limit });
+
+    res.json({
+      recipes: matches,
+      total,
+      inventory: {
+        harvests,
+        pantryItems: pantry.length
+      },
+      generatedAt: new Date()
+    });
+  } catch (error) {
+    logger.error('Error matching recipes against inventory:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to match recipes against inventory'
+    });
+  }
+});
+
+// POST /api/recipes/prep-list - Combined mise en place for several recipes
+router.post('/prep-list', validatePrepList, async (req, res) => {
+  try {
+    const entries = await Promise.all(req.body.recipes.map(async ({ recipeId, servings }) => ({
+      recipeId,
+      recipe: await recipeRepository.findById(recipeId),
+      servings
+    })));
+
+    const missing = entries.filter(entry => !entry.recipe).map(entry => entry.recipeId);
+    if (missing.length > 0) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Recipes not found: ${missing.join(', ')}`
+      });
+    }
+
+    const prepList = prepListBuilder.build(entries, { system: req.body.system });
+
+    logger.info(`Built prep list for ${entries.length} recipes: ${prepList.prepTasks.length} prep tasks, ${prepList.totalTime} min`);
+    res.json(prepList);
+  } catch (error) {
+    logger.error('Error building prep list:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to build prep list'
+    });
+  }
+});
+
 // PUT /api/recipes/:id - Update recipe
 router.put('/:id', validateRecipeUpdate, async (req, res) => {
   try {
     const { id } = req.params;
-    const existingRecipe = recipes.get(id);
+    const existingRecipe = await recipeRepository.findById(id);
 
     if (!existingRecipe) {
       return res.status(404).json({
@@ -181,15 +456,29 @@ router.put('/:id', validateRecipeUpdate, async (req, res) => {
       });
     }
 
-    // Reassess automation potential
+    if (req.body.totalTime === undefined) {
+      updatedRecipe.totalTime = updatedRecipe.calculateTotalTime();
+    }
+
+    // Recompute nutrition and footprint, and reassess automation potential
+    nutritionEngine.applyTo(updatedRecipe);
+    sustainabilityEngine.applyTo(updatedRecipe);
     updatedRecipe.assessAutomation();
 
-    // Store updated recipe
-    recipes.set(id, updatedRecipe);
+    // Store updated recipe as a new revision
+    const { recipe: storedRecipe } = await versioningService.commitChange(
+      existingRecipe,
+      updatedRecipe,
+      'update'
+    );
 
-    logger.info(`Updated recipe: ${updatedRecipe.name} (${id})`);
-    res.json(updatedRecipe);
+    logger.info(`Updated recipe: ${storedRecipe.name} (${id}) -> v${storedRecipe.version}`);
+    res.json({ ...storedRecipe.toJSON(), warnings: recipeLinter.lint(storedRecipe).findings });
   } catch (error) {
+    if (error instanceof RecipeVersionConflictError) {
+      return versionConflict(res, error);
+    }
+
     logger.error('Error updating recipe:', error);
     res.status(500).json({
       error: 'Internal Server Error',
@@ -202,7 +491,7 @@ router.put('/:id', validateRecipeUpdate, async (req, res) => {
 router.delete('/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const recipe = recipes.get(id);
+    const recipe = await recipeRepository.findById(id);
 
     if (!recipe) {
       return res.status(404).json({
@@ -211,7 +500,7 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
-    recipes.delete(id);
+    await recipeRepository.delete(id);
 
     logger.info(`Deleted recipe: ${recipe.name} (${id})`);
     res.status(204).send();
@@ -224,7 +513,7 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
-// POST /api/recipes/:id/scale - Scale recipe servings
+// POST /api/recipes/:id/scale - Preview the recipe scaled to a number of servings
 router.post('/:id/scale', async (req, res) => {
   try {
     const { id } = req.params;
@@ -237,7 +526,7 @@ router.post('/:id/scale', async (req, res) => {
       });
     }
 
-    const recipe = recipes.get(id);
+    const recipe = await recipeRepository.findById(id);
     if (!recipe) {
       return res.status(404).json({
         error: 'Not Found',
@@ -245,12 +534,16 @@ router.post('/:id/scale', async (req, res) => {
       });
     }
 
-    // Create a copy and scale it
-    const scaledRecipe = new Recipe(recipe);
-    scaledRecipe.scaleServings(servings);
+    // Scale a copy; the stored recipe is not modified
+    const preview = recipe.previewScale(servings);
+    nutritionEngine.applyTo(preview.recipe);
+    sustainabilityEngine.applyTo(preview.recipe);
 
-    logger.info(`Scaled recipe ${recipe.name} to ${servings} servings`);
-    res.json(scaledRecipe);
+    logger.info(`Previewed recipe ${recipe.name} scaled to ${servings} servings`);
+    res.json({
+      recipeId: id,
+      ...preview
+    });
   } catch (error) {
     logger.error('Error scaling recipe:', error);
     res.status(500).json({
@@ -260,13 +553,64 @@ router.post('/:id/scale', async (req, res) => {
   }
 });
 
+// GET /api/recipes/:id/export - Export a recipe as JSON-LD, Markdown, plain text or an HTML card
+router.get('/:id/export', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { format = 'jsonld' } = req.query;
+
+    if (!Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Unsupported export format: ${format}`,
+        formats: Object.keys(EXPORT_FORMATS)
+      });
+    }
+
+    const servings = req.query.servings !== undefined ? Number(req.query.servings) : undefined;
+    if (servings !== undefined && !(Number.isInteger(servings) && servings > 0)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Servings must be a positive integer'
+      });
+    }
+
+    const recipe = await recipeRepository.findById(id);
+    if (!recipe) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Recipe with id ${id} not found`
+      });
+    }
+
+    // Quantities are scaled on a copy; the stored recipe is not modified
+    let exported = recipe;
+    if (servings !== undefined && servings !== recipe.servings) {
+      exported = recipe.previewScale(servings).recipe;
+      nutritionEngine.applyTo(exported);
+      sustainabilityEngine.applyTo(exported);
+    }
+
+    const body = exportRecipe(exported, format, { scaledFrom: recipe.servings });
+
+    logger.info(`Exported recipe ${recipe.name} as ${format}`);
+    res.type(EXPORT_FORMATS[format].contentType).send(body);
+  } catch (error) {
+    logger.error('Error exporting recipe:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to export recipe'
+    });
+  }
+});
+
 // POST /api/recipes/:id/optimize - Optimize recipe
-router.post('/:id/optimize', async (req, res) => {
+router.post('/:id/optimize', validateOptimization, async (req, res) => {
   try {
     const { id } = req.params;
     const criteria = req.body;
 
-    const recipe = recipes.get(id);
+    const recipe = await recipeRepository.findById(id);
     if (!recipe) {
       return res.status(404).json({
         error: 'Not Found',
@@ -274,15 +618,35 @@ router.post('/:id/optimize', async (req, res) => {
       });
     }
 
-    const optimization = recipe.optimize(criteria);
-    recipes.set(id, recipe); // Save optimized recipe
+    const previous = await recipeRepository.findById(id);
+    const optimization = recipe.optimize(criteria, { nutritionOptimizer, feedbackService, sustainabilityEngine });
+    if (optimization.applied.length > 0) {
+      nutritionEngine.applyTo(recipe);
+      sustainabilityEngine.applyTo(recipe);
+    }
 
-    logger.info(`Optimized recipe: ${recipe.name}`);
-    res.json({
+    // Save optimized recipe as a new revision
+    const { recipe: storedRecipe, revision } = await versioningService.commitChange(
+      previous,
       recipe,
-      optimization
+      'optimize'
+    );
+
+    logger.info(`Optimized recipe: ${storedRecipe.name} -> v${storedRecipe.version}`);
+    res.json({
+      recipe: storedRecipe,
+      optimization,
+      revision: {
+        version: revision.version,
+        previousVersion: revision.previousVersion,
+        bump: revision.bump
+      }
     });
   } catch (error) {
+    if (error instanceof RecipeVersionConflictError) {
+      return versionConflict(res, error);
+    }
+
     logger.error('Error optimizing recipe:', error);
     res.status(500).json({
       error: 'Internal Server Error',
@@ -291,11 +655,305 @@ router.post('/:id/optimize', async (req, res) => {
   }
 });
 
-// GET /api/recipes/:id/automation - Get automation assessment
+// GET /api/recipes/:id/feedback - Ratings, outcome issues and reviews from cooking sessions
+router.get('/:id/feedback', validateQueryParams(feedbackQuerySchema), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { limit } = req.query;
+    const recipe = await recipeRepository.findById(id);
+
+    if (!recipe) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Recipe with id ${id} not found`
+      });
+    }
+
+    res.json({
+      ...feedbackService.summarize(recipe),
+      timesCooked: recipe.analytics.timesCooked || 0,
+      feedback: feedbackService.getFeedback(id, { limit })
+    });
+  } catch (error) {
+    logger.error('Error retrieving recipe feedback:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve recipe feedback'
+    });
+  }
+});
+
+// POST /api/recipes/:id/fork - Create a variant that records its parent
+router.post('/:id/fork', validateRecipeFork, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const parent = await recipeRepository.findById(id);
+
+    if (!parent) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Recipe with id ${id} not found`
+      });
+    }
+
+    const changes = req.body.changes || {};
+    const forked = parent.fork(req.body);
+
+    // Re-derive total time when the steps change, unless the fork sets it
+    const { recipe, validation } = buildNewRecipe({
+      ...forked,
+      totalTime: changes.instructions && changes.totalTime === undefined ? undefined : forked.totalTime
+    });
+
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Recipe validation failed',
+        details: validation.errors
+      });
+    }
+
+    const { recipe: storedRecipe } = await versioningService.createRecipe(recipe, {
+      reason: 'forked',
+      summary: [`Forked from ${parent.name} v${parent.version}`]
+    });
+
+    logger.info(`Forked recipe ${parent.id} into ${storedRecipe.name} (${storedRecipe.id})`);
+    res.status(201).json(storedRecipe);
+  } catch (error) {
+    logger.error('Error forking recipe:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fork recipe'
+    });
+  }
+});
+
+// GET /api/recipes/:id/lineage - Ancestors and the fork tree a recipe belongs to
+router.get('/:id/lineage', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const lineage = await lineageService.getLineage(id);
+
+    if (!lineage) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Recipe with id ${id} not found`
+      });
+    }
+
+    res.json(lineage);
+  } catch (error) {
+    logger.error('Error retrieving recipe lineage:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve recipe lineage'
+    });
+  }
+});
+
+// GET /api/recipes/:id/variants - Compare a recipe with its variants (?descendants=true, ?ids=a,b)
+router.get('/:id/variants', validateQueryParams(variantQuerySchema), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { ids, descendants } = req.query;
+
+    const comparison = await lineageService.compareVariants(id, {
+      variantIds: ids ? ids.split(',').map(value => value.trim()).filter(Boolean) : undefined,
+      descendants
+    });
+
+    if (!comparison) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Recipe with id ${id} not found`
+      });
+    }
+
+    res.json(comparison);
+  } catch (error) {
+    logger.error('Error comparing recipe variants:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to compare recipe variants'
+    });
+  }
+});
+
+// GET /api/recipes/:id/versions - List revision history
+router.get('/:id/versions', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const recipe = await recipeRepository.findById(id);
+
+    if (!recipe) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Recipe with id ${id} not found`
+      });
+    }
+
+    const versions = await versioningService.listVersions(id);
+
+    res.json({
+      recipeId: id,
+      currentVersion: recipe.version,
+      versions,
+      total: versions.length
+    });
+  } catch (error) {
+    logger.error('Error retrieving recipe versions:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve recipe versions'
+    });
+  }
+});
+
+// GET /api/recipes/:id/versions/diff - Compare two revisions
+router.get('/:id/versions/diff', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { from, to } = req.query;
+
+    if (!from) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'The "from" version is required'
+      });
+    }
+
+    const diff = await versioningService.diffVersions(id, from, to);
+    if (!diff) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Recipe ${id} or one of the requested versions was not found`
+      });
+    }
+
+    res.json(diff);
+  } catch (error) {
+    logger.error('Error comparing recipe versions:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to compare recipe versions'
+    });
+  }
+});
+
+// GET /api/recipes/:id/versions/:version - Get a stored revision
+router.get('/:id/versions/:version', async (req, res) => {
+  try {
+    const { id, version } = req.params;
+    const revision = await versioningService.getVersion(id, version);
+
+    if (!revision) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Version ${version} of recipe ${id} not found`
+      });
+    }
+
+    res.json(revision);
+  } catch (error) {
+    logger.error('Error retrieving recipe version:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to retrieve recipe version'
+    });
+  }
+});
+
+// POST /api/recipes/:id/rollback/:version - Restore an earlier revision as a new version
+router.post('/:id/rollback/:version', async (req, res) => {
+  try {
+    const { id, version } = req.params;
+    const recipe = await recipeRepository.findById(id);
+
+    if (!recipe) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Recipe with id ${id} not found`
+      });
+    }
+
+    if (recipe.version === version) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `Recipe ${id} is already at version ${version}`
+      });
+    }
+
+    const result = await versioningService.rollback(id, version);
+    if (!result) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Version ${version} of recipe ${id} not found`
+      });
+    }
+
+    logger.info(`Rolled back recipe ${result.recipe.name} to v${version} as v${result.recipe.version}`);
+    res.json({
+      recipe: result.recipe,
+      revision: result.revision
+    });
+  } catch (error) {
+    if (error instanceof RecipeVersionConflictError) {
+      return versionConflict(res, error);
+    }
+
+    logger.error('Error rolling back recipe:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to roll back recipe'
+    });
+  }
+});
+
+// GET /api/recipes/:id/schedule - Critical path and parallel step schedule
+router.get('/:id/schedule', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const recipe = await recipeRepository.findById(id);
+
+    if (!recipe) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Recipe with id ${id} not found`
+      });
+    }
+
+    // Kitchen capacity overrides, e.g. ?burner=2&hands=2
+    const capacity = {};
+    Object.entries(req.query).forEach(([resource, value]) => {
+      const units = parseInt(value);
+      if (units > 0) {
+        capacity[resource] = units;
+      }
+    });
+
+    const schedule = recipe.buildSchedule({ capacity });
+
+    res.json({
+      recipeId: id,
+      ...schedule
+    });
+  } catch (error) {
+    logger.error('Error scheduling recipe steps:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to schedule recipe steps'
+    });
+  }
+});
+
+// GET /api/recipes/:id/automation - Get automation assessment; `kitchenId` checks
+// each step against that kitchen's connected devices
 router.get('/:id/automation', async (req, res) => {
   try {
     const { id } = req.params;
-    const recipe = recipes.get(id);
+    const { kitchenId } = req.query;
+    const recipe = await recipeRepository.findById(id);
 
     if (!recipe) {
       return res.status(404).json({
@@ -304,8 +962,24 @@ router.get('/:id/automation', async (req, res) => {
       });
     }
 
+    if (kitchenId) {
+      const kitchen = kitchenRegistry.getKitchen(kitchenId);
+      if (!kitchen) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `Kitchen with id ${kitchenId} not found`
+        });
+      }
+
+      // Kitchen-specific feasibility is reported, not stored on the recipe
+      return res.json({
+        ...recipe.assessAutomation(kitchen),
+        kitchenName: kitchen.name
+      });
+    }
+
     const automation = recipe.assessAutomation();
-    recipes.set(id, recipe); // Save updated automation data
+    await recipeRepository.update(recipe); // Save updated automation data
 
     logger.info(`Assessed automation for recipe: ${recipe.name}`);
     res.json(automation);
@@ -318,8 +992,196 @@ router.get('/:id/automation', async (req, res) => {
   }
 });
 
-// Initialize with sample recipes
-const initializeSampleRecipes = () => {
+// GET /api/recipes/:id/program - Compile the recipe into an automation program for a kitchen
+router.get('/:id/program', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { kitchenId, automationLevel = 'semi_automated', format = 'json' } = req.query;
+
+    if (!kitchenId) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'kitchenId query parameter is required'
+      });
+    }
+
+    if (!['json', 'text'].includes(format)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Unsupported program format: ${format}`,
+        formats: ['json', 'text']
+      });
+    }
+
+    const servings = req.query.servings !== undefined ? Number(req.query.servings) : undefined;
+    if (servings !== undefined && !(Number.isInteger(servings) && servings > 0)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Servings must be a positive integer'
+      });
+    }
+
+    const recipe = await recipeRepository.findById(id);
+    if (!recipe) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Recipe with id ${id} not found`
+      });
+    }
+
+    const kitchen = kitchenRegistry.getKitchen(kitchenId);
+    if (!kitchen) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Kitchen with id ${kitchenId} not found`
+      });
+    }
+
+    const compiled = servings !== undefined && servings !== recipe.servings ? recipe.previewScale(servings).recipe : recipe;
+    const program = compileProgram(compiled, kitchen, { confirmEachStep: automationLevel === 'assisted' });
+    const listing = listProgram(program);
+
+    if (format === 'text') {
+      return res.type('text/plain').send(listing);
+    }
+
+    res.json({
+      program,
+      validation: validateProgram(program, kitchen),
+      listing
+    });
+  } catch (error) {
+    logger.error('Error compiling automation program:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to compile automation program'
+    });
+  }
+});
+
+// POST /api/recipes/:id/simulate - Dry-run the recipe's automation program on simulated hardware
+router.post('/:id/simulate', validateSimulation, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { kitchenId, servings, ...options } = req.body;
+
+    const recipe = await recipeRepository.findById(id);
+    if (!recipe) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Recipe with id ${id} not found`
+      });
+    }
+
+    let kitchen = registryKitchen();
+    if (kitchenId) {
+      kitchen = kitchenRegistry.getKitchen(kitchenId);
+      if (!kitchen) {
+        return res.status(404).json({
+          error: 'Not Found',
+          message: `Kitchen with id ${kitchenId} not found`
+        });
+      }
+    }
+
+    const simulated = servings !== undefined && servings !== recipe.servings ? recipe.previewScale(servings).recipe : recipe;
+    const simulation = recipeSimulator.simulate(simulated, kitchen, options);
+
+    logger.info(`Simulated ${recipe.name} in ${kitchen.name}: ${simulation.duration} min, ${simulation.violations.length} violation(s)`);
+    res.json(simulation);
+  } catch (error) {
+    logger.error('Error simulating recipe:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to simulate recipe'
+    });
+  }
+});
+
+// GET /api/recipes/:id/compliance - Check a recipe against a user's allergies and dietary restrictions
+router.get('/:id/compliance', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { userId } = req.query;
+
+    if (!userId) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'userId query parameter is required'
+      });
+    }
+
+    const profile = distributionService.getConsumptionProfile(userId);
+    if (!profile) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Consumption profile for user ${userId} not found`
+      });
+    }
+
+    const recipe = await recipeRepository.findById(id);
+    if (!recipe) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Recipe with id ${id} not found`
+      });
+    }
+
+    const report = complianceChecker.check(recipe, profile.preferences);
+
+    res.json({
+      userId,
+      ...report,
+      checkedAt: new Date()
+    });
+  } catch (error) {
+    logger.error('Error checking recipe compliance:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to check recipe compliance'
+    });
+  }
+});
+
+// GET /api/recipes/:id/lint - Inconsistent or unsafe instructions, by severity
+router.get('/:id/lint', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const recipe = await recipeRepository.findById(id);
+
+    if (!recipe) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: `Recipe with id ${id} not found`
+      });
+    }
+
+    const { findings, summary } = recipeLinter.lint(recipe);
+
+    res.json({
+      recipeId: recipe.id,
+      recipeName: recipe.name,
+      version: recipe.version,
+      findings,
+      summary,
+      clean: findings.length === 0,
+      lintedAt: new Date()
+    });
+  } catch (error) {
+    logger.error('Error linting recipe:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to lint recipe'
+    });
+  }
+});
+
+// Initialize with sample recipes (only when the catalog is empty)
+const initializeSampleRecipes = async () => {
+  if (await recipeRepository.count() > 0) {
+    return;
+  }
+
   const sampleRecipes = [
     {
       name: "Automated Pasta Carbonara",
@@ -340,24 +1202,29 @@ const initializeSampleRecipes = () => {
       instructions: [
         { step: "Boil water for pasta", timing: 5, temperature: 100, action: "boil" },
         { step: "Cook spaghetti until al dente", timing: 8, action: "cook" },
-        { step: "Fry pancetta until crispy", timing: 5, temperature: 180, action: "fry" },
-        { step: "Mix eggs and cheese", timing: 2, action: "mix" },
-        { step: "Combine all ingredients", timing: 2, action: "combine" }
+        { step: "Fry pancetta until crispy", timing: 5, temperature: 180, action: "fry", dependsOn: [] },
+        { step: "Mix eggs and cheese", timing: 2, action: "mix", dependsOn: [] },
+        { step: "Combine all ingredients", timing: 2, action: "combine", dependsOn: [2, 3, 4] }
       ],
       equipment: ["large_pot", "frying_pan", "mixing_bowl"],
       tags: ["quick", "italian", "automated", "comfort_food"]
     }
   ];
 
-  sampleRecipes.forEach(recipeData => {
+  for (const recipeData of sampleRecipes) {
     const recipe = new Recipe(recipeData);
+    recipe.totalTime = recipe.calculateTotalTime();
+    nutritionEngine.applyTo(recipe);
+    sustainabilityEngine.applyTo(recipe);
     recipe.assessAutomation();
-    recipes.set(recipe.id, recipe);
+    await versioningService.createRecipe(recipe);
     logger.info(`Initialized sample recipe: ${recipe.name}`);
-  });
+  }
 };
 
 // Initialize sample data
-initializeSampleRecipes();
+initializeSampleRecipes().catch(error => {
+  logger.error('Error initializing sample recipes:', error);
+});
 
 module.exports = router;
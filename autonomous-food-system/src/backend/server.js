@@ -6,8 +6,10 @@ const path = require('path');
 require('dotenv').config();
 
 const logger = require('./utils/logger');
+const { connectDatabase, disconnectDatabase } = require('./utils/database');
 const { errorHandler } = require('./middleware/errorHandler');
 const { rateLimiter } = require('./middleware/rateLimiter');
+const { kitchenRegistry, loadIngredientCatalog } = require('./services');
 
 // Import routes
 const recipeRoutes = require('./routes/recipes');
@@ -16,6 +18,9 @@ const cookingRoutes = require('./routes/cooking');
 const analyticsRoutes = require('./routes/analytics');
 const growingRoutes = require('./routes/growing');
 const distributionRoutes = require('./routes/distribution');
+const mealPlanRoutes = require('./routes/mealPlans');
+const kitchenRoutes = require('./routes/kitchens');
+const pantryRoutes = require('./routes/pantry');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -57,6 +62,9 @@ app.use('/api/cooking', cookingRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/growing', growingRoutes);
 app.use('/api/distribution', distributionRoutes);
+app.use('/api/meal-plans', mealPlanRoutes);
+app.use('/api/kitchens', kitchenRoutes);
+app.use('/api/pantry', pantryRoutes);
 
 // API documentation endpoint
 app.get('/api', (req, res) => {
@@ -70,7 +78,10 @@ app.get('/api', (req, res) => {
       cooking: '/api/cooking',
       analytics: '/api/analytics',
       growing: '/api/growing',
-      distribution: '/api/distribution'
+      distribution: '/api/distribution',
+      mealPlans: '/api/meal-plans',
+      kitchens: '/api/kitchens',
+      pantry: '/api/pantry'
     },
     documentation: '/api/docs'
   });
@@ -97,23 +108,34 @@ app.use('*', (req, res) => {
   });
 });
 
-// Graceful shutdown
+// Graceful shutdown; kitchens are disconnected so their sensor polling stops
+const shutdown = () => Promise.all([kitchenRegistry.shutdown(), disconnectDatabase()])
+  .finally(() => process.exit(0));
+
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
-  process.exit(0);
+  shutdown();
 });
 
 process.on('SIGINT', () => {
   logger.info('SIGINT received, shutting down gracefully');
-  process.exit(0);
+  shutdown();
 });
 
-// Start server
-app.listen(PORT, () => {
-  logger.info(`TruMate Automation Server running on port ${PORT}`);
-  logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  logger.info(`Health check: http://localhost:${PORT}/health`);
-  logger.info(`API documentation: http://localhost:${PORT}/api`);
-});
+// Start server once storage is ready and the ingredient catalog is loaded from it
+connectDatabase()
+  .then(() => loadIngredientCatalog())
+  .then(() => {
+    app.listen(PORT, () => {
+      logger.info(`TruMate Automation Server running on port ${PORT}`);
+      logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
+      logger.info(`Health check: http://localhost:${PORT}/health`);
+      logger.info(`API documentation: http://localhost:${PORT}/api`);
+    });
+  })
+  .catch(error => {
+    logger.error('Failed to prepare storage:', error);
+    process.exit(1);
+  });
 
 module.exports = app;
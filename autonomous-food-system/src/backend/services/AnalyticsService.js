@@ -0,0 +1,214 @@
+/**
+ * Analytics Service - Data collection, processing and reporting
+ * Keeps in-memory usage, feedback, system and automation metrics. Cooking
+ * sessions and the analytics routes share the same static store.
+ */
+
+const logger = require('../utils/logger');
+
+// In-memory analytics storage
+const analyticsData = {
+  recipeUsage: new Map(),
+  cookingSessions: new Map(),
+  systemMetrics: new Map(),
+  userBehavior: new Map(),
+  automationMetrics: new Map()
+};
+
+class AnalyticsService {
+  static recipeUsageEntry(recipeId, recipeName) {
+    return analyticsData.recipeUsage.get(recipeId) || {
+      recipeId,
+      recipeName,
+      totalUses: 0,
+      totalCookingTime: 0,
+      averageRating: 0,
+      ratingCount: 0,
+      successRate: 0,
+      completedSessions: 0,
+      abortedSessions: 0,
+      lastUsed: null,
+      popularTimes: {},
+      commonModifications: {},
+      qualityMetrics: {},
+      feedback: {
+        count: 0,
+        successRate: 0,
+        issues: {}
+      }
+    };
+  }
+
+  static recordRecipeUsage(recipeId, recipeName, sessionData) {
+    const key = recipeId;
+    const existing = AnalyticsService.recipeUsageEntry(recipeId, recipeName);
+
+    existing.totalUses++;
+    existing.lastUsed = new Date();
+    
+    if (sessionData.status === 'completed') {
+      existing.completedSessions++;
+      existing.totalCookingTime += sessionData.duration || 0;
+    } else if (sessionData.status === 'aborted') {
+      existing.abortedSessions++;
+    }
+
+    existing.successRate = existing.completedSessions / existing.totalUses;
+
+    // Track popular cooking times
+    const hour = new Date().getHours();
+    existing.popularTimes[hour] = (existing.popularTimes[hour] || 0) + 1;
+
+    analyticsData.recipeUsage.set(key, existing);
+    
+    logger.info(`Recorded recipe usage: ${recipeName} (${recipeId})`);
+  }
+
+  /**
+   * Fold one piece of cooking feedback into the recipe's usage entry
+   */
+  static recordRecipeFeedback(recipeId, recipeName, feedback) {
+    const existing = AnalyticsService.recipeUsageEntry(recipeId, recipeName);
+    const { feedback: reported } = existing;
+
+    if (feedback.rating) {
+      existing.averageRating =
+        (existing.averageRating * existing.ratingCount + feedback.rating) / (existing.ratingCount + 1);
+      existing.ratingCount++;
+    }
+
+    reported.successRate = (reported.successRate * reported.count + (feedback.success ? 1 : 0)) / (reported.count + 1);
+    reported.count++;
+    feedback.issues.forEach(issue => {
+      reported.issues[issue] = (reported.issues[issue] || 0) + 1;
+    });
+
+    analyticsData.recipeUsage.set(recipeId, existing);
+
+    logger.info(`Recorded recipe feedback: ${recipeName} (${recipeId})`);
+  }
+
+  static recordSystemMetric(metric, value, metadata = {}) {
+    const timestamp = new Date();
+    const key = `${metric}_${timestamp.toISOString().split('T')[0]}`;
+    
+    const existing = analyticsData.systemMetrics.get(key) || {
+      metric,
+      date: timestamp.toISOString().split('T')[0],
+      values: [],
+      min: Infinity,
+      max: -Infinity,
+      average: 0,
+      count: 0
+    };
+
+    existing.values.push({ value, timestamp, metadata });
+    existing.count++;
+    existing.min = Math.min(existing.min, value);
+    existing.max = Math.max(existing.max, value);
+    existing.average = existing.values.reduce((sum, v) => sum + v.value, 0) / existing.count;
+
+    analyticsData.systemMetrics.set(key, existing);
+  }
+
+  static recordAutomationMetric(recipeId, automationLevel, sensorData, success) {
+    const key = `${recipeId}_${automationLevel}`;
+    const existing = analyticsData.automationMetrics.get(key) || {
+      recipeId,
+      automationLevel,
+      totalAttempts: 0,
+      successfulAttempts: 0,
+      successRate: 0,
+      averageSensorReadings: 0,
+      commonIssues: {},
+      performanceMetrics: {
+        accuracy: 0,
+        efficiency: 0,
+        reliability: 0
+      }
+    };
+
+    existing.totalAttempts++;
+    if (success) {
+      existing.successfulAttempts++;
+    }
+    existing.successRate = existing.successfulAttempts / existing.totalAttempts;
+    
+    if (sensorData && sensorData.length) {
+      existing.averageSensorReadings = 
+        (existing.averageSensorReadings + sensorData.length) / 2;
+    }
+
+    analyticsData.automationMetrics.set(key, existing);
+  }
+
+  static getRecipeAnalytics(recipeId) {
+    return analyticsData.recipeUsage.get(recipeId);
+  }
+
+  static getAllRecipeUsage() {
+    return Array.from(analyticsData.recipeUsage.values());
+  }
+
+  static getSystemMetrics() {
+    return Array.from(analyticsData.systemMetrics.values());
+  }
+
+  static getAutomationMetrics() {
+    return Array.from(analyticsData.automationMetrics.values());
+  }
+
+  static getTopRecipes(limit = 10) {
+    return Array.from(analyticsData.recipeUsage.values())
+      .sort((a, b) => b.totalUses - a.totalUses)
+      .slice(0, limit);
+  }
+
+  static getSystemHealth() {
+    const metrics = Array.from(analyticsData.systemMetrics.values());
+    const recent = metrics.filter(m => {
+      const metricDate = new Date(m.date);
+      const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
+      return metricDate >= dayAgo;
+    });
+
+    return {
+      totalMetrics: metrics.length,
+      recentMetrics: recent.length,
+      systemStatus: recent.length > 0 ? 'active' : 'inactive',
+      lastUpdate: recent.length > 0 ? 
+        Math.max(...recent.map(m => new Date(m.date))) : null
+    };
+  }
+
+  static getAutomationInsights() {
+    const automationData = Array.from(analyticsData.automationMetrics.values());
+    
+    const byLevel = automationData.reduce((acc, data) => {
+      if (!acc[data.automationLevel]) {
+        acc[data.automationLevel] = {
+          totalAttempts: 0,
+          successfulAttempts: 0,
+          recipes: 0
+        };
+      }
+      acc[data.automationLevel].totalAttempts += data.totalAttempts;
+      acc[data.automationLevel].successfulAttempts += data.successfulAttempts;
+      acc[data.automationLevel].recipes++;
+      return acc;
+    }, {});
+
+    Object.keys(byLevel).forEach(level => {
+      const data = byLevel[level];
+      data.successRate = data.successfulAttempts / data.totalAttempts;
+    });
+
+    return {
+      byAutomationLevel: byLevel,
+      totalRecipesWithAutomation: automationData.length,
+      overallSuccessRate: automationData.reduce((sum, d) => sum + d.successRate, 0) / automationData.length
+    };
+  }
+}
+
+module.exports = AnalyticsService;
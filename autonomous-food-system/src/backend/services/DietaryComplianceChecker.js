@@ -0,0 +1,286 @@
+/**
+ * Dietary Compliance Checker - Recipes checked against a profile's allergies,
+ * dietary restrictions and dislikes
+ * Resolves every ingredient through the ingredient catalog (falling back to its
+ * name), reports violations such as "contains gluten via soy sauce" and suggests
+ * compliant substitutes from the catalog's substitutes data.
+ */
+
+const IngredientCatalog = require('./IngredientCatalog');
+
+// Canonical allergens: catalog allergen labels that imply them, and name
+// fragments used for ingredients the catalog does not know
+const ALLERGENS = {
+  gluten: {
+    allergens: ['gluten', 'wheat', 'barley', 'rye'],
+    terms: ['wheat', 'flour', 'barley', 'rye', 'spelt', 'semolina', 'pasta', 'spaghetti', 'bread', 'couscous']
+  },
+  wheat: {
+    allergens: ['wheat'],
+    terms: ['wheat', 'flour', 'semolina', 'pasta', 'spaghetti', 'bread', 'couscous']
+  },
+  dairy: {
+    allergens: ['dairy', 'milk', 'lactose'],
+    terms: ['milk', 'cheese', 'butter', 'cream', 'yogurt', 'ghee', 'parmesan', 'pecorino', 'mozzarella']
+  },
+  eggs: {
+    allergens: ['eggs', 'egg'],
+    terms: ['egg']
+  },
+  soy: {
+    allergens: ['soy', 'soya'],
+    terms: ['soy', 'tofu', 'tamari', 'edamame', 'miso', 'tempeh']
+  },
+  peanuts: {
+    allergens: ['peanuts', 'peanut'],
+    terms: ['peanut']
+  },
+  tree_nuts: {
+    allergens: ['tree_nuts', 'nuts'],
+    terms: ['almond', 'walnut', 'cashew', 'pecan', 'hazelnut', 'pistachio', 'macadamia']
+  },
+  fish: {
+    allergens: ['fish'],
+    terms: ['fish', 'salmon', 'tuna', 'cod', 'anchovy', 'trout', 'sardine']
+  },
+  shellfish: {
+    allergens: ['shellfish', 'crustaceans'],
+    terms: ['shrimp', 'prawn', 'crab', 'lobster', 'mussel', 'clam', 'oyster', 'scallop']
+  },
+  sesame: {
+    allergens: ['sesame'],
+    terms: ['sesame', 'tahini']
+  }
+};
+
+// What users write in `allergies` -> canonical allergen
+const ALLERGEN_ALIASES = {
+  milk: 'dairy',
+  lactose: 'dairy',
+  egg: 'eggs',
+  soya: 'soy',
+  peanut: 'peanuts',
+  nut: 'tree_nuts',
+  nuts: 'tree_nuts',
+  crustaceans: 'shellfish'
+};
+
+// Animal products a restriction rules out, and allergen-free restrictions
+const RESTRICTIONS = {
+  vegetarian: { animalProducts: ['meat', 'fish'] },
+  pescatarian: { animalProducts: ['meat'] },
+  vegan: { animalProducts: ['meat', 'fish', 'dairy', 'eggs', 'honey'] },
+  gluten_free: { allergens: ['gluten'] },
+  dairy_free: { allergens: ['dairy'] },
+  egg_free: { allergens: ['eggs'] },
+  soy_free: { allergens: ['soy'] },
+  nut_free: { allergens: ['peanuts', 'tree_nuts'] }
+};
+
+const MEAT_TERMS = [
+  'chicken', 'turkey', 'beef', 'pork', 'lamb', 'veal', 'bacon', 'pancetta', 'ham', 'sausage',
+  'prosciutto', 'chorizo', 'duck', 'gelatin'
+];
+
+const normalizeTerm = (value) => String(value || '').toLowerCase().trim().replace(/[\s-]+/g, '_');
+
+const containsTerm = (name, terms) => terms.some(term => new RegExp(`\\b${term}`).test(name));
+
+const humanize = (value) => value.replace(/_/g, ' ');
+
+class DietaryComplianceChecker {
+  constructor(catalog) {
+    this.catalog = catalog;
+  }
+
+  /**
+   * Canonical allergens and the restrictions this checker can enforce
+   */
+  static resolvePreferences(preferences = {}) {
+    const allergies = new Set();
+    const allergyTerms = [];
+    const unsupported = [];
+
+    (preferences.allergies || []).forEach(allergy => {
+      const term = normalizeTerm(allergy).replace(/_allerg(y|ies)$/, '');
+      const canonical = ALLERGEN_ALIASES[term] || term;
+      if (ALLERGENS[canonical]) {
+        allergies.add(canonical);
+        return;
+      }
+
+      // No rules for it ("mustard"): ingredients are matched by name instead
+      const name = IngredientCatalog.singularize(IngredientCatalog.normalizeName(term));
+      if (!name) {
+        unsupported.push(allergy);
+      } else if (!allergyTerms.includes(name)) {
+        allergyTerms.push(name);
+      }
+    });
+
+    const restrictions = [];
+    (preferences.dietaryRestrictions || []).forEach(restriction => {
+      const term = normalizeTerm(restriction);
+      if (RESTRICTIONS[term]) {
+        restrictions.push(term);
+      } else {
+        unsupported.push(restriction);
+      }
+    });
+
+    const dislikes = (preferences.dislikes || []).map(name => IngredientCatalog.normalizeName(name)).filter(Boolean);
+
+    return { allergies: [...allergies], allergyTerms, restrictions, dislikes, unsupported };
+  }
+
+  /**
+   * Allergens and animal products of one ingredient line
+   */
+  traits(line) {
+    const record = this.catalog.findByName(line.name);
+    const name = IngredientCatalog.normalizeName(record ? record.name : line.name);
+    const labels = record ? record.allergens.map(normalizeTerm) : [];
+
+    // Catalog allergen lists are authoritative unless empty; names are the fallback
+    const allergens = Object.keys(ALLERGENS).filter(allergen => (labels.length > 0
+      ? ALLERGENS[allergen].allergens.some(label => labels.includes(label))
+      : containsTerm(name, ALLERGENS[allergen].terms)));
+
+    const animalProducts = [];
+    // The catalog files poultry under 'protein', so names are checked as well
+    if ((record && record.category === 'meat') || containsTerm(name, MEAT_TERMS)) animalProducts.push('meat');
+    if ((record && record.category === 'seafood') || allergens.includes('fish') || allergens.includes('shellfish')) {
+      animalProducts.push('fish');
+    }
+    if ((record && record.category === 'dairy') || allergens.includes('dairy')) animalProducts.push('dairy');
+    if (allergens.includes('eggs')) animalProducts.push('eggs');
+    if (containsTerm(name, ['honey'])) animalProducts.push('honey');
+
+    // Everything an allergy without rules is matched against
+    const names = [IngredientCatalog.normalizeName(line.name), name,
+      ...(record ? record.aliases : []).map(alias => IngredientCatalog.normalizeName(alias)),
+      ...labels.map(humanize)];
+
+    return { record, name, names, allergens, animalProducts };
+  }
+
+  /**
+   * Rules an ingredient breaks, as { type, rule, message }
+   */
+  lineViolations(line, resolved) {
+    const { record, name, names, allergens, animalProducts } = this.traits(line);
+    const label = line.name;
+    const violations = [];
+
+    resolved.allergies
+      .filter(allergen => allergens.includes(allergen))
+      .forEach(allergen => violations.push({
+        type: 'allergy',
+        rule: allergen,
+        message: `contains ${humanize(allergen)} via ${label}`
+      }));
+
+    resolved.allergyTerms
+      .filter(term => names.some(candidate => containsTerm(candidate, [term])))
+      .forEach(term => violations.push({
+        type: 'allergy',
+        rule: term,
+        message: `contains ${term} via ${label}`
+      }));
+
+    resolved.restrictions.forEach(restriction => {
+      const { allergens: excludedAllergens = [], animalProducts: excludedProducts = [] } = RESTRICTIONS[restriction];
+
+      excludedAllergens
+        .filter(allergen => allergens.includes(allergen))
+        .forEach(allergen => violations.push({
+          type: 'restriction',
+          rule: restriction,
+          message: `not ${humanize(restriction)}: contains ${humanize(allergen)} via ${label}`
+        }));
+
+      excludedProducts
+        .filter(product => animalProducts.includes(product))
+        .forEach(product => violations.push({
+          type: 'restriction',
+          rule: restriction,
+          message: `not ${humanize(restriction)}: contains ${product} via ${label}`
+        }));
+    });
+
+    const lineName = IngredientCatalog.normalizeName(line.name);
+    if (resolved.dislikes.some(dislike => dislike === lineName || dislike === name)) {
+      violations.push({ type: 'dislike', rule: 'dislike', message: `disliked ingredient: ${label}` });
+    }
+
+    return { record, violations };
+  }
+
+  /**
+   * Catalog substitutes for an ingredient that break none of the profile's rules
+   */
+  compliantSubstitutes(record, resolved) {
+    if (!record) return [];
+
+    return this.catalog.resolveSubstitutes(record)
+      .filter(substitute => this.lineViolations({ name: substitute.name }, resolved).violations.length === 0)
+      .map(substitute => ({ id: substitute.id, name: substitute.name }));
+  }
+
+  /**
+   * Recipe ingredients with the session's substitutions applied
+   */
+  static applySubstitutions(ingredients = [], substitutions = []) {
+    return ingredients.map(line => {
+      const substitution = substitutions.find(candidate =>
+        IngredientCatalog.normalizeName(candidate.original) === IngredientCatalog.normalizeName(line.name));
+      return substitution ? { ...line, name: substitution.substitute } : line;
+    });
+  }
+
+  /**
+   * Compliance report of a recipe for a profile's preferences
+   */
+  check(recipe, preferences = {}, options = {}) {
+    const resolved = DietaryComplianceChecker.resolvePreferences(preferences);
+    const ingredients = DietaryComplianceChecker.applySubstitutions(recipe.ingredients, options.substitutions);
+    const violations = [];
+    const unresolved = [];
+
+    ingredients.forEach(line => {
+      const { record, violations: lineViolations } = this.lineViolations(line, resolved);
+      if (!record) unresolved.push(line.name);
+      if (lineViolations.length === 0) return;
+
+      const substitutes = this.compliantSubstitutes(record, resolved);
+      lineViolations.forEach(violation => violations.push({
+        ingredient: line.name,
+        matchedName: record ? record.name : null,
+        ...violation,
+        substitutes
+      }));
+    });
+
+    return {
+      recipeId: recipe.id,
+      recipeName: recipe.name,
+      compliant: violations.length === 0,
+      violations,
+      // Checked by name only; their allergens may be incomplete
+      unresolved,
+      // Allergies without rules, checked against ingredient names only
+      checkedByName: resolved.allergyTerms,
+      // Restrictions the checker has no rules for
+      unsupported: resolved.unsupported
+    };
+  }
+
+  isCompliant(recipe, preferences = {}) {
+    return this.check(recipe, preferences).compliant;
+  }
+}
+
+DietaryComplianceChecker.ALLERGENS = ALLERGENS;
+DietaryComplianceChecker.RESTRICTIONS = RESTRICTIONS;
+
+module.exports = DietaryComplianceChecker;
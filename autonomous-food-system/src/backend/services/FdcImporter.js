@@ -0,0 +1,247 @@
+/**
+ * FDC Importer - Offline nutrition data from USDA FoodData Central downloads
+ * Reads JSON or CSV downloads from a local data directory, proposes the
+ * catalog ingredient each food describes and applies its nutrition, density
+ * and piece weights. Proposals can be reviewed with a dry run and overridden
+ * with an explicit mapping. Updates are stored through the ingredient
+ * repository, which the catalog follows. Ingredients remember the food they
+ * were imported from, so importing the same files again changes nothing.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const NutritionEngine = require('./NutritionEngine');
+const { NutritionImportError } = require('../utils/errors');
+const { CSV_TABLES, parseFdcJson, parseFdcCsv } = require('../utils/fdcImport');
+
+// When several foods claim one ingredient, the strongest match supplies its data
+const MATCH_RANK = { mapping: 0, linked: 1, name: 2 };
+
+class FdcImporter {
+  constructor(catalog, repository, options = {}) {
+    this.catalog = catalog;
+    this.repository = repository;
+    this.dataDir = path.resolve(options.dataDir);
+  }
+
+  /**
+   * Absolute path of a file or directory inside the data directory
+   */
+  resolve(relativePath) {
+    const target = path.resolve(this.dataDir, relativePath);
+    if (target !== this.dataDir && !target.startsWith(this.dataDir + path.sep)) {
+      throw new NutritionImportError(`${relativePath} is outside the FoodData Central data directory`, { path: relativePath });
+    }
+    return target;
+  }
+
+  /**
+   * Foods from a JSON download, or from every JSON download and CSV table
+   * set (food.csv, nutrient.csv, food_nutrient.csv...) in a directory
+   */
+  async load(relativePath = '.') {
+    const target = this.resolve(relativePath);
+
+    let stats;
+    try {
+      stats = await fs.stat(target);
+    } catch (error) {
+      throw new NutritionImportError(`${relativePath} not found in the FoodData Central data directory`, { path: relativePath });
+    }
+
+    if (stats.isFile()) {
+      if (path.extname(target).toLowerCase() !== '.json') {
+        throw new NutritionImportError('CSV downloads are imported by the directory holding food.csv', { path: relativePath });
+      }
+      return this.loadJson(target, relativePath);
+    }
+
+    const names = (await fs.readdir(target)).sort();
+    const foods = [];
+
+    for (const name of names.filter(file => path.extname(file).toLowerCase() === '.json')) {
+      foods.push(...await this.loadJson(path.join(target, name), path.join(relativePath, name)));
+    }
+
+    if (names.includes('food.csv')) {
+      const tables = {};
+      for (const table of CSV_TABLES.filter(candidate => names.includes(`${candidate}.csv`))) {
+        tables[table] = await fs.readFile(path.join(target, `${table}.csv`), 'utf8');
+      }
+      foods.push(...parseFdcCsv(tables));
+    } else if (foods.length === 0) {
+      throw new NutritionImportError(`No FoodData Central JSON or CSV files in ${relativePath}`, { path: relativePath });
+    }
+
+    // A food present in more than one download is imported once
+    return foods.filter((food, index) => foods.findIndex(other => other.fdcId === food.fdcId) === index);
+  }
+
+  async loadJson(file, label) {
+    try {
+      return parseFdcJson(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error instanceof SyntaxError) {
+        throw new NutritionImportError(`Invalid JSON in ${label}`, { path: label, reason: error.message });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * The ingredient a food describes: the one already imported from it, else
+   * one named by its description ("Cheese, parmesan, hard" -> parmesan cheese,
+   * "Spinach, raw" -> spinach)
+   */
+  suggestIngredient(food) {
+    const linked = this.catalog.getAll().find(ingredient =>
+      ingredient.nutritionSource && ingredient.nutritionSource.fdcId === food.fdcId);
+    if (linked) return { ingredient: linked, match: 'linked' };
+
+    const [head, ...qualifiers] = String(food.description || '').split(',').map(part => part.trim()).filter(Boolean);
+    if (!head) return null;
+
+    const candidates = [...qualifiers.flatMap(qualifier => [`${qualifier} ${head}`, `${head} ${qualifier}`]), head];
+    for (const candidate of candidates) {
+      const ingredient = this.catalog.findByName(candidate);
+      if (ingredient) return { ingredient, match: 'name' };
+    }
+    return null;
+  }
+
+  /**
+   * Fields of an ingredient the food would change, as { field: { from, to } }
+   */
+  diff(ingredient, food) {
+    const changed = (current, imported) => Object.keys(imported)
+      .filter(key => current[key] !== imported[key])
+      .reduce((changes, key) => ({
+        ...changes,
+        [key]: { from: current[key] !== undefined ? current[key] : null, to: imported[key] }
+      }), {});
+
+    const changes = {};
+    const nutrients = changed(ingredient.nutritionPer100g, food.nutritionPer100g);
+    if (Object.keys(nutrients).length > 0) changes.nutritionPer100g = nutrients;
+
+    if (food.density !== null && food.density !== ingredient.density) {
+      changes.density = { from: ingredient.density, to: food.density };
+    }
+
+    const pieceWeights = changed(ingredient.pieceWeights, food.pieceWeights);
+    if (Object.keys(pieceWeights).length > 0) changes.pieceWeights = pieceWeights;
+
+    const source = ingredient.nutritionSource ? ingredient.nutritionSource.fdcId : null;
+    if (source !== food.fdcId) changes.nutritionSource = { from: source, to: food.fdcId };
+
+    return changes;
+  }
+
+  /**
+   * Match foods to ingredients. `mapping` ({ fdcId: ingredientId | null })
+   * overrides the suggestions; null skips a food. An ingredient takes its
+   * data from one food: the strongest match, or none when matches tie.
+   */
+  plan(foods, mapping = {}) {
+    const entries = foods.map(food => {
+      if (Object.prototype.hasOwnProperty.call(mapping, food.fdcId)) {
+        const ingredientId = mapping[food.fdcId];
+        if (ingredientId === null) return { food, match: 'mapping', status: 'skipped' };
+        const ingredient = this.catalog.get(ingredientId);
+        return ingredient ? { food, ingredient, match: 'mapping' } : { food, match: 'mapping', status: 'unmatched' };
+      }
+      const suggestion = this.suggestIngredient(food);
+      return suggestion ? { food, ...suggestion } : { food, match: null, status: 'unmatched' };
+    });
+
+    const claims = new Map(); // ingredientId -> entries
+    entries.filter(entry => entry.ingredient).forEach(entry => {
+      claims.set(entry.ingredient.id, [...(claims.get(entry.ingredient.id) || []), entry]);
+    });
+
+    claims.forEach(claimants => {
+      const best = Math.min(...claimants.map(entry => MATCH_RANK[entry.match]));
+      const winners = claimants.filter(entry => MATCH_RANK[entry.match] === best);
+
+      claimants.forEach(entry => {
+        if (winners.length > 1 || !winners.includes(entry)) {
+          entry.status = 'conflict';
+          entry.conflictsWith = claimants.filter(other => other !== entry).map(other => other.food.fdcId);
+          return;
+        }
+        entry.changes = this.diff(entry.ingredient, entry.food);
+        entry.status = Object.keys(entry.changes).length > 0 ? 'update' : 'unchanged';
+
+        const missing = NutritionEngine.CORE_NUTRIENTS.filter(key => entry.food.nutritionPer100g[key] === undefined);
+        if (missing.length > 0) {
+          entry.warnings = [`No ${missing.join(', ')} in FoodData Central; the catalog values are kept`];
+        }
+      });
+    });
+
+    return entries;
+  }
+
+  /**
+   * Store a plan's updates. Imported nutrients and piece weights replace the
+   * catalog's; ones the food lacks are kept. Resolves with the stored ingredients.
+   */
+  async apply(entries, now = new Date()) {
+    const applied = [];
+
+    for (const { food, ingredient } of entries.filter(entry => entry.status === 'update')) {
+      const updated = this.catalog.withChanges(ingredient.id, {
+        nutritionPer100g: { ...ingredient.nutritionPer100g, ...food.nutritionPer100g },
+        density: food.density !== null ? food.density : ingredient.density,
+        pieceWeights: { ...ingredient.pieceWeights, ...food.pieceWeights },
+        nutritionSource: {
+          provider: 'usda_fdc',
+          fdcId: food.fdcId,
+          description: food.description,
+          dataType: food.dataType,
+          publicationDate: food.publicationDate,
+          importedAt: now
+        }
+      });
+
+      // An ingredient deleted since the plan was made is left out
+      const stored = updated && await this.repository.update(updated);
+      if (stored) {
+        applied.push(stored);
+      }
+    }
+
+    return applied;
+  }
+
+  /**
+   * Plan an import and, unless `dryRun`, apply it
+   */
+  async import(foods, options = {}) {
+    const { mapping = {}, dryRun = false, now = new Date() } = options;
+    const entries = this.plan(foods, mapping);
+    const applied = dryRun ? [] : await this.apply(entries, now);
+
+    const summary = { update: 0, unchanged: 0, conflict: 0, unmatched: 0, skipped: 0 };
+    entries.forEach(entry => { summary[entry.status] += 1; });
+
+    return {
+      foods: foods.length,
+      applied: applied.length,
+      summary,
+      entries: entries.map(({ food, ingredient, ...entry }) => ({
+        fdcId: food.fdcId,
+        description: food.description,
+        dataType: food.dataType,
+        ingredientId: ingredient ? ingredient.id : null,
+        ingredientName: ingredient ? ingredient.name : null,
+        ...entry,
+        ...(food.skipped.length > 0 && { skippedPortions: food.skipped })
+      }))
+    };
+  }
+}
+
+FdcImporter.MATCH_RANK = MATCH_RANK;
+
+module.exports = FdcImporter;
@@ -26,6 +26,8 @@ class HardwareIntegrationService {
         status: 'initializing',
         lastUpdate: new Date()
       };
+      // Registered first so the device initializers below add to this entry
+      this.connectedDevices.set(moduleId, moduleHardware);
 
       // Initialize sensors
       if (hardwareConfig.sensors) {
@@ -49,7 +51,6 @@ class HardwareIntegrationService {
       }
 
       moduleHardware.status = 'active';
-      this.connectedDevices.set(moduleId, moduleHardware);
 
       // Start sensor polling
       this.startSensorPolling(moduleId);
@@ -64,6 +65,7 @@ class HardwareIntegrationService {
         }
       };
     } catch (error) {
+      this.connectedDevices.delete(moduleId);
       throw new Error(`Failed to initialize hardware for module ${moduleId}: ${error.message}`);
     }
   }
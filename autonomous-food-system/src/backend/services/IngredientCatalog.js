@@ -0,0 +1,201 @@
+/**
+ * Ingredient Catalog - Shared lookup of ingredient records
+ * Resolves the free-text ingredient names used in recipes to catalog entries
+ */
+
+const Ingredient = require('../models/Ingredient');
+
+const substituteName = (substitute) => (typeof substitute === 'string' ? substitute : substitute.name);
+
+class IngredientCatalog {
+  constructor(initialIngredients = []) {
+    this.ingredients = new Map();
+    initialIngredients.forEach(data => this.add(data));
+  }
+
+  /**
+   * Normalize a name for matching: "Parmesan_Cheese " -> "parmesan cheese"
+   */
+  static normalizeName(name = '') {
+    return String(name)
+      .toLowerCase()
+      .replace(/[_-]+/g, ' ')
+      .replace(/[^a-z0-9 ]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Singular form used as a fallback key ("tomatoes" -> "tomato")
+   */
+  static singularize(name) {
+    if (name.endsWith('ies')) return name.slice(0, -3) + 'y';
+    if (name.endsWith('oes') || name.endsWith('ches') || name.endsWith('shes')) return name.slice(0, -2);
+    if (name.endsWith('s') && !name.endsWith('ss')) return name.slice(0, -1);
+    return name;
+  }
+
+  add(data) {
+    const ingredient = data instanceof Ingredient ? data : new Ingredient(data);
+    this.ingredients.set(ingredient.id, ingredient);
+    return ingredient;
+  }
+
+  get(id) {
+    return this.ingredients.get(id);
+  }
+
+  /**
+   * Keep the entries in step with the changes stored in an IngredientRepository
+   */
+  follow(repository) {
+    repository.onChange(({ type, ingredient, id }) => {
+      if (type === 'create' || type === 'update') {
+        this.add(ingredient);
+      } else if (type === 'delete') {
+        this.remove(id);
+      } else if (type === 'clear') {
+        this.load([]);
+      }
+    });
+  }
+
+  /**
+   * Replace every entry, e.g. with the ingredients read from storage
+   */
+  load(ingredients) {
+    this.ingredients.clear();
+    ingredients.forEach(data => this.add(data));
+  }
+
+  /**
+   * An entry with `changes` applied, without storing it; null when unknown
+   */
+  withChanges(id, changes) {
+    const existing = this.get(id);
+    if (!existing) return null;
+
+    return new Ingredient({ ...existing, ...changes, id, createdAt: existing.createdAt, updatedAt: new Date() });
+  }
+
+  /**
+   * Replace an entry's fields; returns the updated ingredient or null
+   */
+  update(id, changes) {
+    const ingredient = this.withChanges(id, changes);
+    if (!ingredient) return null;
+
+    this.ingredients.set(id, ingredient);
+    return ingredient;
+  }
+
+  remove(id) {
+    return this.ingredients.delete(id);
+  }
+
+  /**
+   * Entries other than `exceptIds` already known by one of `labels`
+   */
+  findConflicts(labels, exceptIds = []) {
+    const normalized = labels.map(label => IngredientCatalog.normalizeName(label)).filter(Boolean);
+
+    return this.getAll().filter(ingredient =>
+      !exceptIds.includes(ingredient.id) &&
+      [ingredient.name, ...ingredient.aliases].some(label => normalized.includes(IngredientCatalog.normalizeName(label))));
+  }
+
+  /**
+   * Fold duplicate entries into `targetId`. Their names and aliases become
+   * aliases, so recipes naming them resolve to the target. Allergens,
+   * seasons, units and substitutes are combined; nutrients, piece weights and
+   * density the target lacks are taken from the duplicates; the shortest
+   * shelf life wins.
+   */
+  merge(targetId, duplicateIds) {
+    const merged = this.merged(targetId, duplicateIds);
+    if (!merged) return null;
+
+    duplicateIds.forEach(id => this.remove(id));
+    this.ingredients.set(targetId, merged);
+    return merged;
+  }
+
+  /**
+   * The target entry as `merge` would leave it, without changing the catalog
+   */
+  merged(targetId, duplicateIds) {
+    const target = this.get(targetId);
+    const duplicates = duplicateIds.map(id => this.get(id));
+    if (!target || duplicates.some(duplicate => !duplicate)) return null;
+
+    const union = (key) => [...new Set([target, ...duplicates].flatMap(ingredient => ingredient[key] || []))];
+    const targetName = IngredientCatalog.normalizeName(target.name);
+    const mergedNames = duplicates.flatMap(duplicate => [duplicate.name, ...duplicate.aliases]);
+
+    const aliases = [...target.aliases, ...mergedNames].filter((alias, index, all) =>
+      IngredientCatalog.normalizeName(alias) !== targetName &&
+      all.findIndex(other => IngredientCatalog.normalizeName(other) === IngredientCatalog.normalizeName(alias)) === index);
+    const mergedKeys = [target.name, ...mergedNames].map(IngredientCatalog.normalizeName);
+
+    return this.withChanges(targetId, {
+      aliases,
+      allergens: union('allergens'),
+      seasonality: union('seasonality'),
+      commonUnits: union('commonUnits'),
+      substitutes: union('substitutes').filter((substitute, index, all) => {
+        const key = IngredientCatalog.normalizeName(substituteName(substitute));
+        // The target's own edge to a substitute wins over a duplicate's
+        return !mergedKeys.includes(key) &&
+          all.findIndex(other => IngredientCatalog.normalizeName(substituteName(other)) === key) === index;
+      }),
+      nutritionPer100g: Object.assign({}, ...[...duplicates].reverse().map(duplicate => duplicate.nutritionPer100g), target.nutritionPer100g),
+      pieceWeights: Object.assign({}, ...[...duplicates].reverse().map(duplicate => duplicate.pieceWeights), target.pieceWeights),
+      density: target.density || (duplicates.find(duplicate => duplicate.density) || {}).density || null,
+      shelfLife: Math.min(...[target, ...duplicates].map(ingredient => ingredient.shelfLife))
+    });
+  }
+
+  getAll() {
+    return Array.from(this.ingredients.values());
+  }
+
+  get size() {
+    return this.ingredients.size;
+  }
+
+  /**
+   * Find an ingredient by name or alias, tolerating case, underscores and plurals
+   */
+  findByName(name) {
+    const normalized = IngredientCatalog.normalizeName(name);
+    if (!normalized) return null;
+
+    const candidates = [normalized, IngredientCatalog.singularize(normalized)];
+
+    for (const candidate of candidates) {
+      const match = this.getAll().find(ingredient =>
+        [ingredient.name, ...ingredient.aliases].some(label => {
+          const normalizedLabel = IngredientCatalog.normalizeName(label);
+          return normalizedLabel === candidate ||
+            IngredientCatalog.singularize(normalizedLabel) === candidate;
+        })
+      );
+
+      if (match) return match;
+    }
+
+    return null;
+  }
+
+  /**
+   * Catalog entries for an ingredient's substitutes; names not in the catalog are skipped
+   */
+  resolveSubstitutes(ingredient) {
+    return (ingredient.substitutes || [])
+      .map(substitute => this.findByName(substituteName(substitute)))
+      .filter(Boolean)
+      .filter(substitute => substitute.id !== ingredient.id);
+  }
+}
+
+module.exports = IngredientCatalog;
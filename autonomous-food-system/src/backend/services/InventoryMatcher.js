@@ -0,0 +1,238 @@
+/**
+ * Inventory Matcher - "What can I cook" from harvests and the pantry
+ * Lists growing-cycle harvests that are nearly ready with the date they
+ * expire (ready date plus the catalog shelf life), then ranks recipes by how
+ * much of their ingredient list the harvests and a household pantry cover.
+ * Recipes that use produce close to expiry rank higher, so fresh harvests
+ * are cooked first.
+ */
+
+const IngredientCatalog = require('./IngredientCatalog');
+const { isKnownUnit, toGrams } = require('../utils/units');
+
+const DAY = 1000 * 60 * 60 * 24;
+
+// Harvests this many days from ready are listed as inventory
+const DEFAULT_HORIZON_DAYS = 3;
+
+// Shelf life for produce the catalog does not know
+const DEFAULT_SHELF_LIFE = 7;
+
+// Rough yield per plant when a cycle has no harvest estimate
+const YIELD_PER_PLANT = 0.1; // kg
+
+// Score points for coverage, and the most a recipe gains for using produce
+// close to expiry: an item expiring in d days adds URGENCY_WEIGHT / (1 + d)
+const COVERAGE_WEIGHT = 100;
+const URGENCY_WEIGHT = 10;
+const MAX_URGENCY_BONUS = 20;
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+const daysBetween = (from, to) => Math.ceil((to - from) / DAY);
+
+class InventoryMatcher {
+  constructor(catalog) {
+    this.catalog = catalog;
+  }
+
+  ingredientKey(name) {
+    const record = this.catalog.findByName(name);
+    return IngredientCatalog.normalizeName(record ? record.name : name);
+  }
+
+  /**
+   * Growing cycles ready within `horizonDays`, as inventory entries with expiry
+   */
+  harvestInventory(modules, options = {}) {
+    const { horizonDays = DEFAULT_HORIZON_DAYS, now = new Date() } = options;
+    const inventory = [];
+
+    modules.forEach(module => {
+      module.activeCycles.forEach(cycle => {
+        const daysUntilHarvest = daysBetween(now, cycle.expectedHarvestDate);
+        if (daysUntilHarvest > horizonDays) return;
+
+        const record = this.catalog.findByName(cycle.cropVariety);
+        const shelfLife = record ? record.shelfLife : DEFAULT_SHELF_LIFE;
+        const readyDate = new Date(Math.max(now.getTime(), new Date(cycle.expectedHarvestDate).getTime()));
+        const expiresAt = new Date(readyDate.getTime() + shelfLife * DAY);
+
+        inventory.push({
+          moduleId: module.id,
+          moduleName: module.name,
+          cycleId: cycle.id,
+          ingredient: cycle.cropVariety,
+          estimatedAmount: cycle.plantCount * YIELD_PER_PLANT,
+          unit: 'kg',
+          quality: 'fresh',
+          availableDate: cycle.expectedHarvestDate,
+          daysUntilReady: Math.max(0, daysUntilHarvest),
+          shelfLife,
+          storageConditions: record ? record.storageConditions : null,
+          expiresAt,
+          daysUntilExpiry: daysBetween(now, expiresAt)
+        });
+      });
+    });
+
+    return inventory.sort((a, b) => a.daysUntilExpiry - b.daysUntilExpiry);
+  }
+
+  /**
+   * One pool of supplies from harvests and pantry items
+   * ({ name, amount?, unit?, expiresAt? }); items without an amount count as plenty
+   */
+  supplies(harvests, pantry, now) {
+    const fromHarvests = harvests.map(harvest => ({
+      source: 'harvest',
+      key: this.ingredientKey(harvest.ingredient),
+      name: harvest.ingredient,
+      amount: harvest.estimatedAmount,
+      unit: harvest.unit,
+      moduleId: harvest.moduleId,
+      cycleId: harvest.cycleId,
+      daysUntilReady: harvest.daysUntilReady,
+      expiresAt: harvest.expiresAt,
+      daysUntilExpiry: harvest.daysUntilExpiry
+    }));
+
+    const fromPantry = pantry.map(item => ({
+      source: 'pantry',
+      key: this.ingredientKey(item.name),
+      name: item.name,
+      amount: item.amount !== undefined ? item.amount : null,
+      unit: item.unit || null,
+      expiresAt: item.expiresAt ? new Date(item.expiresAt) : null,
+      daysUntilExpiry: item.expiresAt ? daysBetween(now, new Date(item.expiresAt)) : null
+    }));
+
+    // Soonest to expire is used first
+    return [...fromHarvests, ...fromPantry]
+      .filter(supply => supply.daysUntilExpiry === null || supply.daysUntilExpiry >= 0)
+      .sort((a, b) => (a.daysUntilExpiry !== null ? a.daysUntilExpiry : Infinity) -
+        (b.daysUntilExpiry !== null ? b.daysUntilExpiry : Infinity));
+  }
+
+  /**
+   * Grams of a quantity, or null when it cannot be weighed
+   */
+  grams(amount, unit, name) {
+    if (amount === null || amount === undefined || !isKnownUnit(unit)) return null;
+    try {
+      const grams = toGrams(amount, unit, this.catalog.findByName(name) || {});
+      return Number.isFinite(grams) ? grams : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * How far one recipe is covered. Supplies are drawn down as lines use them.
+   */
+  matchRecipe(recipe, supplies) {
+    const remaining = new Map(supplies.map(supply => [supply, this.grams(supply.amount, supply.unit, supply.name)]));
+    const ingredients = [];
+    let required = 0;
+    let covered = 0;
+
+    recipe.ingredients.forEach(line => {
+      const key = this.ingredientKey(line.name);
+      const needed = this.grams(line.amount, line.unit, line.name);
+      const candidates = supplies.filter(supply => supply.key === key && remaining.get(supply) !== 0);
+      const used = [];
+      let share = 0;
+
+      if (candidates.length > 0) {
+        // Supplies or lines that cannot be weighed cover the line outright
+        let outstanding = needed;
+        for (const supply of candidates) {
+          const available = remaining.get(supply);
+          if (outstanding === null || available === null) {
+            used.push(supply);
+            outstanding = 0;
+            break;
+          }
+          const taken = Math.min(available, outstanding);
+          remaining.set(supply, available - taken);
+          outstanding -= taken;
+          used.push(supply);
+          if (outstanding <= 0) break;
+        }
+        share = needed === null || needed === 0 ? 1 : Math.min(1, (needed - Math.max(0, outstanding)) / needed);
+      }
+
+      if (!line.optional) {
+        required += 1;
+        covered += share;
+      }
+
+      ingredients.push({
+        name: line.name,
+        amount: line.amount,
+        unit: line.unit,
+        optional: Boolean(line.optional),
+        status: share >= 1 ? 'available' : share > 0 ? 'partial' : 'missing',
+        ...(share > 0 && share < 1 && { shortfall: round(line.amount * (1 - share)) }),
+        sources: used.map(supply => ({
+          source: supply.source,
+          ingredient: supply.name,
+          ...(supply.moduleId && { moduleId: supply.moduleId, cycleId: supply.cycleId, daysUntilReady: supply.daysUntilReady }),
+          expiresAt: supply.expiresAt,
+          daysUntilExpiry: supply.daysUntilExpiry
+        }))
+      });
+    });
+
+    const coverage = required > 0 ? covered / required : 1;
+    const expiring = ingredients
+      .flatMap(ingredient => ingredient.sources
+        .filter(source => source.daysUntilExpiry !== null)
+        .map(source => ({ ingredient: ingredient.name, source: source.source, daysUntilExpiry: source.daysUntilExpiry })))
+      .sort((a, b) => a.daysUntilExpiry - b.daysUntilExpiry);
+    const urgency = Math.min(MAX_URGENCY_BONUS, expiring
+      .reduce((sum, item) => sum + URGENCY_WEIGHT / (1 + Math.max(0, item.daysUntilExpiry)), 0));
+
+    return {
+      recipeId: recipe.id,
+      recipeName: recipe.name,
+      category: recipe.category,
+      servings: recipe.servings,
+      coverage: round(coverage),
+      canCook: ingredients.every(ingredient => ingredient.optional || ingredient.status === 'available'),
+      score: round(coverage * COVERAGE_WEIGHT + urgency),
+      ingredients,
+      missing: ingredients
+        .filter(ingredient => !ingredient.optional && ingredient.status !== 'available')
+        .map(ingredient => ({
+          name: ingredient.name,
+          amount: ingredient.status === 'partial' ? ingredient.shortfall : ingredient.amount,
+          unit: ingredient.unit,
+          status: ingredient.status
+        })),
+      expiring
+    };
+  }
+
+  /**
+   * Rank recipes by coverage and by how soon the produce they use expires
+   */
+  match(recipes, options = {}) {
+    const { harvests = [], pantry = [], minCoverage = 0, limit = 20, now = new Date() } = options;
+    const supplies = this.supplies(harvests, pantry, now);
+
+    const matches = recipes
+      .map(recipe => this.matchRecipe(recipe, supplies))
+      .filter(match => match.coverage >= minCoverage && match.coverage > 0)
+      .sort((a, b) => b.score - a.score || a.missing.length - b.missing.length || a.recipeName.localeCompare(b.recipeName));
+
+    return {
+      recipes: matches.slice(0, limit),
+      total: matches.length
+    };
+  }
+}
+
+InventoryMatcher.DEFAULT_HORIZON_DAYS = DEFAULT_HORIZON_DAYS;
+
+module.exports = InventoryMatcher;
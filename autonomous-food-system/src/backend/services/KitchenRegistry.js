@@ -0,0 +1,133 @@
+/**
+ * Kitchen Registry - Cooking kitchens and the hardware connected to them
+ * A kitchen's sensors, actuators and robots are initialized through the
+ * HardwareIntegrationService under the kitchen id. Devices are described with
+ * the capability registry so recipe steps can be matched against them.
+ */
+
+const KITCHEN_DEVICES = require('../data/kitchenDevices');
+const { HardwareError } = require('../utils/errors');
+
+const AVAILABLE_STATUSES = ['connected', 'simulated'];
+
+const normalize = (value) => String(value || '').toLowerCase().trim().replace(/[\s-]+/g, '_');
+
+class KitchenRegistry {
+  constructor(hardwareService) {
+    this.hardwareService = hardwareService;
+    this.kitchens = new Map(); // kitchenId -> { id, name, registeredAt }
+  }
+
+  generateId() {
+    return 'kitchen_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+  }
+
+  /**
+   * Whether an id is taken by the hardware of a kitchen or of another module,
+   * such as a growing module, connected through the same service
+   */
+  isIdInUse(id) {
+    return this.hardwareService.connectedDevices.has(id);
+  }
+
+  /**
+   * Connect a kitchen's hardware and register it
+   */
+  async registerKitchen(config) {
+    const id = config.id || this.generateId();
+    if (this.isIdInUse(id)) {
+      throw new HardwareError(`Hardware module ${id} is already connected`, { kitchenId: id });
+    }
+
+    try {
+      await this.hardwareService.initializeModule(id, {
+        sensors: config.sensors || [],
+        actuators: config.actuators || [],
+        robots: config.robots || []
+      });
+    } catch (error) {
+      throw new HardwareError(error.message, { kitchenId: id });
+    }
+
+    this.kitchens.set(id, { id, name: config.name || id, registeredAt: new Date() });
+    return this.getKitchen(id);
+  }
+
+  /**
+   * Disconnect a kitchen's hardware, which also stops its sensor polling
+   */
+  async unregisterKitchen(kitchenId) {
+    if (!this.kitchens.has(kitchenId)) return false;
+
+    this.kitchens.delete(kitchenId);
+    await this.hardwareService.shutdownModule(kitchenId);
+    return true;
+  }
+
+  /**
+   * Disconnect every registered kitchen
+   */
+  async shutdown() {
+    await Promise.all([...this.kitchens.keys()].map(id => this.unregisterKitchen(id)));
+  }
+
+  static describeActuator(actuator) {
+    const definition = KITCHEN_DEVICES[actuator.type] || { actions: [], capabilities: {}, sensors: [] };
+    const { sensors, ...limits } = actuator.capabilities || {};
+
+    return {
+      id: actuator.id,
+      type: actuator.type,
+      kind: 'actuator',
+      status: actuator.status,
+      available: AVAILABLE_STATUSES.includes(actuator.status),
+      actions: definition.actions,
+      capabilities: { ...definition.capabilities, ...limits },
+      sensors: sensors || definition.sensors
+    };
+  }
+
+  static describeRobot(robot) {
+    return {
+      id: robot.id,
+      type: robot.type,
+      kind: 'robot',
+      status: robot.status,
+      available: AVAILABLE_STATUSES.includes(robot.status),
+      actions: (robot.capabilities || []).map(normalize),
+      capabilities: {},
+      sensors: []
+    };
+  }
+
+  /**
+   * A registered kitchen with its devices in the shape equipment matching expects
+   */
+  getKitchen(kitchenId) {
+    const kitchen = this.kitchens.get(kitchenId);
+    const hardware = this.hardwareService.connectedDevices.get(kitchenId);
+    if (!kitchen || !hardware) return null;
+
+    const sensors = [...hardware.sensors.values()];
+
+    return {
+      ...kitchen,
+      status: hardware.status,
+      devices: [
+        ...[...hardware.actuators.values()].map(KitchenRegistry.describeActuator),
+        ...[...hardware.robots.values()].map(KitchenRegistry.describeRobot)
+      ],
+      sensors: [...new Set(sensors
+        .filter(sensor => AVAILABLE_STATUSES.includes(sensor.status))
+        .map(sensor => sensor.type))]
+    };
+  }
+
+  listKitchens() {
+    return [...this.kitchens.keys()]
+      .map(id => this.getKitchen(id))
+      .filter(Boolean);
+  }
+}
+
+module.exports = KitchenRegistry;
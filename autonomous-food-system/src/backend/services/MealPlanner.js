@@ -0,0 +1,540 @@
+/**
+ * Meal Planner - Weekly meal plans built from a user's consumption profile
+ * Picks catalog recipes for each meal slot from the profile's preferences
+ * (restrictions, favorites, nutritional goals) and current portions, lets users
+ * lock or swap single meals and aggregates the ingredient demand of a plan for
+ * the distribution schedule and harvest planning.
+ */
+
+const IngredientCatalog = require('./IngredientCatalog');
+const DietaryComplianceChecker = require('./DietaryComplianceChecker');
+const { isKnownUnit, toGrams } = require('../utils/units');
+const { MealPlanError } = require('../utils/errors');
+
+// Share of the daily nutrition goals each meal should cover, and the recipe
+// categories that suit it. Diet categories and 'general' fit lunch and dinner.
+const MEAL_SLOTS = {
+  breakfast: {
+    share: 0.25,
+    categories: ['breakfast', 'baking', 'snack']
+  },
+  lunch: {
+    share: 0.35,
+    categories: [
+      'lunch', 'salad', 'soup', 'sandwich', 'pasta', 'stir_fry', 'side_dish',
+      'vegetarian', 'vegan', 'gluten_free', 'dairy_free', 'low_carb', 'keto', 'paleo', 'general'
+    ]
+  },
+  dinner: {
+    share: 0.4,
+    categories: [
+      'dinner', 'main_course', 'pasta', 'pizza', 'stir_fry', 'curry', 'stew', 'casserole',
+      'grilling', 'soup', 'vegetarian', 'vegan', 'gluten_free', 'dairy_free', 'low_carb',
+      'keto', 'paleo', 'general'
+    ]
+  }
+};
+
+const DEFAULT_DAYS = 7;
+
+// Catalog categories the growing modules can supply
+const GROWN_CATEGORIES = ['vegetable', 'herb', 'fruit'];
+
+// Scoring weights
+const FAVORITE_WEIGHT = 1;
+const MAX_FAVORITE_BONUS = 3;
+const CUISINE_WEIGHT = 1;
+const FAMILIARITY_WEIGHT = 1;
+const CALORIE_WEIGHT = 2;
+const PROTEIN_WEIGHT = 1;
+
+const round = (value, decimals = 1) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+const dateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+const addDays = (key, days) => {
+  const date = new Date(`${key}T00:00:00.000Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return dateKey(date);
+};
+
+const normalizeTerm = (value) => String(value || '').toLowerCase().replace(/[\s_]+/g, '-').trim();
+
+class MealPlanner {
+  constructor({ repository, catalog, distributionService, complianceChecker }) {
+    this.repository = repository;
+    this.catalog = catalog;
+    this.distributionService = distributionService;
+    this.complianceChecker = complianceChecker || new DietaryComplianceChecker(catalog);
+    this.plans = new Map();
+  }
+
+  generateId() {
+    return 'mealplan_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+  }
+
+  getProfile(userId) {
+    const profile = this.distributionService.getConsumptionProfile(userId);
+    if (!profile) {
+      throw new MealPlanError(`Consumption profile for user ${userId} not found`, { userId });
+    }
+    return profile;
+  }
+
+  getPlan(planId) {
+    return this.plans.get(planId) || null;
+  }
+
+  getPlans(userId) {
+    return Array.from(this.plans.values())
+      .filter(plan => !userId || plan.userId === userId)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  deletePlan(planId) {
+    return this.plans.delete(planId);
+  }
+
+  /**
+   * Ingredient names the profile's currentPortions covers (Map or plain object)
+   */
+  static portionIngredients(profile) {
+    const portions = profile.currentPortions instanceof Map
+      ? Array.from(profile.currentPortions.keys())
+      : Object.keys(profile.currentPortions || {});
+    return portions.map(name => IngredientCatalog.normalizeName(name));
+  }
+
+  /**
+   * Catalog name when the ingredient resolves, otherwise the normalized recipe name
+   */
+  ingredientKey(line) {
+    const record = this.catalog.findByName(line.name);
+    return IngredientCatalog.normalizeName(record ? record.name : line.name);
+  }
+
+  static fitsSlot(recipe, mealType) {
+    return MEAL_SLOTS[mealType].categories.includes(recipe.category);
+  }
+
+  static perServing(recipe, key) {
+    const total = (recipe.nutrition || {})[key] || 0;
+    return recipe.servings > 0 ? total / recipe.servings : total;
+  }
+
+  /**
+   * Preference score of a recipe for one meal, with the reasons behind it.
+   * `history` lists the meals already planned as { recipeId, dayIndex }.
+   */
+  scoreRecipe(recipe, { mealType, dayIndex, preferences, portionIngredients, history }) {
+    const reasons = [];
+    let score = 1;
+
+    const ingredientKeys = (recipe.ingredients || []).map(line => this.ingredientKey(line));
+    const favorites = (preferences.favorites || [])
+      .map(name => IngredientCatalog.normalizeName(name))
+      .filter(favorite => ingredientKeys.some(key => key === favorite || key.split(' ').includes(favorite)));
+    if (favorites.length > 0) {
+      score += Math.min(favorites.length * FAVORITE_WEIGHT, MAX_FAVORITE_BONUS);
+      reasons.push(`favorites: ${favorites.join(', ')}`);
+    }
+
+    const cuisines = (preferences.culturalPreferences || []).map(normalizeTerm);
+    if (cuisines.includes(normalizeTerm(recipe.cuisine))) {
+      score += CUISINE_WEIGHT;
+      reasons.push(`cuisine: ${recipe.cuisine}`);
+    }
+
+    if (ingredientKeys.length > 0 && portionIngredients.length > 0) {
+      const familiar = ingredientKeys.filter(key => portionIngredients.includes(key)).length;
+      if (familiar > 0) {
+        score += FAMILIARITY_WEIGHT * familiar / ingredientKeys.length;
+        reasons.push(`uses ${familiar} regularly consumed ingredient${familiar === 1 ? '' : 's'}`);
+      }
+    }
+
+    const goals = preferences.nutritionalGoals || {};
+    const share = MEAL_SLOTS[mealType].share;
+    [['calories', CALORIE_WEIGHT], ['protein', PROTEIN_WEIGHT]].forEach(([key, weight]) => {
+      if (!(goals[key] > 0)) return;
+      const target = goals[key] * share;
+      const fit = 1 - Math.min(1, Math.abs(MealPlanner.perServing(recipe, key) - target) / target);
+      score += weight * fit;
+      if (fit >= 0.8) reasons.push(`close to ${key} goal`);
+    });
+
+    // Variety: repeats cost more the closer together they are
+    history
+      .filter(meal => meal.recipeId === recipe.id)
+      .forEach(meal => {
+        const gap = Math.abs(dayIndex - meal.dayIndex);
+        if (gap <= 1) score -= 3;
+        else if (gap <= 3) score -= 1.5;
+        else score -= 0.5;
+      });
+
+    return { score: round(score, 3), reasons };
+  }
+
+  /**
+   * Candidates for a meal, best first
+   */
+  rankCandidates(recipes, context) {
+    return recipes
+      .filter(recipe => MealPlanner.fitsSlot(recipe, context.mealType))
+      .map(recipe => ({ recipe, ...this.scoreRecipe(recipe, context) }))
+      .sort((a, b) => (b.score - a.score) || a.recipe.name.localeCompare(b.recipe.name));
+  }
+
+  /**
+   * Catalog recipes the profile may eat, and the number excluded
+   */
+  async eligibleRecipes(preferences) {
+    const recipes = await this.repository.findAll();
+    const eligible = recipes.filter(recipe => this.complianceChecker.isCompliant(recipe, preferences));
+    return { eligible, excluded: recipes.length - eligible.length };
+  }
+
+  buildMeal(date, mealType, servings, candidate) {
+    return {
+      id: `${date}-${mealType}`,
+      mealType,
+      recipeId: candidate ? candidate.recipe.id : null,
+      recipeName: candidate ? candidate.recipe.name : null,
+      servings,
+      locked: false,
+      score: candidate ? candidate.score : 0,
+      reasons: candidate ? candidate.reasons : []
+    };
+  }
+
+  /**
+   * Fill every unlocked meal of a plan, day by day
+   */
+  async fillPlan(plan, profile) {
+    const preferences = profile.preferences || {};
+    const portionIngredients = MealPlanner.portionIngredients(profile);
+    const { eligible, excluded } = await this.eligibleRecipes(preferences);
+    const recipes = new Map(eligible.map(recipe => [recipe.id, recipe]));
+    const history = [];
+    const unfilled = new Map(); // mealType -> days without a suitable recipe
+
+    // Locked meals count towards variety before anything is chosen
+    plan.days.forEach((day, dayIndex) => {
+      day.meals
+        .filter(meal => meal.locked && meal.recipeId)
+        .forEach(meal => history.push({ recipeId: meal.recipeId, dayIndex }));
+    });
+
+    plan.days.forEach((day, dayIndex) => {
+      day.meals = day.meals.map(meal => {
+        if (meal.locked) return meal;
+
+        const [best] = this.rankCandidates(eligible, {
+          mealType: meal.mealType,
+          dayIndex,
+          preferences,
+          portionIngredients,
+          history
+        });
+
+        if (!best) {
+          unfilled.set(meal.mealType, (unfilled.get(meal.mealType) || 0) + 1);
+        } else {
+          history.push({ recipeId: best.recipe.id, dayIndex });
+        }
+        return this.buildMeal(day.date, meal.mealType, plan.servings, best);
+      });
+    });
+
+    const warnings = [];
+    if (excluded > 0) {
+      warnings.push(`${excluded} recipe${excluded === 1 ? '' : 's'} excluded by dietary restrictions, allergies or dislikes`);
+    }
+    unfilled.forEach((count, mealType) => {
+      warnings.push(`No suitable recipe for ${mealType} on ${count} of ${plan.days.length} days`);
+    });
+
+    plan.warnings = warnings;
+    this.summarize(plan, recipes);
+    plan.updatedAt = new Date();
+    return plan;
+  }
+
+  /**
+   * Per-person daily nutrition of the planned meals
+   */
+  summarize(plan, recipes) {
+    plan.days.forEach(day => {
+      day.nutrition = ['calories', 'protein', 'carbohydrates', 'fat'].reduce((totals, key) => ({
+        ...totals,
+        [key]: round(day.meals.reduce((sum, meal) => {
+          const recipe = recipes.get(meal.recipeId);
+          return sum + (recipe ? MealPlanner.perServing(recipe, key) : 0);
+        }, 0))
+      }), {});
+    });
+  }
+
+  /**
+   * Generate a plan for a user, `days` days from `startDate` (default today)
+   */
+  async generatePlan(userId, options = {}) {
+    const profile = this.getProfile(userId);
+    const {
+      startDate = new Date(),
+      days = DEFAULT_DAYS,
+      mealTypes = Object.keys(MEAL_SLOTS),
+      servings = 1
+    } = options;
+
+    const unknown = mealTypes.filter(mealType => !MEAL_SLOTS[mealType]);
+    if (unknown.length > 0) {
+      throw new MealPlanError(`Unknown meal type: ${unknown.join(', ')}`, { mealTypes: Object.keys(MEAL_SLOTS) });
+    }
+
+    const start = dateKey(startDate);
+    const plan = {
+      id: this.generateId(),
+      userId,
+      startDate: start,
+      endDate: addDays(start, days - 1),
+      servings,
+      mealTypes,
+      days: Array.from({ length: days }, (value, index) => {
+        const date = addDays(start, index);
+        return { date, meals: mealTypes.map(mealType => ({ id: `${date}-${mealType}`, mealType, locked: false })) };
+      }),
+      warnings: [],
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    await this.fillPlan(plan, profile);
+    this.plans.set(plan.id, plan);
+    return plan;
+  }
+
+  /**
+   * Re-pick every unlocked meal, e.g. after the catalog or the profile changed
+   */
+  async regeneratePlan(planId) {
+    const plan = this.requirePlan(planId);
+    return this.fillPlan(plan, this.getProfile(plan.userId));
+  }
+
+  requirePlan(planId) {
+    const plan = this.getPlan(planId);
+    if (!plan) {
+      throw new MealPlanError(`Meal plan ${planId} not found`, { planId });
+    }
+    return plan;
+  }
+
+  findMeal(plan, mealId) {
+    for (let dayIndex = 0; dayIndex < plan.days.length; dayIndex++) {
+      const meal = plan.days[dayIndex].meals.find(candidate => candidate.id === mealId);
+      if (meal) return { meal, dayIndex };
+    }
+    throw new MealPlanError(`Meal ${mealId} not found in plan ${plan.id}`, { mealId });
+  }
+
+  setLocked(planId, mealId, locked = true) {
+    const plan = this.requirePlan(planId);
+    const { meal } = this.findMeal(plan, mealId);
+
+    if (locked && !meal.recipeId) {
+      throw new MealPlanError('Cannot lock a meal without a recipe', { mealId });
+    }
+
+    meal.locked = locked;
+    plan.updatedAt = new Date();
+    return meal;
+  }
+
+  /**
+   * Replace one meal with a chosen recipe or, without one, the best recipe
+   * not already planned for that day
+   */
+  async swapMeal(planId, mealId, recipeId = null) {
+    const plan = this.requirePlan(planId);
+    const { meal, dayIndex } = this.findMeal(plan, mealId);
+
+    if (meal.locked) {
+      throw new MealPlanError(`Meal ${mealId} is locked`, { mealId });
+    }
+
+    const profile = this.getProfile(plan.userId);
+    const preferences = profile.preferences || {};
+    const context = {
+      mealType: meal.mealType,
+      dayIndex,
+      preferences,
+      portionIngredients: MealPlanner.portionIngredients(profile),
+      history: plan.days.flatMap((day, index) => day.meals
+        .filter(other => other !== meal && other.recipeId)
+        .map(other => ({ recipeId: other.recipeId, dayIndex: index })))
+    };
+
+    let choice;
+    if (recipeId) {
+      const recipe = await this.repository.findById(recipeId);
+      if (!recipe) {
+        throw new MealPlanError(`Recipe ${recipeId} not found`, { recipeId });
+      }
+
+      const { compliant, violations } = this.complianceChecker.check(recipe, preferences);
+      if (!compliant) {
+        throw new MealPlanError(`Recipe ${recipe.name} conflicts with the profile's preferences`, { violations });
+      }
+      choice = { recipe, ...this.scoreRecipe(recipe, context) };
+    } else {
+      const { eligible } = await this.eligibleRecipes(preferences);
+      const sameDay = plan.days[dayIndex].meals.map(other => other.recipeId);
+      [choice] = this.rankCandidates(eligible, context)
+        .filter(candidate => candidate.recipe.id !== meal.recipeId && !sameDay.includes(candidate.recipe.id));
+
+      if (!choice) {
+        throw new MealPlanError(`No alternative recipe for ${meal.mealType} on ${plan.days[dayIndex].date}`, { mealId });
+      }
+    }
+
+    const swapped = this.buildMeal(plan.days[dayIndex].date, meal.mealType, plan.servings, choice);
+    plan.days[dayIndex].meals = plan.days[dayIndex].meals.map(other => (other === meal ? swapped : other));
+
+    const recipes = await this.repository.findAll();
+    this.summarize(plan, new Map(recipes.map(recipe => [recipe.id, recipe])));
+    plan.updatedAt = new Date();
+    return swapped;
+  }
+
+  /**
+   * Grams of an ingredient line scaled to the meal's servings, or null when
+   * the unit cannot be converted
+   */
+  lineGrams(line, factor) {
+    const record = this.catalog.findByName(line.name);
+    if (!isKnownUnit(line.unit)) return null;
+
+    try {
+      const grams = record
+        ? record.convertToGrams(line.amount * factor, line.unit)
+        : toGrams(line.amount * factor, line.unit);
+      return Number.isFinite(grams) ? grams : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Ingredient demand of a plan: totals, per-day amounts for the distribution
+   * schedule, harvest requests for grown produce and a comparison with the
+   * profile's current daily portions. Amounts are in grams.
+   */
+  async calculateDemand(planId) {
+    const plan = this.requirePlan(planId);
+    const profile = this.distributionService.getConsumptionProfile(plan.userId);
+    const totals = new Map(); // ingredient -> { grams, meals, ingredientId, category, firstNeeded }
+    const unconverted = [];
+    const warnings = [];
+
+    const daily = [];
+    for (const day of plan.days) {
+      const ingredients = {};
+
+      for (const meal of day.meals.filter(candidate => candidate.recipeId)) {
+        const recipe = await this.repository.findById(meal.recipeId);
+        if (!recipe) {
+          warnings.push(`Recipe ${meal.recipeName} for ${meal.id} no longer exists`);
+          continue;
+        }
+
+        const factor = meal.servings / recipe.servings;
+        recipe.ingredients.forEach(line => {
+          const grams = this.lineGrams(line, factor);
+          const key = this.ingredientKey(line);
+
+          if (grams === null) {
+            unconverted.push({ ingredient: key, amount: round(line.amount * factor, 2), unit: line.unit, mealId: meal.id });
+            return;
+          }
+
+          ingredients[key] = (ingredients[key] || 0) + grams;
+
+          const record = this.catalog.findByName(line.name);
+          const total = totals.get(key) || {
+            grams: 0,
+            meals: 0,
+            ingredientId: record ? record.id : null,
+            category: record ? record.category : null,
+            firstNeeded: day.date
+          };
+          total.grams += grams;
+          total.meals += 1;
+          totals.set(key, total);
+        });
+      }
+
+      daily.push({
+        date: day.date,
+        ingredients: Object.keys(ingredients).reduce((rounded, key) => ({
+          ...rounded,
+          [key]: round(ingredients[key])
+        }), {})
+      });
+    }
+
+    const ingredients = Array.from(totals.entries())
+      .map(([ingredient, total]) => ({
+        ingredient,
+        ingredientId: total.ingredientId,
+        category: total.category,
+        grams: round(total.grams),
+        meals: total.meals
+      }))
+      .sort((a, b) => b.grams - a.grams || a.ingredient.localeCompare(b.ingredient));
+
+    const harvestRequests = Array.from(totals.entries())
+      .filter(([, total]) => GROWN_CATEGORIES.includes(total.category))
+      .map(([ingredient, total]) => ({
+        ingredient,
+        amount: round(total.grams),
+        requiredDate: total.firstNeeded
+      }));
+
+    const portions = profile ? profile.currentPortions : new Map();
+    const portionEntries = portions instanceof Map ? Array.from(portions.entries()) : Object.entries(portions || {});
+    const portionComparison = portionEntries.map(([name, dailyPortion]) => {
+      const key = IngredientCatalog.normalizeName(name);
+      const planned = totals.has(key) ? totals.get(key).grams / plan.days.length : 0;
+      return {
+        ingredient: key,
+        currentDailyPortion: round(dailyPortion),
+        plannedDailyAverage: round(planned),
+        difference: round(planned - dailyPortion)
+      };
+    });
+
+    return {
+      planId: plan.id,
+      userId: plan.userId,
+      startDate: plan.startDate,
+      endDate: plan.endDate,
+      servings: plan.servings,
+      ingredients,
+      daily,
+      harvestRequests,
+      portionComparison,
+      unconverted,
+      warnings,
+      generatedAt: new Date()
+    };
+  }
+}
+
+MealPlanner.MEAL_SLOTS = MEAL_SLOTS;
+
+module.exports = MealPlanner;
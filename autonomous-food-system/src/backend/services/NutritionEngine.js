@@ -0,0 +1,145 @@
+/**
+ * Nutrition Engine - Recipe nutrition computed from the ingredient database
+ * Resolves each recipe ingredient to a catalog record, converts its amount to grams
+ * and totals nutrients per recipe and per serving
+ */
+
+const { isKnownUnit } = require('../utils/units');
+
+// Always reported, mirrors the Recipe.nutrition defaults
+const CORE_NUTRIENTS = ['calories', 'protein', 'carbohydrates', 'fat', 'fiber', 'sugar', 'sodium'];
+
+// Reported only when at least one matched ingredient provides them
+const OPTIONAL_NUTRIENTS = [
+  'cholesterol', 'saturatedFat', 'transFat', 'vitaminA', 'vitaminC', 'calcium', 'iron',
+  'vitaminD', 'vitaminE', 'vitaminK', 'vitaminB6', 'vitaminB12', 'folate',
+  'magnesium', 'phosphorus', 'potassium', 'zinc'
+];
+
+const round = (value, decimals = 1) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+class NutritionEngine {
+  constructor(catalog) {
+    this.catalog = catalog;
+  }
+
+  /**
+   * Unrounded per-line contributions; used by calculate() and the NutritionOptimizer
+   */
+  analyze(ingredients = [], servings = 1) {
+    const totals = NutritionEngine.emptyNutrition();
+    const unmatched = [];
+    const allergens = new Set();
+
+    const contributions = ingredients.map((line, index) => {
+      const record = this.catalog.findByName(line.name);
+      if (!record || !isKnownUnit(line.unit)) {
+        unmatched.push(line.name);
+        return { index, line, record: null, grams: 0, nutrition: null };
+      }
+
+      record.allergens.forEach(allergen => allergens.add(allergen));
+
+      const calculated = record.calculateNutrition(line.amount, line.unit);
+      const nutrition = {};
+      [...CORE_NUTRIENTS, ...OPTIONAL_NUTRIENTS].forEach(key => {
+        if (calculated[key] === undefined && !CORE_NUTRIENTS.includes(key)) return;
+
+        nutrition[key] = calculated[key] || 0;
+        totals[key] = (totals[key] || 0) + nutrition[key];
+      });
+
+      return {
+        index,
+        line,
+        record,
+        grams: record.convertToGrams(line.amount, line.unit),
+        nutrition
+      };
+    });
+
+    return {
+      contributions,
+      totals,
+      perServing: NutritionEngine.perServing(totals, servings),
+      unmatched,
+      allergens
+    };
+  }
+
+  /**
+   * Nutrition totals for a recipe plus a report of what could and could not be matched
+   */
+  calculate(recipe) {
+    const analysis = this.analyze(recipe.ingredients, recipe.servings);
+    const matched = analysis.contributions
+      .filter(contribution => contribution.record)
+      .map(({ line, record, grams }) => ({
+        name: line.name,
+        ingredientId: record.id,
+        matchedName: record.name,
+        grams: round(grams)
+      }));
+
+    return {
+      nutrition: NutritionEngine.roundNutrition(analysis.totals),
+      perServing: NutritionEngine.roundNutrition(analysis.perServing),
+      matched,
+      unmatched: analysis.unmatched,
+      coverage: recipe.ingredients.length > 0
+        ? round(matched.length / recipe.ingredients.length, 2)
+        : 0
+    };
+  }
+
+  /**
+   * Recompute recipe.nutrition in place. When nothing matches, hand-entered
+   * values are kept and the analysis records that they are manual.
+   */
+  applyTo(recipe) {
+    const result = this.calculate(recipe);
+    const computed = result.matched.length > 0;
+
+    if (computed) {
+      recipe.nutrition = result.nutrition;
+    }
+
+    recipe.nutritionAnalysis = {
+      source: computed ? 'ingredient_database' : 'manual',
+      perServing: computed
+        ? result.perServing
+        : NutritionEngine.roundNutrition(NutritionEngine.perServing(recipe.nutrition, recipe.servings)),
+      matched: result.matched.map(({ name, matchedName }) => ({ name, matchedName })),
+      unmatched: result.unmatched,
+      coverage: result.coverage,
+      calculatedAt: new Date()
+    };
+
+    return result;
+  }
+
+  static emptyNutrition() {
+    return CORE_NUTRIENTS.reduce((nutrition, key) => ({ ...nutrition, [key]: 0 }), {});
+  }
+
+  static perServing(totals, servings) {
+    return Object.keys(totals).reduce((perServing, key) => ({
+      ...perServing,
+      [key]: servings > 0 ? totals[key] / servings : totals[key]
+    }), {});
+  }
+
+  static roundNutrition(nutrition) {
+    return Object.keys(nutrition).reduce((rounded, key) => ({
+      ...rounded,
+      [key]: round(nutrition[key])
+    }), {});
+  }
+}
+
+NutritionEngine.CORE_NUTRIENTS = CORE_NUTRIENTS;
+
+module.exports = NutritionEngine;
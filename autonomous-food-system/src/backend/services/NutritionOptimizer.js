@@ -0,0 +1,255 @@
+/**
+ * Nutrition Optimizer - Per-serving nutrition targets through ingredient swaps and amount changes
+ * Searches the ingredient catalog's substitutes and nutritionPer100g data and never
+ * proposes a swap that would introduce a new allergen into the recipe
+ */
+
+const IngredientCatalog = require('./IngredientCatalog');
+const NutritionEngine = require('./NutritionEngine');
+const SubstitutionEngine = require('./SubstitutionEngine');
+
+const NUTRITION_KEYS = NutritionEngine.CORE_NUTRIENTS;
+
+// Optimization criteria keys -> nutrient constraints
+const TARGET_KEYS = {
+  maxSodium: { metric: 'sodium', type: 'max' },
+  minProtein: { metric: 'protein', type: 'min' },
+  maxFat: { metric: 'fat', type: 'max' },
+  maxCarbs: { metric: 'carbohydrates', type: 'max' },
+  minFiber: { metric: 'fiber', type: 'min' },
+  maxSugar: { metric: 'sugar', type: 'max' }
+};
+
+const CALORIE_TOLERANCE = 0.1; // targetCalories is met within ±10%
+const MAX_AMOUNT_CHANGE = 0.5; // never scale a single ingredient by more than 50%
+const MAX_CONTRIBUTORS = 3; // amount proposals per violated target
+
+const round = (value, decimals = 1) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+class NutritionOptimizer {
+  constructor(catalog) {
+    this.catalog = catalog;
+    this.engine = new NutritionEngine(catalog);
+    this.substitutionEngine = new SubstitutionEngine(catalog);
+  }
+
+  /**
+   * Translate optimization criteria into min/max constraints per serving
+   */
+  static parseTargets(targets = {}) {
+    const constraints = [];
+
+    Object.entries(TARGET_KEYS).forEach(([key, constraint]) => {
+      if (targets[key] !== undefined) {
+        constraints.push({ ...constraint, limit: targets[key] });
+      }
+    });
+
+    if (targets.targetCalories !== undefined) {
+      constraints.push({
+        metric: 'calories',
+        type: 'max',
+        limit: round(targets.targetCalories * (1 + CALORIE_TOLERANCE))
+      });
+      constraints.push({
+        metric: 'calories',
+        type: 'min',
+        limit: round(targets.targetCalories * (1 - CALORIE_TOLERANCE))
+      });
+    }
+
+    return constraints;
+  }
+
+  analyze(recipe, ingredients = recipe.ingredients) {
+    return this.engine.analyze(ingredients, recipe.servings);
+  }
+
+  evaluate(perServing, constraints) {
+    return constraints
+      .map(constraint => {
+        const value = perServing[constraint.metric];
+        const gap = constraint.type === 'max' ? value - constraint.limit : constraint.limit - value;
+        return { ...constraint, value: round(value), gap: round(gap) };
+      })
+      .filter(result => result.gap > 0);
+  }
+
+  /**
+   * Propose swaps and amount changes for every violated target
+   */
+  propose(recipe, targets = {}) {
+    const constraints = NutritionOptimizer.parseTargets(targets);
+    const analysis = this.analyze(recipe);
+    const violations = this.evaluate(analysis.perServing, constraints);
+
+    const proposals = [];
+    const rejected = [];
+
+    if (violations.length > 0) {
+      this.proposeSubstitutions(recipe, analysis, constraints, violations, proposals, rejected);
+      this.proposeAmountChanges(recipe, analysis, constraints, violations, proposals);
+    }
+
+    proposals.sort((a, b) =>
+      b.resolves.length - a.resolves.length ||
+      a.introduces.length - b.introduces.length ||
+      b.improvement - a.improvement
+    );
+
+    return {
+      constraints,
+      before: NutritionOptimizer.roundNutrition(analysis.perServing),
+      violations,
+      proposals,
+      rejected,
+      unmatched: analysis.unmatched
+    };
+  }
+
+  proposeSubstitutions(recipe, analysis, constraints, violations, proposals, rejected) {
+    analysis.contributions
+      .filter(contribution => contribution.record)
+      .forEach(contribution => {
+        const { index, line, record } = contribution;
+        // Substitutes that suit the step the ingredient is used in, at the edge's ratio
+        const ranking = this.substitutionEngine.rank(record, { recipe, amount: line.amount, unit: line.unit });
+
+        ranking.substitutes
+          .filter(ranked => ranked.ingredientId && ranked.amount !== null)
+          .forEach(ranked => {
+            const substitute = this.catalog.get(ranked.ingredientId);
+            const addedAllergens = SubstitutionEngine.addedAllergens(analysis, index, substitute);
+            if (addedAllergens.length > 0) {
+              rejected.push({
+                ingredient: line.name,
+                substitute: substitute.name,
+                reason: `Adds allergens: ${addedAllergens.join(', ')}`
+              });
+              return;
+            }
+
+            const replacement = {
+              name: substitute.name.toLowerCase(),
+              amount: ranked.amount,
+              unit: ranked.unit,
+              ingredientId: substitute.id
+            };
+
+            const proposal = this.buildProposal(recipe, analysis, constraints, violations, {
+              id: `swap-${index}-${NutritionOptimizer.slug(substitute.name)}`,
+              type: 'substitution',
+              index,
+              line,
+              replacement,
+              description: `Replace ${line.name} with ${replacement.amount} ${replacement.unit} ${replacement.name}`
+            });
+
+            if (proposal) {
+              proposals.push(proposal);
+            }
+          });
+      });
+  }
+
+  proposeAmountChanges(recipe, analysis, constraints, violations, proposals) {
+    violations.forEach(violation => {
+      const contributors = analysis.contributions
+        .filter(contribution => contribution.record && contribution.nutrition[violation.metric] > 0)
+        .sort((a, b) => b.nutrition[violation.metric] - a.nutrition[violation.metric])
+        .slice(0, MAX_CONTRIBUTORS);
+
+      contributors.forEach(({ index, line, nutrition }) => {
+        const perServingContribution = nutrition[violation.metric] / recipe.servings;
+        const fraction = Math.min(MAX_AMOUNT_CHANGE, violation.gap / perServingContribution);
+        if (fraction < 0.01) return;
+
+        const factor = violation.type === 'max' ? 1 - fraction : 1 + fraction;
+        const replacement = {
+          name: line.name,
+          amount: round(line.amount * factor, 2),
+          unit: line.unit
+        };
+        const verb = violation.type === 'max' ? 'Reduce' : 'Increase';
+
+        const proposal = this.buildProposal(recipe, analysis, constraints, violations, {
+          id: `amount-${index}-${violation.metric}-${violation.type}`,
+          type: 'amount',
+          index,
+          line,
+          replacement,
+          description: `${verb} ${line.name} from ${line.amount} to ${replacement.amount} ${line.unit}`
+        });
+
+        if (proposal) {
+          proposals.push(proposal);
+        }
+      });
+    });
+  }
+
+  /**
+   * Re-evaluate the recipe with one line changed; null when the change helps nothing
+   */
+  buildProposal(recipe, analysis, constraints, violations, change) {
+    const ingredients = recipe.ingredients.map((line, index) =>
+      index === change.index ? { ...line, ...change.replacement } : line
+    );
+    const after = this.analyze(recipe, ingredients).perServing;
+    const remaining = this.evaluate(after, constraints);
+
+    const improvement = violations.reduce((sum, violation) => {
+      const still = remaining.find(result =>
+        result.metric === violation.metric && result.type === violation.type
+      );
+      const remainingGap = still ? still.gap : 0;
+      return sum + Math.max(0, violation.gap - remainingGap) / violation.gap;
+    }, 0);
+
+    if (improvement <= 0) {
+      return null;
+    }
+
+    const isViolated = (list, result) =>
+      list.some(item => item.metric === result.metric && item.type === result.type);
+
+    const before = NutritionOptimizer.roundNutrition(analysis.perServing);
+    const afterRounded = NutritionOptimizer.roundNutrition(after);
+    const delta = {};
+    NUTRITION_KEYS.forEach(key => {
+      delta[key] = round(after[key] - analysis.perServing[key]);
+    });
+
+    return {
+      id: change.id,
+      objective: 'nutrition',
+      type: change.type,
+      description: change.description,
+      ingredientIndex: change.index,
+      original: { name: change.line.name, amount: change.line.amount, unit: change.line.unit },
+      replacement: change.replacement,
+      nutritionPerServing: { before, after: afterRounded, delta },
+      resolves: violations
+        .filter(violation => !isViolated(remaining, violation))
+        .map(violation => violation.metric),
+      introduces: remaining
+        .filter(result => !isViolated(violations, result))
+        .map(result => result.metric),
+      improvement: round(improvement, 3)
+    };
+  }
+
+  // Proposal ids must be stable across requests, so they use names rather than catalog ids
+  static slug(name) {
+    return IngredientCatalog.normalizeName(name).replace(/ /g, '_');
+  }
+
+  static roundNutrition(nutrition) {
+    return NUTRITION_KEYS.reduce((rounded, key) => ({ ...rounded, [key]: round(nutrition[key]) }), {});
+  }
+}
+
+module.exports = NutritionOptimizer;
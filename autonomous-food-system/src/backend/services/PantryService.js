@@ -0,0 +1,247 @@
+/**
+ * Pantry Service - What each household actually holds
+ * Stock is kept as lots: a quantity of one ingredient acquired on one date,
+ * with an expiry from the catalog shelf life. Deliveries add lots, completed
+ * cooking sessions draw them down first-expired-first-out, and lots nearing
+ * expiry are ranked so that they are used before they go to waste.
+ */
+
+const IngredientCatalog = require('./IngredientCatalog');
+const { normalizeUnit, toGrams, fromGrams } = require('../utils/units');
+
+const DAY = 1000 * 60 * 60 * 24;
+
+// Shelf life for ingredients the catalog does not know
+const DEFAULT_SHELF_LIFE = 7;
+
+// Lots expiring within this many days are listed as "use soon"
+const USE_SOON_DAYS = 3;
+
+// Quantities below this are treated as used up
+const EPSILON = 1e-6;
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+const daysBetween = (from, to) => Math.ceil((to - from) / DAY);
+
+class PantryService {
+  constructor(catalog) {
+    this.catalog = catalog;
+    this.households = new Map(); // householdId -> Map(lotId -> lot)
+  }
+
+  generateId() {
+    return 'lot_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+  }
+
+  ingredientKey(name) {
+    const record = this.catalog.findByName(name);
+    return IngredientCatalog.normalizeName(record ? record.name : name);
+  }
+
+  lotsOf(householdId) {
+    if (!this.households.has(householdId)) this.households.set(householdId, new Map());
+    return this.households.get(householdId);
+  }
+
+  /**
+   * Record a lot ({ ingredient, quantity, unit, acquiredAt?, expiresAt?,
+   * storageConditions?, source?, reference? }). Without `expiresAt` the lot
+   * expires the catalog shelf life after it was acquired.
+   */
+  addLot(householdId, data, now = new Date()) {
+    const record = this.catalog.findByName(data.ingredient);
+    const acquiredAt = data.acquiredAt ? new Date(data.acquiredAt) : now;
+    const shelfLife = record ? record.shelfLife : DEFAULT_SHELF_LIFE;
+
+    const lot = {
+      id: this.generateId(),
+      householdId,
+      ingredient: data.ingredient,
+      ingredientId: record ? record.id : null,
+      quantity: data.quantity,
+      initialQuantity: data.quantity,
+      unit: normalizeUnit(data.unit) || data.unit,
+      acquiredAt,
+      expiresAt: data.expiresAt ? new Date(data.expiresAt) : new Date(acquiredAt.getTime() + shelfLife * DAY),
+      storageConditions: data.storageConditions || (record ? record.storageConditions : null),
+      source: data.source || 'manual',
+      reference: data.reference || null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.lotsOf(householdId).set(lot.id, lot);
+    return this.describe(lot, now);
+  }
+
+  /**
+   * A lot with its days until expiry and freshness status
+   */
+  describe(lot, now = new Date()) {
+    const daysUntilExpiry = daysBetween(now, lot.expiresAt);
+
+    return {
+      ...lot,
+      quantity: round(lot.quantity),
+      daysUntilExpiry,
+      status: daysUntilExpiry < 0 ? 'expired' : daysUntilExpiry <= USE_SOON_DAYS ? 'use_soon' : 'fresh'
+    };
+  }
+
+  getLot(householdId, lotId, now = new Date()) {
+    const lot = this.households.has(householdId) && this.households.get(householdId).get(lotId);
+    return lot ? this.describe(lot, now) : null;
+  }
+
+  /**
+   * Lots of a household, soonest to expire first
+   */
+  getLots(householdId, now = new Date()) {
+    const lots = this.households.has(householdId) ? [...this.households.get(householdId).values()] : [];
+
+    return lots
+      .sort((a, b) => a.expiresAt - b.expiresAt || a.acquiredAt - b.acquiredAt)
+      .map(lot => this.describe(lot, now));
+  }
+
+  /**
+   * Change a lot's quantity, expiry or storage. A quantity of 0 removes it.
+   */
+  updateLot(householdId, lotId, changes, now = new Date()) {
+    const lot = this.households.has(householdId) && this.households.get(householdId).get(lotId);
+    if (!lot) return null;
+
+    ['quantity', 'storageConditions'].forEach(field => {
+      if (changes[field] !== undefined) lot[field] = changes[field];
+    });
+    if (changes.expiresAt) lot.expiresAt = new Date(changes.expiresAt);
+    lot.updatedAt = now;
+
+    if (lot.quantity <= EPSILON) this.households.get(householdId).delete(lotId);
+    return this.describe(lot, now);
+  }
+
+  removeLot(householdId, lotId) {
+    return this.households.has(householdId) && this.households.get(householdId).delete(lotId);
+  }
+
+  /**
+   * Grams of a quantity, or null when it cannot be weighed
+   */
+  grams(amount, unit, name) {
+    if (!normalizeUnit(unit)) return null;
+    const grams = toGrams(amount, unit, this.catalog.findByName(name) || {});
+    return Number.isFinite(grams) ? grams : null;
+  }
+
+  /**
+   * Take items ([{ name, amount, unit }]) out of stock, first-expired-first-out.
+   * Expired lots are left alone. Lots are compared in grams, or directly when
+   * the units match; emptied lots are removed.
+   */
+  consume(householdId, items, now = new Date()) {
+    const lots = this.lotsOf(householdId);
+
+    return items.map(item => {
+      const key = this.ingredientKey(item.name);
+      const unit = normalizeUnit(item.unit) || item.unit;
+      const needed = this.grams(item.amount, unit, item.name);
+      const candidates = this.getLots(householdId, now)
+        .filter(lot => lot.status !== 'expired' && this.ingredientKey(lot.ingredient) === key);
+
+      let outstanding = item.amount; // in the item's unit
+      const taken = [];
+
+      for (const candidate of candidates) {
+        if (outstanding <= EPSILON) break;
+        const lot = lots.get(candidate.id);
+        const record = this.catalog.findByName(lot.ingredient) || {};
+
+        let quantity; // taken from the lot, in the lot's unit
+        if (lot.unit === unit) {
+          quantity = Math.min(lot.quantity, outstanding);
+          outstanding -= quantity;
+        } else if (needed !== null && this.grams(lot.quantity, lot.unit, lot.ingredient) !== null) {
+          const available = toGrams(lot.quantity, lot.unit, record);
+          const grams = Math.min(available, outstanding / item.amount * needed);
+          quantity = fromGrams(grams, lot.unit, record);
+          outstanding -= grams / needed * item.amount;
+        } else {
+          continue;
+        }
+
+        lot.quantity -= quantity;
+        lot.updatedAt = now;
+        taken.push({ lotId: lot.id, quantity: round(quantity), unit: lot.unit, expiresAt: lot.expiresAt });
+        if (lot.quantity <= EPSILON) lots.delete(lot.id);
+      }
+
+      const shortfall = Math.max(0, outstanding);
+      return {
+        name: item.name,
+        amount: item.amount,
+        unit: item.unit,
+        status: shortfall <= EPSILON ? 'consumed' : taken.length > 0 ? 'partial' : 'missing',
+        ...(shortfall > EPSILON && { shortfall: round(shortfall) }),
+        lots: taken
+      };
+    });
+  }
+
+  /**
+   * Draw down the ingredients a completed session cooked, scaled to its
+   * servings and with its substitutions applied. Optional ingredients are
+   * not counted.
+   */
+  recordSession(session, now = new Date()) {
+    if (session.status !== 'completed' || !session.householdId) return null;
+
+    const recipe = session.servings && session.servings !== session.recipe.servings
+      ? session.recipe.previewScale(session.servings).recipe
+      : session.recipe;
+    const substitutions = (session.modifications && session.modifications.ingredientSubstitutions) || [];
+    const substituteFor = (name) => {
+      const substitution = substitutions.find(entry =>
+        IngredientCatalog.normalizeName(entry.original) === IngredientCatalog.normalizeName(name));
+      return substitution ? substitution.substitute : name;
+    };
+
+    const items = recipe.ingredients
+      .filter(line => !line.optional)
+      .map(line => ({ name: substituteFor(line.name), amount: line.amount, unit: line.unit }));
+
+    return {
+      householdId: session.householdId,
+      sessionId: session.id,
+      items: this.consume(session.householdId, items, now),
+      recordedAt: now
+    };
+  }
+
+  /**
+   * Lots expiring within `days` (expired ones included), soonest first and
+   * larger amounts first among lots expiring the same day
+   */
+  useSoon(householdId, options = {}) {
+    const { days = USE_SOON_DAYS, now = new Date() } = options;
+
+    return this.getLots(householdId, now)
+      .filter(lot => lot.daysUntilExpiry <= days)
+      .map(lot => ({ ...lot, grams: this.grams(lot.quantity, lot.unit, lot.ingredient) }))
+      .sort((a, b) => a.daysUntilExpiry - b.daysUntilExpiry || (b.grams || 0) - (a.grams || 0));
+  }
+
+  /**
+   * Unexpired lots in the pantry shape the inventory matcher takes
+   */
+  supplies(householdId, now = new Date()) {
+    return this.getLots(householdId, now)
+      .filter(lot => lot.status !== 'expired')
+      .map(lot => ({ name: lot.ingredient, amount: lot.quantity, unit: lot.unit, expiresAt: lot.expiresAt }));
+  }
+}
+
+PantryService.USE_SOON_DAYS = USE_SOON_DAYS;
+
+module.exports = PantryService;
@@ -10,6 +10,7 @@ class PrecisionDistributionService {
   constructor() {
     this.consumptionProfiles = new Map();
     this.distributionSchedule = new Map();
+    this.plannedDemand = new Map(); // userId -> Map(YYYY-MM-DD -> { ingredient: grams })
     this.reusableContainers = new Map();
     this.wasteReductionMetrics = {
       totalWasteReduced: 0,
@@ -241,6 +242,20 @@ class PrecisionDistributionService {
     return schedule;
   }
 
+  /**
+   * Register the per-day ingredient demand of a meal plan; days it covers are
+   * distributed from the plan instead of the profile's portions
+   */
+  setPlannedDemand(userId, dailyDemand = []) {
+    if (!this.consumptionProfiles.has(userId)) throw new Error(`Profile not found for user ${userId}`);
+
+    const planned = this.plannedDemand.get(userId) || new Map();
+    dailyDemand.forEach(({ date, ingredients }) => planned.set(date, ingredients));
+    this.plannedDemand.set(userId, planned);
+
+    return planned;
+  }
+
   /**
    * Generate daily distribution for a user
    */
@@ -257,9 +272,20 @@ class PrecisionDistributionService {
       totalWeight: 0,
       containers: [],
       deliveryTime: this.calculateOptimalDeliveryTime(userId, date),
-      freshness: 'optimal'
+      freshness: 'optimal',
+      source: 'consumption_profile'
     };
 
+    const planned = (this.plannedDemand.get(userId) || new Map()).get(date.toISOString().slice(0, 10));
+    if (planned) {
+      distribution.source = 'meal_plan';
+      Object.entries(planned).forEach(([ingredient, amount]) => {
+        distribution.ingredients.set(ingredient, Math.round(amount));
+        distribution.totalWeight += amount;
+      });
+      return distribution;
+    }
+
     // Get all ingredients user consumes
     const ingredientList = Array.from(profile.currentPortions.keys());
     
@@ -0,0 +1,328 @@
+/**
+ * Prep List Builder - Mise en place for cooking several recipes at once
+ * Scales each recipe to its servings, then combines ingredient quantities in
+ * normalized units, merges the same preparation of an ingredient across
+ * recipes into one task (all onions diced once), collects equipment and
+ * suggests an order: the prep tasks first, then each recipe's cooking steps
+ * from its step schedule, started so that every dish is ready together.
+ */
+
+const IngredientCatalog = require('./IngredientCatalog');
+const { normalizeUnit, getDimension, convert, toGrams, toSystem } = require('../utils/units');
+const { stepIngredients } = require('../utils/equipmentMatching');
+const { scheduleSteps } = require('../utils/stepSchedule');
+
+// Prep techniques and the words recipes use for them
+const TECHNIQUES = {
+  chop: ['chop', 'chopped'],
+  dice: ['dice', 'diced', 'cubed'],
+  slice: ['slice', 'sliced'],
+  mince: ['mince', 'minced'],
+  grate: ['grate', 'grated', 'shredded'],
+  peel: ['peel', 'peeled'],
+  cut: ['cut'],
+  prep: ['prep', 'prepared', 'trimmed', 'washed']
+};
+
+const TECHNIQUE_LABELS = {
+  chop: 'Chop',
+  dice: 'Dice',
+  slice: 'Slice',
+  mince: 'Mince',
+  grate: 'Grate',
+  peel: 'Peel',
+  cut: 'Cut',
+  prep: 'Prepare'
+};
+
+// Step actions that are mise en place rather than cooking
+const PREP_ACTIONS = ['prep', 'chop', 'dice', 'slice', 'mince', 'grate', 'cut'];
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+const techniqueOf = (text) => {
+  const words = IngredientCatalog.normalizeName(text).split(' ');
+  return Object.keys(TECHNIQUES).find(technique => TECHNIQUES[technique].some(word => words.includes(word))) || null;
+};
+
+class PrepListBuilder {
+  constructor(catalog) {
+    this.catalog = catalog;
+  }
+
+  ingredientKey(name) {
+    const record = this.catalog.findByName(name);
+    return IngredientCatalog.normalizeName(record ? record.name : name);
+  }
+
+  /**
+   * Build a prep list for [{ recipe, servings }]. `system` picks the units
+   * combined quantities are given in (metric, us or imperial).
+   */
+  build(entries, options = {}) {
+    const { system = 'metric' } = options;
+    const warnings = [];
+
+    const dishes = entries.map(({ recipe, servings }) => {
+      const target = servings || recipe.servings;
+      const scaled = target === recipe.servings ? recipe : recipe.previewScale(target).recipe;
+      return { recipe: scaled, originalServings: recipe.servings };
+    });
+
+    const { groups, unconverted } = this.groupLines(dishes);
+    const ingredients = this.combineIngredients(groups, system);
+    const { tasks, prepSteps } = this.collectPrepTasks(dishes, groups, system);
+    const order = this.suggestOrder(dishes, tasks, prepSteps, warnings);
+
+    return {
+      recipes: dishes.map(({ recipe, originalServings }, index) => ({
+        recipeId: recipe.id,
+        recipeName: recipe.name,
+        servings: recipe.servings,
+        originalServings,
+        startAt: order.starts[index],
+        cookTime: order.cookTimes[index]
+      })),
+      ingredients,
+      prepTasks: tasks,
+      equipment: this.collectEquipment(dishes),
+      order: order.entries,
+      totalTime: order.totalTime,
+      unconverted,
+      warnings,
+      system,
+      generatedAt: new Date()
+    };
+  }
+
+  /**
+   * Total of ingredient lines. Lines in one count unit stay in it; mass or
+   * volume is expressed in `system`; mixed dimensions go through grams.
+   */
+  static sumLines(lines, record, system) {
+    const units = [...new Set(lines.map(line => line.unit))];
+    const dimensions = [...new Set(units.map(getDimension))];
+    const grams = lines.reduce((sum, line) => sum + toGrams(line.amount, line.unit, record || {}), 0);
+
+    let quantity;
+    if (units.length === 1 && dimensions[0] === 'count') {
+      quantity = { amount: lines.reduce((sum, line) => sum + line.amount, 0), unit: units[0] };
+    } else if (dimensions.length === 1 && dimensions[0] !== 'count') {
+      const base = dimensions[0] === 'mass' ? 'g' : 'ml';
+      const total = lines.reduce((sum, line) => sum + convert(line.amount, line.unit, base), 0);
+      quantity = toSystem(total, base, system, record || {});
+    } else {
+      quantity = toSystem(grams, 'g', system, record || {});
+    }
+
+    return { amount: round(quantity.amount), unit: quantity.unit, grams: round(grams) };
+  }
+
+  /**
+   * Ingredient lines of every dish with units normalized, grouped by catalog
+   * ingredient (or name). Lines with unknown units are returned separately.
+   */
+  groupLines(dishes) {
+    const groups = new Map(); // key -> { record, lines }
+    const unconverted = [];
+
+    dishes.forEach(({ recipe }) => {
+      recipe.ingredients.forEach(line => {
+        const unit = normalizeUnit(line.unit);
+        if (!unit) {
+          unconverted.push({ ingredient: line.name, amount: line.amount, unit: line.unit, recipeId: recipe.id });
+          return;
+        }
+
+        const key = this.ingredientKey(line.name);
+        const group = groups.get(key) || { record: this.catalog.findByName(line.name), lines: [] };
+        group.lines.push({ ...line, unit, recipeId: recipe.id, recipeName: recipe.name });
+        groups.set(key, group);
+      });
+    });
+
+    return { groups, unconverted };
+  }
+
+  combineIngredients(groups, system) {
+    return [...groups.entries()].map(([key, { record, lines }]) => ({
+      ingredient: key,
+      ingredientId: record ? record.id : null,
+      category: record ? record.category : null,
+      ...PrepListBuilder.sumLines(lines, record, system),
+      recipes: lines.map(line => ({
+        recipeId: line.recipeId,
+        recipeName: line.recipeName,
+        amount: round(line.amount),
+        unit: line.unit,
+        ...(line.preparation && { preparation: line.preparation })
+      }))
+    })).sort((a, b) => (a.category || '').localeCompare(b.category || '') || a.ingredient.localeCompare(b.ingredient));
+  }
+
+  /**
+   * One task per ingredient and technique, from ingredient preparation notes
+   * and prep steps. A task's quantity covers the lines it prepares. Returns
+   * the tasks and, per dish, the prep steps they take over.
+   */
+  collectPrepTasks(dishes, groups, system) {
+    const tasks = new Map(); // `${technique}:${key}` -> task
+    const prepSteps = dishes.map(() => new Set());
+
+    const addTask = (technique, key, recipe, lines) => {
+      const id = `${technique}:${key}`;
+      const task = tasks.get(id) || {
+        task: `${TECHNIQUE_LABELS[technique]} ${key}`,
+        technique,
+        ingredient: key,
+        lines: new Set(),
+        recipes: [],
+        steps: [],
+        duration: 0
+      };
+      if (!task.recipes.some(entry => entry.recipeId === recipe.id)) {
+        task.recipes.push({ recipeId: recipe.id, recipeName: recipe.name });
+      }
+      lines.forEach(line => task.lines.add(line));
+      tasks.set(id, task);
+      return task;
+    };
+
+    const linesOf = (recipe, key) => (groups.has(key) ? groups.get(key).lines : [])
+      .filter(line => line.recipeId === recipe.id);
+
+    dishes.forEach(({ recipe }, dishIndex) => {
+      recipe.ingredients.forEach(line => {
+        const technique = line.preparation ? techniqueOf(line.preparation) : null;
+        if (!technique) return;
+        const key = this.ingredientKey(line.name);
+        addTask(technique, key, recipe, linesOf(recipe, key).filter(candidate => candidate.name === line.name));
+      });
+
+      recipe.instructions.forEach((instruction, stepIndex) => {
+        if (!PREP_ACTIONS.includes(instruction.action)) return;
+
+        const named = stepIngredients(instruction, recipe);
+        if (named.length === 0) return;
+
+        const technique = instruction.action !== 'prep'
+          ? instruction.action
+          : techniqueOf(instruction.step) || 'prep';
+        const keys = [...new Set(named.map(name => this.ingredientKey(name)))];
+
+        keys.forEach(key => {
+          // Lines with a preparation note of their own belong to that task
+          const lines = linesOf(recipe, key).filter(line =>
+            !line.preparation || techniqueOf(line.preparation) === technique || !techniqueOf(line.preparation));
+          const task = addTask(technique, key, recipe, lines);
+          task.steps.push({ recipeId: recipe.id, stepNumber: stepIndex + 1, step: instruction.step });
+          // A step preparing several ingredients splits its time between them
+          task.duration += (instruction.timing || 0) / keys.length;
+        });
+        prepSteps[dishIndex].add(stepIndex);
+      });
+    });
+
+    const list = [...tasks.values()].map(({ lines, ...task }) => {
+      const quantity = lines.size > 0
+        ? PrepListBuilder.sumLines([...lines], groups.get(task.ingredient).record, system)
+        : { amount: null, unit: null };
+      return {
+        ...task,
+        amount: quantity.amount,
+        unit: quantity.unit,
+        duration: round(task.duration),
+        shared: task.recipes.length > 1
+      };
+    }).sort((a, b) => Number(b.shared) - Number(a.shared) || a.ingredient.localeCompare(b.ingredient) ||
+      a.technique.localeCompare(b.technique));
+
+    return { tasks: list, prepSteps };
+  }
+
+  collectEquipment(dishes) {
+    const equipment = new Map(); // name -> recipes
+
+    dishes.forEach(({ recipe }) => {
+      const names = [
+        ...(recipe.equipment || []),
+        ...recipe.instructions.flatMap(instruction => instruction.equipment || [])
+      ];
+      [...new Set(names)].forEach(name => {
+        const recipes = equipment.get(name) || [];
+        recipes.push({ recipeId: recipe.id, recipeName: recipe.name });
+        equipment.set(name, recipes);
+      });
+    });
+
+    return [...equipment.entries()]
+      .map(([name, recipes]) => ({ equipment: name, recipes, count: recipes.length }))
+      .sort((a, b) => b.count - a.count || a.equipment.localeCompare(b.equipment));
+  }
+
+  /**
+   * Prep tasks one after another, then the cooking steps of every recipe on
+   * its own schedule, with the longest recipe starting first so that all of
+   * them finish together. Times are minutes from the start.
+   */
+  suggestOrder(dishes, tasks, prepSteps, warnings) {
+    const entries = [];
+    let clock = 0;
+
+    tasks.forEach(task => {
+      entries.push({
+        phase: 'prep',
+        start: round(clock),
+        end: round(clock + task.duration),
+        task: task.task,
+        recipes: task.recipes.map(recipe => recipe.recipeId)
+      });
+      clock += task.duration;
+    });
+    const prepTime = clock;
+
+    const schedules = dishes.map(({ recipe }, index) => {
+      try {
+        return scheduleSteps(recipe.instructions, { completed: [...prepSteps[index]] });
+      } catch (error) {
+        warnings.push(`Steps of ${recipe.name} could not be scheduled: ${error.message}`);
+        return null;
+      }
+    });
+
+    const cookTimes = schedules.map(schedule => (schedule ? schedule.totalTime : 0));
+    const longest = Math.max(0, ...cookTimes);
+    const starts = cookTimes.map(time => round(prepTime + longest - time));
+
+    const cooking = [];
+    dishes.forEach(({ recipe }, index) => {
+      const schedule = schedules[index];
+      if (!schedule) return;
+
+      schedule.steps.forEach(step => {
+        cooking.push({
+          phase: 'cook',
+          start: round(starts[index] + step.start),
+          end: round(starts[index] + step.end),
+          recipeId: recipe.id,
+          recipeName: recipe.name,
+          stepNumber: step.stepNumber,
+          step: step.step
+        });
+      });
+    });
+
+    cooking.sort((a, b) => a.start - b.start || a.end - b.end || a.recipeName.localeCompare(b.recipeName));
+
+    return {
+      entries: [...entries, ...cooking],
+      starts,
+      cookTimes,
+      totalTime: round(prepTime + longest)
+    };
+  }
+}
+
+PrepListBuilder.TECHNIQUES = TECHNIQUES;
+
+module.exports = PrepListBuilder;
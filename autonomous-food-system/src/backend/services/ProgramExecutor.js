@@ -0,0 +1,349 @@
+/**
+ * Program Executor - Runs compiled automation programs for cooking sessions
+ * Commands go to the kitchen's actuators and robots through the
+ * HardwareIntegrationService. Waits run on timers. Sensor conditions are
+ * evaluated on session sensor data and the kitchen's polled readings.
+ * Checkpoints hold the program until a cook confirms them.
+ */
+
+const { CookingProcessError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const MINUTE = 60000;
+
+const COMPARATORS = {
+  '>=': (value, target) => value >= target,
+  '<=': (value, target) => value <= target
+};
+
+class ProgramExecutor {
+  constructor(hardwareService) {
+    this.hardwareService = hardwareService;
+    this.executions = new Map(); // sessionId -> execution state
+  }
+
+  /**
+   * Start running a program for a session. `onFinish` is called once the
+   * program completed or failed, after the session itself finished.
+   */
+  async start(session, program, options = {}) {
+    const execution = {
+      session,
+      program,
+      kitchenId: program.kitchenId,
+      status: 'running',
+      position: 0,
+      pending: null, // operation the program is waiting on
+      timer: null,
+      active: new Set(), // actuators switched on and not yet off
+      log: [],
+      error: null,
+      onFinish: options.onFinish || (() => {}),
+      startedAt: new Date(),
+      finishedAt: null
+    };
+
+    this.executions.set(session.id, execution);
+    await this.run(execution);
+    return this.describe(session.id);
+  }
+
+  /**
+   * Execute operations until the program has to wait or ends
+   */
+  async run(execution) {
+    const { operations } = execution.program;
+
+    try {
+      while (execution.status === 'running' && execution.position < operations.length) {
+        const operation = operations[execution.position];
+        this.enterStep(execution, operation.stepIndex);
+
+        switch (operation.type) {
+          case 'command':
+            await this.hardwareService.controlActuator(execution.kitchenId, operation.deviceId, operation.command);
+            if (operation.command.state === 'on') execution.active.add(operation.deviceId);
+            if (operation.command.state === 'off') execution.active.delete(operation.deviceId);
+            // Aborted while the command was on its way: switch the device back off
+            if (execution.status === 'aborted') {
+              await this.switchOff(execution);
+              return;
+            }
+            this.advance(execution, operation, 'done');
+            break;
+
+          case 'task':
+            await this.hardwareService.assignRobotTask(execution.kitchenId, operation.robotId, {
+              ...operation.task,
+              sessionId: execution.session.id,
+              stepIndex: operation.stepIndex
+            });
+            this.advance(execution, operation, 'done');
+            break;
+
+          case 'wait':
+            this.hold(execution, operation, 'waiting', operation.duration * MINUTE, () => {
+              this.advance(execution, operation, 'done');
+              return this.run(execution);
+            });
+            return;
+
+          case 'until':
+            this.hold(execution, operation, 'awaiting_condition', operation.timeout * MINUTE,
+              () => this.timeOut(execution, operation));
+            if (!this.conditionMet(execution, operation)) return;
+            this.release(execution);
+            this.advance(execution, operation, 'done');
+            break;
+
+          case 'checkpoint':
+            this.hold(execution, operation, 'awaiting_checkpoint');
+            return;
+
+          default:
+            throw new Error(`Unknown operation type ${operation.type}`);
+        }
+      }
+
+      if (execution.status === 'running') {
+        this.finish(execution, 'completed');
+      }
+    } catch (error) {
+      if (execution.status === 'aborted') {
+        await this.switchOff(execution);
+        return;
+      }
+      await this.fail(execution, error);
+    }
+  }
+
+  /**
+   * Keep the session's current step in line with the operation being run
+   */
+  enterStep(execution, stepIndex) {
+    const { session } = execution;
+    while (session.status === 'in_progress' && session.currentStep <= stepIndex) {
+      session.nextStep();
+    }
+  }
+
+  advance(execution, operation, outcome) {
+    execution.log.push({ address: operation.address, type: operation.type, outcome, at: new Date() });
+    execution.position++;
+  }
+
+  /**
+   * Stop at an operation; with a duration, `onElapsed` runs when it is over
+   */
+  hold(execution, operation, status, duration = null, onElapsed = null) {
+    execution.status = status;
+    execution.pending = {
+      address: operation.address,
+      since: new Date(),
+      until: duration !== null ? new Date(Date.now() + duration) : null,
+      onElapsed
+    };
+    if (duration !== null) this.schedule(execution, duration);
+  }
+
+  schedule(execution, duration) {
+    execution.timer = setTimeout(() => {
+      const { onElapsed } = execution.pending;
+      this.release(execution);
+      onElapsed();
+    }, duration);
+  }
+
+  release(execution) {
+    if (execution.timer) clearTimeout(execution.timer);
+    execution.timer = null;
+    execution.pending = null;
+    execution.status = 'running';
+  }
+
+  /**
+   * Latest reading of the condition's sensor since the program started waiting
+   */
+  conditionMet(execution, operation) {
+    const since = execution.pending ? execution.pending.since : new Date(0);
+    const readings = execution.session.sensorData
+      .filter(entry => entry.sensorType === operation.sensor && entry.timestamp >= since);
+
+    let value = readings.length > 0 ? readings[readings.length - 1].value : undefined;
+    if (value === undefined) {
+      const polled = this.hardwareService.getSensorReadings(execution.kitchenId);
+      if (polled.timestamp && polled.timestamp >= since) value = polled.readings[operation.sensor];
+    }
+
+    return value !== undefined && COMPARATORS[operation.comparator](Number(value), operation.value);
+  }
+
+  /**
+   * A condition not met in time is handed to the cook as a checkpoint
+   */
+  timeOut(execution, operation) {
+    execution.log.push({ address: operation.address, type: operation.type, outcome: 'timed_out', at: new Date() });
+    execution.session.warnings.push({
+      type: 'automation_timeout',
+      message: `${operation.sensor} did not reach ${operation.comparator} ${operation.value} within ${operation.timeout} min`,
+      address: operation.address,
+      timestamp: new Date()
+    });
+    // Confirming the checkpoint moves past the condition
+    this.hold(execution, operation, 'awaiting_checkpoint');
+  }
+
+  /**
+   * Re-check a waiting condition after new sensor data
+   */
+  async notify(sessionId) {
+    const execution = this.executions.get(sessionId);
+    if (!execution || execution.status !== 'awaiting_condition') return this.describe(sessionId);
+
+    const operation = execution.program.operations[execution.position];
+    if (this.conditionMet(execution, operation)) {
+      this.release(execution);
+      this.advance(execution, operation, 'done');
+      await this.run(execution);
+    }
+    return this.describe(sessionId);
+  }
+
+  /**
+   * Confirm the checkpoint the program is waiting on
+   */
+  async confirm(sessionId) {
+    const execution = this.executions.get(sessionId);
+    if (!execution || execution.status !== 'awaiting_checkpoint') {
+      throw new CookingProcessError('The automation program is not waiting for a checkpoint', {
+        status: execution ? execution.status : null
+      });
+    }
+
+    const operation = execution.program.operations[execution.position];
+    this.release(execution);
+    this.advance(execution, operation, 'confirmed');
+    await this.run(execution);
+    return this.describe(sessionId);
+  }
+
+  /**
+   * Stop the clock; devices keep their current state
+   */
+  pause(sessionId) {
+    const execution = this.executions.get(sessionId);
+    if (!execution || ['completed', 'failed', 'aborted', 'paused'].includes(execution.status)) return;
+
+    if (execution.timer) {
+      clearTimeout(execution.timer);
+      execution.timer = null;
+      execution.pending.remaining = execution.pending.until - Date.now();
+    }
+    execution.pausedFrom = execution.status;
+    execution.status = 'paused';
+  }
+
+  async resume(sessionId) {
+    const execution = this.executions.get(sessionId);
+    if (!execution || execution.status !== 'paused') return;
+
+    execution.status = execution.pausedFrom;
+    delete execution.pausedFrom;
+
+    if (execution.pending && execution.pending.remaining !== undefined) {
+      const remaining = Math.max(0, execution.pending.remaining);
+      delete execution.pending.remaining;
+      execution.pending.until = new Date(Date.now() + remaining);
+      this.schedule(execution, remaining);
+    } else if (execution.status === 'running') {
+      await this.run(execution);
+    }
+  }
+
+  /**
+   * Stop the program and switch off every device it switched on
+   */
+  async abort(sessionId) {
+    const execution = this.executions.get(sessionId);
+    if (!execution || ['completed', 'failed', 'aborted'].includes(execution.status)) return;
+
+    this.release(execution);
+    execution.status = 'aborted';
+    execution.finishedAt = new Date();
+    await this.switchOff(execution);
+  }
+
+  async switchOff(execution) {
+    for (const deviceId of execution.active) {
+      try {
+        await this.hardwareService.controlActuator(execution.kitchenId, deviceId, { action: 'stop', state: 'off' });
+        execution.active.delete(deviceId);
+      } catch (error) {
+        logger.error(`Failed to switch off ${deviceId} in kitchen ${execution.kitchenId}:`, error);
+      }
+    }
+  }
+
+  finish(execution, status) {
+    const { session } = execution;
+    execution.status = status;
+    execution.finishedAt = new Date();
+
+    if (status === 'completed') {
+      // The final nextStep completes the session
+      while (session.status === 'in_progress') session.nextStep();
+    }
+
+    logger.logAutomation(`program_${status}`, session.recipeId, {
+      sessionId: session.id,
+      kitchenId: execution.kitchenId,
+      operations: execution.log.length
+    }, []);
+
+    execution.onFinish(session, this.describe(session.id));
+  }
+
+  /**
+   * Hardware failures abort the session with every device switched off
+   */
+  async fail(execution, error) {
+    const operation = execution.program.operations[execution.position];
+    this.release(execution);
+    execution.error = { address: operation ? operation.address : null, message: error.message };
+    execution.log.push({ address: execution.error.address, type: operation ? operation.type : null, outcome: 'failed', at: new Date() });
+
+    await this.switchOff(execution);
+    if (['in_progress', 'paused'].includes(execution.session.status)) {
+      execution.session.abort(`Automation failed at operation ${execution.error.address}: ${error.message}`);
+    }
+    logger.error(`Automation program failed for session ${execution.session.id}:`, error);
+    this.finish(execution, 'failed');
+  }
+
+  /**
+   * Progress of a session's program
+   */
+  describe(sessionId) {
+    const execution = this.executions.get(sessionId);
+    if (!execution) return null;
+
+    const { operations } = execution.program;
+    const current = operations[execution.position] || null;
+
+    return {
+      status: execution.status,
+      kitchenId: execution.kitchenId,
+      position: current ? current.address : null,
+      totalOperations: operations.length,
+      current,
+      waitingUntil: execution.pending ? execution.pending.until : null,
+      activeDevices: [...execution.active],
+      error: execution.error,
+      log: execution.log,
+      startedAt: execution.startedAt,
+      finishedAt: execution.finishedAt
+    };
+  }
+}
+
+module.exports = ProgramExecutor;
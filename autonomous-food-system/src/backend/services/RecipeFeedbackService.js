@@ -0,0 +1,265 @@
+/**
+ * Recipe Feedback Service - Ratings, reviews and outcome reports from cooking sessions
+ * Every completed session can be rated once. Feedback updates the recipe's
+ * analytics incrementally and recurring issues become optimization proposals.
+ */
+
+const AnalyticsService = require('./AnalyticsService');
+const IngredientCatalog = require('./IngredientCatalog');
+const { FeedbackError } = require('../utils/errors');
+
+const SALTY_TERMS = ['salt', 'soy sauce', 'fish sauce', 'tamari', 'miso', 'bouillon', 'stock cube'];
+const SPICY_TERMS = ['chili', 'chilli', 'cayenne', 'jalapeno', 'habanero', 'chipotle', 'sriracha', 'hot sauce', 'pepper flakes'];
+const HEAT_ACTIONS = ['cook', 'boil', 'simmer', 'fry', 'saute', 'roast', 'bake', 'grill', 'steam', 'poach', 'braise', 'stew'];
+
+// Outcome issues cooks can report and how the recipe could respond to them
+const FEEDBACK_ISSUES = {
+  too_salty: { label: 'too salty', ingredients: SALTY_TERMS, factor: 0.75 },
+  too_bland: { label: 'too bland', ingredients: SALTY_TERMS, factor: 1.25 },
+  too_spicy: { label: 'too spicy', ingredients: SPICY_TERMS, factor: 0.75 },
+  undercooked: { label: 'undercooked', cookingStep: true, factor: 1.15 },
+  overcooked: { label: 'overcooked', cookingStep: true, factor: 0.85 },
+  portion_too_big: {
+    label: 'portions too big',
+    advice: (recipe) => `Split the batch into ${Math.ceil(recipe.servings * 1.25)} servings instead of ${recipe.servings}`
+  },
+  portion_too_small: {
+    label: 'portions too small',
+    advice: (recipe) => `Split the batch into ${Math.max(1, Math.floor(recipe.servings * 0.8))} servings instead of ${recipe.servings}`
+  },
+  took_too_long: {
+    label: 'took too long',
+    advice: () => 'Optimize for time to run independent steps in parallel'
+  }
+};
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+const matchesTerm = (name, terms) => {
+  const normalized = IngredientCatalog.normalizeName(name);
+  return terms.some(term => new RegExp(`\\b${term}\\b`).test(normalized));
+};
+
+class RecipeFeedbackService {
+  constructor(repository) {
+    this.repository = repository;
+    this.feedback = new Map(); // recipeId -> feedback entries, oldest first
+    this.sessions = new Set(); // session ids that already have feedback
+    this.recordedSessions = new Set(); // finished session ids already counted
+  }
+
+  generateId() {
+    return 'feedback_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+  }
+
+  /**
+   * Count a finished cooking session towards the recipe's analytics, once
+   */
+  async recordSession(session) {
+    if (this.recordedSessions.has(session.id)) return null;
+    this.recordedSessions.add(session.id);
+
+    const durationMs = session.endTime && session.startTime ? session.endTime - session.startTime : 0;
+    AnalyticsService.recordRecipeUsage(session.recipeId, session.recipe.name, {
+      status: session.status,
+      duration: durationMs
+    });
+
+    if (session.status !== 'completed') return null;
+
+    const recipe = await this.repository.findById(session.recipeId);
+    if (!recipe) return null;
+
+    recipe.analytics.timesCooked = (recipe.analytics.timesCooked || 0) + 1;
+    return this.repository.update(recipe);
+  }
+
+  /**
+   * Store feedback for a completed session and fold it into the recipe's analytics
+   */
+  async submitFeedback(session, input) {
+    if (this.sessions.has(session.id)) {
+      throw new FeedbackError(`Feedback for session ${session.id} was already submitted`);
+    }
+    // Reserved before the first await so concurrent submissions are rejected
+    this.sessions.add(session.id);
+
+    try {
+      return await this.storeFeedback(session, input);
+    } catch (error) {
+      this.sessions.delete(session.id);
+      throw error;
+    }
+  }
+
+  /**
+   * Build the entry and update the recipe for a reserved session
+   */
+  async storeFeedback(session, input) {
+    const recipe = await this.repository.findById(session.recipeId);
+    if (!recipe) {
+      throw new FeedbackError(`Recipe ${session.recipeId} no longer exists`);
+    }
+
+    const entry = {
+      id: this.generateId(),
+      recipeId: recipe.id,
+      recipeVersion: recipe.version,
+      sessionId: session.id,
+      userId: session.userId || null,
+      rating: input.rating || null,
+      review: input.review || null,
+      success: input.success,
+      issues: input.issues || [],
+      createdAt: new Date()
+    };
+
+    // Running averages, so feedback never has to be replayed
+    const { analytics } = recipe;
+    const ratingCount = analytics.ratingCount || 0;
+    const feedbackCount = analytics.feedbackCount || 0;
+
+    if (entry.rating) {
+      analytics.averageRating = (analytics.averageRating * ratingCount + entry.rating) / (ratingCount + 1);
+      analytics.ratingCount = ratingCount + 1;
+    }
+    analytics.successRate = (analytics.successRate * feedbackCount + (entry.success ? 1 : 0)) / (feedbackCount + 1);
+    analytics.feedbackCount = feedbackCount + 1;
+    analytics.issueCounts = { ...(analytics.issueCounts || {}) };
+    entry.issues.forEach(issue => {
+      analytics.issueCounts[issue] = (analytics.issueCounts[issue] || 0) + 1;
+    });
+
+    const stored = await this.repository.update(recipe);
+
+    const entries = this.feedback.get(recipe.id) || [];
+    entries.push(entry);
+    this.feedback.set(recipe.id, entries);
+
+    AnalyticsService.recordRecipeFeedback(recipe.id, recipe.name, entry);
+
+    return { feedback: entry, recipe: stored };
+  }
+
+  /**
+   * Feedback entries for a recipe, newest first
+   */
+  getFeedback(recipeId, options = {}) {
+    const { limit = 20 } = options;
+    return (this.feedback.get(recipeId) || []).slice().reverse().slice(0, limit);
+  }
+
+  /**
+   * Ratings, success rate and issue shares from the recipe's analytics
+   */
+  summarize(recipe) {
+    const analytics = recipe.analytics || {};
+    const feedbackCount = analytics.feedbackCount || 0;
+    const issueCounts = analytics.issueCounts || {};
+    const entries = this.feedback.get(recipe.id) || [];
+
+    const ratingDistribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    entries.filter(entry => entry.rating).forEach(entry => {
+      ratingDistribution[entry.rating]++;
+    });
+
+    return {
+      recipeId: recipe.id,
+      feedbackCount,
+      ratingCount: analytics.ratingCount || 0,
+      averageRating: round(analytics.averageRating || 0),
+      successRate: round(analytics.successRate || 0, 3),
+      ratingDistribution,
+      issues: Object.entries(issueCounts)
+        .map(([issue, count]) => ({
+          issue,
+          label: FEEDBACK_ISSUES[issue] ? FEEDBACK_ISSUES[issue].label : issue,
+          count,
+          share: feedbackCount > 0 ? round(count / feedbackCount, 3) : 0
+        }))
+        .sort((a, b) => b.count - a.count || a.issue.localeCompare(b.issue))
+    };
+  }
+
+  /**
+   * Longest heat step with a timing, the one "undercooked"/"overcooked" refers to
+   */
+  static cookingStepIndex(recipe) {
+    let best = -1;
+    (recipe.instructions || []).forEach((instruction, index) => {
+      if (!instruction.timing || !HEAT_ACTIONS.includes(instruction.action)) return;
+      if (best === -1 || instruction.timing > recipe.instructions[best].timing) best = index;
+    });
+    return best;
+  }
+
+  /**
+   * Optimization proposals for issues reported by at least `minReports` cooks
+   * and `minShare` of all feedback. Issues without a recipe change become advice.
+   */
+  propose(recipe, options = {}) {
+    const { minReports = 2, minShare = 0.25 } = options;
+    const summary = this.summarize(recipe);
+    const proposals = [];
+    const advice = [];
+
+    summary.issues
+      .filter(({ issue, count, share }) => FEEDBACK_ISSUES[issue] && count >= minReports && share >= minShare)
+      .forEach(({ issue, count }) => {
+        const rule = FEEDBACK_ISSUES[issue];
+        const impact = `Addresses "${rule.label}" reported by ${count} of ${summary.feedbackCount} cooks`;
+
+        if (rule.advice) {
+          advice.push({ issue, message: rule.advice(recipe), impact });
+          return;
+        }
+
+        if (rule.cookingStep) {
+          const index = RecipeFeedbackService.cookingStepIndex(recipe);
+          if (index === -1) {
+            advice.push({ issue, message: 'No timed cooking step to adjust; check heat and doneness cues', impact });
+            return;
+          }
+          const { timing } = recipe.instructions[index];
+          const adjusted = Math.max(1, Math.round(timing * rule.factor));
+          proposals.push({
+            id: `feedback-${issue}-step-${index}`,
+            objective: 'feedback',
+            stepIndex: index,
+            replacement: { timing: adjusted },
+            description: `Change step ${index + 1} from ${timing} to ${adjusted} minutes`,
+            impact,
+            resolves: [issue]
+          });
+          return;
+        }
+
+        const lines = recipe.ingredients
+          .map((line, index) => ({ line, index }))
+          .filter(({ line }) => matchesTerm(line.name, rule.ingredients));
+        if (lines.length === 0) {
+          advice.push({ issue, message: `No ingredient to adjust for "${rule.label}"; review seasoning to taste`, impact });
+          return;
+        }
+
+        lines.forEach(({ line, index }) => {
+          const amount = round(line.amount * rule.factor, 1);
+          proposals.push({
+            id: `feedback-${issue}-${index}`,
+            objective: 'feedback',
+            ingredientIndex: index,
+            replacement: { amount },
+            description: `${rule.factor < 1 ? 'Reduce' : 'Increase'} ${line.name} from ${line.amount} to ${amount} ${line.unit}`,
+            impact,
+            resolves: [issue]
+          });
+        });
+      });
+
+    return { summary, proposals, advice };
+  }
+}
+
+RecipeFeedbackService.FEEDBACK_ISSUES = FEEDBACK_ISSUES;
+
+module.exports = RecipeFeedbackService;
@@ -0,0 +1,216 @@
+/**
+ * Recipe Lineage Service - Fork trees and variant comparison
+ * Forks record their parent in `recipe.lineage`; the tree is rebuilt from those
+ * links on demand, so deleting a recipe simply detaches its forks into new roots.
+ */
+
+const { ingredientKey, diffRecipes, summarizeDiff } = require('../utils/recipeDiff');
+
+const ANALYTICS_FIELDS = ['successRate', 'averageRating', 'timesCooked'];
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+class RecipeLineageService {
+  constructor(repository) {
+    this.repository = repository;
+  }
+
+  static analyticsOf(recipe) {
+    const analytics = recipe.analytics || {};
+    return ANALYTICS_FIELDS.reduce((result, field) => {
+      result[field] = analytics[field] || 0;
+      return result;
+    }, {});
+  }
+
+  static describe(recipe) {
+    const lineage = recipe.lineage || {};
+    return {
+      id: recipe.id,
+      name: recipe.name,
+      version: recipe.version,
+      label: lineage.label || null,
+      reason: lineage.reason || null,
+      parentId: lineage.parentId || null,
+      parentVersion: lineage.parentVersion || null,
+      forkedAt: lineage.forkedAt || null,
+      analytics: RecipeLineageService.analyticsOf(recipe)
+    };
+  }
+
+  /**
+   * Recipes keyed by id, and forks grouped by their (still existing) parent
+   */
+  async loadGraph() {
+    const recipes = await this.repository.findAll();
+    const byId = new Map(recipes.map(recipe => [recipe.id, recipe]));
+    const children = new Map();
+
+    recipes
+      .filter(recipe => recipe.lineage && byId.has(recipe.lineage.parentId))
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+      .forEach(recipe => {
+        const siblings = children.get(recipe.lineage.parentId) || [];
+        siblings.push(recipe);
+        children.set(recipe.lineage.parentId, siblings);
+      });
+
+    return { byId, children };
+  }
+
+  static ancestorsOf(recipe, byId) {
+    const ancestors = [];
+    const seen = new Set([recipe.id]);
+    let current = recipe;
+
+    while (current.lineage && byId.has(current.lineage.parentId) && !seen.has(current.lineage.parentId)) {
+      current = byId.get(current.lineage.parentId);
+      seen.add(current.id);
+      ancestors.unshift(current);
+    }
+
+    return ancestors;
+  }
+
+  static descendantsOf(recipe, children) {
+    return (children.get(recipe.id) || []).reduce((descendants, child) =>
+      descendants.concat(child, RecipeLineageService.descendantsOf(child, children)), []);
+  }
+
+  /**
+   * Ancestors of a recipe and the whole fork tree it belongs to
+   */
+  async getLineage(recipeId) {
+    const { byId, children } = await this.loadGraph();
+    const recipe = byId.get(recipeId);
+    if (!recipe) return null;
+
+    const ancestors = RecipeLineageService.ancestorsOf(recipe, byId);
+    const root = ancestors[0] || recipe;
+    let size = 0;
+
+    const buildNode = (node) => {
+      size += 1;
+      return {
+        ...RecipeLineageService.describe(node),
+        children: (children.get(node.id) || []).map(buildNode)
+      };
+    };
+    const tree = buildNode(root);
+
+    // A fork whose parent was deleted starts a new tree of its own
+    const detachedFrom = root.lineage && !byId.has(root.lineage.parentId) ? root.lineage.parentId : null;
+
+    return {
+      recipeId,
+      rootId: root.id,
+      depth: ancestors.length,
+      ancestors: ancestors.map(RecipeLineageService.describe),
+      detachedFrom,
+      size,
+      tree
+    };
+  }
+
+  /**
+   * Ingredient rows lined up across recipes, matched by name
+   */
+  static alignIngredients(recipes) {
+    const rows = new Map();
+
+    recipes.forEach(recipe => {
+      (recipe.ingredients || []).forEach(ingredient => {
+        const key = ingredientKey(ingredient);
+        if (!rows.has(key)) rows.set(key, { name: ingredient.name, recipes: {} });
+        rows.get(key).recipes[recipe.id] = { amount: ingredient.amount, unit: ingredient.unit };
+      });
+    });
+
+    return [...rows.values()].map(row => {
+      const cells = recipes.map(recipe => row.recipes[recipe.id] || null);
+      return {
+        name: row.name,
+        recipes: recipes.reduce((result, recipe, index) => {
+          result[recipe.id] = cells[index];
+          return result;
+        }, {}),
+        differs: new Set(cells.map(cell => JSON.stringify(cell))).size > 1
+      };
+    });
+  }
+
+  /**
+   * Step rows lined up across recipes by position
+   */
+  static alignSteps(recipes) {
+    const length = Math.max(0, ...recipes.map(recipe => (recipe.instructions || []).length));
+
+    return Array.from({ length }, (_, index) => {
+      const cells = recipes.map(recipe => {
+        const instruction = (recipe.instructions || [])[index];
+        return instruction ? instruction.step : null;
+      });
+      return {
+        index,
+        recipes: recipes.reduce((result, recipe, position) => {
+          result[recipe.id] = cells[position];
+          return result;
+        }, {}),
+        differs: new Set(cells).size > 1
+      };
+    });
+  }
+
+  /**
+   * A recipe next to its variants: what each one changed and how it performs.
+   * Compares direct forks by default, every descendant with `descendants`, or
+   * any recipes listed in `variantIds`.
+   */
+  async compareVariants(recipeId, options = {}) {
+    const { variantIds, descendants = false } = options;
+    const { byId, children } = await this.loadGraph();
+    const base = byId.get(recipeId);
+    if (!base) return null;
+
+    let variants;
+    if (variantIds && variantIds.length > 0) {
+      variants = variantIds.filter(id => id !== recipeId).map(id => byId.get(id)).filter(Boolean);
+    } else if (descendants) {
+      variants = RecipeLineageService.descendantsOf(base, children);
+    } else {
+      variants = children.get(base.id) || [];
+    }
+
+    const baseAnalytics = RecipeLineageService.analyticsOf(base);
+    const ordered = [base, ...variants];
+
+    return {
+      base: RecipeLineageService.describe(base),
+      variants: variants.map(variant => {
+        const diff = diffRecipes(base, variant);
+        // Every fork differs from its parent by source
+        delete diff.fields.source;
+        const changes = summarizeDiff(diff);
+        const analytics = RecipeLineageService.analyticsOf(variant);
+
+        return {
+          ...RecipeLineageService.describe(variant),
+          changes,
+          diff: { ...diff, hasChanges: changes.length > 0 },
+          analyticsDelta: ANALYTICS_FIELDS.reduce((result, field) => {
+            result[field] = round(analytics[field] - baseAnalytics[field]);
+            return result;
+          }, {})
+        };
+      }),
+      alignment: {
+        recipes: ordered.map(recipe => ({ id: recipe.id, name: recipe.name })),
+        ingredients: RecipeLineageService.alignIngredients(ordered),
+        steps: RecipeLineageService.alignSteps(ordered)
+      },
+      comparedAt: new Date()
+    };
+  }
+}
+
+module.exports = RecipeLineageService;
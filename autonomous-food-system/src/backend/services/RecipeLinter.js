@@ -0,0 +1,259 @@
+/**
+ * Recipe Linter - Inconsistent or unsafe instructions
+ * Checks that every ingredient is used by a step and every ingredient a step
+ * names is in the recipe (resolved through the ingredient catalog), that heat
+ * has a duration, that poultry is checked for a safe internal temperature and
+ * that the total time agrees with the step timings.
+ *
+ * Findings are { rule, severity: 'error' | 'warning' | 'info', message } with
+ * the `stepIndex` (0-based) or `ingredient` they concern.
+ */
+
+const IngredientCatalog = require('./IngredientCatalog');
+const { scheduleSteps } = require('../utils/stepSchedule');
+
+const SEVERITIES = ['error', 'warning', 'info'];
+
+// Named in steps without being listed as ingredients
+const EXEMPT_INGREDIENTS = ['water', 'ice'];
+
+// Step wording that uses every ingredient at once
+const ALL_INGREDIENTS = /\b(all|remaining) (the )?ingredients\b|\beverything\b/;
+
+// Words that describe an ingredient rather than name it
+const DESCRIPTORS = [
+  'all', 'purpose', 'black', 'white', 'red', 'green', 'whole', 'fresh', 'dried', 'ground', 'large', 'small',
+  'low', 'sodium', 'salted', 'unsalted', 'smoked', 'plain', 'extra', 'virgin', 'wheat'
+];
+
+const HEAT_ACTIONS = [
+  'heat', 'boil', 'simmer', 'fry', 'saute', 'roast', 'bake', 'grill', 'steam', 'poach', 'braise', 'stew'
+];
+
+const POULTRY_TERMS = ['chicken', 'turkey', 'duck', 'goose', 'quail', 'poultry'];
+
+const INTERNAL_TEMPERATURE_CHECK = /internal temperature|thermometer|\bprobe\b/;
+
+// Minimum safe internal temperature for poultry: 74°C / 165°F
+const POULTRY_SAFE_TEMPERATURE = 74;
+
+// "165°F", "74 °C", "74 degrees C"
+const TEMPERATURE_PATTERN = /(\d+(?:\.\d+)?)\s*(?:°|degrees?\s*)\s*([cf])\b/i;
+
+// "for 10 minutes", "1 hr", "30 sec"
+const DURATION_PATTERN = /\d+\s*(?:min|minutes?|mins|hours?|hrs?|h|seconds?|secs?)\b/i;
+
+// Total time may differ from the step timings by this share before it is flagged,
+// and by at least TOTAL_TIME_MIN_TOLERANCE minutes
+const TOTAL_TIME_TOLERANCE = 0.2;
+const TOTAL_TIME_MIN_TOLERANCE = 5;
+
+const normalize = (value) => IngredientCatalog.normalizeName(value);
+
+const contains = (text, phrase) => Boolean(phrase) && ` ${text} `.includes(` ${phrase} `);
+
+// Whole degrees, so 165°F counts as the 74°C it stands for
+const celsius = (value, unit) => Math.round(unit.toLowerCase() === 'f' ? (value - 32) * 5 / 9 : value);
+
+// Temperatures written in a text, in Celsius
+const temperaturesIn = (text) => [...text.matchAll(new RegExp(TEMPERATURE_PATTERN, 'gi'))]
+  .map(match => celsius(Number(match[1]), match[2]));
+
+class RecipeLinter {
+  constructor(catalog) {
+    this.catalog = catalog;
+  }
+
+  /**
+   * Lint a recipe; findings are ordered by severity, then by step
+   */
+  lint(recipe) {
+    const findings = [
+      ...this.checkIngredientReferences(recipe),
+      ...this.checkTemperatureDurations(recipe),
+      ...this.checkPoultrySafety(recipe),
+      ...this.checkTotalTime(recipe)
+    ].sort((a, b) =>
+      SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) ||
+      (a.stepIndex !== undefined ? a.stepIndex : -1) - (b.stepIndex !== undefined ? b.stepIndex : -1));
+
+    return {
+      findings,
+      summary: {
+        errors: findings.filter(finding => finding.severity === 'error').length,
+        warnings: findings.filter(finding => finding.severity === 'warning').length,
+        info: findings.filter(finding => finding.severity === 'info').length
+      }
+    };
+  }
+
+  /**
+   * Words a step may use for an ingredient: its full name and the words in it
+   * other than descriptors, singular or plural ("chicken breast" -> "chicken")
+   */
+  static referenceTerms(name) {
+    const normalized = normalize(name);
+    const words = normalized.split(' ').filter(word => !DESCRIPTORS.includes(word));
+
+    return [...new Set([normalized, ...words].flatMap(term => [term, IngredientCatalog.singularize(term)]))]
+      .filter(Boolean);
+  }
+
+  static stepText(instruction) {
+    return normalize([instruction.step, instruction.notes, instruction.safetyNotes].filter(Boolean).join(' '));
+  }
+
+  checkIngredientReferences(recipe) {
+    const findings = [];
+    const ingredients = recipe.ingredients || [];
+    const texts = (recipe.instructions || []).map(RecipeLinter.stepText);
+    const usesAll = texts.some(text => ALL_INGREDIENTS.test(text));
+
+    if (!usesAll) {
+      ingredients.forEach(ingredient => {
+        const terms = RecipeLinter.referenceTerms(ingredient.name);
+        if (!texts.some(text => terms.some(term => contains(text, term)))) {
+          findings.push({
+            rule: 'unused_ingredient',
+            severity: 'warning',
+            ingredient: ingredient.name,
+            message: `${ingredient.name} is never used in a step`
+          });
+        }
+      });
+    }
+
+    // Catalog entries of the recipe's ingredients, and every word they go by
+    const listed = ingredients.map(ingredient => this.catalog.findByName(ingredient.name)).filter(Boolean);
+    const listedTerms = ingredients.flatMap(ingredient => RecipeLinter.referenceTerms(ingredient.name));
+
+    texts.forEach((text, stepIndex) => {
+      const reported = new Set();
+
+      this.catalog.getAll().forEach(entry => {
+        const label = [entry.name, ...entry.aliases]
+          .map(normalize)
+          .find(candidate => contains(text, candidate) || contains(text, `${candidate}s`));
+
+        if (!label || reported.has(entry.id) || EXEMPT_INGREDIENTS.includes(label)) return;
+        if (listed.some(ingredient => ingredient.id === entry.id)) return;
+        if (listedTerms.includes(label) || listedTerms.includes(IngredientCatalog.singularize(label))) return;
+
+        reported.add(entry.id);
+        findings.push({
+          rule: 'unknown_ingredient',
+          severity: 'warning',
+          stepIndex,
+          ingredient: entry.name,
+          message: `Step ${stepIndex + 1} uses ${label}, which is not in the ingredient list`
+        });
+      });
+    });
+
+    return findings;
+  }
+
+  checkTemperatureDurations(recipe) {
+    return (recipe.instructions || []).flatMap((instruction, stepIndex) => {
+      const heated = instruction.temperature !== undefined || TEMPERATURE_PATTERN.test(instruction.step);
+      const timed = instruction.timing || DURATION_PATTERN.test(instruction.step);
+
+      if (!heated || timed) return [];
+      return [{
+        rule: 'temperature_without_duration',
+        severity: 'warning',
+        stepIndex,
+        message: `Step ${stepIndex + 1} sets a temperature but not how long to hold it`
+      }];
+    });
+  }
+
+  /**
+   * Cooked poultry needs a step at or after the cooking that checks its
+   * internal temperature reaches 74°C / 165°F
+   */
+  checkPoultrySafety(recipe) {
+    const instructions = recipe.instructions || [];
+    const texts = instructions.map(RecipeLinter.stepText);
+
+    const checks = instructions.map((instruction, index) => {
+      if (!INTERNAL_TEMPERATURE_CHECK.test(texts[index])) return null;
+
+      const raw = [instruction.step, instruction.notes, instruction.safetyNotes].filter(Boolean).join(' ');
+      const temperatures = temperaturesIn(raw);
+      return { index, temperature: temperatures.length > 0 ? Math.max(...temperatures) : null };
+    });
+
+    return instructions.flatMap((instruction, stepIndex) => {
+      const heated = HEAT_ACTIONS.includes(instruction.action) || instruction.temperature !== undefined;
+      const poultry = POULTRY_TERMS.find(term => contains(texts[stepIndex], term) || contains(texts[stepIndex], `${term}s`));
+      if (!heated || !poultry) return [];
+
+      const later = checks.filter(check => check && check.index >= stepIndex);
+      if (later.length === 0) {
+        return [{
+          rule: 'poultry_internal_temperature',
+          severity: 'error',
+          stepIndex,
+          message: `Step ${stepIndex + 1} cooks ${poultry} without checking it reaches an internal temperature of ` +
+            `${POULTRY_SAFE_TEMPERATURE}°C (165°F)`
+        }];
+      }
+
+      const unsafe = later.find(check => check.temperature !== null && check.temperature < POULTRY_SAFE_TEMPERATURE);
+      if (unsafe && !later.some(check => check.temperature === null || check.temperature >= POULTRY_SAFE_TEMPERATURE)) {
+        return [{
+          rule: 'poultry_internal_temperature',
+          severity: 'error',
+          stepIndex,
+          message: `Step ${unsafe.index + 1} checks ${poultry} at ${unsafe.temperature}°C, below the safe ` +
+            `${POULTRY_SAFE_TEMPERATURE}°C (165°F)`
+        }];
+      }
+
+      return [];
+    });
+  }
+
+  /**
+   * The total time should lie between the steps' critical path (everything
+   * in parallel) and their sum (one after another)
+   */
+  checkTotalTime(recipe) {
+    const instructions = recipe.instructions || [];
+    if (!recipe.totalTime || !instructions.some(instruction => instruction.timing)) return [];
+
+    let schedule;
+    try {
+      schedule = scheduleSteps(instructions);
+    } catch (error) {
+      return [];
+    }
+
+    const { totalTime } = recipe;
+    const shortest = schedule.criticalPath.time;
+    const longest = schedule.sequentialTime;
+    const tolerance = Math.max(TOTAL_TIME_MIN_TOLERANCE, longest * TOTAL_TIME_TOLERANCE);
+
+    if (totalTime < shortest) {
+      return [{
+        rule: 'total_time_mismatch',
+        severity: 'warning',
+        message: `Total time of ${totalTime} min is shorter than the ${shortest} min the steps take at best`
+      }];
+    }
+    if (totalTime > longest + tolerance) {
+      return [{
+        rule: 'total_time_mismatch',
+        severity: 'info',
+        message: `Total time of ${totalTime} min is well above the ${longest} min the step timings add up to`
+      }];
+    }
+    return [];
+  }
+}
+
+RecipeLinter.SEVERITIES = SEVERITIES;
+RecipeLinter.POULTRY_SAFE_TEMPERATURE = POULTRY_SAFE_TEMPERATURE;
+
+module.exports = RecipeLinter;
@@ -0,0 +1,109 @@
+/**
+ * Recipe Rescorer - Keeps the scores of stored recipes current
+ * Nutrition and footprints are worked out from the ingredient catalog and the
+ * crops in the growing modules when a recipe is saved. When either changes,
+ * every stored recipe is scored again and those whose scores moved are
+ * committed as a new version, so the revision history shows why they changed.
+ * The search index follows the repository writes.
+ */
+
+const Recipe = require('../models/Recipe');
+const NutritionEngine = require('./NutritionEngine');
+const RecipeVersioningService = require('./RecipeVersioningService');
+const { RecipeVersionConflictError } = require('../utils/errors');
+
+// Times a recipe edited while it is scored is read and scored again
+const MAX_ATTEMPTS = 3;
+
+class RecipeRescorer {
+  constructor(repository, catalog, sustainabilityEngine) {
+    this.repository = repository;
+    this.versioningService = new RecipeVersioningService(repository);
+    this.nutritionEngine = new NutritionEngine(catalog);
+    this.sustainabilityEngine = sustainabilityEngine;
+    this.running = null; // pass in progress
+    this.queued = null; // { summaries, promise } of the pass to run after it
+  }
+
+  /**
+   * Score every stored recipe again; `summary` explains the new versions.
+   * One pass runs at a time: requests made during a pass share a single
+   * pass after it. Resolves with the number of recipes committed.
+   */
+  rescore(summary) {
+    if (!this.running) {
+      return this.start([summary]);
+    }
+
+    if (!this.queued) {
+      const queued = { summaries: [] };
+      queued.promise = this.running
+        .catch(() => {})
+        .then(() => {
+          this.queued = null;
+          return this.start(queued.summaries);
+        });
+      this.queued = queued;
+    }
+
+    if (!this.queued.summaries.includes(summary)) {
+      this.queued.summaries.push(summary);
+    }
+    return this.queued.promise;
+  }
+
+  start(summaries) {
+    this.running = this.pass(summaries).finally(() => {
+      this.running = null;
+    });
+    return this.running;
+  }
+
+  async pass(summaries) {
+    const recipes = await this.repository.findAll();
+    let updated = 0;
+
+    for (const { id } of recipes) {
+      if (await this.rescoreRecipe(id, summaries)) {
+        updated++;
+      }
+    }
+
+    return updated;
+  }
+
+  /**
+   * Score one stored recipe again; resolves with whether a version was committed
+   */
+  async rescoreRecipe(id, summaries, attempts = MAX_ATTEMPTS) {
+    // Read again right before writing, so edits made meanwhile are kept
+    const previous = await this.repository.findById(id);
+    if (!previous) return false;
+
+    const recipe = Recipe.fromJSON(previous.toJSON());
+    this.nutritionEngine.applyTo(recipe);
+    this.sustainabilityEngine.applyTo(recipe);
+    if (RecipeRescorer.scores(recipe) === RecipeRescorer.scores(previous)) return false;
+
+    try {
+      return Boolean(await this.versioningService.commitChange(previous, recipe, 'rescore', { summary: summaries }));
+    } catch (error) {
+      // Edited while it was scored: score the new version instead
+      if (error instanceof RecipeVersionConflictError && attempts > 1) {
+        return this.rescoreRecipe(id, summaries, attempts - 1);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * The derived scores of a recipe, without their calculation times
+   */
+  static scores(recipe) {
+    const { nutrition, nutritionAnalysis, sustainability } = recipe;
+    return JSON.stringify({ nutrition, nutritionAnalysis, sustainability },
+      (key, value) => (key === 'calculatedAt' ? undefined : value));
+  }
+}
+
+module.exports = RecipeRescorer;
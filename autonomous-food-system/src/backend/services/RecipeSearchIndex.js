@@ -0,0 +1,372 @@
+/**
+ * Recipe Search Index - In-process inverted index over the recipe catalog
+ * Indexes names, descriptions, tags, ingredient names and instruction text with
+ * stemming, ranks matches with BM25 weighted by field, tolerates typos and
+ * computes facet counts. Kept current through the repository's change events.
+ */
+
+const { analyze, tokenize, stem, editDistance, allowedTypos } = require('../utils/textSearch');
+
+// Relative importance of a match in each field
+const FIELD_WEIGHTS = {
+  name: 5,
+  tags: 3,
+  ingredients: 3,
+  description: 1.5,
+  instructions: 1
+};
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Score multipliers for inexact matches
+const PREFIX_FACTOR = 0.8;
+const TYPO_FACTOR = 0.6;
+const NAME_PHRASE_BONUS = 1.5;
+
+// Inclusive totalTime ranges in minutes
+const TIME_BUCKETS = [
+  { value: 'under_15', label: '15 min or less', minTime: 0, maxTime: 15 },
+  { value: '15_to_30', label: '16-30 min', minTime: 16, maxTime: 30 },
+  { value: '30_to_60', label: '31-60 min', minTime: 31, maxTime: 60 },
+  { value: '60_to_120', label: '1-2 hours', minTime: 61, maxTime: 120 },
+  { value: 'over_120', label: 'Over 2 hours', minTime: 121, maxTime: Infinity }
+];
+
+const FACET_FIELDS = ['category', 'cuisine', 'difficulty', 'time'];
+
+// Upper-bound filters -> document field they cap; footprints are per serving
+const MAX_FILTERS = {
+  maxTime: 'totalTime',
+  maxCarbon: 'carbonFootprint',
+  maxWater: 'waterUsage'
+};
+
+const timeBucketFor = (totalTime) => {
+  const bucket = TIME_BUCKETS.find(candidate => (totalTime || 0) <= candidate.maxTime);
+  return bucket.value;
+};
+
+class RecipeSearchIndex {
+  constructor(repository) {
+    this.repository = repository;
+    this.reset();
+
+    if (repository) {
+      repository.onChange(event => this.handleChange(event));
+    }
+  }
+
+  reset() {
+    this.postings = new Map(); // term -> Map(recipeId -> weighted term frequency)
+    this.documents = new Map(); // recipeId -> facet and sort fields, indexed terms
+    this.surfaceForms = new Map(); // term -> first word seen for it, for corrections
+    this.totalLength = 0;
+    this.built = false;
+    this.building = null;
+    this.pending = []; // changes made while the catalog is being read
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  /**
+   * Load the catalog on first use
+   */
+  async ensureBuilt() {
+    if (this.built) return;
+
+    if (!this.building) {
+      this.building = this.repository.findAll()
+        .then(recipes => {
+          recipes.forEach(recipe => this.add(recipe));
+          this.built = true;
+          // Replayed after the read, which may predate them
+          this.pending.forEach(event => this.applyChange(event));
+        })
+        .finally(() => {
+          this.building = null;
+          this.pending = [];
+        });
+    }
+
+    await this.building;
+  }
+
+  handleChange(event) {
+    // Before the first build the catalog is read in full anyway
+    if (!this.built && !this.building) return;
+
+    if (this.building) {
+      this.pending.push(event);
+    } else {
+      this.applyChange(event);
+    }
+  }
+
+  applyChange({ type, recipe, id }) {
+    if (type === 'clear') {
+      this.reset();
+      this.built = true;
+    } else if (type === 'delete') {
+      this.remove(id);
+    } else if (recipe) {
+      this.add(recipe);
+    }
+  }
+
+  add(recipe) {
+    this.remove(recipe.id);
+
+    const fields = {
+      name: recipe.name,
+      tags: (recipe.tags || []).join(' '),
+      ingredients: (recipe.ingredients || []).map(ingredient => ingredient.name).join(' '),
+      description: recipe.description,
+      instructions: (recipe.instructions || []).map(instruction => instruction.step).join(' ')
+    };
+
+    const frequencies = new Map();
+    let length = 0;
+
+    Object.entries(fields).forEach(([field, text]) => {
+      tokenize(text).forEach(word => {
+        const term = stem(word);
+        frequencies.set(term, (frequencies.get(term) || 0) + FIELD_WEIGHTS[field]);
+        length += FIELD_WEIGHTS[field];
+        if (!this.surfaceForms.has(term)) {
+          this.surfaceForms.set(term, word);
+        }
+      });
+    });
+
+    frequencies.forEach((frequency, term) => {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+      }
+      this.postings.get(term).set(recipe.id, frequency);
+    });
+
+    this.documents.set(recipe.id, {
+      id: recipe.id,
+      name: recipe.name,
+      normalizedName: tokenize(recipe.name).join(' '),
+      category: recipe.category,
+      cuisine: recipe.cuisine,
+      difficulty: recipe.difficulty,
+      totalTime: recipe.totalTime || 0,
+      time: timeBucketFor(recipe.totalTime),
+      servings: recipe.servings,
+      carbonFootprint: recipe.sustainability ? recipe.sustainability.perServing.carbonFootprint : null,
+      waterUsage: recipe.sustainability ? recipe.sustainability.perServing.waterUsage : null,
+      createdAt: recipe.createdAt,
+      updatedAt: recipe.updatedAt,
+      length,
+      terms: [...frequencies.keys()]
+    });
+    this.totalLength += length;
+  }
+
+  remove(id) {
+    const document = this.documents.get(id);
+    if (!document) return;
+
+    document.terms.forEach(term => {
+      const posting = this.postings.get(term);
+      posting.delete(id);
+      if (posting.size === 0) {
+        this.postings.delete(term);
+        this.surfaceForms.delete(term);
+      }
+    });
+
+    this.totalLength -= document.length;
+    this.documents.delete(id);
+  }
+
+  /**
+   * Index terms a query term can match: itself, longer words it starts
+   * (for the last term, as typed) and, failing an exact match, near misses
+   */
+  expandTerm(term, isLast) {
+    const expansions = new Map();
+
+    if (this.postings.has(term)) {
+      expansions.set(term, 1);
+    }
+
+    const typos = expansions.size === 0 ? allowedTypos(term) : 0;
+
+    this.postings.forEach((posting, candidate) => {
+      if (candidate === term) return;
+
+      if (isLast && term.length >= 3 && candidate.startsWith(term)) {
+        expansions.set(candidate, PREFIX_FACTOR);
+      } else if (typos > 0 && Math.abs(candidate.length - term.length) <= typos &&
+        editDistance(term, candidate, typos) <= typos) {
+        expansions.set(candidate, Math.max(expansions.get(candidate) || 0, TYPO_FACTOR));
+      }
+    });
+
+    return expansions;
+  }
+
+  idf(term) {
+    const documentFrequency = this.postings.get(term).size;
+    return Math.log(1 + (this.size - documentFrequency + 0.5) / (documentFrequency + 0.5));
+  }
+
+  /**
+   * Relevance scores for every recipe matching at least one query term
+   */
+  score(query) {
+    const words = tokenize(query);
+    const terms = words.map(stem);
+    const averageLength = this.size > 0 ? this.totalLength / this.size : 1;
+    const scores = new Map(); // recipeId -> { score, best: query term index -> best term score }
+    const corrections = [];
+
+    terms.forEach((term, index) => {
+      const expansions = this.expandTerm(term, index === terms.length - 1);
+
+      if (!this.postings.has(term) && expansions.size > 0 && [...expansions.values()].includes(TYPO_FACTOR)) {
+        corrections.push({
+          term: words[index],
+          matches: [...expansions.entries()]
+            .filter(([, factor]) => factor === TYPO_FACTOR)
+            .map(([candidate]) => this.surfaceForms.get(candidate))
+        });
+      }
+
+      expansions.forEach((factor, candidate) => {
+        const idf = this.idf(candidate);
+
+        this.postings.get(candidate).forEach((frequency, id) => {
+          const { length } = this.documents.get(id);
+          const saturation = (frequency * (K1 + 1)) /
+            (frequency + K1 * (1 - B + B * length / averageLength));
+          const termScore = factor * idf * saturation;
+
+          const entry = scores.get(id) || { score: 0, best: new Map() };
+          // Only the best expansion of each query term counts
+          if (termScore > (entry.best.get(index) || 0)) {
+            entry.score += termScore - (entry.best.get(index) || 0);
+            entry.best.set(index, termScore);
+          }
+          scores.set(id, entry);
+        });
+      });
+    });
+
+    const phrase = words.join(' ');
+    const results = [...scores.entries()].map(([id, entry]) => {
+      const coverage = entry.best.size / terms.length;
+      let score = entry.score * coverage * coverage;
+      if (phrase && this.documents.get(id).normalizedName.includes(phrase)) {
+        score *= NAME_PHRASE_BONUS;
+      }
+      return { id, score: Math.round(score * 1000) / 1000, matchedTerms: entry.best.size };
+    });
+
+    return { terms, corrections, results };
+  }
+
+  matchesFilters(document, filters, skip) {
+    const given = key => filters[key] !== undefined && filters[key] !== '';
+
+    return FACET_FIELDS.every(field => field === skip || !given(field) || document[field] === filters[field]) &&
+      Object.entries(MAX_FILTERS).every(([key, field]) =>
+        !given(key) || (document[field] !== null && document[field] <= Number(filters[key])));
+  }
+
+  /**
+   * Counts per facet value; each facet ignores its own filter so the other
+   * values stay selectable
+   */
+  facets(documents, filters = {}) {
+    const counts = FACET_FIELDS.reduce((result, field) => ({ ...result, [field]: new Map() }), {});
+
+    documents.forEach(document => {
+      FACET_FIELDS.forEach(field => {
+        if (this.matchesFilters(document, filters, field) && document[field]) {
+          counts[field].set(document[field], (counts[field].get(document[field]) || 0) + 1);
+        }
+      });
+    });
+
+    const sorted = (map) => [...map.entries()]
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+
+    return {
+      category: sorted(counts.category),
+      cuisine: sorted(counts.cuisine),
+      difficulty: sorted(counts.difficulty),
+      time: TIME_BUCKETS.map(({ value, label }) => ({ value, label, count: counts.time.get(value) || 0 }))
+    };
+  }
+
+  /**
+   * Ranked, filtered matches for a query plus facet counts. An empty query
+   * matches every recipe. `include(id)` narrows the candidates before facets
+   * are counted.
+   */
+  async search(query = '', options = {}) {
+    await this.ensureBuilt();
+
+    const { filters = {}, sortBy = 'relevance', sortOrder = 'desc', include } = options;
+    const hasQuery = analyze(query).length > 0;
+
+    const scored = hasQuery
+      ? this.score(query)
+      : {
+        terms: [],
+        corrections: [],
+        results: [...this.documents.keys()].map(id => ({ id, score: 0, matchedTerms: 0 }))
+      };
+
+    const included = include ? scored.results.filter(result => include(result.id)) : scored.results;
+    const candidates = included.map(result => this.documents.get(result.id));
+    const results = included.filter(result => this.matchesFilters(this.documents.get(result.id), filters));
+
+    const direction = sortOrder === 'asc' ? 1 : -1;
+    results.sort((a, b) => {
+      if (sortBy === 'relevance') {
+        return (b.score - a.score) || this.compareField(a, b, 'name', 1);
+      }
+      return this.compareField(a, b, sortBy, direction) || (b.score - a.score);
+    });
+
+    return {
+      terms: scored.terms,
+      corrections: scored.corrections,
+      results,
+      total: results.length,
+      facets: this.facets(candidates, filters)
+    };
+  }
+
+  compareField(a, b, field, direction) {
+    let aValue = this.documents.get(a.id)[field];
+    let bValue = this.documents.get(b.id)[field];
+
+    // Recipes without the value (no footprint yet) sort last either way
+    const aMissing = aValue === null || aValue === undefined;
+    const bMissing = bValue === null || bValue === undefined;
+    if (aMissing || bMissing) return aMissing - bMissing;
+
+    if (typeof aValue === 'string') {
+      aValue = aValue.toLowerCase();
+      bValue = (bValue || '').toLowerCase();
+    }
+    if (aValue === bValue) return 0;
+    return (aValue > bValue ? 1 : -1) * direction;
+  }
+}
+
+RecipeSearchIndex.TIME_BUCKETS = TIME_BUCKETS;
+RecipeSearchIndex.FIELD_WEIGHTS = FIELD_WEIGHTS;
+
+module.exports = RecipeSearchIndex;
@@ -0,0 +1,341 @@
+/**
+ * Recipe Simulator - Dry runs of automation programs on simulated kitchen hardware
+ * A recipe is compiled for a kitchen and run on a virtual clock, so a two-hour
+ * braise finishes in milliseconds. Commands go to the actuator simulators of
+ * the HardwareIntegrationService; device temperatures follow a linear heating
+ * model from a fixed ambient temperature, so repeated runs give the same trace.
+ */
+
+const KITCHEN_DEVICES = require('../data/kitchenDevices');
+const { compileProgram, validateProgram, describeOperation } = require('../utils/automationProgram');
+
+// °C of the kitchen unless the caller gives one
+const DEFAULT_AMBIENT_TEMPERATURE = 20;
+
+// °C per minute a switched-off device drifts back towards the ambient temperature
+const COOL_DOWN_RATE = 5;
+
+// Minutes a robot takes for a task; robot simulators run on real timers
+const ROBOT_TASK_TIME = 1;
+
+// Minutes a `run` command takes on devices without a `runTime`
+const DEFAULT_RUN_TIME = 0.5;
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+class RecipeSimulator {
+  constructor(hardwareService) {
+    this.hardwareService = hardwareService;
+  }
+
+  /**
+   * Compile a recipe for a kitchen and run its program on simulated hardware
+   */
+  simulate(recipe, kitchen, options = {}) {
+    const {
+      automationLevel = 'semi_automated',
+      ambientTemperature = DEFAULT_AMBIENT_TEMPERATURE,
+      checkpointDelay = 1,
+      powerLimit = null
+    } = options;
+    const startedAt = Date.now();
+
+    const program = compileProgram(recipe, kitchen, { confirmEachStep: automationLevel === 'assisted' });
+
+    const trace = this.run(program, recipe, kitchen, { ambientTemperature, checkpointDelay, powerLimit });
+
+    if (automationLevel === 'fully_automated' && program.summary.checkpoints > 0) {
+      trace.violations.unshift({
+        address: null,
+        stepIndex: null,
+        deviceId: null,
+        rule: 'manual_checkpoint',
+        severity: 'error',
+        message: `${program.summary.checkpoints} checkpoint(s) need a cook, so the recipe cannot run fully automated`
+      });
+    }
+
+    return {
+      recipeId: recipe.id,
+      recipeName: recipe.name,
+      servings: recipe.servings,
+      kitchenId: kitchen.id,
+      kitchenName: kitchen.name,
+      automationLevel,
+      ambientTemperature,
+      program,
+      validation: validateProgram(program, kitchen),
+      ...trace,
+      safe: !trace.violations.some(violation => violation.severity === 'error'),
+      simulatedIn: Date.now() - startedAt, // real milliseconds
+      simulatedAt: new Date()
+    };
+  }
+
+  /**
+   * Execute the program on a virtual clock (minutes from the start)
+   */
+  run(program, recipe, kitchen, settings) {
+    const { ambientTemperature, checkpointDelay, powerLimit } = settings;
+    const clock = { now: 0 };
+    const timeline = [];
+    const violations = [];
+    const peakPower = { watts: 0, at: 0 };
+
+    const violate = (violation) => {
+      const duplicate = violations.some(existing =>
+        existing.rule === violation.rule && existing.deviceId === violation.deviceId && existing.stepIndex === violation.stepIndex);
+      if (!duplicate) violations.push(violation);
+    };
+
+    const devices = new Map(kitchen.devices
+      .filter(device => device.kind === 'actuator')
+      .map(device => [device.id, this.createDeviceState(device, ambientTemperature)]));
+
+    // Move every device's temperature and energy use forward by `minutes`
+    const advance = (minutes, operation) => {
+      if (minutes <= 0) return;
+
+      const watts = [...devices.values()].reduce((sum, state) => sum + this.power(state, ambientTemperature), 0);
+      if (watts > peakPower.watts) {
+        peakPower.watts = round(watts, 0);
+        peakPower.at = round(clock.now);
+      }
+      if (powerLimit && watts > powerLimit) {
+        violate({
+          address: operation.address,
+          stepIndex: operation.stepIndex,
+          deviceId: null,
+          rule: 'power_limit',
+          severity: 'error',
+          message: `Kitchen draws ${Math.round(watts)} W, above the ${powerLimit} W limit`
+        });
+      }
+
+      devices.forEach(state => {
+        const power = this.power(state, ambientTemperature);
+        state.energyWh += power * minutes / 60;
+        state.peakPower = Math.max(state.peakPower, power);
+        state.peakLoad = Math.max(state.peakLoad, this.load(state, ambientTemperature));
+
+        if (state.on) {
+          state.activeTime += minutes;
+          const { maxRunTime } = state.simulation;
+          if (maxRunTime && clock.now + minutes - state.onSince > maxRunTime) {
+            violate({
+              address: operation.address,
+              stepIndex: operation.stepIndex,
+              deviceId: state.device.id,
+              rule: 'max_run_time',
+              severity: 'error',
+              message: `${state.device.id} would run longer than its ${maxRunTime} min limit`
+            });
+          }
+        }
+
+        if (state.temperature !== null) {
+          const heating = state.on && state.setpoint !== null;
+          const target = heating ? state.setpoint : (state.on ? state.temperature : ambientTemperature);
+          const rate = heating ? state.simulation.heatingRate : COOL_DOWN_RATE;
+          const change = Math.min(Math.abs(target - state.temperature), rate * minutes);
+          state.temperature += Math.sign(target - state.temperature) * change;
+          state.peakTemperature = Math.max(state.peakTemperature, state.temperature);
+        }
+      });
+
+      clock.now += minutes;
+    };
+
+    program.operations.forEach(operation => {
+      const start = clock.now;
+      const state = devices.get(operation.deviceId);
+      let outcome = 'done';
+
+      switch (operation.type) {
+        case 'command': {
+          const result = state.simulator.executeCommand(operation.command) || {};
+          state.commands++;
+          advance((result.simulatedDelay || 0) / 60000, operation);
+          this.apply(state, operation.command, clock.now);
+
+          if (operation.command.state === 'run') {
+            advance(state.simulation.runTime || DEFAULT_RUN_TIME, operation);
+            this.apply(state, { state: 'off' }, clock.now);
+          }
+          break;
+        }
+
+        case 'task':
+          advance(ROBOT_TASK_TIME, operation);
+          break;
+
+        case 'wait':
+          advance(operation.duration, operation);
+          break;
+
+        case 'until': {
+          const needed = this.timeToCondition(state, operation);
+          if (needed <= operation.timeout) {
+            advance(needed, operation);
+          } else {
+            advance(operation.timeout, operation);
+            violate({
+              address: operation.address,
+              stepIndex: operation.stepIndex,
+              deviceId: operation.deviceId,
+              rule: 'heat_up_timeout',
+              severity: 'warning',
+              message: `${operation.deviceId} would not reach ${operation.sensor} ${operation.comparator} ${operation.value} within ${operation.timeout} min`
+            });
+            // The cook then confirms the checkpoint the condition turns into
+            advance(checkpointDelay, operation);
+            outcome = 'timed_out';
+          }
+          break;
+        }
+
+        case 'checkpoint': {
+          const step = program.steps[operation.stepIndex];
+          const instruction = recipe.instructions[operation.stepIndex];
+          // A manual step takes the cook as long as the recipe says
+          advance(!step.automatable && instruction.timing ? instruction.timing : checkpointDelay, operation);
+          outcome = step.automatable ? 'confirmed' : 'manual';
+          break;
+        }
+      }
+
+      timeline.push({
+        address: operation.address,
+        stepIndex: operation.stepIndex,
+        type: operation.type,
+        description: describeOperation(operation).replace(/\s+/g, ' '),
+        start: round(start),
+        end: round(clock.now),
+        outcome,
+        ...(state && state.temperature !== null && { temperature: round(state.temperature, 1) })
+      });
+    });
+
+    const duration = round(clock.now);
+
+    return {
+      duration,
+      timeline,
+      steps: program.steps.map(step => {
+        const entries = timeline.filter(entry => entry.stepIndex === step.index);
+        const start = entries.length > 0 ? entries[0].start : null;
+        const end = entries.length > 0 ? entries[entries.length - 1].end : null;
+        return {
+          index: step.index,
+          step: step.step,
+          automatable: step.automatable,
+          start,
+          end,
+          duration: start !== null ? round(end - start) : 0,
+          plannedDuration: recipe.instructions[step.index].timing || null
+        };
+      }),
+      devices: [...devices.values()]
+        .filter(state => state.commands > 0)
+        .map(state => ({
+          deviceId: state.device.id,
+          type: state.device.type,
+          commands: state.commands,
+          activeTime: round(state.activeTime),
+          utilization: duration > 0 ? round(state.activeTime / duration, 3) : 0,
+          peakTemperature: state.temperature !== null ? round(state.peakTemperature, 1) : null,
+          peakSpeed: state.peakSpeed,
+          peakLoad: round(state.peakLoad, 3),
+          peakPower: Math.round(state.peakPower),
+          energyKwh: round(state.energyWh / 1000, 3)
+        })),
+      peakPower,
+      energyKwh: round([...devices.values()].reduce((sum, state) => sum + state.energyWh, 0) / 1000, 3),
+      violations
+    };
+  }
+
+  createDeviceState(device, ambientTemperature) {
+    const definition = KITCHEN_DEVICES[device.type] || {};
+    const simulation = definition.simulation || { power: 0 };
+
+    return {
+      device,
+      simulation,
+      simulator: this.hardwareService.createActuatorSimulator(device.type),
+      on: false,
+      onSince: null,
+      setpoint: null,
+      speed: null,
+      temperature: simulation.heatingRate !== undefined ? ambientTemperature : null,
+      peakTemperature: ambientTemperature,
+      peakSpeed: null,
+      peakLoad: 0,
+      peakPower: 0,
+      activeTime: 0,
+      energyWh: 0,
+      commands: 0
+    };
+  }
+
+  apply(state, command, now) {
+    if (command.state === 'off') {
+      state.on = false;
+      state.onSince = null;
+      state.setpoint = null;
+      state.speed = null;
+      return;
+    }
+
+    if (!state.on) state.onSince = now;
+    state.on = true;
+    state.setpoint = command.temperature !== undefined ? command.temperature : null;
+    state.speed = command.speed !== undefined ? command.speed : null;
+    if (state.speed !== null) state.peakSpeed = Math.max(state.peakSpeed || 0, state.speed);
+  }
+
+  /**
+   * Share of a device's capacity in use, from its setpoint or speed
+   */
+  load(state, ambientTemperature) {
+    if (!state.on) return 0;
+    const { capabilities = {} } = state.device;
+
+    if (state.setpoint !== null) {
+      if (state.setpoint >= ambientTemperature && capabilities.maxTemperature !== undefined) {
+        return clamp((state.setpoint - ambientTemperature) / (capabilities.maxTemperature - ambientTemperature), 0, 1);
+      }
+      if (state.setpoint < ambientTemperature && capabilities.minTemperature !== undefined) {
+        return clamp((ambientTemperature - state.setpoint) / (ambientTemperature - capabilities.minTemperature), 0, 1);
+      }
+    }
+    if (state.speed !== null && capabilities.maxSpeed) {
+      return clamp(state.speed / capabilities.maxSpeed, 0, 1);
+    }
+    return 1;
+  }
+
+  power(state, ambientTemperature) {
+    return state.simulation.power * this.load(state, ambientTemperature);
+  }
+
+  /**
+   * Minutes until a temperature condition holds, or Infinity if it never will
+   */
+  timeToCondition(state, operation) {
+    if (!state || state.temperature === null || operation.sensor !== 'temperature') return Infinity;
+
+    const met = (temperature) => (operation.comparator === '>='
+      ? temperature >= operation.value
+      : temperature <= operation.value);
+
+    if (met(state.temperature)) return 0;
+    if (!state.on || state.setpoint === null || !met(state.setpoint)) return Infinity;
+
+    return Math.abs(operation.value - state.temperature) / state.simulation.heatingRate;
+  }
+}
+
+module.exports = RecipeSimulator;
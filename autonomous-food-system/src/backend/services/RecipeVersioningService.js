@@ -0,0 +1,209 @@
+/**
+ * Recipe Versioning Service - Immutable revision history for recipes
+ * Every stored change becomes a snapshot with a semantic version bump:
+ *   major - ingredients or steps added/removed
+ *   minor - quantities, step parameters, servings or timings changed
+ *   patch - descriptive metadata, nutrition or optimization bookkeeping
+ */
+
+const Recipe = require('../models/Recipe');
+const { diffRecipes, summarizeDiff } = require('../utils/recipeDiff');
+const { RecipeVersionConflictError } = require('../utils/errors');
+
+// Usage data and bookkeeping that a rollback must not rewind
+const NON_CONTENT_FIELDS = ['id', 'analytics', 'lineage', 'createdAt', 'updatedAt', 'version'];
+
+class RecipeVersioningService {
+  constructor(repository) {
+    this.repository = repository;
+  }
+
+  /**
+   * Store a brand new recipe together with its initial revision
+   */
+  async createRecipe(recipe, options = {}) {
+    const { reason = 'created', summary = ['Recipe created'] } = options;
+    const storedRecipe = await this.repository.create(recipe);
+    const revision = await this.recordRevision(storedRecipe, {
+      bump: 'initial',
+      reason,
+      previousVersion: null,
+      summary
+    });
+
+    return { recipe: storedRecipe, revision };
+  }
+
+  /**
+   * Persist `updated` as the next version of `previous`. `options.summary`
+   * adds lines to the revision summary for changes the diff does not show.
+   * The recipe is only replaced while it is still at `previous.version`, so
+   * of two changes made from one version the second is refused with a
+   * RecipeVersionConflictError instead of overwriting the first.
+   */
+  async commitChange(previous, updated, reason, options = {}) {
+    await this.ensureBaseline(previous);
+
+    const diff = diffRecipes(previous, updated);
+    const bump = RecipeVersioningService.determineBump(diff);
+
+    updated.version = RecipeVersioningService.bumpVersion(previous.version, bump);
+    updated.updatedAt = new Date();
+
+    const storedRecipe = await this.repository.update(updated, { expectedVersion: previous.version });
+    if (!storedRecipe) {
+      const current = await this.repository.findById(previous.id);
+      if (!current) {
+        return null;
+      }
+
+      throw new RecipeVersionConflictError(
+        `Recipe ${previous.id} changed from version ${previous.version} to ${current.version}; reload it and try again`,
+        { recipeId: previous.id, expectedVersion: previous.version, currentVersion: current.version }
+      );
+    }
+
+    const revision = await this.recordRevision(storedRecipe, {
+      bump,
+      reason,
+      previousVersion: previous.version,
+      summary: [...summarizeDiff(diff), ...(options.summary || [])],
+      restoredVersion: options.restoredVersion || null
+    });
+
+    return { recipe: storedRecipe, revision, diff };
+  }
+
+  /**
+   * Revision metadata, oldest first (snapshots omitted)
+   */
+  async listVersions(recipeId) {
+    const revisions = await this.repository.getRevisions(recipeId);
+    return revisions.map(({ snapshot, ...metadata }) => metadata);
+  }
+
+  async getVersion(recipeId, version) {
+    return this.repository.getRevision(recipeId, version);
+  }
+
+  /**
+   * Diff two stored revisions; `toVersion` defaults to the current recipe
+   */
+  async diffVersions(recipeId, fromVersion, toVersion) {
+    const from = await this.repository.getRevision(recipeId, fromVersion);
+    if (!from) {
+      return null;
+    }
+
+    let to;
+    if (toVersion) {
+      to = await this.repository.getRevision(recipeId, toVersion);
+    } else {
+      const current = await this.repository.findById(recipeId);
+      to = current && { version: current.version, snapshot: current.toJSON() };
+    }
+
+    if (!to) {
+      return null;
+    }
+
+    const diff = diffRecipes(from.snapshot, to.snapshot);
+
+    return {
+      recipeId,
+      from: from.version,
+      to: to.version,
+      bump: RecipeVersioningService.determineBump(diff),
+      summary: summarizeDiff(diff),
+      ...diff
+    };
+  }
+
+  /**
+   * Restore the content of an earlier revision as a new version
+   */
+  async rollback(recipeId, version) {
+    const current = await this.repository.findById(recipeId);
+    const target = await this.repository.getRevision(recipeId, version);
+
+    if (!current || !target) {
+      return null;
+    }
+
+    const restoredData = { ...current.toJSON() };
+    Object.keys(target.snapshot).forEach(field => {
+      if (!NON_CONTENT_FIELDS.includes(field)) {
+        restoredData[field] = target.snapshot[field];
+      }
+    });
+
+    return this.commitChange(current, new Recipe(restoredData), 'rollback', {
+      restoredVersion: target.version
+    });
+  }
+
+  /**
+   * Recipes stored before versioning existed get their current state recorded first
+   */
+  async ensureBaseline(recipe) {
+    const existing = await this.repository.getRevision(recipe.id, recipe.version);
+    if (existing) {
+      return existing;
+    }
+
+    return this.recordRevision(recipe, {
+      bump: 'initial',
+      reason: 'baseline',
+      previousVersion: null,
+      summary: ['Baseline recorded for existing recipe']
+    });
+  }
+
+  async recordRevision(recipe, metadata) {
+    return this.repository.addRevision({
+      recipeId: recipe.id,
+      version: recipe.version,
+      previousVersion: metadata.previousVersion,
+      bump: metadata.bump,
+      reason: metadata.reason,
+      summary: metadata.summary || [],
+      restoredVersion: metadata.restoredVersion || null,
+      snapshot: recipe.toJSON(),
+      createdAt: new Date()
+    });
+  }
+
+  static determineBump(diff) {
+    const { ingredients, instructions, fields } = diff;
+
+    if (ingredients.added.length || ingredients.removed.length ||
+        instructions.added.length || instructions.removed.length) {
+      return 'major';
+    }
+
+    const quantitativeFields = ['servings', 'prepTime', 'cookTime', 'totalTime'];
+    if (ingredients.changed.length || instructions.changed.length ||
+        quantitativeFields.some(field => fields[field])) {
+      return 'minor';
+    }
+
+    return 'patch';
+  }
+
+  static bumpVersion(version = '1.0.0', bump = 'patch') {
+    const [major = 1, minor = 0, patch = 0] = String(version)
+      .split('.')
+      .map(part => parseInt(part) || 0);
+
+    switch (bump) {
+      case 'major':
+        return `${major + 1}.0.0`;
+      case 'minor':
+        return `${major}.${minor + 1}.0`;
+      default:
+        return `${major}.${minor}.${patch + 1}`;
+    }
+  }
+}
+
+module.exports = RecipeVersioningService;
@@ -0,0 +1,293 @@
+/**
+ * Substitution Engine - Ranked ingredient substitutes for a recipe step
+ * Follows the catalog's substitute edges from an ingredient, works out how the
+ * step uses it (baking, sauce, raw...) and scores each substitute by whether
+ * it works there, whether it is in stock and how far it moves nutrition and
+ * cost. Amounts follow the edge's ratio (1 egg -> 60 g applesauce).
+ * Substitutes meant for other contexts, or that break the profile's
+ * allergies, restrictions or dislikes, are listed as excluded with the reason.
+ */
+
+const IngredientCatalog = require('./IngredientCatalog');
+const NutritionEngine = require('./NutritionEngine');
+const DietaryComplianceChecker = require('./DietaryComplianceChecker');
+const SUBSTITUTION_CONTEXTS = require('../data/substitutionContexts');
+const { isKnownUnit, normalizeUnit, convert, toGrams } = require('../utils/units');
+
+// Score points: a substitute meant for the step's context, or for any context
+const CONTEXT_MATCH = 40;
+const ANY_CONTEXT = 25;
+
+// Enough in stock for the swap, or some
+const IN_STOCK = 30;
+const SOME_IN_STOCK = 15;
+
+// Most points for keeping calories and protein, and for not costing more;
+// half of each when the substitute has no catalog data
+const NUTRITION_WEIGHT = 20;
+const COST_WEIGHT = 10;
+
+// Amount compared when neither the request nor the recipe gives one
+const DEFAULT_QUANTITY = { amount: 100, unit: 'g' };
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+const containsTerm = (text, terms) => terms.some(term => new RegExp(`\\b${term}`).test(text));
+
+class SubstitutionEngine {
+  constructor(catalog, complianceChecker = new DietaryComplianceChecker(catalog)) {
+    this.catalog = catalog;
+    this.complianceChecker = complianceChecker;
+  }
+
+  /**
+   * Context of one instruction from its action or wording, or null
+   */
+  static instructionContext(instruction) {
+    const contexts = Object.keys(SUBSTITUTION_CONTEXTS);
+    const byAction = contexts.find(context => SUBSTITUTION_CONTEXTS[context].actions.includes(instruction.action));
+    if (byAction) return byAction;
+
+    const text = String(instruction.step || '').toLowerCase();
+    return contexts.find(context => containsTerm(text, SUBSTITUTION_CONTEXTS[context].terms)) || null;
+  }
+
+  /**
+   * Context of the step at `index`: its own, else the next step's that has one, else raw
+   */
+  static stepContext(instructions, index) {
+    for (let current = index; current < instructions.length; current++) {
+      const context = SubstitutionEngine.instructionContext(instructions[current]);
+      if (context) return context;
+    }
+    return 'raw';
+  }
+
+  /**
+   * Allergens a substitute for line `replacedIndex` adds that no other line already has.
+   * `analysis` is a NutritionEngine or SustainabilityEngine analysis.
+   */
+  static addedAllergens(analysis, replacedIndex, substitute) {
+    const remaining = new Set();
+    analysis.contributions.forEach(contribution => {
+      if (contribution.index !== replacedIndex && contribution.record) {
+        contribution.record.allergens.forEach(allergen => remaining.add(allergen));
+      }
+    });
+
+    return substitute.allergens.filter(allergen =>
+      !analysis.allergens.has(allergen) && !remaining.has(allergen)
+    );
+  }
+
+  /**
+   * Index of the first instruction that mentions the ingredient, or -1
+   */
+  findStep(recipe, ingredient, line) {
+    const labels = [ingredient.name, ...ingredient.aliases, ...(line ? [line.name] : [])]
+      .map(label => IngredientCatalog.normalizeName(label))
+      .filter(Boolean);
+
+    return recipe.instructions.findIndex(instruction => {
+      const text = IngredientCatalog.normalizeName(instruction.step);
+      return labels.some(label => new RegExp(`\\b${label}(e?s)?\\b`).test(text));
+    });
+  }
+
+  /**
+   * Amount of a substitute for `amount` `unit` of the ingredient, following the edge's ratio
+   */
+  quantity(edge, ingredient, amount, unit) {
+    const { from, to } = edge.ratio;
+    const fromUnit = from.unit || unit;
+    const toUnit = to.unit || unit;
+    if (!isKnownUnit(fromUnit) || !isKnownUnit(toUnit)) return null;
+
+    const measured = convert(amount, unit, fromUnit, ingredient);
+    return { amount: round(measured / from.amount * to.amount), unit: normalizeUnit(toUnit) };
+  }
+
+  /**
+   * Change in core nutrients and cost from the swap; null where the substitute has no catalog data
+   */
+  effects(ingredient, original, record, replacement) {
+    if (!record || !replacement) return { nutrition: null, cost: null };
+
+    const originalGrams = toGrams(original.amount, original.unit, ingredient);
+    const replacementGrams = toGrams(replacement.amount, replacement.unit, record);
+
+    const nutrition = NutritionEngine.CORE_NUTRIENTS.reduce((changes, key) => ({
+      ...changes,
+      [key]: round(((record.nutritionPer100g[key] || 0) * replacementGrams -
+        (ingredient.nutritionPer100g[key] || 0) * originalGrams) / 100, 1)
+    }), {});
+
+    // A cost of 0 means the catalog does not know it
+    const cost = ingredient.averageCost > 0 && record.averageCost > 0
+      ? round((record.averageCost * replacementGrams - ingredient.averageCost * originalGrams) / 100)
+      : null;
+
+    return { nutrition, cost };
+  }
+
+  /**
+   * Supplies of a substitute and whether they cover `replacement`
+   * (supplies: [{ source, name, amount?, unit? }]; no amount counts as plenty)
+   */
+  stock(name, record, replacement, supplies) {
+    const key = IngredientCatalog.normalizeName(record ? record.name : name);
+    const matching = supplies.filter(supply => {
+      const supplyRecord = this.catalog.findByName(supply.name);
+      return IngredientCatalog.normalizeName(supplyRecord ? supplyRecord.name : supply.name) === key;
+    });
+    if (matching.length === 0) return { inStock: false, sufficient: false, sources: [] };
+
+    const weigh = (amount, unit, data) => (amount !== null && amount !== undefined && isKnownUnit(unit)
+      ? toGrams(amount, unit, data || {})
+      : null);
+    const needed = replacement ? weigh(replacement.amount, replacement.unit, record) : null;
+    const available = matching.map(supply => weigh(supply.amount, supply.unit, record));
+
+    return {
+      inStock: true,
+      sufficient: needed === null || available.includes(null) || available.reduce((sum, grams) => sum + grams, 0) >= needed,
+      sources: matching.map(({ source, name: supplyName, amount, unit, daysUntilExpiry }) => ({
+        source, name: supplyName, amount, unit, daysUntilExpiry
+      }))
+    };
+  }
+
+  /**
+   * Points and reasons for one usable substitute
+   */
+  score(edge, context, effects, stock, ingredient, original) {
+    const originalGrams = toGrams(original.amount, original.unit, ingredient);
+    const reasons = [];
+    let score = 0;
+
+    if (context && edge.contexts.includes(context)) {
+      score += CONTEXT_MATCH;
+      reasons.push(`suited to ${context}`);
+    } else {
+      score += ANY_CONTEXT;
+    }
+
+    if (stock.inStock && stock.sufficient) {
+      score += IN_STOCK;
+      reasons.push(`in stock (${[...new Set(stock.sources.map(source => source.source))].join(', ')})`);
+    } else if (stock.inStock) {
+      score += SOME_IN_STOCK;
+      reasons.push('not enough in stock');
+    }
+
+    if (effects.nutrition) {
+      const drift = ['calories', 'protein'].map(key => {
+        const before = (ingredient.nutritionPer100g[key] || 0) * originalGrams / 100;
+        return Math.min(1, Math.abs(effects.nutrition[key]) / Math.max(before, 1));
+      });
+      score += NUTRITION_WEIGHT * (1 - (drift[0] + drift[1]) / 2);
+      if (effects.nutrition.calories !== 0) {
+        reasons.push(`${effects.nutrition.calories > 0 ? '+' : ''}${effects.nutrition.calories} kcal`);
+      }
+    } else {
+      score += NUTRITION_WEIGHT / 2;
+      reasons.push('no catalog nutrition data');
+    }
+
+    if (effects.cost !== null) {
+      const originalCost = ingredient.averageCost * originalGrams / 100;
+      score += COST_WEIGHT * Math.max(0, 1 - Math.max(effects.cost, 0) / originalCost);
+      if (effects.cost < 0) reasons.push('cheaper');
+      if (effects.cost > 0) reasons.push('costs more');
+    } else {
+      score += COST_WEIGHT / 2;
+    }
+
+    return { score: round(score, 1), reasons };
+  }
+
+  /**
+   * Substitutes of an ingredient ranked for a use of it
+   * options: { recipe, step (1-based), context, amount, unit, preferences, supplies }
+   */
+  rank(ingredient, options = {}) {
+    const { recipe = null, preferences = {}, supplies = [] } = options;
+
+    const line = recipe
+      ? recipe.ingredients.find(candidate => {
+        const record = this.catalog.findByName(candidate.name);
+        return record && record.id === ingredient.id;
+      }) || null
+      : null;
+
+    let step = options.step || null;
+    if (recipe && !step) {
+      const index = this.findStep(recipe, ingredient, line);
+      step = index >= 0 ? index + 1 : null;
+    }
+    const context = options.context ||
+      (recipe ? SubstitutionEngine.stepContext(recipe.instructions, step ? step - 1 : 0) : null);
+
+    const original = options.amount && options.unit
+      ? { amount: options.amount, unit: options.unit }
+      : line && isKnownUnit(line.unit) ? { amount: line.amount, unit: line.unit } : DEFAULT_QUANTITY;
+
+    const resolved = DietaryComplianceChecker.resolvePreferences(preferences);
+    const substitutes = [];
+    const excluded = [];
+
+    ingredient.getSubstitutes().forEach((edge, order) => {
+      const record = this.catalog.findByName(edge.name);
+      if (record && record.id === ingredient.id) return;
+      const name = record ? record.name : edge.name;
+
+      if (context && edge.contexts.length > 0 && !edge.contexts.includes(context)) {
+        excluded.push({ name, reasons: [`meant for ${edge.contexts.join(', ')}, not ${context}`] });
+        return;
+      }
+
+      const { violations } = this.complianceChecker.lineViolations({ name }, resolved);
+      if (violations.length > 0) {
+        excluded.push({ name, reasons: violations.map(violation => violation.message) });
+        return;
+      }
+
+      const replacement = this.quantity(edge, ingredient, original.amount, original.unit);
+      const effects = this.effects(ingredient, original, record, replacement);
+      const stock = this.stock(edge.name, record, replacement, supplies);
+
+      substitutes.push({
+        ingredientId: record ? record.id : null,
+        name,
+        ...this.score(edge, context, effects, stock, ingredient, original),
+        amount: replacement ? replacement.amount : null,
+        unit: replacement ? replacement.unit : null,
+        contexts: edge.contexts,
+        effects: { texture: edge.texture, ...effects },
+        notes: edge.notes,
+        stock,
+        order
+      });
+    });
+
+    substitutes.sort((a, b) => b.score - a.score || a.order - b.order);
+
+    return {
+      ingredient: { id: ingredient.id, name: ingredient.name },
+      recipeId: recipe ? recipe.id : null,
+      step,
+      context,
+      quantity: original,
+      substitutes: substitutes.map(({ order, ...substitute }) => substitute),
+      excluded,
+      // Allergies without rules, matched against substitute names
+      checkedByName: resolved.allergyTerms,
+      // Restrictions the checker has no rules for
+      unsupported: resolved.unsupported
+    };
+  }
+}
+
+SubstitutionEngine.CONTEXTS = Object.keys(SUBSTITUTION_CONTEXTS);
+
+module.exports = SubstitutionEngine;
@@ -0,0 +1,352 @@
+/**
+ * Sustainability Engine - Recipe CO2e and water footprints from the ingredient database
+ * Resolves each recipe ingredient to a catalog record and totals its
+ * sustainability figures per recipe and per serving, split into home-grown,
+ * local and imported produce. Crops growing in our own modules are credited
+ * with the modules' measured water and energy efficiency instead of the
+ * catalog's figures. Also proposes lower-footprint ingredient swaps for
+ * Recipe.optimize.
+ */
+
+const IngredientCatalog = require('./IngredientCatalog');
+const SubstitutionEngine = require('./SubstitutionEngine');
+const { isKnownUnit } = require('../utils/units');
+
+// kg CO2e per kWh of grid electricity used by the growing modules
+const DEFAULT_GRID_CARBON_INTENSITY = 0.4;
+
+const ORIGINS = ['homeGrown', 'local', 'imported'];
+
+// Optimization criteria keys -> footprint constraints per serving
+const TARGET_KEYS = {
+  maxCarbon: 'carbonFootprint',
+  maxWater: 'waterUsage'
+};
+
+const METRICS = {
+  carbon: 'carbonFootprint',
+  water: 'waterUsage'
+};
+
+// kg CO2e are reported to the gram, water to the decilitre
+const roundCarbon = value => Math.round(value * 1000) / 1000;
+const roundWater = value => Math.round(value * 10) / 10;
+const roundFootprint = ({ carbonFootprint, waterUsage }) => ({
+  carbonFootprint: roundCarbon(carbonFootprint),
+  waterUsage: roundWater(waterUsage)
+});
+
+const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+class SustainabilityEngine {
+  /**
+   * growingModules: Map of GrowingModule by id, read on every calculation
+   * options: { gridCarbonIntensity } in kg CO2e per kWh
+   */
+  constructor(catalog, growingModules = new Map(), options = {}) {
+    this.catalog = catalog;
+    this.growingModules = growingModules;
+    this.gridCarbonIntensity = options.gridCarbonIntensity ||
+      parseFloat(process.env.GRID_CARBON_INTENSITY) || DEFAULT_GRID_CARBON_INTENSITY;
+    this.substitutionEngine = new SubstitutionEngine(catalog);
+  }
+
+  /**
+   * Footprint per kg of each crop in the modules' active cycles, by catalog id.
+   * Water comes from modules with a measured waterEfficiency (kg per litre),
+   * carbon from those with a measured energyEfficiency (kg per kWh); a crop
+   * without measurements keeps the catalog figure for it.
+   */
+  homeGrownFootprints() {
+    const crops = new Map();
+
+    this.growingModules.forEach(module => {
+      module.activeCycles.forEach(cycle => {
+        const record = this.catalog.findByName(cycle.cropVariety);
+        if (!record) return;
+
+        if (!crops.has(record.id)) {
+          crops.set(record.id, { record, modules: [] });
+        }
+        const crop = crops.get(record.id);
+        if (!crop.modules.includes(module)) {
+          crop.modules.push(module);
+        }
+      });
+    });
+
+    const footprints = new Map();
+    crops.forEach(({ record, modules }, id) => {
+      const water = modules
+        .filter(module => module.performance.waterEfficiency > 0)
+        .map(module => 1 / module.performance.waterEfficiency);
+      const energy = modules
+        .filter(module => module.performance.energyEfficiency > 0)
+        .map(module => this.gridCarbonIntensity / module.performance.energyEfficiency);
+
+      footprints.set(id, {
+        moduleIds: modules.map(module => module.id),
+        measured: water.length > 0 || energy.length > 0,
+        carbonFootprint: energy.length > 0 ? average(energy) : record.sustainability.carbonFootprint,
+        waterUsage: water.length > 0 ? average(water) : record.sustainability.waterUsage
+      });
+    });
+
+    return footprints;
+  }
+
+  /**
+   * Unrounded per-line footprints; used by calculate() and propose()
+   */
+  analyze(ingredients = [], servings = 1, homeGrown = this.homeGrownFootprints()) {
+    const totals = { carbonFootprint: 0, waterUsage: 0 };
+    const breakdown = ORIGINS.reduce((result, origin) => ({
+      ...result,
+      [origin]: { grams: 0, carbonFootprint: 0, waterUsage: 0 }
+    }), {});
+    const unmatched = [];
+    const allergens = new Set();
+
+    const contributions = ingredients.map((line, index) => {
+      const record = this.catalog.findByName(line.name);
+      if (!record || !isKnownUnit(line.unit)) {
+        unmatched.push(line.name);
+        return { index, line, record: null };
+      }
+
+      record.allergens.forEach(allergen => allergens.add(allergen));
+
+      const grams = record.convertToGrams(line.amount, line.unit);
+      const catalog = record.calculateEnvironmentalImpact(line.amount, line.unit);
+      const grown = homeGrown.get(record.id);
+      const origin = grown ? 'homeGrown' : record.sustainability.localAvailability ? 'local' : 'imported';
+      const footprint = grown
+        ? { carbonFootprint: grown.carbonFootprint * grams / 1000, waterUsage: grown.waterUsage * grams / 1000 }
+        : { carbonFootprint: catalog.carbonFootprint, waterUsage: catalog.waterUsage };
+
+      totals.carbonFootprint += footprint.carbonFootprint;
+      totals.waterUsage += footprint.waterUsage;
+      breakdown[origin].grams += grams;
+      breakdown[origin].carbonFootprint += footprint.carbonFootprint;
+      breakdown[origin].waterUsage += footprint.waterUsage;
+
+      return { index, line, record, grams, origin, footprint, catalog, grown: grown || null };
+    });
+
+    return {
+      contributions,
+      totals,
+      perServing: {
+        carbonFootprint: totals.carbonFootprint / servings,
+        waterUsage: totals.waterUsage / servings
+      },
+      breakdown,
+      unmatched,
+      allergens
+    };
+  }
+
+  /**
+   * Footprint totals for a recipe, per serving and by origin, plus a report of
+   * what could not be matched. Per-serving values are null when nothing matched.
+   */
+  calculate(recipe) {
+    const analysis = this.analyze(recipe.ingredients, recipe.servings);
+    const matched = analysis.contributions.filter(contribution => contribution.record);
+    const matchedGrams = ORIGINS.reduce((sum, origin) => sum + analysis.breakdown[origin].grams, 0);
+
+    return {
+      ...roundFootprint(analysis.totals),
+      perServing: matched.length > 0
+        ? roundFootprint(analysis.perServing)
+        : { carbonFootprint: null, waterUsage: null },
+      breakdown: ORIGINS.reduce((result, origin) => ({
+        ...result,
+        [origin]: { grams: Math.round(analysis.breakdown[origin].grams), ...roundFootprint(analysis.breakdown[origin]) }
+      }), {}),
+      // Share of the matched weight that is home-grown or local
+      localShare: matchedGrams > 0
+        ? Math.round((analysis.breakdown.homeGrown.grams + analysis.breakdown.local.grams) / matchedGrams * 100) / 100
+        : 0,
+      ingredients: matched.map(({ line, record, origin, footprint }) => ({
+        name: line.name,
+        matchedName: record.name,
+        origin,
+        ...roundFootprint(footprint)
+      })),
+      // Savings against the catalog figures; negative when a module does worse
+      homeGrown: matched
+        .filter(contribution => contribution.grown)
+        .map(({ line, record, grown, footprint, catalog }) => ({
+          name: line.name,
+          matchedName: record.name,
+          moduleIds: grown.moduleIds,
+          measured: grown.measured,
+          carbonSaved: roundCarbon(catalog.carbonFootprint - footprint.carbonFootprint),
+          waterSaved: roundWater(catalog.waterUsage - footprint.waterUsage)
+        })),
+      unmatched: analysis.unmatched,
+      coverage: recipe.ingredients.length > 0
+        ? Math.round(matched.length / recipe.ingredients.length * 100) / 100
+        : 0
+    };
+  }
+
+  /**
+   * Recompute recipe.sustainability in place
+   */
+  applyTo(recipe) {
+    recipe.sustainability = {
+      ...this.calculate(recipe),
+      calculatedAt: new Date()
+    };
+
+    return recipe.sustainability;
+  }
+
+  /**
+   * Translate optimization criteria into max constraints per serving
+   */
+  static parseTargets(targets = {}) {
+    return Object.entries(TARGET_KEYS)
+      .filter(([key]) => targets[key] !== undefined)
+      .map(([key, metric]) => ({ metric, type: 'max', limit: targets[key] }));
+  }
+
+  static evaluate(perServing, constraints) {
+    return constraints
+      .map(constraint => ({
+        ...constraint,
+        value: perServing[constraint.metric],
+        gap: perServing[constraint.metric] - constraint.limit
+      }))
+      .filter(result => result.gap > 0);
+  }
+
+  /**
+   * Ingredient swaps that lower the recipe's footprint. Candidates are the
+   * catalog substitutes that suit the step the ingredient is used in, at the
+   * edge's ratio; swaps that add an allergen are rejected. With caps, only a
+   * recipe over them gets proposals.
+   * targets: { metric: 'carbon' | 'water', maxCarbon, maxWater } per serving
+   */
+  propose(recipe, targets = {}) {
+    const metric = METRICS[targets.metric] || METRICS.carbon;
+    const constraints = SustainabilityEngine.parseTargets(targets);
+    const homeGrown = this.homeGrownFootprints();
+    const analysis = this.analyze(recipe.ingredients, recipe.servings, homeGrown);
+    const violations = SustainabilityEngine.evaluate(analysis.perServing, constraints);
+
+    const proposals = [];
+    const rejected = [];
+
+    if (constraints.length === 0 || violations.length > 0) {
+      analysis.contributions
+        .filter(contribution => contribution.record)
+        .forEach(contribution => {
+          const { index, line, record } = contribution;
+          const ranking = this.substitutionEngine.rank(record, { recipe, amount: line.amount, unit: line.unit });
+
+          ranking.substitutes
+            .filter(substitute => substitute.ingredientId && substitute.amount !== null)
+            .forEach(substitute => {
+              const candidate = this.catalog.get(substitute.ingredientId);
+              const addedAllergens = SubstitutionEngine.addedAllergens(analysis, index, candidate);
+              if (addedAllergens.length > 0) {
+                rejected.push({
+                  ingredient: line.name,
+                  substitute: candidate.name,
+                  reason: `Adds allergens: ${addedAllergens.join(', ')}`
+                });
+                return;
+              }
+
+              const proposal = this.buildProposal(recipe, analysis, homeGrown, metric, constraints, violations, {
+                index,
+                line,
+                replacement: {
+                  name: candidate.name.toLowerCase(),
+                  amount: substitute.amount,
+                  unit: substitute.unit,
+                  ingredientId: candidate.id
+                }
+              });
+
+              if (proposal) {
+                proposals.push(proposal);
+              }
+            });
+        });
+    }
+
+    proposals.sort((a, b) =>
+      b.resolves.length - a.resolves.length ||
+      a.introduces.length - b.introduces.length ||
+      b.improvement - a.improvement
+    );
+
+    return {
+      metric,
+      constraints,
+      before: roundFootprint(analysis.perServing),
+      violations: violations.map(violation => ({
+        ...violation,
+        value: violation.metric === 'waterUsage' ? roundWater(violation.value) : roundCarbon(violation.value),
+        gap: violation.metric === 'waterUsage' ? roundWater(violation.gap) : roundCarbon(violation.gap)
+      })),
+      proposals,
+      rejected,
+      unmatched: analysis.unmatched
+    };
+  }
+
+  /**
+   * Re-evaluate the recipe with one line swapped; null unless it lowers `metric`
+   */
+  buildProposal(recipe, analysis, homeGrown, metric, constraints, violations, change) {
+    const ingredients = recipe.ingredients.map((line, index) =>
+      index === change.index ? { ...line, ...change.replacement } : line
+    );
+    const after = this.analyze(ingredients, recipe.servings, homeGrown).perServing;
+    const before = analysis.perServing;
+
+    const saved = before[metric] - after[metric];
+    if (saved <= 0 || before[metric] <= 0) {
+      return null;
+    }
+
+    const remaining = SustainabilityEngine.evaluate(after, constraints);
+    const isViolated = (list, result) => list.some(item => item.metric === result.metric);
+    const { index, line, replacement } = change;
+    const delta = roundFootprint({
+      carbonFootprint: after.carbonFootprint - before.carbonFootprint,
+      waterUsage: after.waterUsage - before.waterUsage
+    });
+
+    return {
+      id: `sustain-${index}-${IngredientCatalog.normalizeName(replacement.name).replace(/ /g, '_')}`,
+      objective: 'sustainability',
+      type: 'substitution',
+      description: `Replace ${line.name} with ${replacement.amount} ${replacement.unit} ${replacement.name}`,
+      ingredientIndex: index,
+      original: { name: line.name, amount: line.amount, unit: line.unit },
+      replacement,
+      footprintPerServing: { before: roundFootprint(before), after: roundFootprint(after), delta },
+      resolves: violations
+        .filter(violation => !isViolated(remaining, violation))
+        .map(violation => violation.metric),
+      introduces: remaining
+        .filter(result => !isViolated(violations, result))
+        .map(result => result.metric),
+      improvement: Math.round(saved / before[metric] * 1000) / 1000,
+      impact: metric === 'waterUsage'
+        ? `Saves ${-delta.waterUsage} L water per serving`
+        : `Saves ${-delta.carbonFootprint} kg CO2e per serving`
+    };
+  }
+}
+
+SustainabilityEngine.METRICS = Object.keys(METRICS);
+SustainabilityEngine.DEFAULT_GRID_CARBON_INTENSITY = DEFAULT_GRID_CARBON_INTENSITY;
+
+module.exports = SustainabilityEngine;
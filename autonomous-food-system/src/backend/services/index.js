@@ -0,0 +1,102 @@
+/**
+ * Shared service instances
+ * Routes that need the same in-process state import it from here
+ */
+
+const IngredientCatalog = require('./IngredientCatalog');
+const RecipeSearchIndex = require('./RecipeSearchIndex');
+const PrecisionDistributionService = require('./PrecisionDistributionService');
+const MealPlanner = require('./MealPlanner');
+const DietaryComplianceChecker = require('./DietaryComplianceChecker');
+const RecipeFeedbackService = require('./RecipeFeedbackService');
+const HardwareIntegrationService = require('./HardwareIntegrationService');
+const KitchenRegistry = require('./KitchenRegistry');
+const ProgramExecutor = require('./ProgramExecutor');
+const InventoryMatcher = require('./InventoryMatcher');
+const PantryService = require('./PantryService');
+const SustainabilityEngine = require('./SustainabilityEngine');
+const RecipeRescorer = require('./RecipeRescorer');
+const sampleIngredients = require('../data/sampleIngredients');
+const { recipeRepository, ingredientRepository } = require('../repositories');
+const logger = require('../utils/logger');
+
+// Lookups are synchronous, so the catalog is held in process and follows the
+// ingredient repository; it starts out with the sample ingredients
+const ingredientCatalog = new IngredientCatalog(sampleIngredients);
+ingredientCatalog.follow(ingredientRepository);
+
+/**
+ * Fill the catalog from storage once it is connected; an empty store is
+ * seeded with the sample ingredients
+ */
+const loadIngredientCatalog = async () => {
+  const stored = await ingredientRepository.findAll();
+
+  if (stored.length > 0) {
+    ingredientCatalog.load(stored);
+  } else {
+    for (const ingredient of ingredientCatalog.getAll()) {
+      await ingredientRepository.create(ingredient);
+    }
+  }
+
+  logger.info(`Initialized ingredient catalog with ${ingredientCatalog.size} ingredients`);
+};
+
+// Built from the catalog on the first search, then kept current by repository changes
+const recipeSearchIndex = new RecipeSearchIndex(recipeRepository);
+
+const complianceChecker = new DietaryComplianceChecker(ingredientCatalog);
+
+// Consumption profiles are shared by the distribution and meal plan routes
+const distributionService = new PrecisionDistributionService();
+
+const mealPlanner = new MealPlanner({
+  repository: recipeRepository,
+  catalog: ingredientCatalog,
+  distributionService,
+  complianceChecker
+});
+
+// Written by cooking sessions, read by recipe feedback and optimization
+const feedbackService = new RecipeFeedbackService(recipeRepository);
+
+// Growing modules and kitchens connect their devices through the same service
+const hardwareService = new HardwareIntegrationService();
+
+const kitchenRegistry = new KitchenRegistry(hardwareService);
+
+// Runs the automation programs of cooking sessions on kitchen hardware
+const programExecutor = new ProgramExecutor(hardwareService);
+
+// Growing modules by id; the growing routes manage them, recipe matching reads their harvests
+const growingModules = new Map();
+
+// Credits crops in the growing modules
+const sustainabilityEngine = new SustainabilityEngine(ingredientCatalog, growingModules);
+
+// Scores stored recipes again when the ingredient catalog or the crops in the growing modules change
+const recipeRescorer = new RecipeRescorer(recipeRepository, ingredientCatalog, sustainabilityEngine);
+
+const inventoryMatcher = new InventoryMatcher(ingredientCatalog);
+
+// Household stock; filled by distribution deliveries, drawn down by cooking sessions
+const pantryService = new PantryService(ingredientCatalog);
+
+module.exports = {
+  ingredientCatalog,
+  loadIngredientCatalog,
+  recipeSearchIndex,
+  complianceChecker,
+  distributionService,
+  mealPlanner,
+  feedbackService,
+  hardwareService,
+  kitchenRegistry,
+  programExecutor,
+  growingModules,
+  sustainabilityEngine,
+  recipeRescorer,
+  inventoryMatcher,
+  pantryService
+};
@@ -0,0 +1,288 @@
+/**
+ * Automation program compiler
+ * Turns a recipe into a typed program for a kitchen: actuator commands, robot
+ * tasks, waits, sensor-gated conditions and manual checkpoints. Steps the
+ * kitchen cannot run (see utils/equipmentMatching) become checkpoints.
+ *
+ * Operations are numbered from 1 by `address` and carry the `stepIndex` they
+ * belong to. Durations and timeouts are in minutes, temperatures in Celsius.
+ */
+
+const { matchStep, dispenses } = require('./equipmentMatching');
+
+const OPERATION_TYPES = ['command', 'task', 'wait', 'until', 'checkpoint'];
+
+// How close a temperature gate gets to the target before the step continues
+const TEMPERATURE_TOLERANCE = 5;
+
+// Longest wait for a device to reach its temperature before a cook is asked to confirm
+const HEAT_UP_TIMEOUT = 15;
+
+const COOLING_TYPES = ['chiller'];
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Operations for one automatable step: start the device, wait for its
+ * temperature, dispense, run for the step's timing, then switch it off
+ */
+const stepOperations = (instruction, match, recipe, kitchen, dispensed) => {
+  const operations = [];
+  const device = kitchen.devices.find(candidate => candidate.id === match.devices[0].id);
+  const { temperature, speed, ingredients } = match.requirements;
+  const action = match.action || 'run';
+
+  const dispense = () => ingredients
+    .filter(name => !dispensed.has(name))
+    .forEach(name => {
+      const line = recipe.ingredients.find(ingredient => ingredient.name === name);
+      const dispenser = kitchen.devices.find(candidate =>
+        candidate.available && candidate.type === 'dispenser' && dispenses(candidate, name));
+
+      dispensed.add(name);
+      operations.push({
+        type: 'command',
+        deviceId: dispenser.id,
+        deviceType: dispenser.type,
+        command: { action: 'dispense', state: 'run', ingredient: name, amount: line.amount, unit: line.unit }
+      });
+    });
+
+  if (device.kind === 'robot') {
+    dispense();
+    operations.push({ type: 'task', robotId: device.id, task: { type: action, description: instruction.step } });
+    if (instruction.timing) operations.push({ type: 'wait', duration: instruction.timing });
+    return operations;
+  }
+
+  // Devices without temperature or speed control run a single command
+  if (temperature === null && speed === null && !instruction.timing) {
+    dispense();
+    operations.push({ type: 'command', deviceId: device.id, deviceType: device.type, command: { action, state: 'run' } });
+    return operations;
+  }
+
+  const command = { action, state: 'on' };
+  if (temperature !== null) command.temperature = temperature;
+  if (speed !== null) command.speed = speed;
+
+  if (temperature === null) dispense();
+  operations.push({ type: 'command', deviceId: device.id, deviceType: device.type, command });
+
+  if (temperature !== null) {
+    const cooling = COOLING_TYPES.includes(device.type);
+    operations.push({
+      type: 'until',
+      deviceId: device.id,
+      sensor: 'temperature',
+      comparator: cooling ? '<=' : '>=',
+      value: cooling ? temperature + TEMPERATURE_TOLERANCE : temperature - TEMPERATURE_TOLERANCE,
+      timeout: HEAT_UP_TIMEOUT
+    });
+    dispense();
+  }
+
+  if (instruction.timing) {
+    operations.push({ type: 'wait', duration: instruction.timing });
+  } else {
+    // Heat without a duration: the cook decides when it is done
+    operations.push({ type: 'checkpoint', message: `Confirm when done: ${instruction.step}`, reasons: ['Step has no timing'] });
+  }
+
+  operations.push({ type: 'command', deviceId: device.id, deviceType: device.type, command: { action, state: 'off' } });
+  return operations;
+};
+
+/**
+ * Compile a recipe into an automation program for a kitchen.
+ * `confirmEachStep` adds a checkpoint before every step (assisted cooking).
+ */
+const compileProgram = (recipe, kitchen, options = {}) => {
+  const { confirmEachStep = false } = options;
+  const operations = [];
+  const steps = [];
+  const dispensed = new Set();
+
+  (recipe.instructions || []).forEach((instruction, index) => {
+    const match = matchStep(instruction, index, recipe, kitchen);
+    const stepOps = [];
+
+    if (!match.automatable) {
+      stepOps.push({
+        type: 'checkpoint',
+        message: `Manual step: ${instruction.step}`,
+        reasons: match.missing.map(entry => entry.message)
+      });
+    } else {
+      if (confirmEachStep) {
+        stepOps.push({ type: 'checkpoint', message: `Confirm to start: ${instruction.step}`, reasons: ['Assisted cooking'] });
+      }
+      stepOps.push(...stepOperations(instruction, match, recipe, kitchen, dispensed));
+    }
+
+    const first = operations.length + 1;
+    stepOps.forEach(operation => operations.push({ address: operations.length + 1, stepIndex: index, ...operation }));
+    steps.push({
+      index,
+      step: instruction.step,
+      automatable: match.automatable,
+      operations: [first, operations.length]
+    });
+  });
+
+  return {
+    recipeId: recipe.id,
+    recipeName: recipe.name,
+    recipeVersion: recipe.version,
+    servings: recipe.servings,
+    kitchenId: kitchen.id,
+    operations,
+    steps,
+    summary: {
+      operations: operations.length,
+      commands: operations.filter(operation => operation.type === 'command').length,
+      tasks: operations.filter(operation => operation.type === 'task').length,
+      waits: operations.filter(operation => operation.type === 'wait').length,
+      conditions: operations.filter(operation => operation.type === 'until').length,
+      checkpoints: operations.filter(operation => operation.type === 'checkpoint').length,
+      automatableSteps: steps.filter(step => step.automatable).length,
+      totalSteps: steps.length,
+      // Timed waits only; heat-up and checkpoints depend on the kitchen and the cook
+      minimumDuration: round(operations
+        .filter(operation => operation.type === 'wait')
+        .reduce((sum, operation) => sum + operation.duration, 0))
+    },
+    compiledAt: new Date()
+  };
+};
+
+/**
+ * Check a program against a kitchen: known operations, available devices,
+ * limits, sensors for every condition, and no device left switched on
+ */
+const validateProgram = (program, kitchen) => {
+  const errors = [];
+  const warnings = [];
+  const devices = new Map(kitchen.devices.map(device => [device.id, device]));
+  const running = new Map(); // deviceId -> address of the command that switched it on
+
+  const error = (operation, message) => errors.push({ address: operation.address, message });
+
+  program.operations.forEach(operation => {
+    if (!OPERATION_TYPES.includes(operation.type)) {
+      error(operation, `Unknown operation type ${operation.type}`);
+      return;
+    }
+
+    if (operation.type === 'command' || operation.type === 'task') {
+      const id = operation.type === 'command' ? operation.deviceId : operation.robotId;
+      const device = devices.get(id);
+      const kind = operation.type === 'command' ? 'actuator' : 'robot';
+
+      if (!device || device.kind !== kind) {
+        error(operation, `No ${kind} ${id} in kitchen ${kitchen.id}`);
+        return;
+      }
+      if (!device.available) {
+        error(operation, `${id} is not available (${device.status || 'offline'})`);
+      }
+      if (operation.type === 'task') return;
+
+      const { command } = operation;
+      const { capabilities = {} } = device;
+      [['temperature', 'Temperature'], ['speed', 'Speed']].forEach(([key, capability]) => {
+        if (command[key] === undefined) return;
+        const min = capabilities[`min${capability}`];
+        const max = capabilities[`max${capability}`];
+        if (min === undefined && max === undefined) {
+          error(operation, `${id} has no ${key} control`);
+        } else if ((min !== undefined && command[key] < min) || (max !== undefined && command[key] > max)) {
+          error(operation, `${key} ${command[key]} is outside ${id}'s range ${min !== undefined ? min : '-'}–${max !== undefined ? max : '-'}`);
+        }
+      });
+
+      if (command.state === 'on') running.set(id, operation.address);
+      if (command.state === 'off') running.delete(id);
+    }
+
+    if (operation.type === 'wait' && !(operation.duration > 0)) {
+      error(operation, 'Wait duration must be positive');
+    }
+
+    if (operation.type === 'until') {
+      if (!(operation.timeout > 0)) {
+        error(operation, 'Condition needs a positive timeout');
+      }
+      const device = devices.get(operation.deviceId);
+      const sensed = kitchen.sensors.includes(operation.sensor) ||
+        (device && (device.sensors || []).includes(operation.sensor));
+      if (!sensed) {
+        error(operation, `No ${operation.sensor} sensor to evaluate the condition`);
+      }
+    }
+  });
+
+  running.forEach((address, id) => errors.push({ address, message: `${id} is switched on and never switched off` }));
+
+  const checkpoints = program.operations.filter(operation => operation.type === 'checkpoint').length;
+  if (checkpoints > 0) {
+    warnings.push(`${checkpoints} checkpoint(s) need a cook to confirm`);
+  }
+
+  return { valid: errors.length === 0, errors, warnings };
+};
+
+/**
+ * One-line description of an operation, as used in listings
+ */
+const describeOperation = (operation) => {
+  switch (operation.type) {
+    case 'command': {
+      const { command } = operation;
+      if (command.action === 'dispense') {
+        return `COMMAND     ${operation.deviceId} dispense ${command.amount} ${command.unit} ${command.ingredient}`;
+      }
+      const settings = [
+        command.temperature !== undefined && `${command.temperature}°C`,
+        command.speed !== undefined && `${command.speed} rpm`
+      ].filter(Boolean).join(' ');
+      return `COMMAND     ${operation.deviceId} ${command.state}${settings ? ` ${settings}` : ''} (${command.action})`;
+    }
+    case 'task':
+      return `TASK        ${operation.robotId} ${operation.task.type}`;
+    case 'wait':
+      return `WAIT        ${operation.duration} min`;
+    case 'until':
+      return `UNTIL       ${operation.sensor} ${operation.comparator} ${operation.value} (timeout ${operation.timeout} min, then checkpoint)`;
+    case 'checkpoint':
+      return `CHECKPOINT  ${operation.message}${operation.reasons.length > 0 ? ` [${operation.reasons.join('; ')}]` : ''}`;
+    default:
+      return `${String(operation.type).toUpperCase()}`;
+  }
+};
+
+/**
+ * Human-readable listing, one line per operation grouped by step
+ */
+const listProgram = (program) => {
+  const lines = [`Program for ${program.recipeName} (v${program.recipeVersion}, ${program.servings} servings) on kitchen ${program.kitchenId}`];
+
+  program.steps.forEach(step => {
+    lines.push(`Step ${step.index + 1}: ${step.step}${step.automatable ? '' : ' (manual)'}`);
+    program.operations
+      .filter(operation => operation.stepIndex === step.index)
+      .forEach(operation => lines.push(`  ${String(operation.address).padStart(3, '0')} ${describeOperation(operation)}`));
+  });
+
+  return lines.join('\n');
+};
+
+module.exports = {
+  OPERATION_TYPES,
+  TEMPERATURE_TOLERANCE,
+  HEAT_UP_TIMEOUT,
+  compileProgram,
+  validateProgram,
+  describeOperation,
+  listProgram
+};
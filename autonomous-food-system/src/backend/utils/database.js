@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const logger = require('./logger');
+
+/**
+ * Whether a MongoDB connection is configured for this environment.
+ * The test suite always runs against in-memory storage.
+ */
+const isDatabaseConfigured = () => {
+  return Boolean(process.env.MONGODB_URI) && process.env.NODE_ENV !== 'test';
+};
+
+/**
+ * Connect to MongoDB when configured
+ * Resolves with null when running on in-memory storage
+ */
+const connectDatabase = async (uri = process.env.MONGODB_URI) => {
+  if (!isDatabaseConfigured()) {
+    logger.warn('MONGODB_URI not set - recipes and ingredients are kept in memory and lost on restart');
+    return null;
+  }
+
+  await mongoose.connect(uri);
+  logger.logSystemEvent('database_connected', 'database', {
+    host: mongoose.connection.host,
+    name: mongoose.connection.name
+  });
+
+  return mongoose.connection;
+};
+
+const disconnectDatabase = async () => {
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.disconnect();
+    logger.logSystemEvent('database_disconnected', 'database');
+  }
+};
+
+module.exports = {
+  isDatabaseConfigured,
+  connectDatabase,
+  disconnectDatabase
+};
@@ -0,0 +1,223 @@
+/**
+ * Equipment matching
+ * Matches recipe steps against the devices of a kitchen: which device type can
+ * perform a step's action, whether its temperature and speed limits cover the
+ * step, which sensors it needs and which ingredients must be dispensed.
+ *
+ * A kitchen is { id, name, devices, sensors } where each device is
+ * { id, type, kind: 'actuator' | 'robot', available, actions, capabilities, sensors }.
+ */
+
+const KITCHEN_DEVICES = require('../data/kitchenDevices');
+
+const normalize = (value) => String(value || '').toLowerCase().trim().replace(/[\s-]+/g, '_');
+
+const normalizeText = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9 ]/g, ' ').replace(/\s+/g, ' ').trim();
+
+const unique = (values) => [...new Set(values)];
+
+/**
+ * Device types that stand in for the given equipment names
+ */
+const typesForEquipment = (equipment = []) => {
+  const names = equipment.map(normalize);
+  return Object.keys(KITCHEN_DEVICES).filter(type =>
+    names.includes(type) || KITCHEN_DEVICES[type].equipment.some(name => names.includes(name)));
+};
+
+/**
+ * A kitchen made of one device of every registered type at its default limits,
+ * used to judge what could be automated with suitable hardware
+ */
+const registryKitchen = () => ({
+  id: null,
+  name: 'Device registry',
+  devices: Object.entries(KITCHEN_DEVICES).map(([type, definition]) => ({
+    id: type,
+    type,
+    kind: 'actuator',
+    available: true,
+    actions: definition.actions,
+    capabilities: type === 'dispenser' ? { ...definition.capabilities, ingredients: ['*'] } : definition.capabilities,
+    sensors: definition.sensors
+  })),
+  sensors: []
+});
+
+/**
+ * Device types able to run a step. The step's own equipment narrows the
+ * choice first, then the recipe's equipment list.
+ */
+const deviceTypesFor = (instruction, recipe) => {
+  const action = normalize(instruction.action);
+  const named = typesForEquipment([...(instruction.equipment || []), ...(instruction.resources || [])]);
+
+  if (!action) return named;
+
+  const candidates = Object.keys(KITCHEN_DEVICES).filter(type => KITCHEN_DEVICES[type].actions.includes(action));
+  const byStep = candidates.filter(type => named.includes(type));
+  if (byStep.length > 0) return byStep;
+
+  const byRecipe = candidates.filter(type => typesForEquipment(recipe.equipment).includes(type));
+  return byRecipe.length > 0 ? byRecipe : candidates;
+};
+
+/**
+ * Recipe ingredients a step names, which an automated kitchen has to dispense
+ */
+const stepIngredients = (instruction, recipe) => {
+  const text = ` ${normalizeText(instruction.step)} `;
+
+  return (recipe.ingredients || [])
+    .map(ingredient => ingredient.name)
+    .filter(name => {
+      const normalized = normalizeText(name);
+      const singular = normalized.replace(/(es|s)$/, '');
+      return normalized && (text.includes(` ${normalized} `) || text.includes(` ${singular} `));
+    });
+};
+
+const stepRequirements = (instruction, recipe) => ({
+  action: normalize(instruction.action) || null,
+  deviceTypes: deviceTypesFor(instruction, recipe),
+  temperature: instruction.temperature !== undefined ? instruction.temperature : null,
+  speed: instruction.speed !== undefined ? instruction.speed : null,
+  sensors: instruction.temperature !== undefined ? ['temperature'] : [],
+  ingredients: stepIngredients(instruction, recipe)
+});
+
+/**
+ * Limits of a device that a step exceeds
+ */
+const capabilityIssues = (device, requirements) => {
+  const issues = [];
+  const { capabilities = {} } = device;
+
+  [['temperature', 'Temperature', '°C'], ['speed', 'Speed', ' rpm']].forEach(([key, capability, unit]) => {
+    const required = requirements[key];
+    if (required === null) return;
+
+    const min = capabilities[`min${capability}`];
+    const max = capabilities[`max${capability}`];
+    if (min === undefined && max === undefined) {
+      issues.push({ capability: key, required, message: `${device.id} has no ${key} control; step needs ${required}${unit}` });
+    } else if ((min !== undefined && required < min) || (max !== undefined && required > max)) {
+      issues.push({
+        capability: key,
+        required,
+        range: { min: min !== undefined ? min : null, max: max !== undefined ? max : null },
+        message: `${device.id} covers ${min !== undefined ? min : '-'}–${max !== undefined ? max : '-'}${unit}; step needs ${required}${unit}`
+      });
+    }
+  });
+
+  return issues;
+};
+
+/**
+ * Whether a dispenser holds an ingredient
+ */
+const dispenses = (device, ingredient) => {
+  const held = device.capabilities.ingredients || [];
+  return held.includes('*') || held.map(normalizeText).includes(normalizeText(ingredient));
+};
+
+/**
+ * Whether a kitchen can automate one step, and what is missing if not
+ */
+const matchStep = (instruction, index, recipe, kitchen) => {
+  const requirements = stepRequirements(instruction, recipe);
+  const available = kitchen.devices.filter(device => device.available);
+  const missing = [];
+
+  const performers = available.filter(device => (device.kind === 'robot'
+    ? requirements.action && device.actions.includes(requirements.action)
+    : requirements.deviceTypes.includes(device.type)));
+
+  let capable = [];
+  if (performers.length === 0) {
+    const what = requirements.action || 'run this step';
+    missing.push({
+      type: 'device',
+      deviceTypes: requirements.deviceTypes,
+      message: requirements.deviceTypes.length > 0
+        ? `No ${requirements.deviceTypes.join(' or ')} available to ${what}`
+        : `No kitchen device can ${what}`
+    });
+  } else {
+    const issuesByDevice = performers.map(device => ({ device, issues: capabilityIssues(device, requirements) }));
+    capable = issuesByDevice.filter(entry => entry.issues.length === 0).map(entry => entry.device);
+
+    if (capable.length === 0) {
+      issuesByDevice.forEach(({ device, issues }) => issues.forEach(issue => missing.push({
+        type: 'capability',
+        deviceId: device.id,
+        ...issue
+      })));
+    }
+  }
+
+  const candidates = capable.length > 0 ? capable : performers;
+  requirements.sensors.forEach(sensor => {
+    const covered = kitchen.sensors.includes(sensor) ||
+      candidates.some(device => (device.sensors || []).includes(sensor));
+    if (!covered) {
+      missing.push({ type: 'sensor', sensor, message: `No ${sensor} sensor to monitor this step` });
+    }
+  });
+
+  const dispensers = available.filter(device => device.type === 'dispenser');
+  requirements.ingredients
+    .filter(ingredient => !dispensers.some(device => dispenses(device, ingredient)))
+    .forEach(ingredient => missing.push({
+      type: 'ingredient',
+      ingredient,
+      message: `No dispenser holds ${ingredient}`
+    }));
+
+  return {
+    index,
+    step: instruction.step,
+    action: requirements.action,
+    automatable: missing.length === 0,
+    devices: capable.map(device => ({ id: device.id, type: device.type })),
+    requirements,
+    missing
+  };
+};
+
+/**
+ * Step-by-step feasibility of a recipe in a kitchen
+ */
+const assessKitchen = (recipe, kitchen) => {
+  const steps = (recipe.instructions || []).map((instruction, index) => matchStep(instruction, index, recipe, kitchen));
+  const automatableSteps = steps.filter(step => step.automatable).length;
+  const missing = steps.reduce((all, step) => all.concat(step.missing), []);
+
+  return {
+    kitchenId: kitchen.id,
+    steps,
+    automatableSteps,
+    totalSteps: steps.length,
+    coverage: steps.length > 0 ? Math.round((automatableSteps / steps.length) * 100) / 100 : 0,
+    missing: {
+      deviceTypes: unique(missing.filter(entry => entry.type === 'device').reduce((all, entry) => all.concat(entry.deviceTypes), [])),
+      unmatchedActions: unique(steps.filter(step => step.missing.some(entry => entry.type === 'device' && entry.deviceTypes.length === 0))
+        .map(step => step.action || 'unspecified')),
+      capabilities: unique(missing.filter(entry => entry.type === 'capability').map(entry => entry.message)),
+      sensors: unique(missing.filter(entry => entry.type === 'sensor').map(entry => entry.sensor)),
+      ingredients: unique(missing.filter(entry => entry.type === 'ingredient').map(entry => entry.ingredient))
+    }
+  };
+};
+
+module.exports = {
+  typesForEquipment,
+  registryKitchen,
+  deviceTypesFor,
+  stepIngredients,
+  stepRequirements,
+  dispenses,
+  matchStep,
+  assessKitchen
+};
@@ -0,0 +1,98 @@
+/**
+ * Custom error classes
+ * Kept apart from the error handler middleware so that utilities and models can
+ * throw them without depending on Express code; the handler re-exports them.
+ */
+
+class RecipeValidationError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'RecipeValidationError';
+    this.details = details;
+  }
+}
+
+class RecipeVersionConflictError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'RecipeVersionConflictError';
+    this.details = details;
+  }
+}
+
+class UnitConversionError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'UnitConversionError';
+    this.details = details;
+  }
+}
+
+class RecipeImportError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'RecipeImportError';
+    this.details = details;
+  }
+}
+
+class NutritionImportError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'NutritionImportError';
+    this.details = details;
+  }
+}
+
+class AutomationError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'AutomationError';
+    this.details = details;
+  }
+}
+
+class CookingProcessError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'CookingProcessError';
+    this.details = details;
+  }
+}
+
+class MealPlanError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'MealPlanError';
+    this.details = details;
+  }
+}
+
+class FeedbackError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'FeedbackError';
+    this.details = details;
+  }
+}
+
+class HardwareError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'HardwareError';
+    this.details = details;
+  }
+}
+
+module.exports = {
+  RecipeValidationError,
+  RecipeVersionConflictError,
+  UnitConversionError,
+  RecipeImportError,
+  NutritionImportError,
+  AutomationError,
+  CookingProcessError,
+  MealPlanError,
+  FeedbackError,
+  HardwareError
+};
@@ -0,0 +1,284 @@
+/**
+ * USDA FoodData Central import utilities
+ * Parses the JSON and CSV downloads of FoodData Central (Foundation, SR
+ * Legacy, Survey and Branded foods) into foods with catalog-shaped nutrition
+ * per 100 g and the density and piece weights their portions imply. Works on
+ * file contents only; reading the files is up to the caller.
+ */
+
+const { NutritionImportError } = require('./errors');
+const { UNITS, normalizeUnit, getDimension, convert } = require('./units');
+
+// Catalog nutrient -> FoodData Central nutrient numbers (first present wins) and unit
+const FDC_NUTRIENTS = {
+  calories: { numbers: ['208', '958', '957'], unit: 'kcal' }, // Atwater factors when 208 is missing
+  protein: { numbers: ['203'], unit: 'g' },
+  carbohydrates: { numbers: ['205', '205.2'], unit: 'g' },
+  fat: { numbers: ['204', '298'], unit: 'g' },
+  fiber: { numbers: ['291'], unit: 'g' },
+  sugar: { numbers: ['269', '269.3'], unit: 'g' },
+  sodium: { numbers: ['307'], unit: 'mg' },
+  cholesterol: { numbers: ['601'], unit: 'mg' },
+  saturatedFat: { numbers: ['606'], unit: 'g' },
+  transFat: { numbers: ['605'], unit: 'g' },
+  vitaminA: { numbers: ['318'], unit: 'iu' },
+  vitaminC: { numbers: ['401'], unit: 'mg' },
+  vitaminD: { numbers: ['328'], unit: 'ug' },
+  vitaminE: { numbers: ['323'], unit: 'mg' },
+  vitaminK: { numbers: ['430'], unit: 'ug' },
+  vitaminB6: { numbers: ['415'], unit: 'mg' },
+  vitaminB12: { numbers: ['418'], unit: 'ug' },
+  folate: { numbers: ['435', '417'], unit: 'ug' }, // dietary folate equivalents, else total
+  calcium: { numbers: ['301'], unit: 'mg' },
+  iron: { numbers: ['303'], unit: 'mg' },
+  magnesium: { numbers: ['304'], unit: 'mg' },
+  phosphorus: { numbers: ['305'], unit: 'mg' },
+  potassium: { numbers: ['306'], unit: 'mg' },
+  zinc: { numbers: ['309'], unit: 'mg' }
+};
+
+const MASS_SCALE = { g: 1, mg: 1e-3, ug: 1e-6 };
+
+// Top-level arrays of the FoodData Central JSON downloads
+const JSON_COLLECTIONS = ['FoundationFoods', 'SRLegacyFoods', 'SurveyFoods', 'BrandedFoods', 'foods'];
+
+// CSV tables of a download; the portion tables are optional
+const CSV_TABLES = ['food', 'nutrient', 'food_nutrient', 'food_portion', 'measure_unit'];
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const unitKey = (unit) => String(unit || '').trim().toLowerCase().replace('µ', 'u');
+
+/**
+ * Parse CSV text (quoted fields, "" escapes, CRLF) into objects keyed by the header row
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...records] = rows.filter(cells => cells.some(cell => cell !== ''));
+  if (!header) return [];
+
+  return records.map(cells => header.reduce((record, column, index) => ({
+    ...record,
+    [column.replace(/^﻿/, '')]: cells[index] !== undefined ? cells[index] : ''
+  }), {}));
+};
+
+/**
+ * Catalog nutrition per 100 g from [{ number, unit, amount }]. Nutrients in
+ * another unit than the catalog's are converted between g, mg and µg, or left out.
+ */
+const mapNutrients = (entries) => {
+  const byNumber = new Map();
+  entries.forEach(entry => {
+    if (entry.amount === null || entry.amount === undefined || entry.amount === '') return;
+    const amount = Number(entry.amount);
+    if (!Number.isFinite(amount) || byNumber.has(String(entry.number))) return;
+    byNumber.set(String(entry.number), { amount, unit: unitKey(entry.unit) });
+  });
+
+  return Object.entries(FDC_NUTRIENTS).reduce((nutrition, [key, { numbers, unit }]) => {
+    const source = numbers.map(number => byNumber.get(number)).find(Boolean);
+    if (!source) return nutrition;
+
+    if (source.unit === unit) {
+      nutrition[key] = round(source.amount);
+    } else if (MASS_SCALE[source.unit] && MASS_SCALE[unit]) {
+      nutrition[key] = round(source.amount * MASS_SCALE[source.unit] / MASS_SCALE[unit]);
+    }
+    return nutrition;
+  }, {});
+};
+
+/**
+ * Our unit for a portion: its measure unit, or the first word of its modifier
+ * or description ("cup, chopped", "1 large", "medium (2-1/2\" dia)")
+ */
+const portionUnit = (portion) => {
+  const candidates = [portion.measureUnit, portion.modifier, portion.description]
+    .filter(text => text && unitKey(text) !== 'undetermined')
+    .map(text => unitKey(text).replace(/^[\d./\s]+/, '').split(/[,(]/)[0].trim());
+
+  for (const candidate of candidates) {
+    const unit = normalizeUnit(candidate) || normalizeUnit(candidate.split(' ')[0]);
+    if (unit) return unit;
+  }
+  return null;
+};
+
+/**
+ * Density (g/ml) and piece weights implied by a food's portions. Volume
+ * portions give densities, of which the median is kept; count portions give
+ * the weight of one piece of their size.
+ */
+const conversionData = (portions) => {
+  const densities = [];
+  const pieceWeights = {};
+  const skipped = [];
+
+  portions.forEach(portion => {
+    const unit = portionUnit(portion);
+    const amount = Number(portion.amount) || 1;
+    const gramWeight = Number(portion.gramWeight);
+    const label = portion.modifier || portion.description || portion.measureUnit;
+
+    if (!unit || !(gramWeight > 0)) {
+      skipped.push(label);
+      return;
+    }
+
+    const dimension = getDimension(unit);
+    if (dimension === 'volume') {
+      densities.push(gramWeight / convert(amount, unit, 'ml'));
+    } else if (dimension === 'count') {
+      const size = UNITS[unit].pieceWeight || 'piece';
+      // The first portion of a size wins; later ones are usually preparations of it
+      if (pieceWeights[size] === undefined) pieceWeights[size] = round(gramWeight / (amount * UNITS[unit].factor), 1);
+    } else {
+      skipped.push(label);
+    }
+  });
+
+  return {
+    density: densities.length > 0 ? round(median(densities), 3) : null,
+    pieceWeights,
+    skipped
+  };
+};
+
+const toFood = (raw) => ({
+  fdcId: String(raw.fdcId),
+  description: raw.description,
+  dataType: raw.dataType || null,
+  publicationDate: raw.publicationDate || null,
+  nutritionPer100g: mapNutrients(raw.nutrients),
+  ...conversionData(raw.portions)
+});
+
+/**
+ * Foods from a FoodData Central JSON download, a list of foods or a single food
+ */
+const parseFdcJson = (data) => {
+  const document = typeof data === 'string' ? JSON.parse(data) : data;
+  const collection = JSON_COLLECTIONS.find(key => Array.isArray(document && document[key]));
+  const foods = collection ? document[collection] : Array.isArray(document) ? document : [document];
+
+  return foods.filter(food => food && food.fdcId).map(food => toFood({
+    fdcId: food.fdcId,
+    description: food.description,
+    dataType: food.dataType,
+    publicationDate: food.publicationDate,
+    nutrients: (food.foodNutrients || []).map(entry => ({
+      number: entry.nutrient ? entry.nutrient.number : entry.nutrientNumber,
+      unit: entry.nutrient ? entry.nutrient.unitName : entry.unitName,
+      amount: entry.amount !== undefined ? entry.amount : entry.value
+    })),
+    portions: (food.foodPortions || [])
+      .slice()
+      .sort((a, b) => (a.sequenceNumber || 0) - (b.sequenceNumber || 0))
+      .map(portion => ({
+        amount: portion.amount,
+        gramWeight: portion.gramWeight,
+        modifier: portion.modifier,
+        description: portion.portionDescription,
+        measureUnit: portion.measureUnit ? portion.measureUnit.name : null
+      }))
+  }));
+};
+
+/**
+ * Foods from the CSV tables of a download ({ food, nutrient, food_nutrient,
+ * food_portion?, measure_unit? } as CSV text)
+ */
+const parseFdcCsv = (tables) => {
+  const missing = ['food', 'nutrient', 'food_nutrient'].filter(table => !tables[table]);
+  if (missing.length > 0) {
+    throw new NutritionImportError(`Missing FoodData Central tables: ${missing.map(table => `${table}.csv`).join(', ')}`);
+  }
+
+  const nutrients = new Map(parseCsv(tables.nutrient).map(row => [row.id, row]));
+  const measureUnits = new Map(parseCsv(tables.measure_unit || '').map(row => [row.id, row.name]));
+  const foods = new Map(parseCsv(tables.food).map(row => [row.fdc_id, {
+    fdcId: row.fdc_id,
+    description: row.description,
+    dataType: row.data_type || null,
+    publicationDate: row.publication_date || null,
+    nutrients: [],
+    portions: []
+  }]));
+
+  parseCsv(tables.food_nutrient).forEach(row => {
+    const food = foods.get(row.fdc_id);
+    const nutrient = nutrients.get(row.nutrient_id);
+    if (!food || !nutrient) return;
+    food.nutrients.push({ number: nutrient.nutrient_nbr, unit: nutrient.unit_name, amount: row.amount });
+  });
+
+  parseCsv(tables.food_portion || '')
+    .sort((a, b) => Number(a.seq_num || 0) - Number(b.seq_num || 0))
+    .forEach(row => {
+      const food = foods.get(row.fdc_id);
+      if (!food) return;
+      food.portions.push({
+        amount: row.amount,
+        gramWeight: row.gram_weight,
+        modifier: row.modifier,
+        description: row.portion_description,
+        measureUnit: measureUnits.get(row.measure_unit_id) || null
+      });
+    });
+
+  return [...foods.values()].map(toFood);
+};
+
+module.exports = {
+  FDC_NUTRIENTS,
+  CSV_TABLES,
+  parseCsv,
+  mapNutrients,
+  portionUnit,
+  conversionData,
+  parseFdcJson,
+  parseFdcCsv
+};
@@ -0,0 +1,156 @@
+/**
+ * Recipe diff utilities
+ * Produces a structured comparison of two recipe snapshots
+ */
+
+const INGREDIENT_FIELDS = ['amount', 'unit', 'type', 'optional', 'preparation'];
+const INSTRUCTION_FIELDS = [
+  'step', 'timing', 'temperature', 'speed', 'action', 'equipment', 'notes', 'safetyNotes',
+  'dependsOn', 'resources'
+];
+const RECIPE_FIELDS = [
+  'name', 'description', 'category', 'cuisine', 'difficulty', 'servings',
+  'prepTime', 'cookTime', 'totalTime', 'equipment', 'tags', 'source'
+];
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const ingredientKey = (ingredient) => (ingredient.name || '').trim().toLowerCase();
+
+const compareFields = (before, after, fields) => {
+  const changes = {};
+
+  fields.forEach(field => {
+    if (!isEqual(before[field], after[field])) {
+      changes[field] = { from: before[field], to: after[field] };
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Ingredients are matched by name so reordering is not reported as a change
+ */
+const diffIngredients = (before = [], after = []) => {
+  const beforeByName = new Map(before.map(ingredient => [ingredientKey(ingredient), ingredient]));
+  const afterByName = new Map(after.map(ingredient => [ingredientKey(ingredient), ingredient]));
+
+  const added = after.filter(ingredient => !beforeByName.has(ingredientKey(ingredient)));
+  const removed = before.filter(ingredient => !afterByName.has(ingredientKey(ingredient)));
+  const changed = [];
+
+  after.forEach(ingredient => {
+    const previous = beforeByName.get(ingredientKey(ingredient));
+    if (!previous) return;
+
+    const changes = compareFields(previous, ingredient, INGREDIENT_FIELDS);
+    if (Object.keys(changes).length > 0) {
+      changed.push({ name: ingredient.name, changes });
+    }
+  });
+
+  return { added, removed, changed };
+};
+
+/**
+ * Instructions are compared by position, since step order is meaningful
+ */
+const diffInstructions = (before = [], after = []) => {
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (let index = 0; index < Math.max(before.length, after.length); index++) {
+    const previous = before[index];
+    const current = after[index];
+
+    if (!previous) {
+      added.push({ index, instruction: current });
+    } else if (!current) {
+      removed.push({ index, instruction: previous });
+    } else {
+      const changes = compareFields(previous, current, INSTRUCTION_FIELDS);
+      if (Object.keys(changes).length > 0) {
+        changed.push({ index, changes });
+      }
+    }
+  }
+
+  return { added, removed, changed };
+};
+
+const diffNutrition = (before = {}, after = {}) => {
+  const changes = {};
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  keys.forEach(key => {
+    const from = before[key] || 0;
+    const to = after[key] || 0;
+
+    if (from !== to) {
+      changes[key] = { from, to, delta: to - from };
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Structured diff between two recipe snapshots (plain objects or Recipe instances)
+ */
+const diffRecipes = (before, after) => {
+  const ingredients = diffIngredients(before.ingredients, after.ingredients);
+  const instructions = diffInstructions(before.instructions, after.instructions);
+  const nutrition = diffNutrition(before.nutrition, after.nutrition);
+  const fields = compareFields(before, after, RECIPE_FIELDS);
+
+  const hasChanges =
+    ingredients.added.length + ingredients.removed.length + ingredients.changed.length +
+    instructions.added.length + instructions.removed.length + instructions.changed.length +
+    Object.keys(nutrition).length + Object.keys(fields).length > 0;
+
+  return {
+    ingredients,
+    instructions,
+    nutrition,
+    fields,
+    hasChanges
+  };
+};
+
+/**
+ * Human-readable one-liners describing a diff
+ */
+const summarizeDiff = (diff) => {
+  const summary = [];
+
+  diff.ingredients.added.forEach(ingredient => summary.push(`Added ingredient ${ingredient.name}`));
+  diff.ingredients.removed.forEach(ingredient => summary.push(`Removed ingredient ${ingredient.name}`));
+  diff.ingredients.changed.forEach(change => {
+    summary.push(`Changed ${change.name}: ${Object.keys(change.changes).join(', ')}`);
+  });
+
+  diff.instructions.added.forEach(({ index }) => summary.push(`Added step ${index + 1}`));
+  diff.instructions.removed.forEach(({ index }) => summary.push(`Removed step ${index + 1}`));
+  diff.instructions.changed.forEach(({ index, changes }) => {
+    summary.push(`Changed step ${index + 1}: ${Object.keys(changes).join(', ')}`);
+  });
+
+  if (Object.keys(diff.nutrition).length > 0) {
+    summary.push(`Nutrition changed: ${Object.keys(diff.nutrition).join(', ')}`);
+  }
+
+  Object.keys(diff.fields).forEach(field => summary.push(`Changed ${field}`));
+
+  return summary;
+};
+
+module.exports = {
+  ingredientKey,
+  diffRecipes,
+  diffIngredients,
+  diffInstructions,
+  diffNutrition,
+  summarizeDiff
+};
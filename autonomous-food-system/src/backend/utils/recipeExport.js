@@ -0,0 +1,379 @@
+/**
+ * Recipe export utilities
+ * Renders a recipe as schema.org JSON-LD, Markdown, plain text or a printable
+ * HTML card. The plain-text layout is the one parsePlainText reads back, and
+ * the HTML card embeds its JSON-LD, so exports can be re-imported.
+ */
+
+const { normalizeUnit, getDimension } = require('./units');
+
+const EXPORT_FORMATS = {
+  json: { contentType: 'application/json', extension: 'json' },
+  jsonld: { contentType: 'application/ld+json', extension: 'jsonld' },
+  markdown: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  text: { contentType: 'text/plain; charset=utf-8', extension: 'txt' },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html' }
+};
+
+// Fractions a cook can measure, for spoon, cup and count amounts
+const FRACTIONS = [
+  [1 / 8, '1/8'], [1 / 4, '1/4'], [1 / 3, '1/3'], [3 / 8, '3/8'], [1 / 2, '1/2'],
+  [5 / 8, '5/8'], [2 / 3, '2/3'], [3 / 4, '3/4'], [7 / 8, '7/8']
+];
+const FRACTION_TOLERANCE = 0.02;
+
+const UNIT_LABELS = {
+  fl_oz: 'fl oz',
+  imp_fl_oz: 'imp fl oz',
+  imp_pint: 'imp pint',
+  imp_quart: 'imp quart',
+  imp_gallon: 'imp gallon',
+  metric_tsp: 'metric tsp',
+  metric_tbsp: 'metric tbsp',
+  metric_cup: 'metric cup'
+};
+
+// Plural forms are all accepted unit aliases, so exported lines import cleanly
+const PLURAL_UNITS = {
+  cup: 'cups',
+  clove: 'cloves',
+  slice: 'slices',
+  pinch: 'pinches',
+  dash: 'dashes',
+  pint: 'pints',
+  quart: 'quarts',
+  gallon: 'gallons',
+  lb: 'lbs'
+};
+
+// Recipe.nutrition key -> schema.org NutritionInformation property and unit
+const NUTRITION_PROPERTIES = {
+  calories: ['calories', 'calories'],
+  protein: ['proteinContent', 'g'],
+  carbohydrates: ['carbohydrateContent', 'g'],
+  fat: ['fatContent', 'g'],
+  fiber: ['fiberContent', 'g'],
+  sugar: ['sugarContent', 'g'],
+  sodium: ['sodiumContent', 'mg'],
+  cholesterol: ['cholesterolContent', 'mg'],
+  saturatedFat: ['saturatedFatContent', 'g'],
+  transFat: ['transFatContent', 'g']
+};
+
+const roundNumber = (value, decimals = 2) => Math.round(value * Math.pow(10, decimals)) / Math.pow(10, decimals);
+
+const humanize = (value) => String(value || '').replace(/_/g, ' ');
+
+const capitalize = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * ISO-8601 duration from minutes (90 -> "PT1H30M")
+ */
+const toIsoDuration = (minutes) => {
+  const total = Math.max(0, Math.round(minutes || 0));
+  const hours = Math.floor(total / 60);
+  const rest = total % 60;
+
+  if (total === 0) return 'PT0M';
+  return `PT${hours > 0 ? `${hours}H` : ''}${rest > 0 ? `${rest}M` : ''}`;
+};
+
+const formatMinutes = (minutes) => {
+  const total = Math.round(minutes || 0);
+  if (total < 60) return `${total} min`;
+
+  const hours = Math.floor(total / 60);
+  const rest = total % 60;
+  return `${hours} ${hours === 1 ? 'hour' : 'hours'}${rest > 0 ? ` ${rest} min` : ''}`;
+};
+
+/**
+ * Amount for display: fractions for spoons, cups and counts, decimals for metric
+ */
+const formatAmount = (amount, unit) => {
+  const canonical = normalizeUnit(unit);
+  const dimension = canonical ? getDimension(canonical) : null;
+  const usesFractions = dimension === 'count' || ['tsp', 'tbsp', 'cup', 'pinch', 'dash'].includes(canonical);
+
+  if (!usesFractions) return String(roundNumber(amount));
+
+  const whole = Math.floor(amount + FRACTION_TOLERANCE);
+  const remainder = amount - whole;
+  if (remainder < FRACTION_TOLERANCE) return String(whole);
+
+  const fraction = FRACTIONS.find(([value]) => Math.abs(value - remainder) < FRACTION_TOLERANCE);
+  if (!fraction) return String(roundNumber(amount));
+
+  return whole > 0 ? `${whole} ${fraction[1]}` : fraction[1];
+};
+
+const formatUnit = (amount, unit) => {
+  const canonical = normalizeUnit(unit);
+  if (!canonical) return unit;
+  if (canonical === 'piece') return '';
+
+  const label = UNIT_LABELS[canonical] || canonical;
+  return amount > 1 && PLURAL_UNITS[canonical] ? PLURAL_UNITS[canonical] : label;
+};
+
+/**
+ * One ingredient as a recipe line: "2 1/2 cups flour, sifted (optional)"
+ */
+const formatIngredient = (ingredient) => {
+  const unit = formatUnit(ingredient.amount, ingredient.unit);
+  const quantity = [formatAmount(ingredient.amount, ingredient.unit), unit].filter(Boolean).join(' ');
+
+  return `${quantity} ${ingredient.name}` +
+    (ingredient.preparation ? `, ${ingredient.preparation}` : '') +
+    (ingredient.optional ? ' (optional)' : '');
+};
+
+const perServingNutrition = (recipe) => {
+  if (recipe.nutritionAnalysis && recipe.nutritionAnalysis.perServing) {
+    return recipe.nutritionAnalysis.perServing;
+  }
+
+  const nutrition = recipe.nutrition || {};
+  return Object.keys(nutrition).reduce((perServing, key) => ({
+    ...perServing,
+    [key]: roundNumber(nutrition[key] / (recipe.servings || 1), 1)
+  }), {});
+};
+
+/**
+ * schema.org Recipe; nutrition is per serving as the vocabulary expects
+ */
+const toJsonLd = (recipe) => {
+  const perServing = perServingNutrition(recipe);
+  const nutrition = Object.entries(NUTRITION_PROPERTIES).reduce((result, [key, [property, unit]]) => {
+    if (perServing[key] === undefined) return result;
+    return { ...result, [property]: `${roundNumber(perServing[key], 1)} ${unit}` };
+  }, { '@type': 'NutritionInformation' });
+
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'Recipe',
+    identifier: recipe.id,
+    name: recipe.name,
+    description: recipe.description || undefined,
+    recipeCategory: recipe.category ? humanize(recipe.category) : undefined,
+    recipeCuisine: recipe.cuisine ? humanize(recipe.cuisine) : undefined,
+    recipeYield: `${recipe.servings} servings`,
+    prepTime: toIsoDuration(recipe.prepTime),
+    cookTime: toIsoDuration(recipe.cookTime),
+    totalTime: toIsoDuration(recipe.totalTime),
+    keywords: recipe.tags && recipe.tags.length > 0 ? recipe.tags.join(', ') : undefined,
+    recipeIngredient: recipe.ingredients.map(formatIngredient),
+    recipeInstructions: recipe.instructions.map((instruction, index) => ({
+      '@type': 'HowToStep',
+      position: index + 1,
+      text: instruction.step
+    })),
+    tool: recipe.equipment && recipe.equipment.length > 0 ? recipe.equipment.map(humanize) : undefined,
+    nutrition: Object.keys(nutrition).length > 1 ? nutrition : undefined,
+    dateCreated: recipe.createdAt ? new Date(recipe.createdAt).toISOString() : undefined,
+    dateModified: recipe.updatedAt ? new Date(recipe.updatedAt).toISOString() : undefined,
+    version: recipe.version
+  };
+};
+
+const timeLines = (recipe) => [
+  recipe.prepTime ? ['Prep time', formatMinutes(recipe.prepTime)] : null,
+  recipe.cookTime ? ['Cook time', formatMinutes(recipe.cookTime)] : null,
+  recipe.totalTime ? ['Total time', formatMinutes(recipe.totalTime)] : null
+].filter(Boolean);
+
+const stepDetails = (instruction) => [
+  instruction.timing ? `${instruction.timing} min` : null,
+  instruction.temperature !== undefined && instruction.temperature !== null ? `${instruction.temperature}°C` : null
+].filter(Boolean).join(', ');
+
+/**
+ * Plain text in the layout the plain-text importer reads
+ */
+const toPlainText = (recipe) => {
+  const lines = [recipe.name];
+
+  if (recipe.description) lines.push(recipe.description);
+  lines.push('');
+  lines.push(`Serves: ${recipe.servings}`);
+  timeLines(recipe).forEach(([label, value]) => lines.push(`${label}: ${value}`));
+  if (recipe.tags && recipe.tags.length > 0) lines.push(`Tags: ${recipe.tags.join(', ')}`);
+
+  lines.push('', 'Ingredients');
+  recipe.ingredients.forEach(ingredient => lines.push(`- ${formatIngredient(ingredient)}`));
+
+  lines.push('', 'Instructions');
+  recipe.instructions.forEach((instruction, index) => lines.push(`${index + 1}. ${instruction.step}`));
+
+  if (recipe.notes) {
+    lines.push('', 'Notes', recipe.notes);
+  }
+
+  return `${lines.join('\n')}\n`;
+};
+
+const toMarkdown = (recipe) => {
+  const lines = [`# ${recipe.name}`, ''];
+
+  if (recipe.description) lines.push(`_${recipe.description}_`, '');
+
+  const facts = [['Serves', recipe.servings], ...timeLines(recipe)];
+  if (recipe.cuisine) facts.push(['Cuisine', capitalize(humanize(recipe.cuisine))]);
+  if (recipe.difficulty) facts.push(['Difficulty', recipe.difficulty]);
+  facts.forEach(([label, value]) => lines.push(`- **${label}:** ${value}`));
+  lines.push('');
+
+  lines.push('## Ingredients', '');
+  recipe.ingredients.forEach(ingredient => lines.push(`- ${formatIngredient(ingredient)}`));
+  lines.push('');
+
+  lines.push('## Instructions', '');
+  recipe.instructions.forEach((instruction, index) => {
+    const details = stepDetails(instruction);
+    lines.push(`${index + 1}. ${instruction.step}${details ? ` _(${details})_` : ''}`);
+  });
+
+  if (recipe.equipment && recipe.equipment.length > 0) {
+    lines.push('', '## Equipment', '');
+    recipe.equipment.forEach(item => lines.push(`- ${humanize(item)}`));
+  }
+
+  const perServing = perServingNutrition(recipe);
+  const nutrients = Object.keys(NUTRITION_PROPERTIES).filter(key => perServing[key] !== undefined);
+  if (nutrients.length > 0) {
+    lines.push('', '## Nutrition per serving', '');
+    lines.push(`| ${nutrients.join(' | ')} |`);
+    lines.push(`| ${nutrients.map(() => '---').join(' | ')} |`);
+    lines.push(`| ${nutrients.map(key => `${roundNumber(perServing[key], 1)} ${NUTRITION_PROPERTIES[key][1]}`).join(' | ')} |`);
+  }
+
+  if (recipe.tags && recipe.tags.length > 0) {
+    lines.push('', `Tags: ${recipe.tags.map(tag => `\`${tag}\``).join(', ')}`);
+  }
+
+  if (recipe.notes) {
+    lines.push('', '## Notes', '', recipe.notes);
+  }
+
+  return `${lines.join('\n')}\n`;
+};
+
+const CARD_STYLES = `
+    body { font-family: Georgia, serif; margin: 0; color: #222; }
+    .card { max-width: 720px; margin: 24px auto; padding: 24px 32px; border: 1px solid #ccc; }
+    h1 { margin: 0 0 8px; font-size: 28px; }
+    .facts { display: flex; flex-wrap: wrap; gap: 16px; margin: 12px 0; font-size: 14px; }
+    .facts span { white-space: nowrap; }
+    .note { font-size: 13px; color: #555; }
+    .columns { display: grid; grid-template-columns: 1fr 2fr; gap: 24px; }
+    h2 { font-size: 18px; border-bottom: 1px solid #ddd; padding-bottom: 4px; }
+    ul, ol { padding-left: 20px; }
+    li { margin-bottom: 6px; }
+    .details { color: #555; font-size: 13px; }
+    @media print {
+      .card { border: none; margin: 0; max-width: none; }
+      @page { margin: 15mm; }
+    }`;
+
+/**
+ * Standalone print-friendly HTML card; `options.scaledFrom` notes the original servings
+ */
+const toHtmlCard = (recipe, options = {}) => {
+  const facts = [['Serves', recipe.servings], ...timeLines(recipe)]
+    .map(([label, value]) => `<span><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</span>`)
+    .join('\n        ');
+
+  const ingredients = recipe.ingredients
+    .map(ingredient => `<li>${escapeHtml(formatIngredient(ingredient))}</li>`)
+    .join('\n          ');
+
+  const instructions = recipe.instructions.map(instruction => {
+    const details = stepDetails(instruction);
+    return `<li>${escapeHtml(instruction.step)}${details ? ` <span class="details">(${escapeHtml(details)})</span>` : ''}</li>`;
+  }).join('\n          ');
+
+  const scaledNote = options.scaledFrom && options.scaledFrom !== recipe.servings
+    ? `\n      <p class="note">Scaled from ${escapeHtml(options.scaledFrom)} servings.</p>`
+    : '';
+  const equipment = recipe.equipment && recipe.equipment.length > 0
+    ? `\n      <p class="note"><strong>Equipment:</strong> ${escapeHtml(recipe.equipment.map(humanize).join(', '))}</p>`
+    : '';
+  const notes = recipe.notes ? `\n      <h2>Notes</h2>\n      <p>${escapeHtml(recipe.notes)}</p>` : '';
+
+  // "</" would end the script element early
+  const jsonLd = JSON.stringify(toJsonLd(recipe)).replace(/<\//g, '<\\/');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(recipe.name)}</title>
+  <style>${CARD_STYLES}
+  </style>
+  <script type="application/ld+json">${jsonLd}</script>
+</head>
+<body>
+  <article class="card">
+    <header>
+      <h1>${escapeHtml(recipe.name)}</h1>${recipe.description ? `\n      <p>${escapeHtml(recipe.description)}</p>` : ''}
+      <div class="facts">
+        ${facts}
+      </div>${scaledNote}${equipment}
+    </header>
+    <div class="columns">
+      <section>
+        <h2>Ingredients</h2>
+        <ul>
+          ${ingredients}
+        </ul>
+      </section>
+      <section>
+        <h2>Instructions</h2>
+        <ol>
+          ${instructions}
+        </ol>
+      </section>
+    </div>${notes}
+  </article>
+</body>
+</html>
+`;
+};
+
+/**
+ * Render a recipe in one of EXPORT_FORMATS
+ */
+const exportRecipe = (recipe, format, options = {}) => {
+  switch (format) {
+    case 'jsonld':
+      return JSON.stringify(toJsonLd(recipe), null, 2);
+    case 'markdown':
+      return toMarkdown(recipe);
+    case 'text':
+      return toPlainText(recipe);
+    case 'html':
+      return toHtmlCard(recipe, options);
+    default:
+      return JSON.stringify(recipe, null, 2);
+  }
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  toIsoDuration,
+  formatAmount,
+  formatIngredient,
+  toJsonLd,
+  toPlainText,
+  toMarkdown,
+  toHtmlCard,
+  exportRecipe
+};
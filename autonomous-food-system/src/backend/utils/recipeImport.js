@@ -0,0 +1,568 @@
+/**
+ * Recipe import utilities
+ * Converts schema.org Recipe JSON-LD (bare or embedded in an HTML page) and
+ * plain-text recipes into the shape accepted by POST /api/recipes. The result
+ * still has to pass validateRecipe; anything that could not be mapped is
+ * reported as a warning rather than silently dropped.
+ */
+
+const { RecipeImportError } = require('./errors');
+const { recipeSchema, instructionSchema } = require('../middleware/validation');
+const { normalizeUnit } = require('./units');
+
+const IMPORT_FORMATS = ['jsonld', 'html', 'text'];
+
+// Allowed values come from the validation schema so the two cannot drift apart
+const allowedValues = (schema, path) => schema.extract(path).describe().allow || [];
+const CATEGORIES = allowedValues(recipeSchema, 'category');
+const CUISINES = allowedValues(recipeSchema, 'cuisine');
+const EQUIPMENT = recipeSchema.extract('equipment').describe().items[0].allow;
+const ACTIONS = allowedValues(instructionSchema, 'action');
+
+const CATEGORY_ALIASES = {
+  main: 'main_course',
+  main_dish: 'main_course',
+  entree: 'main_course',
+  side: 'side_dish',
+  drink: 'beverage',
+  drinks: 'beverage'
+};
+
+// Packaging words read as one piece: "1 (400 g) can tomatoes"
+const CONTAINERS = ['can', 'cans', 'tin', 'tins', 'jar', 'jars', 'package', 'packages', 'packet', 'packets', 'bag', 'bottle'];
+
+const ACTION_ALIASES = {
+  preheat: 'heat',
+  'sauté': 'saute'
+};
+
+const UNICODE_FRACTIONS = {
+  '½': '1/2', '⅓': '1/3', '⅔': '2/3', '¼': '1/4', '¾': '3/4', '⅕': '1/5',
+  '⅙': '1/6', '⅚': '5/6', '⅛': '1/8', '⅜': '3/8', '⅝': '5/8', '⅞': '7/8'
+};
+
+const NUMBER = '\\d+\\/\\d+|\\d+(?:[.,]\\d+)?(?:\\s+\\d+\\/\\d+)?';
+const QUANTITY_PATTERN = new RegExp(`^(${NUMBER})(?:\\s*(?:-|–|to)\\s*(${NUMBER}))?\\s*`);
+
+// schema.org nutrition properties (per serving) -> Recipe.nutrition keys
+const NUTRITION_PROPERTIES = {
+  calories: 'calories',
+  proteinContent: 'protein',
+  carbohydrateContent: 'carbohydrates',
+  fatContent: 'fat',
+  fiberContent: 'fiber',
+  sugarContent: 'sugar',
+  sodiumContent: 'sodium',
+  cholesterolContent: 'cholesterol',
+  saturatedFatContent: 'saturatedFat',
+  transFatContent: 'transFat'
+};
+const MILLIGRAM_NUTRIENTS = ['sodium', 'cholesterol'];
+
+const SECTION_HEADERS = [
+  { section: 'ingredients', pattern: /^ingredients?$/i },
+  { section: 'instructions', pattern: /^(instructions|directions|method|steps|preparation)$/i },
+  { section: 'notes', pattern: /^notes?$/i }
+];
+
+const METADATA_KEYS = [
+  { field: 'servings', pattern: /^(serves|servings|yield|makes)$/i },
+  { field: 'prepTime', pattern: /^prep(aration)?( time)?$/i },
+  { field: 'cookTime', pattern: /^(cook|cooking)( time)?$/i },
+  { field: 'totalTime', pattern: /^total( time)?$/i },
+  { field: 'category', pattern: /^(category|course)$/i },
+  { field: 'cuisine', pattern: /^cuisine$/i },
+  { field: 'difficulty', pattern: /^difficulty$/i },
+  { field: 'tags', pattern: /^(tags|keywords)$/i }
+];
+
+const decodeEntities = (text) => text
+  .replace(/&#x([0-9a-f]+);/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, '\'')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&amp;/g, '&');
+
+/**
+ * Plain text from a JSON-LD or HTML string: tags stripped, entities decoded, whitespace collapsed
+ */
+const cleanText = (value) => {
+  if (value === undefined || value === null) return '';
+  return decodeEntities(String(value).replace(/<[^>]*>/g, ' '))
+    .replace(/\s+/g, ' ')
+    .replace(/\s+([.,;:!?])/g, '$1')
+    .trim();
+};
+
+const truncate = (text, max, field, warnings) => {
+  if (text.length <= max) return text;
+  warnings.push(`${field} was truncated to ${max} characters`);
+  return text.slice(0, max).trim();
+};
+
+const toList = (value) => {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+};
+
+const toSlug = (value) => cleanText(value).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+const parseNumber = (token) => token
+  .replace(',', '.')
+  .split(/\s+/)
+  .reduce((total, part) => {
+    const [numerator, denominator] = part.split('/');
+    return total + (denominator ? Number(numerator) / Number(denominator) : Number(numerator));
+  }, 0);
+
+const replaceUnicodeFractions = (text) => text.replace(
+  /(\d)?\s*([½⅓⅔¼¾⅕⅙⅚⅛⅜⅝⅞])/g,
+  (match, whole, fraction) => `${whole ? `${whole} ` : ''}${UNICODE_FRACTIONS[fraction]}`
+);
+
+/**
+ * Duration in minutes from ISO-8601 ("PT1H30M") or text ("1 hour 15 min", "45");
+ * undefined when nothing can be read
+ */
+const parseDuration = (value) => {
+  if (typeof value === 'number') return Math.round(value);
+  if (typeof value !== 'string' || value.trim() === '') return undefined;
+
+  const text = value.trim();
+  const iso = text.match(/^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i);
+  if (iso && text.length > 1) {
+    const [, days = 0, hours = 0, minutes = 0, seconds = 0] = iso;
+    return Math.round(Number(days) * 1440 + Number(hours) * 60 + Number(minutes) + Number(seconds) / 60);
+  }
+
+  if (/^\d+(\.\d+)?$/.test(text)) return Math.round(Number(text));
+
+  const hours = text.match(/(\d+(?:\.\d+)?)\s*(?:h|hrs?|hours?)\b/i);
+  const minutes = text.match(/(\d+)\s*(?:m|mins?|minutes?)\b/i);
+  if (!hours && !minutes) return undefined;
+
+  return Math.round((hours ? Number(hours[1]) * 60 : 0) + (minutes ? Number(minutes[1]) : 0));
+};
+
+/**
+ * Servings from a recipeYield such as 4, "4 servings", "Serves 4-6" or ["4", "4 servings"]
+ */
+const parseServings = (value) => {
+  for (const item of toList(value)) {
+    const match = String(item).match(/\d+/);
+    if (match) return parseInt(match[0], 10);
+  }
+  return undefined;
+};
+
+/**
+ * Split an ingredient line ("2 1/2 cups flour, sifted") into name, amount and unit.
+ * Ranges use their lower bound; lines without a quantity ("salt to taste")
+ * become a pinch.
+ */
+const parseIngredientLine = (line, warnings = []) => {
+  let text = replaceUnicodeFractions(cleanText(line)).replace(/^[-*•]\s*/, '');
+  const ingredient = {};
+
+  if (/\(optional\)|,\s*optional$/i.test(text)) {
+    ingredient.optional = true;
+    text = text.replace(/\s*\(optional\)|,\s*optional$/i, '');
+  }
+
+  const quantity = text.match(QUANTITY_PATTERN);
+  let amount;
+  if (quantity) {
+    amount = parseNumber(quantity[1]);
+    if (quantity[2]) {
+      warnings.push(`Ingredient "${text}": used the lower bound of the range`);
+    }
+    text = text.slice(quantity[0].length);
+  } else {
+    // "A pinch of salt", "dash of vinegar"
+    const small = text.match(/^(?:an?\s+)?(pinch|pinches|dash|dashes)\s+(?:of\s+)?/i);
+    if (small) {
+      amount = 1;
+      text = `${small[1]} ${text.slice(small[0].length)}`;
+    }
+  }
+
+  // Parenthetical sizes such as "1 (400 g) can" are kept as preparation notes
+  const sizes = [];
+  text = text.replace(/\s*\(([^)]*)\)/g, (match, inner) => {
+    sizes.push(inner.trim());
+    return ' ';
+  }).trim();
+
+  let unit = null;
+  if (amount !== undefined) {
+    const words = text.split(/\s+/);
+    const twoWordUnit = normalizeUnit(words.slice(0, 2).join(' '));
+    const oneWordUnit = normalizeUnit(words[0] || '');
+    if (twoWordUnit && words.length > 2) {
+      unit = twoWordUnit;
+      text = words.slice(2).join(' ');
+    } else if (oneWordUnit && words.length > 1) {
+      unit = oneWordUnit;
+      text = words.slice(1).join(' ');
+    } else if (CONTAINERS.includes(words[0].toLowerCase()) && words.length > 1) {
+      sizes.push(words[0]);
+      text = words.slice(1).join(' ');
+    }
+  }
+  text = text.replace(/^of\s+/i, '');
+
+  const [name, ...preparation] = text.split(',');
+  const details = preparation.map(part => part.trim()).filter(Boolean);
+  if (sizes.length > 0) {
+    details.push(sizes.join(' '));
+  }
+
+  ingredient.name = name.trim().slice(0, 100);
+
+  if (amount === undefined || amount <= 0) {
+    ingredient.amount = 1;
+    ingredient.unit = 'pinch';
+    if (/\bto taste\b/i.test(ingredient.name)) {
+      ingredient.name = ingredient.name.replace(/\s*\bto taste\b/i, '').trim();
+      details.push('to taste');
+    }
+    warnings.push(`Ingredient "${ingredient.name}" has no quantity; imported as 1 pinch`);
+  } else {
+    ingredient.amount = Math.round(amount * 1000) / 1000;
+    ingredient.unit = unit || 'piece';
+  }
+
+  if (details.length > 0) {
+    ingredient.preparation = details.join(', ').slice(0, 100);
+  }
+
+  return ingredient;
+};
+
+/**
+ * Instruction from step text, with the action, timing and temperature it mentions
+ */
+const parseInstruction = (text) => {
+  const step = cleanText(text).replace(/^(?:step\s*)?\d+[.):]\s*/i, '');
+  const instruction = { step };
+
+  const firstWord = step.split(/\s+/)[0].toLowerCase().replace(/[^a-zé]/g, '');
+  const action = ACTION_ALIASES[firstWord] || firstWord;
+  if (ACTIONS.includes(action)) {
+    instruction.action = action;
+  }
+
+  // Ranges use their upper bound so the schedule does not run short
+  const durations = [...step.matchAll(/(\d+(?:\.\d+)?)(?:\s*(?:-|–|to)\s*(\d+(?:\.\d+)?))?\s*(hours?|hrs?|minutes?|mins?)\b/gi)];
+  if (durations.length > 0) {
+    instruction.timing = Math.round(durations.reduce((total, [, low, high, unit]) => {
+      const value = Number(high || low);
+      return total + (/^h/i.test(unit) ? value * 60 : value);
+    }, 0));
+  }
+
+  const temperature = step.match(/(\d{2,3})\s*(?:°|º|degrees?\s*)\s*([CF])\b/i);
+  if (temperature) {
+    const value = Number(temperature[1]);
+    instruction.temperature = temperature[2].toUpperCase() === 'F'
+      ? Math.round((value - 32) * 5 / 9)
+      : value;
+  }
+
+  return instruction;
+};
+
+/**
+ * Flatten recipeInstructions: text, HowToStep, HowToSection or lists of any of them
+ */
+const flattenInstructions = (value) => toList(value).flatMap(item => {
+  if (typeof item === 'string') {
+    return item.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  }
+  if (item && typeof item === 'object') {
+    if (item.itemListElement) return flattenInstructions(item.itemListElement);
+    if (item.text || item.name) return [item.text || item.name];
+  }
+  return [];
+});
+
+const mapChoice = (value, allowed, aliases, field, warnings) => {
+  for (const candidate of toList(value)) {
+    const slug = toSlug(candidate);
+    const mapped = aliases[slug] || slug;
+    if (allowed.includes(mapped)) return mapped;
+  }
+  if (toList(value).length > 0) {
+    warnings.push(`Unknown ${field} "${toList(value).map(cleanText).join(', ')}"; using the default`);
+  }
+  return undefined;
+};
+
+const parseTags = (value) => toList(value)
+  .flatMap(item => cleanText(item).split(','))
+  .map(tag => tag.trim())
+  .filter(tag => tag.length > 0 && tag.length <= 30)
+  .slice(0, 20);
+
+/**
+ * schema.org nutrition is per serving; Recipe.nutrition holds recipe totals
+ */
+const parseNutrition = (value, servings, warnings) => {
+  if (!value || typeof value !== 'object') return undefined;
+  if (!servings) {
+    warnings.push('Nutrition was ignored because the number of servings is unknown');
+    return undefined;
+  }
+
+  const nutrition = {};
+  Object.entries(NUTRITION_PROPERTIES).forEach(([property, key]) => {
+    if (value[property] === undefined) return;
+    const match = String(value[property]).match(/(\d+(?:\.\d+)?)\s*(mg|g)?/i);
+    if (!match) return;
+
+    let amount = Number(match[1]);
+    if (MILLIGRAM_NUTRIENTS.includes(key) && (match[2] || '').toLowerCase() === 'g') {
+      amount *= 1000;
+    }
+    nutrition[key] = Math.round(amount * servings * 10) / 10;
+  });
+
+  return Object.keys(nutrition).length > 0 ? nutrition : undefined;
+};
+
+const compact = (object) => Object.keys(object).reduce((result, key) => (
+  object[key] === undefined ? result : { ...result, [key]: object[key] }
+), {});
+
+const isRecipeNode = (node) => toList(node['@type']).includes('Recipe');
+
+/**
+ * First schema.org Recipe node in a JSON-LD document (handles arrays and @graph)
+ */
+const findRecipeNode = (data) => {
+  if (Array.isArray(data)) {
+    for (const item of data) {
+      const found = findRecipeNode(item);
+      if (found) return found;
+    }
+    return null;
+  }
+  if (!data || typeof data !== 'object') return null;
+  if (isRecipeNode(data)) return data;
+
+  return findRecipeNode(data['@graph']) || findRecipeNode(data.mainEntity);
+};
+
+/**
+ * Map a schema.org Recipe node onto our recipe shape
+ */
+const parseJsonLdRecipe = (data, warnings = []) => {
+  const node = findRecipeNode(data);
+  if (!node) {
+    throw new RecipeImportError('No schema.org Recipe found in the JSON-LD document');
+  }
+
+  const servings = parseServings(node.recipeYield);
+  if (servings === undefined) {
+    warnings.push('recipeYield is missing or unreadable; servings must be provided');
+  }
+
+  const tools = toList(node.tool).map(tool => toSlug(typeof tool === 'object' ? tool.name : tool));
+  const equipment = tools.filter(tool => EQUIPMENT.includes(tool));
+  if (equipment.length < tools.length) {
+    warnings.push(`Unrecognised equipment skipped: ${tools.filter(tool => !EQUIPMENT.includes(tool)).join(', ')}`);
+  }
+
+  const authors = toList(node.author)
+    .map(author => cleanText(typeof author === 'object' ? author.name : author))
+    .filter(Boolean);
+  const notes = [
+    authors.length > 0 && `By ${authors.join(', ')}`,
+    node.url && `Imported from ${cleanText(node.url)}`
+  ].filter(Boolean).join('. ');
+
+  const times = ['prepTime', 'cookTime', 'totalTime'].reduce((result, field) => {
+    const minutes = parseDuration(node[field]);
+    if (node[field] !== undefined && minutes === undefined) {
+      warnings.push(`Could not read ${field} "${node[field]}"`);
+    }
+    return { ...result, [field]: minutes };
+  }, {});
+
+  return compact({
+    name: truncate(cleanText(node.name), 100, 'name', warnings),
+    description: node.description ? truncate(cleanText(node.description), 500, 'description', warnings) : undefined,
+    category: mapChoice(node.recipeCategory, CATEGORIES, CATEGORY_ALIASES, 'category', warnings),
+    cuisine: mapChoice(node.recipeCuisine, CUISINES, {}, 'cuisine', warnings),
+    servings,
+    ...times,
+    ingredients: toList(node.recipeIngredient || node.ingredients)
+      .map(line => parseIngredientLine(line, warnings)),
+    instructions: flattenInstructions(node.recipeInstructions).map(parseInstruction),
+    equipment: equipment.length > 0 ? equipment : undefined,
+    nutrition: parseNutrition(node.nutrition, servings, warnings),
+    tags: node.keywords ? parseTags(node.keywords) : undefined,
+    source: 'import',
+    notes: notes ? notes.slice(0, 1000) : undefined
+  });
+};
+
+/**
+ * JSON-LD documents embedded in an HTML page
+ */
+const extractJsonLd = (html) => {
+  const scripts = [...html.matchAll(/<script[^>]*type\s*=\s*["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi)];
+
+  return scripts.reduce((documents, [, body]) => {
+    try {
+      documents.push(JSON.parse(body.trim()));
+    } catch (error) {
+      // Pages often carry unrelated or malformed blocks; skip them
+    }
+    return documents;
+  }, []);
+};
+
+const headerFor = (line) => {
+  const text = line.replace(/^#+\s*/, '').replace(/:$/, '').trim();
+  const header = SECTION_HEADERS.find(candidate => candidate.pattern.test(text));
+  return header ? header.section : null;
+};
+
+/**
+ * Plain-text recipe: a title line, optional "Key: value" metadata and description,
+ * then "Ingredients" and "Instructions" sections (and optionally "Notes")
+ */
+const parsePlainText = (text, warnings = []) => {
+  const lines = text.split(/\r?\n/).map(line => line.trim());
+  const sections = { ingredients: [], instructions: [], notes: [] };
+  const metadata = {};
+  const description = [];
+  let name = null;
+  let section = null;
+
+  lines.forEach(line => {
+    if (line === '') return;
+
+    const header = headerFor(line);
+    if (header) {
+      section = header;
+      return;
+    }
+
+    if (section) {
+      // Sub-headings such as "For the sauce:" carry no quantity
+      if (section === 'ingredients' && /:$/.test(line)) return;
+      sections[section].push(line.replace(/^[-*•]\s*/, ''));
+      return;
+    }
+
+    if (name === null) {
+      name = line.replace(/^#+\s*/, '');
+      return;
+    }
+
+    const keyValue = line.match(/^([^:]+):\s*(.+)$/) || line.match(/^(serves|makes)\s+(.+)$/i);
+    const key = keyValue && METADATA_KEYS.find(candidate => candidate.pattern.test(keyValue[1].trim()));
+    if (key) {
+      metadata[key.field] = keyValue[2].trim();
+    } else {
+      description.push(line);
+    }
+  });
+
+  if (sections.ingredients.length === 0 && sections.instructions.length === 0) {
+    throw new RecipeImportError('Plain-text recipes need "Ingredients" and "Instructions" sections');
+  }
+
+  const servings = metadata.servings !== undefined ? parseServings(metadata.servings) : undefined;
+  if (servings === undefined) {
+    warnings.push('No "Serves" or "Servings" line found; servings must be provided');
+  }
+
+  return compact({
+    name: name ? truncate(name, 100, 'name', warnings) : undefined,
+    description: description.length > 0 ? truncate(description.join(' '), 500, 'description', warnings) : undefined,
+    category: metadata.category ? mapChoice(metadata.category, CATEGORIES, CATEGORY_ALIASES, 'category', warnings) : undefined,
+    cuisine: metadata.cuisine ? mapChoice(metadata.cuisine, CUISINES, {}, 'cuisine', warnings) : undefined,
+    difficulty: metadata.difficulty ? metadata.difficulty.toLowerCase() : undefined,
+    servings,
+    prepTime: parseDuration(metadata.prepTime),
+    cookTime: parseDuration(metadata.cookTime),
+    totalTime: parseDuration(metadata.totalTime),
+    ingredients: sections.ingredients.map(line => parseIngredientLine(line, warnings)),
+    instructions: sections.instructions.map(parseInstruction),
+    tags: metadata.tags ? parseTags(metadata.tags) : undefined,
+    source: 'import',
+    notes: sections.notes.length > 0 ? sections.notes.join('\n').slice(0, 1000) : undefined
+  });
+};
+
+/**
+ * Guess the format of an import payload
+ */
+const detectFormat = (content) => {
+  if (content && typeof content === 'object') return 'jsonld';
+
+  const text = String(content || '').trim();
+  if (/^[[{]/.test(text)) return 'jsonld';
+  if (/<script[^>]*application\/ld\+json|<html|<!doctype html/i.test(text)) return 'html';
+  return 'text';
+};
+
+/**
+ * Parse an import payload into recipe data ready for validateRecipe
+ */
+const importRecipe = (content, { format } = {}) => {
+  const resolvedFormat = format || detectFormat(content);
+  const warnings = [];
+
+  if (!IMPORT_FORMATS.includes(resolvedFormat)) {
+    throw new RecipeImportError(`Unsupported import format: ${resolvedFormat}`, { formats: IMPORT_FORMATS });
+  }
+
+  let recipe;
+  switch (resolvedFormat) {
+    case 'jsonld': {
+      let data = content;
+      if (typeof content === 'string') {
+        try {
+          data = JSON.parse(content);
+        } catch (error) {
+          throw new RecipeImportError('Invalid JSON-LD document', { reason: error.message });
+        }
+      }
+      recipe = parseJsonLdRecipe(data, warnings);
+      break;
+    }
+    case 'html': {
+      const documents = extractJsonLd(String(content));
+      const node = findRecipeNode(documents);
+      if (!node) {
+        throw new RecipeImportError('No schema.org Recipe JSON-LD found in the HTML document');
+      }
+      recipe = parseJsonLdRecipe(node, warnings);
+      break;
+    }
+    default:
+      recipe = parsePlainText(String(content), warnings);
+  }
+
+  return { format: resolvedFormat, recipe, warnings };
+};
+
+module.exports = {
+  IMPORT_FORMATS,
+  parseDuration,
+  parseServings,
+  parseIngredientLine,
+  parseInstruction,
+  parseJsonLdRecipe,
+  extractJsonLd,
+  parsePlainText,
+  detectFormat,
+  importRecipe
+};
@@ -0,0 +1,239 @@
+/**
+ * Recipe scaling rules
+ * Scales ingredients with per-type rules, rounds them to measures a cook can use
+ * (promoting tsp -> tbsp -> cup and g -> kg along the way) and notes how cooking
+ * times and pan sizes change with the batch size.
+ */
+
+const { normalizeUnit, getDimension, convert, scaleQuantity } = require('./units');
+
+// Servings factor exponent per ingredient category: seasoning and leavening grow
+// more slowly than the bulk of the dish (and shrink more slowly too)
+const SCALING_RULES = {
+  linear: { exponent: 1 },
+  spice: { exponent: 0.8, reason: 'Spices are scaled conservatively; season to taste' },
+  salt: { exponent: 0.9, reason: 'Salt is scaled conservatively; season to taste' },
+  leavener: { exponent: 0.85, reason: 'Leavening does not grow linearly with batch size' }
+};
+
+const LEAVENERS = ['baking powder', 'baking soda', 'bicarbonate', 'yeast', 'cream of tartar'];
+
+// How step timings respond to the batch size
+const TIMING_RULES = [
+  {
+    actions: ['boil', 'heat'],
+    exponent: 0.5,
+    note: 'more liquid takes longer to come up to temperature'
+  },
+  {
+    actions: ['bake', 'roast', 'braise', 'stew'],
+    exponent: 1 / 3,
+    note: 'assumes one larger pan or joint; keep the original time when cooking in batches and check doneness early'
+  },
+  {
+    actions: ['prep', 'chop', 'dice', 'slice', 'mince', 'grate', 'cut', 'knead', 'roll'],
+    exponent: 0.7,
+    note: 'hands-on prep grows with the amount of produce'
+  }
+];
+
+const PAN_KEYWORDS = ['pan', 'pot', 'dish', 'tray', 'sheet', 'skillet', 'wok', 'tin'];
+
+const DEVIATION_WARNING = 0.1; // warn when rounding moves an amount by more than 10%
+const LARGE_FACTOR = 3;
+
+const roundNumber = (value, decimals = 2) => Math.round(value * Math.pow(10, decimals)) / Math.pow(10, decimals);
+const roundTo = (value, step) => roundNumber(Math.round(value / step) * step, 3);
+
+const ruleFor = (ingredient) => {
+  const name = (ingredient.name || '').toLowerCase();
+
+  if (LEAVENERS.some(leavener => name.includes(leavener))) {
+    return { category: 'leavener', ...SCALING_RULES.leavener };
+  }
+  if (/\bsalt\b/.test(name)) {
+    return { category: 'salt', ...SCALING_RULES.salt };
+  }
+  if (ingredient.type === 'spice') {
+    return { category: 'spice', ...SCALING_RULES.spice };
+  }
+  return { category: 'linear', ...SCALING_RULES.linear };
+};
+
+/**
+ * Eggs and anything measured in pieces can only be used whole (or halved)
+ */
+const isWholeItem = (ingredient) => {
+  const unit = normalizeUnit(ingredient.unit);
+  return /\beggs?\b/i.test(ingredient.name || '') ||
+    (unit !== null && getDimension(unit) === 'count');
+};
+
+const roundMetric = (value) => {
+  if (value < 10) return Math.max(0.5, roundTo(value, 0.5));
+  if (value < 100) return roundTo(value, 1);
+  return roundTo(value, 5);
+};
+
+/**
+ * Round an amount to a practical kitchen measure, switching to a larger or
+ * smaller unit of the same family when that reads better
+ */
+const practicalQuantity = (amount, unit, options = {}) => {
+  const canonical = normalizeUnit(unit);
+
+  if (!canonical) {
+    return { amount: roundNumber(amount), unit };
+  }
+
+  if (getDimension(canonical) === 'count') {
+    const step = options.eggs ? 1 : 0.5;
+    return { amount: Math.max(step, roundTo(amount, step)), unit };
+  }
+
+  if (['tsp', 'tbsp', 'cup'].includes(canonical)) {
+    const tsp = Math.max(0.125, roundTo(convert(amount, canonical, 'tsp'), 0.125));
+    if (tsp < 3) return { amount: tsp, unit: 'tsp' };
+
+    const tbsp = roundTo(convert(amount, canonical, 'tbsp'), 0.5);
+    if (tbsp < 4) return { amount: tbsp, unit: 'tbsp' };
+
+    // Measuring cup sets come in thirds as well as quarters
+    const cups = convert(amount, canonical, 'cup');
+    const quarters = roundTo(cups, 0.25);
+    const thirds = roundTo(cups, 1 / 3);
+    return { amount: Math.abs(thirds - cups) < Math.abs(quarters - cups) ? thirds : quarters, unit: 'cup' };
+  }
+
+  if (['g', 'kg', 'ml', 'l'].includes(canonical)) {
+    const [base, large] = getDimension(canonical) === 'mass' ? ['g', 'kg'] : ['ml', 'l'];
+    const value = convert(amount, canonical, base);
+
+    if (value >= 1000) return { amount: roundTo(value / 1000, 0.05), unit: large };
+    return { amount: roundMetric(value), unit: base };
+  }
+
+  if (['oz', 'lb'].includes(canonical)) {
+    const oz = convert(amount, canonical, 'oz');
+    if (oz >= 16) return { amount: roundTo(oz / 16, 0.25), unit: 'lb' };
+    return { amount: Math.max(0.25, roundTo(oz, 0.25)), unit: 'oz' };
+  }
+
+  return { amount: roundNumber(amount), unit };
+};
+
+/**
+ * Scale one ingredient line; reports the exact linear amount for comparison
+ */
+const scaleIngredient = (ingredient, factor) => {
+  const rule = ruleFor(ingredient);
+  const ruleFactor = Math.pow(factor, rule.exponent);
+  const scaled = scaleQuantity(ingredient.amount, ingredient.unit, ruleFactor);
+  const practical = practicalQuantity(scaled.amount, scaled.unit, {
+    eggs: /\beggs?\b/i.test(ingredient.name || '')
+  });
+
+  // Compare in the scaled unit so promotions (tsp -> tbsp) are not mistaken for changes
+  const sameFamily = normalizeUnit(practical.unit) && normalizeUnit(scaled.unit) &&
+    getDimension(practical.unit) === getDimension(scaled.unit);
+  const practicalInScaledUnit = sameFamily && getDimension(practical.unit) !== 'count'
+    ? convert(practical.amount, practical.unit, scaled.unit)
+    : practical.amount;
+  const deviation = scaled.amount > 0 ? (practicalInScaledUnit - scaled.amount) / scaled.amount : 0;
+
+  const adjustment = {
+    name: ingredient.name,
+    from: { amount: ingredient.amount, unit: ingredient.unit },
+    to: practical,
+    linearAmount: roundNumber(ingredient.amount * factor, 3),
+    rule: isWholeItem(ingredient) ? 'whole' : rule.category,
+    ...(rule.reason && { reason: rule.reason })
+  };
+
+  let warning = null;
+  if (Math.abs(deviation) > DEVIATION_WARNING) {
+    warning = `${ingredient.name}: rounded from ${roundNumber(scaled.amount)} ${scaled.unit} ` +
+      `to ${practical.amount} ${practical.unit} (${deviation > 0 ? '+' : ''}${Math.round(deviation * 100)}%)`;
+  }
+
+  return {
+    ingredient: { ...ingredient, amount: practical.amount, unit: practical.unit },
+    adjustment,
+    warning
+  };
+};
+
+const scaleInstructions = (instructions, factor) => {
+  const notes = [];
+
+  const scaled = instructions.map((instruction, index) => {
+    const rule = TIMING_RULES.find(candidate => candidate.actions.includes(instruction.action));
+    if (!rule || !instruction.timing) {
+      return instruction;
+    }
+
+    const timing = Math.max(1, Math.round(instruction.timing * Math.pow(factor, rule.exponent)));
+    if (timing !== instruction.timing) {
+      notes.push(`Step ${index + 1} (${instruction.step}): ${instruction.timing} -> ${timing} min; ${rule.note}`);
+    }
+
+    return { ...instruction, timing };
+  });
+
+  return { instructions: scaled, notes };
+};
+
+const panNotes = (equipment, factor) => {
+  if (factor === 1) return [];
+
+  const linear = Math.sqrt(factor);
+
+  return equipment
+    .filter(item => PAN_KEYWORDS.some(keyword => item.toLowerCase().includes(keyword)))
+    .map(item => factor > 1
+      ? `${item}: use one about ${roundNumber(linear, 1)}x as wide (${roundNumber(factor, 1)}x the area) ` +
+        `or cook in ${Math.ceil(factor)} batches`
+      : `${item}: a smaller one about ${roundNumber(linear, 1)}x as wide keeps the same depth`);
+};
+
+/**
+ * Everything that changes when a recipe goes from its servings to `newServings`
+ */
+const scaleRecipe = (recipe, newServings) => {
+  const factor = newServings / recipe.servings;
+  const warnings = [];
+
+  const ingredients = [];
+  const adjustments = [];
+  recipe.ingredients.forEach(ingredient => {
+    const result = scaleIngredient(ingredient, factor);
+    ingredients.push(result.ingredient);
+    adjustments.push(result.adjustment);
+    if (result.warning) warnings.push(result.warning);
+  });
+
+  const { instructions, notes } = scaleInstructions(recipe.instructions, factor);
+  notes.push(...panNotes(recipe.equipment || [], factor));
+
+  if (factor > LARGE_FACTOR || factor < 1 / LARGE_FACTOR) {
+    warnings.push(`Scaling by ${roundNumber(factor)}x changes the recipe substantially; ` +
+      'consider cooking in batches and testing a small portion first');
+  }
+
+  return {
+    factor,
+    ingredients,
+    instructions,
+    adjustments,
+    warnings,
+    notes
+  };
+};
+
+module.exports = {
+  SCALING_RULES,
+  practicalQuantity,
+  scaleIngredient,
+  scaleInstructions,
+  scaleRecipe
+};
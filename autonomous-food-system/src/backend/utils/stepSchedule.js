@@ -0,0 +1,267 @@
+/**
+ * Step scheduling utilities
+ * Builds a dependency graph from recipe instructions, finds the critical path and
+ * produces a resource-constrained parallel schedule.
+ *
+ * Instructions may declare:
+ *   dependsOn - 1-based step numbers that must finish first (omitted: the previous step)
+ *   resources - what the step occupies while it runs, e.g. ['oven'] or ['burner', 'hands']
+ */
+
+// Units of each resource a single kitchen provides
+const DEFAULT_CAPACITY = {
+  hands: 1,
+  oven: 1,
+  burner: 4
+};
+
+// Resources assumed for an action when the step does not declare any;
+// unattended actions leave the cook's hands free
+const ACTION_RESOURCES = {
+  boil: ['burner'],
+  simmer: ['burner'],
+  poach: ['burner'],
+  steam: ['burner'],
+  braise: ['burner'],
+  stew: ['burner'],
+  cook: ['burner'],
+  heat: ['burner'],
+  fry: ['burner', 'hands'],
+  saute: ['burner', 'hands'],
+  grill: ['burner', 'hands'],
+  bake: ['oven'],
+  roast: ['oven'],
+  marinate: [],
+  rest: [],
+  cool: [],
+  chill: [],
+  freeze: []
+};
+
+const resourcesFor = (instruction) => {
+  if (Array.isArray(instruction.resources)) {
+    return instruction.resources;
+  }
+  return ACTION_RESOURCES[instruction.action] || ['hands'];
+};
+
+/**
+ * Dependency graph with 0-based indices; `errors` lists invalid references and cycles
+ */
+const buildStepGraph = (instructions = []) => {
+  const errors = [];
+
+  const nodes = instructions.map((instruction, index) => {
+    let dependsOn;
+
+    if (Array.isArray(instruction.dependsOn)) {
+      dependsOn = [];
+      instruction.dependsOn.forEach(stepNumber => {
+        const dependency = stepNumber - 1;
+        if (!Number.isInteger(stepNumber) || dependency < 0 || dependency >= instructions.length) {
+          errors.push(`Step ${index + 1} depends on unknown step ${stepNumber}`);
+        } else if (dependency === index) {
+          errors.push(`Step ${index + 1} cannot depend on itself`);
+        } else if (!dependsOn.includes(dependency)) {
+          dependsOn.push(dependency);
+        }
+      });
+    } else {
+      dependsOn = index > 0 ? [index - 1] : [];
+    }
+
+    return {
+      index,
+      duration: instruction.timing || 0,
+      dependsOn,
+      resources: resourcesFor(instruction)
+    };
+  });
+
+  const order = topologicalOrder(nodes);
+  if (!order) {
+    errors.push('Step dependencies contain a cycle');
+  }
+
+  return { nodes, order, errors };
+};
+
+/**
+ * Kahn's algorithm; null when the graph has a cycle
+ */
+const topologicalOrder = (nodes) => {
+  const remaining = nodes.map(node => node.dependsOn.length);
+  const dependents = nodes.map(() => []);
+  nodes.forEach(node => node.dependsOn.forEach(dependency => dependents[dependency].push(node.index)));
+
+  const queue = nodes.filter(node => remaining[node.index] === 0).map(node => node.index);
+  const order = [];
+
+  while (queue.length > 0) {
+    const index = queue.shift();
+    order.push(index);
+    dependents[index].forEach(dependent => {
+      remaining[dependent] -= 1;
+      if (remaining[dependent] === 0) {
+        queue.push(dependent);
+      }
+    });
+  }
+
+  return order.length === nodes.length ? order : null;
+};
+
+const validateStepDependencies = (instructions) => buildStepGraph(instructions).errors;
+
+/**
+ * Longest dependency chain, ignoring resource limits
+ */
+const findCriticalPath = ({ nodes, order }) => {
+  const earliestFinish = new Array(nodes.length).fill(0);
+  const predecessor = new Array(nodes.length).fill(null);
+
+  order.forEach(index => {
+    const node = nodes[index];
+    let start = 0;
+    node.dependsOn.forEach(dependency => {
+      if (predecessor[index] === null || earliestFinish[dependency] > start) {
+        start = earliestFinish[dependency];
+        predecessor[index] = dependency;
+      }
+    });
+    earliestFinish[index] = start + node.duration;
+  });
+
+  // Time from the start of each step to the end of the recipe, used for slack and priorities
+  const tail = new Array(nodes.length).fill(0);
+  [...order].reverse().forEach(index => {
+    const dependents = nodes.filter(node => node.dependsOn.includes(index));
+    tail[index] = nodes[index].duration + Math.max(0, ...dependents.map(node => tail[node.index]));
+  });
+
+  const time = Math.max(0, ...earliestFinish);
+  const path = [];
+  let current = earliestFinish.lastIndexOf(time);
+  while (nodes.length > 0 && current !== null) {
+    path.unshift(current);
+    current = predecessor[current];
+  }
+
+  return {
+    path,
+    time,
+    tail,
+    slack: nodes.map(node => time - (earliestFinish[node.index] - node.duration) - tail[node.index])
+  };
+};
+
+/**
+ * List scheduling: at each moment start the ready steps with the longest remaining
+ * chain first, as long as their resources are free
+ */
+const scheduleSteps = (instructions = [], options = {}) => {
+  const graph = buildStepGraph(instructions);
+  if (graph.errors.length > 0) {
+    throw new Error(`Invalid step dependencies: ${graph.errors.join('; ')}`);
+  }
+
+  const capacity = { ...DEFAULT_CAPACITY, ...(options.capacity || {}) };
+  const completed = new Set(options.completed || []);
+  const { nodes } = graph;
+
+  // Completed steps take no time and hold no resources
+  nodes.forEach(node => {
+    if (completed.has(node.index)) {
+      node.duration = 0;
+      node.resources = [];
+    }
+  });
+
+  const critical = findCriticalPath(graph);
+  const inUse = {};
+  const start = new Array(nodes.length).fill(null);
+  const end = new Array(nodes.length).fill(null);
+  const done = new Set();
+  let running = [];
+  let time = 0;
+
+  const fits = (node) => node.resources.every(resource =>
+    (inUse[resource] || 0) < (capacity[resource] !== undefined ? capacity[resource] : 1)
+  );
+
+  while (done.size < nodes.length) {
+    let progressed = false;
+
+    running = running.filter(index => {
+      if (end[index] > time) return true;
+      done.add(index);
+      nodes[index].resources.forEach(resource => { inUse[resource] -= 1; });
+      progressed = true;
+      return false;
+    });
+
+    const ready = nodes
+      .filter(node => start[node.index] === null && node.dependsOn.every(dependency => done.has(dependency)))
+      .sort((a, b) => critical.tail[b.index] - critical.tail[a.index] || a.index - b.index);
+
+    ready.forEach(node => {
+      if (!fits(node)) return;
+      start[node.index] = time;
+      end[node.index] = time + node.duration;
+      node.resources.forEach(resource => { inUse[resource] = (inUse[resource] || 0) + 1; });
+      running.push(node.index);
+      progressed = true;
+    });
+
+    if (!progressed) {
+      if (running.length === 0) {
+        const blocked = ready[0] || nodes.find(node => start[node.index] === null);
+        throw new Error(`Step ${blocked.index + 1} cannot be scheduled: insufficient ${blocked.resources.join(', ')} capacity`);
+      }
+      time = Math.min(...running.map(index => end[index]));
+    }
+  }
+
+  const overlaps = (a, b) => start[a] < end[b] && start[b] < end[a];
+  const pending = nodes.filter(node => !completed.has(node.index));
+  const criticalSteps = new Set(critical.path);
+
+  const steps = pending.map(node => ({
+    stepNumber: node.index + 1,
+    step: instructions[node.index].step,
+    duration: node.duration,
+    start: start[node.index],
+    end: end[node.index],
+    dependsOn: node.dependsOn.map(dependency => dependency + 1),
+    resources: node.resources,
+    critical: criticalSteps.has(node.index) && node.duration > 0,
+    slack: critical.slack[node.index],
+    parallelWith: pending
+      .filter(other => other.index !== node.index && node.duration > 0 && other.duration > 0 &&
+        overlaps(node.index, other.index))
+      .map(other => other.index + 1)
+  }));
+
+  const totalTime = Math.max(0, ...end);
+  const sequentialTime = pending.reduce((sum, node) => sum + node.duration, 0);
+
+  return {
+    steps,
+    totalTime,
+    sequentialTime,
+    timeSaved: sequentialTime - totalTime,
+    criticalPath: {
+      steps: critical.path.filter(index => nodes[index].duration > 0).map(index => index + 1),
+      time: critical.time
+    },
+    capacity
+  };
+};
+
+module.exports = {
+  DEFAULT_CAPACITY,
+  buildStepGraph,
+  validateStepDependencies,
+  findCriticalPath,
+  scheduleSteps
+};
@@ -0,0 +1,100 @@
+/**
+ * Text search utilities
+ * Tokenizing, light English stemming and bounded edit distance for the recipe search index
+ */
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'into', 'is', 'it',
+  'of', 'on', 'or', 'the', 'then', 'to', 'until', 'with', 'without'
+]);
+
+const VOWELS = /[aeiou]/;
+
+const stripDoubledConsonant = (word) => (
+  /([^aeiouslz])\1$/.test(word) ? word.slice(0, -1) : word
+);
+
+/**
+ * Conservative suffix stripping so that plurals and verb forms share a stem:
+ * tomatoes/tomato, chopped/chopping/chop, baked/baking/bake, fried/fry
+ */
+const stem = (word) => {
+  let result = word;
+  if (result.length <= 3) return result;
+
+  if (result.endsWith('ies') && result.length > 4) {
+    result = `${result.slice(0, -3)}y`;
+  } else if (result.endsWith('sses')) {
+    result = result.slice(0, -2);
+  } else if (/(oes|[sxz]es|[cs]hes)$/.test(result)) {
+    result = result.slice(0, -2);
+  } else if (result.endsWith('s') && !/(ss|us|is)$/.test(result)) {
+    result = result.slice(0, -1);
+  }
+
+  if (result.endsWith('ied') && result.length > 4) {
+    result = `${result.slice(0, -3)}y`;
+  } else if (result.endsWith('ing') && VOWELS.test(result.slice(0, -3)) && result.length > 5) {
+    result = stripDoubledConsonant(result.slice(0, -3));
+  } else if (result.endsWith('ed') && VOWELS.test(result.slice(0, -2)) && result.length > 4) {
+    result = stripDoubledConsonant(result.slice(0, -2));
+  }
+
+  if (result.endsWith('e') && result.length > 3) {
+    result = result.slice(0, -1);
+  }
+
+  return result;
+};
+
+/**
+ * Lowercased words without accents, punctuation or stopwords
+ */
+const tokenize = (text) => String(text || '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[̀-ͯ]/g, '')
+  .split(/[^a-z0-9]+/)
+  .filter(token => token.length > 1 && !STOPWORDS.has(token));
+
+const analyze = (text) => tokenize(text).map(stem);
+
+/**
+ * Levenshtein distance, giving up once it exceeds `max`
+ */
+const editDistance = (a, b, max = 2) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Typos tolerated for a term of this length: none for short words
+ */
+const allowedTypos = (term) => {
+  if (term.length < 4) return 0;
+  if (term.length < 8) return 1;
+  return 2;
+};
+
+module.exports = {
+  STOPWORDS,
+  stem,
+  tokenize,
+  analyze,
+  editDistance,
+  allowedTypos
+};
@@ -0,0 +1,210 @@
+/**
+ * Unit conversion utilities
+ * Converts ingredient quantities between metric, US customary and imperial units.
+ * Mass and volume convert into each other through an ingredient's density (g/ml);
+ * count units (piece, clove, large egg...) go through its piece weights.
+ */
+
+const { UnitConversionError } = require('./errors');
+
+// Fallbacks when an ingredient has no conversion data of its own
+const DEFAULT_DENSITY = 1; // g/ml, water
+const DEFAULT_PIECE_WEIGHTS = {
+  piece: 100,
+  large: 150,
+  medium: 100,
+  small: 50,
+  slice: 30,
+  clove: 5
+};
+
+/**
+ * Canonical units. `factor` converts to the dimension's base unit:
+ * grams for mass, millilitres for volume, one `piece` for counts.
+ */
+const UNITS = {
+  // Mass
+  mg: { dimension: 'mass', system: 'metric', factor: 0.001, aliases: ['milligram', 'milligrams'] },
+  g: { dimension: 'mass', system: 'metric', factor: 1, aliases: ['gram', 'grams', 'gr'] },
+  kg: { dimension: 'mass', system: 'metric', factor: 1000, aliases: ['kilogram', 'kilograms', 'kilo', 'kilos'] },
+  oz: { dimension: 'mass', system: 'us', factor: 28.3495, aliases: ['ounce', 'ounces'] },
+  lb: { dimension: 'mass', system: 'us', factor: 453.592, aliases: ['lbs', 'pound', 'pounds'] },
+
+  // Volume - metric
+  ml: { dimension: 'volume', system: 'metric', factor: 1, aliases: ['milliliter', 'milliliters', 'millilitre', 'millilitres'] },
+  dl: { dimension: 'volume', system: 'metric', factor: 100, aliases: ['deciliter', 'deciliters', 'decilitre', 'decilitres'] },
+  l: { dimension: 'volume', system: 'metric', factor: 1000, aliases: ['liter', 'liters', 'litre', 'litres'] },
+  metric_tsp: { dimension: 'volume', system: 'metric', factor: 5, aliases: [] },
+  metric_tbsp: { dimension: 'volume', system: 'metric', factor: 15, aliases: [] },
+  metric_cup: { dimension: 'volume', system: 'metric', factor: 250, aliases: [] },
+
+  // Volume - US customary (the default meaning of tsp, tbsp and cup)
+  pinch: { dimension: 'volume', system: 'us', factor: 0.308, aliases: ['pinches'] }, // 1/16 tsp
+  dash: { dimension: 'volume', system: 'us', factor: 0.616, aliases: ['dashes'] }, // 1/8 tsp
+  tsp: { dimension: 'volume', system: 'us', factor: 4.92892, aliases: ['teaspoon', 'teaspoons', 'tsps'] },
+  tbsp: { dimension: 'volume', system: 'us', factor: 14.7868, aliases: ['tablespoon', 'tablespoons', 'tbsps', 'tbs'] },
+  fl_oz: { dimension: 'volume', system: 'us', factor: 29.5735, aliases: ['fluid_ounce', 'fluid_ounces'] },
+  cup: { dimension: 'volume', system: 'us', factor: 236.588, aliases: ['cups'] },
+  pint: { dimension: 'volume', system: 'us', factor: 473.176, aliases: ['pints'] },
+  quart: { dimension: 'volume', system: 'us', factor: 946.353, aliases: ['quarts'] },
+  gallon: { dimension: 'volume', system: 'us', factor: 3785.41, aliases: ['gallons'] },
+
+  // Volume - imperial
+  imp_fl_oz: { dimension: 'volume', system: 'imperial', factor: 28.4131, aliases: [] },
+  imp_pint: { dimension: 'volume', system: 'imperial', factor: 568.261, aliases: [] },
+  imp_quart: { dimension: 'volume', system: 'imperial', factor: 1136.52, aliases: [] },
+  imp_gallon: { dimension: 'volume', system: 'imperial', factor: 4546.09, aliases: [] },
+
+  // Counts - weighed through the ingredient's piece weights
+  piece: { dimension: 'count', system: 'any', factor: 1, aliases: ['pieces', 'whole', 'each', 'pc', 'pcs'] },
+  half: { dimension: 'count', system: 'any', factor: 0.5, aliases: [] },
+  quarter: { dimension: 'count', system: 'any', factor: 0.25, aliases: [] },
+  large: { dimension: 'count', system: 'any', factor: 1, pieceWeight: 'large', aliases: [] },
+  medium: { dimension: 'count', system: 'any', factor: 1, pieceWeight: 'medium', aliases: [] },
+  small: { dimension: 'count', system: 'any', factor: 1, pieceWeight: 'small', aliases: [] },
+  slice: { dimension: 'count', system: 'any', factor: 1, pieceWeight: 'slice', aliases: ['slices'] },
+  clove: { dimension: 'count', system: 'any', factor: 1, pieceWeight: 'clove', aliases: ['cloves'] }
+};
+
+// Units used when expressing an amount in a measurement system, smallest first
+const SYSTEM_UNITS = {
+  metric: { mass: ['g', 'kg'], volume: ['ml', 'l'] },
+  us: { mass: ['oz', 'lb'], volume: ['tsp', 'tbsp', 'cup', 'quart', 'gallon'] },
+  imperial: { mass: ['oz', 'lb'], volume: ['imp_fl_oz', 'imp_pint', 'imp_gallon'] }
+};
+
+const ALIASES = Object.entries(UNITS).reduce((aliases, [unit, definition]) => {
+  aliases[unit] = unit;
+  definition.aliases.forEach(alias => { aliases[alias] = unit; });
+  return aliases;
+}, {});
+
+// Every unit string accepted in recipes, canonical names and aliases alike
+const ACCEPTED_UNITS = Object.keys(ALIASES);
+
+/**
+ * Canonical unit key for a unit string ("Tablespoons" -> "tbsp"); null when unknown
+ */
+const normalizeUnit = (unit) => {
+  if (typeof unit !== 'string') return null;
+  const key = unit.trim().toLowerCase().replace(/\.$/, '').replace(/[\s-]+/g, '_');
+  return ALIASES[key] || null;
+};
+
+const isKnownUnit = (unit) => normalizeUnit(unit) !== null;
+
+const getUnit = (unit) => {
+  const canonical = normalizeUnit(unit);
+  if (!canonical) {
+    throw new UnitConversionError(`Unknown unit: ${unit}`, { unit });
+  }
+  return { unit: canonical, ...UNITS[canonical] };
+};
+
+const getDimension = (unit) => getUnit(unit).dimension;
+
+/**
+ * Conversion data for an ingredient: { density, pieceWeights }
+ */
+const conversionProfile = (ingredient = {}) => ({
+  density: ingredient.density || DEFAULT_DENSITY,
+  pieceWeights: { ...DEFAULT_PIECE_WEIGHTS, ...(ingredient.pieceWeights || {}) }
+});
+
+const toGrams = (amount, unit, ingredient) => {
+  const definition = getUnit(unit);
+  const profile = conversionProfile(ingredient);
+
+  switch (definition.dimension) {
+    case 'mass':
+      return amount * definition.factor;
+    case 'volume':
+      return amount * definition.factor * profile.density;
+    default:
+      return amount * definition.factor * profile.pieceWeights[definition.pieceWeight || 'piece'];
+  }
+};
+
+const fromGrams = (grams, unit, ingredient) => {
+  const definition = getUnit(unit);
+  const profile = conversionProfile(ingredient);
+
+  switch (definition.dimension) {
+    case 'mass':
+      return grams / definition.factor;
+    case 'volume':
+      return grams / profile.density / definition.factor;
+    default:
+      return grams / (definition.factor * profile.pieceWeights[definition.pieceWeight || 'piece']);
+  }
+};
+
+/**
+ * Convert between any two units; crossing dimensions uses the ingredient's
+ * density or piece weights
+ */
+const convert = (amount, fromUnit, toUnit, ingredient) => {
+  const from = getUnit(fromUnit);
+  const to = getUnit(toUnit);
+
+  if (from.dimension === to.dimension && from.dimension !== 'count') {
+    return amount * from.factor / to.factor;
+  }
+
+  return fromGrams(toGrams(amount, fromUnit, ingredient), toUnit, ingredient);
+};
+
+/**
+ * Express an amount in a measurement system using the largest unit that keeps
+ * the amount at or above 1. Counts are left unchanged.
+ */
+const toSystem = (amount, unit, system, ingredient) => {
+  const definition = getUnit(unit);
+  const units = SYSTEM_UNITS[system];
+
+  if (!units) {
+    throw new UnitConversionError(`Unknown measurement system: ${system}`, { system });
+  }
+
+  if (definition.dimension === 'count') {
+    return { amount, unit: definition.unit };
+  }
+
+  const candidates = units[definition.dimension];
+  const converted = candidates.map(candidate => ({
+    amount: convert(amount, unit, candidate, ingredient),
+    unit: candidate
+  }));
+
+  return [...converted].reverse().find(option => option.amount >= 1) || converted[0];
+};
+
+/**
+ * Scale a quantity by `factor`. Fractional counts (half, quarter) become pieces
+ * so that 2 x "1 half" reads as 1 piece.
+ */
+const scaleQuantity = (amount, unit, factor) => {
+  const canonical = normalizeUnit(unit);
+
+  if (canonical === 'half' || canonical === 'quarter') {
+    return { amount: amount * UNITS[canonical].factor * factor, unit: 'piece' };
+  }
+
+  return { amount: amount * factor, unit };
+};
+
+module.exports = {
+  UNITS,
+  ACCEPTED_UNITS,
+  DEFAULT_DENSITY,
+  DEFAULT_PIECE_WEIGHTS,
+  normalizeUnit,
+  isKnownUnit,
+  getDimension,
+  conversionProfile,
+  toGrams,
+  fromGrams,
+  convert,
+  toSystem,
+  scaleQuantity
+};
@@ -0,0 +1,93 @@
+const express = require('express');
+const request = require('supertest');
+const recipeRoutes = require('../../src/backend/routes/recipes');
+const cookingRoutes = require('../../src/backend/routes/cooking');
+const { errorHandler } = require('../../src/backend/middleware/errorHandler');
+const { distributionService, loadIngredientCatalog } = require('../../src/backend/services');
+
+describe('Cooking routes', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/recipes', recipeRoutes);
+  app.use('/api/cooking', cookingRoutes);
+  app.use(errorHandler);
+
+  let recipe;
+
+  beforeAll(async () => {
+    await loadIngredientCatalog();
+
+    const response = await request(app)
+      .post('/api/recipes')
+      .send(global.testUtils.createSampleRecipe({
+        name: 'Route Test Spaghetti',
+        ingredients: [
+          { name: 'spaghetti', amount: 200, unit: 'g' },
+          { name: 'tomato', amount: 300, unit: 'g' }
+        ],
+        instructions: [
+          { step: 'Boil the spaghetti', timing: 10, action: 'boil' },
+          { step: 'Simmer the tomatoes', timing: 15, action: 'simmer' }
+        ],
+        equipment: ['large_pot', 'saute_pan']
+      }));
+    recipe = response.body;
+
+    distributionService.createConsumptionProfile('route_test_coeliac', {
+      preferences: {
+        dietaryRestrictions: [],
+        allergies: ['gluten'],
+        dislikes: [],
+        favorites: [],
+        culturalPreferences: [],
+        nutritionalGoals: {}
+      }
+    });
+  });
+
+  describe('Starting sessions', () => {
+    test('should require a kitchen for automated sessions', async () => {
+      const response = await request(app)
+        .post('/api/cooking/start')
+        .send({ recipeId: recipe.id, automationLevel: 'semi_automated' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.details[0].message)
+        .toBe('"kitchenId" is required unless automationLevel is manual');
+    });
+
+    test('should refuse a recipe that breaks the profile\'s allergies', async () => {
+      const response = await request(app)
+        .post('/api/cooking/start')
+        .send({ recipeId: recipe.id, userId: 'route_test_coeliac' });
+
+      expect(response.status).toBe(422);
+      expect(response.body.error).toBe('Compliance Error');
+      expect(response.body.violations.length).toBeGreaterThan(0);
+    });
+
+    test('should start anyway when compliance is overridden', async () => {
+      const response = await request(app)
+        .post('/api/cooking/start')
+        .send({ recipeId: recipe.id, userId: 'route_test_coeliac', overrideCompliance: true, overrideReason: 'Gluten-free pasta' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.compliance).toMatchObject({ compliant: false, overridden: true });
+    });
+  });
+
+  describe('Aborting sessions', () => {
+    test('should return 409 when aborting a session that already ended', async () => {
+      const started = await request(app).post('/api/cooking/start').send({ recipeId: recipe.id });
+      const { sessionId } = started.body;
+
+      const first = await request(app).post(`/api/cooking/${sessionId}/abort`).send({ reason: 'Ran out of time' });
+      const second = await request(app).post(`/api/cooking/${sessionId}/abort`).send({});
+
+      expect(first.status).toBe(200);
+      expect(first.body.status).toBe('aborted');
+      expect(second.status).toBe(409);
+      expect(second.body.message).toBe('Cannot abort session that is aborted');
+    });
+  });
+});
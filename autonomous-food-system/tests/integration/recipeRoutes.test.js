@@ -0,0 +1,138 @@
+const express = require('express');
+const request = require('supertest');
+const recipeRoutes = require('../../src/backend/routes/recipes');
+const { errorHandler } = require('../../src/backend/middleware/errorHandler');
+const { recipeRepository } = require('../../src/backend/repositories');
+const { loadIngredientCatalog } = require('../../src/backend/services');
+const Recipe = require('../../src/backend/models/Recipe');
+const RecipeVersioningService = require('../../src/backend/services/RecipeVersioningService');
+
+describe('Recipe routes', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/recipes', recipeRoutes);
+  app.use(errorHandler);
+
+  let recipe;
+
+  beforeAll(async () => {
+    await loadIngredientCatalog();
+  });
+
+  beforeEach(async () => {
+    const response = await request(app)
+      .post('/api/recipes')
+      .send(global.testUtils.createSampleRecipe({
+        name: 'Route Test Pasta',
+        ingredients: [
+          { name: 'spaghetti', amount: 200, unit: 'g' },
+          { name: 'tomato', amount: 300, unit: 'g' }
+        ],
+        instructions: [
+          { step: 'Boil the spaghetti', timing: 10, action: 'boil' },
+          { step: 'Simmer the tomatoes', timing: 15, action: 'simmer' }
+        ],
+        equipment: ['large_pot', 'saute_pan']
+      }));
+
+    expect(response.status).toBe(201);
+    recipe = response.body;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Versioning', () => {
+    test('should store each update as a new version', async () => {
+      const updated = await request(app).put(`/api/recipes/${recipe.id}`).send({ servings: 6 });
+
+      expect(updated.status).toBe(200);
+      expect(updated.body.version).toBe('1.1.0');
+
+      const versions = await request(app).get(`/api/recipes/${recipe.id}/versions`);
+      expect(versions.status).toBe(200);
+      expect(versions.body.currentVersion).toBe('1.1.0');
+      expect(versions.body.versions.map(version => version.version)).toEqual(['1.0.0', '1.1.0']);
+    });
+
+    test('should roll back to an earlier version as a new version', async () => {
+      await request(app).put(`/api/recipes/${recipe.id}`).send({ servings: 6 });
+
+      const response = await request(app).post(`/api/recipes/${recipe.id}/rollback/1.0.0`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.recipe.servings).toBe(4);
+      expect(response.body.recipe.version).toBe('1.2.0');
+    });
+
+    test('should return 409 when rolling back to the current version', async () => {
+      const response = await request(app).post(`/api/recipes/${recipe.id}/rollback/1.0.0`);
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe('Conflict');
+    });
+
+    test('should return 409 when another change lands while an update is in flight', async () => {
+      const findById = recipeRepository.findById.bind(recipeRepository);
+      jest.spyOn(recipeRepository, 'findById').mockImplementationOnce(async (id) => {
+        const stale = await findById(id);
+        const competing = new Recipe({ ...stale, servings: 8 });
+        await new RecipeVersioningService(recipeRepository).commitChange(stale, competing, 'update');
+        return stale;
+      });
+
+      const response = await request(app).put(`/api/recipes/${recipe.id}`).send({ servings: 6 });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe('Conflict');
+      expect((await findById(recipe.id)).servings).toBe(8);
+    });
+
+    test('should return 404 for an unknown version', async () => {
+      const response = await request(app).post(`/api/recipes/${recipe.id}/rollback/9.9.9`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('Validation', () => {
+    test('should reject an invalid recipe body with 400', async () => {
+      const response = await request(app).post('/api/recipes').send({ name: 'No ingredients' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+
+    test.each([
+      ['repeated pages', 'page=1&page=2'],
+      ['an unknown sort field', 'sortBy=constructor'],
+      ['a negative carbon cap', 'maxCarbon=-1'],
+      ['a water cap that is not a number', 'maxWater=lots']
+    ])('should reject a recipe list query with %s', async (label, query) => {
+      const response = await request(app).get(`/api/recipes?${query}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Query Parameter Validation Error');
+    });
+
+    test('should reject repeated variant ids with 400', async () => {
+      const response = await request(app).get(`/api/recipes/${recipe.id}/variants?ids=a&ids=b`);
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should reject a feedback limit below 1 with 400', async () => {
+      const response = await request(app).get(`/api/recipes/${recipe.id}/feedback?limit=0`);
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should reject export formats that are inherited object keys', async () => {
+      const response = await request(app).get(`/api/recipes/${recipe.id}/export?format=constructor`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Unsupported export format: constructor');
+    });
+  });
+});
@@ -0,0 +1,116 @@
+const Recipe = require('../../src/backend/models/Recipe');
+const IngredientCatalog = require('../../src/backend/services/IngredientCatalog');
+const DietaryComplianceChecker = require('../../src/backend/services/DietaryComplianceChecker');
+const sampleIngredients = require('../../src/backend/data/sampleIngredients');
+
+describe('DietaryComplianceChecker', () => {
+  const checker = new DietaryComplianceChecker(new IngredientCatalog(sampleIngredients));
+
+  const recipe = (ingredients) => new Recipe(global.testUtils.createSampleRecipe({ ingredients }));
+
+  const stirFry = () => recipe([
+    { name: 'chicken breast', amount: 300, unit: 'g' },
+    { name: 'soy sauce', amount: 2, unit: 'tbsp' },
+    { name: 'rice', amount: 150, unit: 'g' }
+  ]);
+
+  describe('Allergies', () => {
+    test('should report the ingredient an allergen comes through', () => {
+      const report = checker.check(stirFry(), { allergies: ['Gluten'] });
+
+      expect(report.compliant).toBe(false);
+      expect(report.violations).toEqual([{
+        ingredient: 'soy sauce',
+        matchedName: 'Soy Sauce',
+        type: 'allergy',
+        rule: 'gluten',
+        message: 'contains gluten via soy sauce',
+        substitutes: [
+          { id: expect.any(String), name: 'Tamari' },
+          { id: expect.any(String), name: 'Coconut Aminos' }
+        ]
+      }]);
+    });
+
+    test('should only suggest substitutes that avoid every allergen', () => {
+      const [violation] = checker.check(stirFry(), { allergies: ['wheat', 'soy allergy'] }).violations;
+
+      expect(violation.message).toBe('contains wheat via soy sauce');
+      expect(violation.substitutes.map(substitute => substitute.name)).toEqual(['Coconut Aminos']);
+    });
+
+    test('should fall back to names for ingredients outside the catalog', () => {
+      const report = checker.check(recipe([{ name: 'toasted almonds', amount: 30, unit: 'g' }]), { allergies: ['nuts'] });
+
+      expect(report.violations[0]).toMatchObject({ matchedName: null, message: 'contains tree nuts via toasted almonds', substitutes: [] });
+      expect(report.unresolved).toEqual(['toasted almonds']);
+    });
+
+    test('should match allergies it has no rules for against ingredient names', () => {
+      const vinaigrette = recipe([
+        { name: 'Dijon mustard', amount: 1, unit: 'tbsp' },
+        { name: 'olive oil', amount: 3, unit: 'tbsp' }
+      ]);
+
+      const report = checker.check(vinaigrette, { allergies: ['Mustard allergy'] });
+
+      expect(report.compliant).toBe(false);
+      expect(report.violations).toEqual([expect.objectContaining({
+        ingredient: 'Dijon mustard',
+        type: 'allergy',
+        rule: 'mustard',
+        message: 'contains mustard via Dijon mustard'
+      })]);
+      expect(report.checkedByName).toEqual(['mustard']);
+      expect(checker.isCompliant(vinaigrette, { allergies: ['celery'] })).toBe(true);
+    });
+
+    test('should fall back to the name when a catalog record lists no allergens', () => {
+      const catalog = new IngredientCatalog(sampleIngredients);
+      catalog.add({ name: 'Toasted Walnuts', category: 'nuts', allergens: [] });
+
+      const report = new DietaryComplianceChecker(catalog)
+        .check(recipe([{ name: 'toasted walnuts', amount: 30, unit: 'g' }]), { allergies: ['nuts'] });
+
+      expect(report.violations[0]).toMatchObject({ matchedName: 'Toasted Walnuts', message: 'contains tree nuts via toasted walnuts' });
+    });
+  });
+
+  describe('Dietary restrictions', () => {
+    test('should treat poultry as meat even though the catalog files it as protein', () => {
+      const [violation] = checker.check(stirFry(), { dietaryRestrictions: ['vegetarian'] }).violations;
+
+      expect(violation).toMatchObject({ rule: 'vegetarian', message: 'not vegetarian: contains meat via chicken breast' });
+      expect(violation.substitutes.map(substitute => substitute.name)).toEqual(['Tofu']);
+    });
+
+    test('should rule out dairy and eggs for vegans and report unknown restrictions', () => {
+      const report = checker.check(recipe([
+        { name: 'eggs', amount: 2, unit: 'piece' },
+        { name: 'butter', amount: 10, unit: 'g' },
+        { name: 'spinach', amount: 50, unit: 'g' }
+      ]), { dietaryRestrictions: ['vegan', 'keto'] });
+
+      expect(report.violations.map(violation => violation.message)).toEqual([
+        'not vegan: contains eggs via eggs',
+        'not vegan: contains dairy via butter'
+      ]);
+      expect(report.violations[1].substitutes.map(substitute => substitute.name)).toEqual(['Olive Oil']);
+      expect(report.unsupported).toEqual(['keto']);
+    });
+
+    test('should flag disliked ingredients by catalog name', () => {
+      const report = checker.check(recipe([{ name: 'tomatoes', amount: 200, unit: 'g' }]), { dislikes: ['Tomato'] });
+
+      expect(report.violations[0]).toMatchObject({ type: 'dislike', message: 'disliked ingredient: tomatoes' });
+    });
+  });
+
+  test('should check the ingredients after substitutions', () => {
+    const preferences = { dietaryRestrictions: ['gluten-free'] };
+    const substitutions = [{ original: 'Soy Sauce', substitute: 'tamari' }];
+
+    expect(checker.isCompliant(stirFry(), preferences)).toBe(false);
+    expect(checker.check(stirFry(), preferences, { substitutions }).compliant).toBe(true);
+  });
+});
@@ -0,0 +1,139 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const IngredientCatalog = require('../../src/backend/services/IngredientCatalog');
+const IngredientRepository = require('../../src/backend/repositories/IngredientRepository');
+const MemoryIngredientDriver = require('../../src/backend/repositories/drivers/MemoryIngredientDriver');
+const FdcImporter = require('../../src/backend/services/FdcImporter');
+const sampleIngredients = require('../../src/backend/data/sampleIngredients');
+const { parseFdcJson } = require('../../src/backend/utils/fdcImport');
+
+describe('FdcImporter', () => {
+  const now = new Date('2026-05-01T08:00:00Z');
+  const nutrient = (number, unitName, amount) => ({ nutrient: { number, unitName }, amount });
+  const food = (fdcId, description, nutrients, foodPortions = []) => ({
+    fdcId,
+    description,
+    dataType: 'SR Legacy',
+    publicationDate: '4/1/2019',
+    foodNutrients: nutrients,
+    foodPortions
+  });
+
+  const parmesan = food(170848, 'Cheese, parmesan, hard', [
+    nutrient('208', 'kcal', 392),
+    nutrient('203', 'g', 35.75),
+    nutrient('205', 'g', 3.22),
+    nutrient('204', 'g', 25.83),
+    nutrient('291', 'g', 0),
+    nutrient('269', 'g', 0.8),
+    nutrient('307', 'mg', 1602),
+    nutrient('301', 'mg', 1184)
+  ], [{ sequenceNumber: 1, amount: 1, gramWeight: 5, modifier: 'tbsp', measureUnit: { name: 'undetermined' } }]);
+  const oliveOil = food(171413, 'Oil, olive, salad or cooking', [nutrient('208', 'kcal', 884), nutrient('204', 'g', 100)]);
+  const saltedButter = food(173410, 'Butter, salted', [nutrient('208', 'kcal', 717)]);
+  const unsaltedButter = food(173430, 'Butter, without salt', [nutrient('208', 'kcal', 717)]);
+  const mystery = food(999999, 'Fruit, dragon', [nutrient('208', 'kcal', 60)]);
+
+  let dataDir;
+  let catalog;
+  let repository;
+  let importer;
+
+  beforeEach(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fdc-'));
+    catalog = new IngredientCatalog(sampleIngredients);
+    repository = new IngredientRepository(new MemoryIngredientDriver());
+    for (const ingredient of catalog.getAll()) {
+      await repository.create(ingredient);
+    }
+    catalog.follow(repository);
+    importer = new FdcImporter(catalog, repository, { dataDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('should load JSON and CSV downloads from the data directory', async () => {
+    fs.mkdirSync(path.join(dataDir, 'sr_legacy'));
+    fs.writeFileSync(path.join(dataDir, 'sr_legacy', 'foods.json'), JSON.stringify({ SRLegacyFoods: [parmesan, oliveOil] }));
+    fs.writeFileSync(path.join(dataDir, 'sr_legacy', 'food.csv'), '"fdc_id","data_type","description"\n"171413","sr_legacy_food","Oil, olive, salad or cooking"\n"173410","sr_legacy_food","Butter, salted"\n');
+    fs.writeFileSync(path.join(dataDir, 'sr_legacy', 'nutrient.csv'), '"id","name","unit_name","nutrient_nbr"\n"1008","Energy","KCAL","208"\n');
+    fs.writeFileSync(path.join(dataDir, 'sr_legacy', 'food_nutrient.csv'), '"id","fdc_id","nutrient_id","amount"\n"1","173410","1008","717"\n');
+
+    const foods = await importer.load('sr_legacy');
+    expect(foods.map(item => item.fdcId)).toEqual(['170848', '171413', '173410']);
+
+    const [single] = await importer.load('sr_legacy/foods.json');
+    expect(single.description).toBe('Cheese, parmesan, hard');
+
+    await expect(importer.load('sr_legacy/food.csv')).rejects.toThrow('CSV downloads are imported by the directory holding food.csv');
+    await expect(importer.load('../elsewhere')).rejects.toThrow('outside the FoodData Central data directory');
+    await expect(importer.load('missing.json')).rejects.toThrow('not found');
+  });
+
+  test('should suggest ingredients from food descriptions and flag conflicts', async () => {
+    const foods = parseFdcJson([parmesan, oliveOil, saltedButter, unsaltedButter, mystery]);
+
+    const report = await importer.import(foods, { dryRun: true, now });
+
+    expect(report.entries.map(entry => [entry.description, entry.ingredientName, entry.status])).toEqual([
+      ['Cheese, parmesan, hard', 'Parmesan Cheese', 'update'],
+      ['Oil, olive, salad or cooking', 'Olive Oil', 'update'],
+      ['Butter, salted', 'Butter', 'conflict'],
+      ['Butter, without salt', 'Butter', 'conflict'],
+      ['Fruit, dragon', null, 'unmatched']
+    ]);
+    expect(report.entries[2].conflictsWith).toEqual(['173430']);
+    expect(report.entries[1].warnings).toEqual(['No protein, carbohydrates, fiber, sugar, sodium in FoodData Central; the catalog values are kept']);
+    expect(report).toMatchObject({ foods: 5, applied: 0, summary: { update: 2, conflict: 2, unmatched: 1 } });
+    expect(catalog.findByName('parmesan cheese').nutritionSource).toBeNull();
+  });
+
+  test('should let an explicit mapping resolve conflicts and skip foods', async () => {
+    const foods = parseFdcJson([saltedButter, unsaltedButter, mystery]);
+    const unsalted = catalog.findByName('unsalted butter');
+
+    const report = await importer.import(foods, {
+      mapping: { 173430: unsalted.id, 999999: null },
+      dryRun: true,
+      now
+    });
+
+    expect(report.entries.map(entry => [entry.fdcId, entry.ingredientName, entry.match, entry.status])).toEqual([
+      ['173410', 'Butter', 'name', 'update'],
+      ['173430', 'Unsalted Butter', 'mapping', 'update'],
+      ['999999', null, 'mapping', 'skipped']
+    ]);
+  });
+
+  test('should store nutrition, density and provenance, then change nothing on re-import', async () => {
+    const foods = parseFdcJson({ SRLegacyFoods: [parmesan, oliveOil] });
+
+    const first = await importer.import(foods, { now });
+    expect(first.applied).toBe(2);
+
+    const cheese = catalog.findByName('parmesan cheese');
+    expect(cheese.nutritionPer100g).toMatchObject({ calories: 392, protein: 35.75, calcium: 1184 });
+    expect(cheese.density).toBeCloseTo(0.338, 3);
+    expect(cheese.nutritionSource).toMatchObject({
+      provider: 'usda_fdc',
+      fdcId: '170848',
+      description: 'Cheese, parmesan, hard',
+      importedAt: now
+    });
+    expect((await repository.findById(cheese.id)).nutritionSource).toEqual(cheese.nutritionSource);
+
+    const oil = catalog.findByName('olive oil');
+    expect(oil.nutritionPer100g).toMatchObject({ calories: 884, fat: 100, protein: 0 });
+
+    const second = await importer.import(foods, { now: new Date('2026-06-01T08:00:00Z') });
+    expect(second.applied).toBe(0);
+    expect(second.entries.map(entry => [entry.match, entry.status])).toEqual([
+      ['linked', 'unchanged'],
+      ['linked', 'unchanged']
+    ]);
+    expect(catalog.findByName('parmesan cheese').nutritionSource.importedAt).toEqual(now);
+  });
+});
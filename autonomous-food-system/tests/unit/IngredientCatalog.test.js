@@ -0,0 +1,76 @@
+const IngredientCatalog = require('../../src/backend/services/IngredientCatalog');
+const sampleIngredients = require('../../src/backend/data/sampleIngredients');
+
+describe('IngredientCatalog', () => {
+  let catalog;
+
+  beforeEach(() => {
+    catalog = new IngredientCatalog(sampleIngredients);
+  });
+
+  test('should find entries that already use a name or alias', () => {
+    expect(catalog.findConflicts(['Eggs']).map(ingredient => ingredient.name)).toEqual(['Egg']);
+    expect(catalog.findConflicts(['parmesan', 'smoked_tofu']).map(ingredient => ingredient.name))
+      .toEqual(['Parmesan Cheese', 'Smoked Tofu']);
+
+    const egg = catalog.findByName('egg');
+    expect(catalog.findConflicts(['large egg'], [egg.id])).toEqual([]);
+    expect(catalog.findConflicts(['Dragon Fruit'])).toEqual([]);
+  });
+
+  test('should update an entry and keep its id and creation date', () => {
+    const butter = catalog.findByName('butter');
+    const updated = catalog.update(butter.id, { shelfLife: 30, aliases: ['salted butter'] });
+
+    expect(updated).toMatchObject({ id: butter.id, name: 'Butter', shelfLife: 30, createdAt: butter.createdAt });
+    expect(catalog.findByName('salted butter').id).toBe(butter.id);
+    expect(catalog.update('missing', { shelfLife: 1 })).toBeNull();
+  });
+
+  test('should fold duplicates into the target as aliases', () => {
+    const butter = catalog.findByName('butter');
+    const unsalted = catalog.findByName('unsalted butter');
+    const size = catalog.size;
+
+    catalog.update(unsalted.id, { aliases: ['sweet butter'], seasonality: ['winter'], shelfLife: 45 });
+    const merged = catalog.merge(butter.id, [unsalted.id]);
+
+    expect(catalog.size).toBe(size - 1);
+    expect(catalog.get(unsalted.id)).toBeUndefined();
+    expect(merged.aliases).toEqual(['Unsalted Butter', 'sweet butter']);
+    expect(catalog.findByName('unsalted butter').id).toBe(butter.id);
+    expect(merged.seasonality).toEqual(['year_round', 'winter']);
+    expect(merged.shelfLife).toBe(45);
+    // A substitute that is now the ingredient itself is dropped
+    expect(merged.getSubstitutes().map(substitute => substitute.name)).toEqual(['olive_oil']);
+  });
+
+  test('should fill nutrients the target lacks from the duplicates', () => {
+    const target = catalog.add({
+      name: 'Pak Choi',
+      category: 'vegetable',
+      nutritionPer100g: { calories: 13, protein: 1.5, carbohydrates: 2.2, fat: 0.2, fiber: 1, sugar: 1.2, sodium: 65 }
+    });
+    const duplicate = catalog.add({
+      name: 'Bok Choy',
+      category: 'vegetable',
+      nutritionPer100g: { calories: 12, protein: 1.4, carbohydrates: 2, fat: 0.2, fiber: 1, sugar: 1, sodium: 60, vitaminC: 45 },
+      pieceWeights: { medium: 250 }
+    });
+
+    const merged = catalog.merge(target.id, [duplicate.id]);
+
+    expect(merged.nutritionPer100g).toMatchObject({ calories: 13, sodium: 65, vitaminC: 45 });
+    expect(merged.pieceWeights).toMatchObject({ medium: 250 });
+    expect(catalog.findByName('bok choy').name).toBe('Pak Choi');
+  });
+
+  test('should remove entries and refuse merges with unknown ids', () => {
+    const salt = catalog.findByName('salt');
+
+    expect(catalog.merge(salt.id, ['missing'])).toBeNull();
+    expect(catalog.remove(salt.id)).toBe(true);
+    expect(catalog.findByName('salt')).toBeNull();
+    expect(catalog.remove(salt.id)).toBe(false);
+  });
+});
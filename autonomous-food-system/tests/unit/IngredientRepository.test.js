@@ -0,0 +1,61 @@
+const Ingredient = require('../../src/backend/models/Ingredient');
+const IngredientRepository = require('../../src/backend/repositories/IngredientRepository');
+const MemoryIngredientDriver = require('../../src/backend/repositories/drivers/MemoryIngredientDriver');
+const ingredientSchema = require('../../src/backend/repositories/schemas/IngredientSchema');
+
+describe('IngredientRepository', () => {
+  let repository;
+
+  beforeEach(() => {
+    repository = new IngredientRepository(new MemoryIngredientDriver());
+  });
+
+  describe('CRUD', () => {
+    test('should store and return Ingredient instances', async () => {
+      const ingredient = new Ingredient(global.testUtils.createSampleIngredient({ pieceWeights: { piece: 50 } }));
+      await repository.create(ingredient);
+
+      const stored = await repository.findById(ingredient.id);
+
+      expect(stored).toBeInstanceOf(Ingredient);
+      expect(stored).toEqual(ingredient);
+      expect(stored.convertToGrams(2, 'piece')).toBe(100);
+    });
+
+    test('should update, delete and list by name', async () => {
+      const salt = await repository.create(new Ingredient({ name: 'Salt' }));
+      await repository.create(new Ingredient({ name: 'Basil' }));
+
+      await repository.update(new Ingredient({ ...salt, aliases: ['sea salt'] }));
+      expect((await repository.findById(salt.id)).aliases).toEqual(['sea salt']);
+      expect((await repository.findAll()).map(ingredient => ingredient.name)).toEqual(['Basil', 'Salt']);
+
+      expect(await repository.delete(salt.id)).toBe(true);
+      expect(await repository.findById(salt.id)).toBeNull();
+      expect(await repository.update(salt)).toBeNull();
+      expect(await repository.count()).toBe(1);
+    });
+
+    test('should notify listeners of stored changes', async () => {
+      const events = [];
+      repository.onChange(event => events.push(event.type));
+
+      const salt = await repository.create(new Ingredient({ name: 'Salt' }));
+      await repository.update(salt);
+      await repository.delete(salt.id);
+      await repository.clear();
+
+      expect(events).toEqual(['create', 'update', 'delete', 'clear']);
+    });
+  });
+
+  describe('Mongoose schema', () => {
+    test('should have a path for every Ingredient field', () => {
+      const ingredient = new Ingredient(global.testUtils.createSampleIngredient());
+
+      Object.keys(ingredient).forEach(field => {
+        expect(ingredientSchema.path(field)).toBeTruthy();
+      });
+    });
+  });
+});
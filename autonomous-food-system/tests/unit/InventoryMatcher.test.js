@@ -0,0 +1,111 @@
+const Recipe = require('../../src/backend/models/Recipe');
+const IngredientCatalog = require('../../src/backend/services/IngredientCatalog');
+const InventoryMatcher = require('../../src/backend/services/InventoryMatcher');
+const sampleIngredients = require('../../src/backend/data/sampleIngredients');
+
+describe('InventoryMatcher', () => {
+  const DAY = 1000 * 60 * 60 * 24;
+  const now = new Date('2026-05-01T08:00:00Z');
+  const matcher = new InventoryMatcher(new IngredientCatalog(sampleIngredients));
+
+  const modules = [{
+    id: 'module_1',
+    name: 'Greenhouse-Alpha',
+    activeCycles: [
+      { id: 'cycle_lettuce', cropVariety: 'lettuce', plantCount: 20, expectedHarvestDate: new Date(now.getTime() + DAY) },
+      { id: 'cycle_spinach', cropVariety: 'spinach', plantCount: 10, expectedHarvestDate: now },
+      { id: 'cycle_kale', cropVariety: 'kale', plantCount: 40, expectedHarvestDate: new Date(now.getTime() + 20 * DAY) }
+    ]
+  }];
+
+  const recipe = (id, ingredients) => new Recipe(global.testUtils.createSampleRecipe({ id, name: id, ingredients }));
+
+  const salad = recipe('salad', [
+    { name: 'spinach', amount: 150, unit: 'g' },
+    { name: 'lettuce', amount: 100, unit: 'g' },
+    { name: 'olive oil', amount: 1, unit: 'tbsp' }
+  ]);
+  const omelette = recipe('omelette', [
+    { name: 'eggs', amount: 3, unit: 'large' },
+    { name: 'butter', amount: 10, unit: 'g' },
+    { name: 'herbs', amount: 5, unit: 'g', optional: true }
+  ]);
+
+  test('should list harvests ready within the horizon with their expiry', () => {
+    const inventory = matcher.harvestInventory(modules, { now });
+
+    expect(inventory.map(entry => [entry.cycleId, entry.estimatedAmount, entry.daysUntilReady, entry.shelfLife, entry.daysUntilExpiry]))
+      .toEqual([
+        ['cycle_spinach', 1, 0, 5, 5],
+        ['cycle_lettuce', 2, 1, 7, 8]
+      ]);
+    expect(inventory[0]).toMatchObject({ unit: 'kg', storageConditions: 'refrigerated' });
+  });
+
+  test('should rank recipes by coverage and list what is missing', () => {
+    const harvests = matcher.harvestInventory(modules, { now });
+    const { recipes, total } = matcher.match([omelette, salad], {
+      harvests,
+      pantry: [{ name: 'eggs', amount: 6, unit: 'piece' }],
+      now
+    });
+
+    expect(total).toBe(2);
+    expect(recipes.map(match => [match.recipeId, match.coverage, match.canCook])).toEqual([
+      ['salad', 0.67, false],
+      ['omelette', 0.5, false]
+    ]);
+    expect(recipes[0].missing).toEqual([{ name: 'olive oil', amount: 1, unit: 'tbsp', status: 'missing' }]);
+    expect(recipes[1].missing).toEqual([{ name: 'butter', amount: 10, unit: 'g', status: 'missing' }]);
+  });
+
+  test('should report partial amounts and draw supplies down across lines', () => {
+    const stew = recipe('stew', [
+      { name: 'butter', amount: 50, unit: 'g' },
+      { name: 'unsalted butter', amount: 20, unit: 'g' },
+      { name: 'salt', amount: 5, unit: 'g' }
+    ]);
+    const [match] = matcher.match([stew], {
+      pantry: [{ name: 'butter', amount: 30, unit: 'g' }, { name: 'salt' }],
+      now
+    }).recipes;
+
+    expect(match.ingredients.map(ingredient => [ingredient.name, ingredient.status])).toEqual([
+      ['butter', 'partial'],
+      ['unsalted butter', 'missing'],
+      ['salt', 'available']
+    ]);
+    expect(match.missing[0]).toEqual({ name: 'butter', amount: 20, unit: 'g', status: 'partial' });
+  });
+
+  test('should rank recipes that use produce close to expiry first and skip expired items', () => {
+    const wrap = recipe('wrap', [{ name: 'lettuce', amount: 100, unit: 'g' }]);
+    const greens = recipe('greens', [{ name: 'spinach', amount: 100, unit: 'g' }]);
+    const harvests = matcher.harvestInventory(modules, { now });
+
+    const { recipes } = matcher.match([wrap, greens], { harvests, now });
+    expect(recipes.map(match => [match.recipeId, match.expiring[0].daysUntilExpiry])).toEqual([
+      ['greens', 5],
+      ['wrap', 8]
+    ]);
+    expect(recipes[0].score).toBeGreaterThan(recipes[1].score);
+
+    const expired = matcher.match([greens], {
+      pantry: [{ name: 'spinach', expiresAt: new Date(now.getTime() - DAY) }],
+      now
+    });
+    expect(expired.total).toBe(0);
+  });
+
+  test('should not count optional ingredients against coverage', () => {
+    const { recipes } = matcher.match([omelette], {
+      pantry: [{ name: 'eggs' }, { name: 'butter' }],
+      minCoverage: 1,
+      now
+    });
+
+    expect(recipes).toHaveLength(1);
+    expect(recipes[0]).toMatchObject({ coverage: 1, canCook: true, missing: [] });
+    expect(recipes[0].ingredients[2]).toMatchObject({ name: 'herbs', optional: true, status: 'missing' });
+  });
+});
@@ -0,0 +1,109 @@
+const KitchenRegistry = require('../../src/backend/services/KitchenRegistry');
+const HardwareIntegrationService = require('../../src/backend/services/HardwareIntegrationService');
+const { HardwareError } = require('../../src/backend/utils/errors');
+const Recipe = require('../../src/backend/models/Recipe');
+
+describe('KitchenRegistry', () => {
+  let hardwareService;
+  let registry;
+
+  const config = {
+    id: 'kitchen_test',
+    name: 'Test kitchen',
+    sensors: [{ id: 'probe_1', type: 'temperature' }],
+    actuators: [
+      { id: 'hob_1', type: 'hob', capabilities: { maxTemperature: 180 } },
+      { id: 'cutter_1', type: 'cutter' }
+    ],
+    robots: [{ id: 'arm_1', type: 'robot_arm', capabilities: ['serve', 'Plate Up'] }]
+  };
+
+  beforeEach(() => {
+    hardwareService = new HardwareIntegrationService();
+    hardwareService.simulationMode = true;
+    registry = new KitchenRegistry(hardwareService);
+  });
+
+  afterEach(async () => {
+    await registry.shutdown();
+  });
+
+  test('should describe connected devices with registry capabilities', async () => {
+    const kitchen = await registry.registerKitchen(config);
+
+    expect(kitchen).toMatchObject({ id: 'kitchen_test', name: 'Test kitchen', status: 'active', sensors: ['temperature'] });
+    expect(kitchen.devices.find(device => device.id === 'hob_1')).toMatchObject({
+      kind: 'actuator',
+      available: true,
+      capabilities: { minTemperature: 40, maxTemperature: 180 },
+      sensors: ['temperature']
+    });
+    expect(kitchen.devices.find(device => device.id === 'arm_1')).toMatchObject({
+      kind: 'robot',
+      actions: ['serve', 'plate_up']
+    });
+    expect(registry.listKitchens()).toHaveLength(1);
+  });
+
+  test('should wrap hardware failures in a HardwareError', async () => {
+    hardwareService.simulationMode = false;
+
+    await expect(registry.registerKitchen(config)).rejects.toThrow(HardwareError);
+    expect(registry.getKitchen('kitchen_test')).toBeNull();
+  });
+
+  test('should forget kitchens whose hardware was shut down', async () => {
+    await registry.registerKitchen(config);
+    await hardwareService.shutdownModule('kitchen_test');
+
+    expect(registry.getKitchen('kitchen_test')).toBeNull();
+    expect(registry.listKitchens()).toEqual([]);
+    expect(registry.isIdInUse('kitchen_test')).toBe(false);
+  });
+
+  test('should refuse ids already used by a kitchen or another hardware module', async () => {
+    await registry.registerKitchen(config);
+    await hardwareService.initializeModule('module_1', { sensors: [{ id: 'probe_2', type: 'humidity' }] });
+
+    await expect(registry.registerKitchen(config)).rejects.toThrow('already connected');
+    await expect(registry.registerKitchen({ ...config, id: 'module_1' })).rejects.toThrow(HardwareError);
+    expect(registry.isIdInUse('module_1')).toBe(true);
+    expect(hardwareService.connectedDevices.get('module_1').sensors.has('probe_2')).toBe(true);
+
+    await hardwareService.shutdownModule('module_1');
+  });
+
+  test('should stop sensor polling when a kitchen is unregistered', async () => {
+    await registry.registerKitchen(config);
+    expect(hardwareService.activePolling.has('kitchen_test')).toBe(true);
+
+    expect(await registry.unregisterKitchen('kitchen_test')).toBe(true);
+    expect(hardwareService.activePolling.has('kitchen_test')).toBe(false);
+    expect(registry.listKitchens()).toEqual([]);
+    expect(await registry.unregisterKitchen('kitchen_test')).toBe(false);
+  });
+
+  test('should assess a recipe against a registered kitchen', async () => {
+    const kitchen = await registry.registerKitchen(config);
+    const recipe = new Recipe(global.testUtils.createSampleRecipe({
+      instructions: [
+        { step: 'Chop', action: 'chop' },
+        { step: 'Fry', timing: 5, temperature: 200, action: 'fry' },
+        { step: 'Serve', action: 'serve' }
+      ],
+      equipment: ['knife', 'pan']
+    }));
+
+    const assessment = recipe.assessAutomation(kitchen);
+
+    expect(assessment).toMatchObject({
+      kitchenId: 'kitchen_test',
+      automatable: true,
+      complexity: 'semi_automated',
+      automationScore: 67,
+      automatableSteps: 2,
+      totalSteps: 3
+    });
+    expect(assessment.missing.capabilities).toEqual(['hob_1 covers 40–180°C; step needs 200°C']);
+  });
+});
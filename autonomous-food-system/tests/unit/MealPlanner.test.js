@@ -0,0 +1,208 @@
+const Recipe = require('../../src/backend/models/Recipe');
+const RecipeRepository = require('../../src/backend/repositories/RecipeRepository');
+const MemoryRecipeDriver = require('../../src/backend/repositories/drivers/MemoryRecipeDriver');
+const IngredientCatalog = require('../../src/backend/services/IngredientCatalog');
+const PrecisionDistributionService = require('../../src/backend/services/PrecisionDistributionService');
+const MealPlanner = require('../../src/backend/services/MealPlanner');
+const { MealPlanError } = require('../../src/backend/utils/errors');
+const sampleIngredients = require('../../src/backend/data/sampleIngredients');
+
+describe('MealPlanner', () => {
+  let repository;
+  let distributionService;
+  let planner;
+
+  const recipe = (overrides) => new Recipe(global.testUtils.createSampleRecipe(overrides));
+
+  const createProfile = (userId, preferences = {}, portions = {}) => {
+    const profile = distributionService.createConsumptionProfile(userId, {
+      preferences: {
+        dietaryRestrictions: [],
+        allergies: [],
+        dislikes: [],
+        favorites: [],
+        culturalPreferences: [],
+        nutritionalGoals: {},
+        ...preferences
+      }
+    });
+    Object.entries(portions).forEach(([ingredient, grams]) => profile.currentPortions.set(ingredient, grams));
+    return profile;
+  };
+
+  const mealNames = (plan, mealType) => plan.days.map(day => day.meals.find(meal => meal.mealType === mealType).recipeName);
+
+  beforeEach(async () => {
+    repository = new RecipeRepository(new MemoryRecipeDriver());
+    distributionService = new PrecisionDistributionService();
+    planner = new MealPlanner({
+      repository,
+      catalog: new IngredientCatalog(sampleIngredients),
+      distributionService
+    });
+
+    await repository.create(recipe({
+      name: 'Spinach Omelette',
+      category: 'breakfast',
+      servings: 1,
+      ingredients: [{ name: 'eggs', amount: 2, unit: 'piece' }, { name: 'spinach', amount: 50, unit: 'g' }],
+      nutrition: { calories: 250, protein: 18, carbohydrates: 2, fat: 18 }
+    }));
+    await repository.create(recipe({
+      name: 'Tomato Salad',
+      category: 'salad',
+      cuisine: 'mediterranean',
+      servings: 2,
+      ingredients: [{ name: 'tomatoes', amount: 400, unit: 'g' }, { name: 'olive oil', amount: 2, unit: 'tbsp' }],
+      nutrition: { calories: 400, protein: 6, carbohydrates: 16, fat: 30 }
+    }));
+    await repository.create(recipe({
+      name: 'Chicken Rice Bowl',
+      category: 'main_course',
+      servings: 2,
+      ingredients: [{ name: 'chicken breast', amount: 300, unit: 'g' }, { name: 'rice', amount: 150, unit: 'g' }],
+      nutrition: { calories: 1100, protein: 100, carbohydrates: 120, fat: 12 }
+    }));
+    await repository.create(recipe({
+      name: 'Tofu Stir Fry',
+      category: 'stir_fry',
+      cuisine: 'chinese',
+      servings: 2,
+      ingredients: [
+        { name: 'tofu', amount: 400, unit: 'g' },
+        { name: 'rice', amount: 150, unit: 'g' },
+        { name: 'soy sauce', amount: 2, unit: 'tbsp' }
+      ],
+      nutrition: { calories: 1000, protein: 50, carbohydrates: 120, fat: 30 }
+    }));
+    await repository.create(recipe({
+      name: 'Lettuce Wraps',
+      category: 'lunch',
+      servings: 2,
+      ingredients: [{ name: 'lettuce', amount: 200, unit: 'g' }, { name: 'tofu', amount: 200, unit: 'g' }],
+      nutrition: { calories: 500, protein: 30, carbohydrates: 20, fat: 24 }
+    }));
+  });
+
+  describe('Plan generation', () => {
+    test('should fill every slot from compliant recipes without repeating a day', async () => {
+      createProfile('veggie', { dietaryRestrictions: ['vegetarian'] });
+
+      const plan = await planner.generatePlan('veggie', { startDate: '2026-03-02' });
+
+      expect(plan.days.map(day => day.date)).toEqual([
+        '2026-03-02', '2026-03-03', '2026-03-04', '2026-03-05', '2026-03-06', '2026-03-07', '2026-03-08'
+      ]);
+      expect(mealNames(plan, 'breakfast')).toEqual(Array(7).fill('Spinach Omelette'));
+      expect(mealNames(plan, 'dinner')).not.toContain('Chicken Rice Bowl');
+      plan.days.forEach(day => {
+        const names = day.meals.map(meal => meal.recipeName);
+        expect(new Set(names).size).toBe(names.length);
+      });
+      expect(plan.warnings).toEqual(['1 recipe excluded by dietary restrictions, allergies or dislikes']);
+    });
+
+    test('should prefer favorite ingredients', async () => {
+      createProfile('fan', { favorites: ['lettuce'] });
+
+      const plan = await planner.generatePlan('fan', { days: 1, mealTypes: ['lunch'] });
+
+      expect(plan.days[0].meals[0]).toMatchObject({ recipeName: 'Lettuce Wraps', reasons: ['favorites: lettuce'] });
+    });
+
+    test('should prefer cuisines and recipes close to the calorie goal', async () => {
+      createProfile('goals', { culturalPreferences: ['chinese'], nutritionalGoals: { calories: 2000 } });
+
+      const plan = await planner.generatePlan('goals', { days: 1, mealTypes: ['lunch', 'dinner'] });
+      const [lunch, dinner] = plan.days[0].meals;
+
+      expect(lunch.recipeName).toBe('Tofu Stir Fry');
+      expect(lunch.reasons).toEqual(['cuisine: chinese']);
+      // Calories fit Chicken Rice Bowl best once the stir fry is served at lunch
+      expect(dinner.recipeName).toBe('Chicken Rice Bowl');
+      expect(plan.days[0].nutrition.calories).toBe(1050);
+    });
+
+    test('should reject a profile that does not exist', async () => {
+      await expect(planner.generatePlan('nobody')).rejects.toThrow(MealPlanError);
+    });
+  });
+
+  describe('Locking and swapping', () => {
+    test('should keep locked meals when regenerating', async () => {
+      createProfile('lock');
+      const plan = await planner.generatePlan('lock', { days: 2, mealTypes: ['dinner'] });
+      const salad = (await repository.findAll()).find(entry => entry.name === 'Tomato Salad');
+
+      const chosen = await planner.swapMeal(plan.id, plan.days[0].meals[0].id, salad.id);
+      planner.setLocked(plan.id, chosen.id);
+
+      const regenerated = await planner.regeneratePlan(plan.id);
+
+      expect(regenerated.days[0].meals[0]).toMatchObject({ recipeName: 'Tomato Salad', locked: true });
+      await expect(planner.swapMeal(plan.id, chosen.id)).rejects.toThrow('is locked');
+    });
+
+    test('should swap to the next best recipe not already served that day', async () => {
+      createProfile('swap');
+      const plan = await planner.generatePlan('swap', { days: 1, mealTypes: ['lunch', 'dinner'] });
+      const [lunch, dinner] = plan.days[0].meals;
+
+      const swapped = await planner.swapMeal(plan.id, dinner.id);
+
+      expect(swapped.recipeId).not.toBe(dinner.recipeId);
+      expect(swapped.recipeId).not.toBe(lunch.recipeId);
+      expect(plan.days[0].meals[1]).toBe(swapped);
+    });
+
+    test('should refuse a chosen recipe that breaks the restrictions', async () => {
+      createProfile('strict', { dietaryRestrictions: ['vegetarian'] });
+      const plan = await planner.generatePlan('strict', { days: 1, mealTypes: ['dinner'] });
+      const chicken = (await repository.findAll()).find(entry => entry.name === 'Chicken Rice Bowl');
+
+      await expect(planner.swapMeal(plan.id, plan.days[0].meals[0].id, chicken.id))
+        .rejects.toThrow('conflicts with the profile');
+    });
+  });
+
+  describe('Ingredient demand', () => {
+    test('should aggregate grams per day and per ingredient for the plan servings', async () => {
+      createProfile('demand', { favorites: ['tomato'] }, { tomato: 150, lettuce: 40 });
+      const plan = await planner.generatePlan('demand', {
+        startDate: '2026-03-02',
+        days: 1,
+        mealTypes: ['breakfast', 'lunch', 'dinner'],
+        servings: 2
+      });
+
+      expect(plan.days[0].meals.map(meal => meal.recipeName))
+        .toEqual(['Spinach Omelette', 'Tomato Salad', 'Chicken Rice Bowl']);
+
+      const demand = await planner.calculateDemand(plan.id);
+
+      expect(demand.daily[0].ingredients).toMatchObject({ egg: 200, spinach: 100, tomato: 400, 'chicken breast': 300, rice: 150 });
+      expect(demand.ingredients[0]).toMatchObject({ ingredient: 'tomato', grams: 400, category: 'vegetable' });
+      expect(demand.harvestRequests).toEqual([
+        { ingredient: 'spinach', amount: 100, requiredDate: '2026-03-02' },
+        { ingredient: 'tomato', amount: 400, requiredDate: '2026-03-02' }
+      ]);
+      expect(demand.portionComparison).toEqual([
+        { ingredient: 'tomato', currentDailyPortion: 150, plannedDailyAverage: 400, difference: 250 },
+        { ingredient: 'lettuce', currentDailyPortion: 40, plannedDailyAverage: 0, difference: -40 }
+      ]);
+    });
+
+    test('should let the distribution schedule use planned demand for covered days', () => {
+      createProfile('schedule', {}, { lettuce: 40 });
+      const today = new Date().toISOString().slice(0, 10);
+
+      distributionService.setPlannedDemand('schedule', [{ date: today, ingredients: { tomato: 400 } }]);
+      const schedule = distributionService.generateDistributionSchedule('schedule', 2);
+
+      expect(schedule.dailyDistributions[0].source).toBe('meal_plan');
+      expect(Object.fromEntries(schedule.dailyDistributions[0].ingredients)).toEqual({ tomato: 400 });
+      expect(schedule.dailyDistributions[1].source).toBe('consumption_profile');
+      expect(schedule.dailyDistributions[1].ingredients.get('lettuce')).toBe(40);
+    });
+  });
+});
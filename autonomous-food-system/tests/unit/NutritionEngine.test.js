@@ -0,0 +1,93 @@
+const Recipe = require('../../src/backend/models/Recipe');
+const IngredientCatalog = require('../../src/backend/services/IngredientCatalog');
+const NutritionEngine = require('../../src/backend/services/NutritionEngine');
+
+describe('NutritionEngine', () => {
+  let engine;
+
+  beforeEach(() => {
+    const catalog = new IngredientCatalog([
+      global.testUtils.createSampleIngredient({
+        name: 'Rice',
+        aliases: ['white rice'],
+        nutritionPer100g: { calories: 130, protein: 2.7, carbohydrates: 28, fat: 0.3, fiber: 0.4, sugar: 0.1, sodium: 1 }
+      }),
+      global.testUtils.createSampleIngredient({
+        name: 'Olive Oil',
+        density: 0.91,
+        nutritionPer100g: { calories: 884, protein: 0, carbohydrates: 0, fat: 100, fiber: 0, sugar: 0, sodium: 2, vitaminA: 0 }
+      })
+    ]);
+    engine = new NutritionEngine(catalog);
+  });
+
+  const pilaf = (overrides = {}) => new Recipe(global.testUtils.createSampleRecipe({
+    servings: 2,
+    ingredients: [
+      { name: 'white rice', amount: 200, unit: 'g' },
+      { name: 'olive oil', amount: 1, unit: 'tbsp' }
+    ],
+    ...overrides
+  }));
+
+  test('should total nutrition per recipe and per serving', () => {
+    const result = engine.calculate(pilaf());
+
+    // 200g rice + 1 US tbsp (14.79 ml) of oil at 0.91 g/ml = 13.46g
+    expect(result.nutrition.calories).toBeCloseTo(260 + 119, 0);
+    expect(result.nutrition.fat).toBeCloseTo(0.6 + 13.46, 1);
+    expect(result.perServing.calories).toBeCloseTo((260 + 119) / 2, 0);
+    expect(result.matched).toEqual([
+      expect.objectContaining({ name: 'white rice', matchedName: 'Rice', grams: 200 }),
+      expect.objectContaining({ name: 'olive oil', matchedName: 'Olive Oil', grams: 13.5 })
+    ]);
+    expect(result.coverage).toBe(1);
+  });
+
+  test('should only report optional nutrients that ingredients provide', () => {
+    const result = engine.calculate(pilaf());
+
+    expect(result.nutrition).toHaveProperty('vitaminA');
+    expect(result.nutrition).not.toHaveProperty('iron');
+  });
+
+  test('should flag unmatched ingredients and leave them out of totals', () => {
+    const recipe = pilaf();
+    recipe.ingredients.push({ name: 'saffron', amount: 1, unit: 'g' });
+
+    const result = engine.calculate(recipe);
+
+    expect(result.unmatched).toEqual(['saffron']);
+    expect(result.coverage).toBe(0.67);
+    expect(result.nutrition.calories).toBeCloseTo(379, 0);
+  });
+
+  test('should overwrite typed-in nutrition with computed values', () => {
+    const recipe = pilaf({ nutrition: { calories: 9999, protein: 0, carbohydrates: 0, fat: 0, fiber: 0, sugar: 0, sodium: 0 } });
+
+    engine.applyTo(recipe);
+
+    expect(recipe.nutrition.calories).toBeCloseTo(379, 0);
+    expect(recipe.nutritionAnalysis).toMatchObject({
+      source: 'ingredient_database',
+      unmatched: [],
+      coverage: 1
+    });
+    expect(recipe.toJSON().nutritionAnalysis.perServing.calories).toBeCloseTo(189.5, 0);
+  });
+
+  test('should keep manual nutrition when nothing matches', () => {
+    const recipe = new Recipe(global.testUtils.createSampleRecipe({
+      nutrition: { calories: 800, protein: 20, carbohydrates: 90, fat: 30, fiber: 4, sugar: 6, sodium: 900 }
+    }));
+
+    engine.applyTo(recipe);
+
+    expect(recipe.nutrition.calories).toBe(800);
+    expect(recipe.nutritionAnalysis).toMatchObject({
+      source: 'manual',
+      unmatched: ['ingredient1', 'ingredient2'],
+      perServing: expect.objectContaining({ calories: 200 })
+    });
+  });
+});
@@ -0,0 +1,149 @@
+const Recipe = require('../../src/backend/models/Recipe');
+const IngredientCatalog = require('../../src/backend/services/IngredientCatalog');
+const NutritionOptimizer = require('../../src/backend/services/NutritionOptimizer');
+const sampleIngredients = require('../../src/backend/data/sampleIngredients');
+
+describe('NutritionOptimizer', () => {
+  let catalog;
+  let optimizer;
+
+  const stirFry = (overrides = {}) => new Recipe(global.testUtils.createSampleRecipe({
+    name: 'Chicken Stir Fry',
+    servings: 2,
+    ingredients: [
+      { name: 'chicken breast', amount: 300, unit: 'g', type: 'protein' },
+      { name: 'rice', amount: 150, unit: 'g', type: 'grain' },
+      { name: 'soy sauce', amount: 3, unit: 'tbsp', type: 'condiment' },
+      { name: 'garlic', amount: 10, unit: 'g', type: 'vegetable' }
+    ],
+    ...overrides
+  }));
+
+  beforeEach(() => {
+    catalog = new IngredientCatalog(sampleIngredients);
+    optimizer = new NutritionOptimizer(catalog);
+  });
+
+  describe('Targets', () => {
+    test('should translate criteria into per-serving constraints', () => {
+      const constraints = NutritionOptimizer.parseTargets({ maxSodium: 600, minProtein: 30, targetCalories: 500 });
+
+      expect(constraints).toEqual(expect.arrayContaining([
+        { metric: 'sodium', type: 'max', limit: 600 },
+        { metric: 'protein', type: 'min', limit: 30 },
+        { metric: 'calories', type: 'max', limit: 550 },
+        { metric: 'calories', type: 'min', limit: 450 }
+      ]));
+    });
+
+    test('should report no proposals when targets are met', () => {
+      const result = optimizer.propose(stirFry(), { maxSodium: 100000 });
+
+      expect(result.violations).toHaveLength(0);
+      expect(result.proposals).toHaveLength(0);
+    });
+
+    test('should report ingredients missing from the catalog', () => {
+      const recipe = stirFry();
+      recipe.ingredients.push({ name: 'dragon fruit', amount: 1, unit: 'piece' });
+
+      expect(optimizer.propose(recipe, { maxSodium: 600 }).unmatched).toEqual(['dragon fruit']);
+    });
+  });
+
+  describe('Proposals', () => {
+    test('should propose a lower-sodium substitute that meets the target', () => {
+      const result = optimizer.propose(stirFry(), { maxSodium: 1200 });
+      const swap = result.proposals.find(proposal => proposal.id === 'swap-2-low_sodium_soy_sauce');
+
+      expect(result.violations[0]).toMatchObject({ metric: 'sodium', type: 'max' });
+      expect(swap).toMatchObject({
+        type: 'substitution',
+        original: { name: 'soy sauce', amount: 3, unit: 'tbsp' },
+        replacement: { name: 'low sodium soy sauce', amount: 3, unit: 'tbsp' },
+        resolves: ['sodium']
+      });
+      expect(swap.nutritionPerServing.delta.sodium).toBeLessThan(0);
+      expect(swap.nutritionPerServing.after.sodium).toBeLessThanOrEqual(1200);
+    });
+
+    test('should limit amount changes to 50%', () => {
+      const result = optimizer.propose(stirFry(), { maxSodium: 10 });
+      const amountChanges = result.proposals.filter(proposal => proposal.type === 'amount');
+
+      expect(amountChanges.length).toBeGreaterThan(0);
+      amountChanges.forEach(proposal => {
+        expect(proposal.replacement.amount).toBeGreaterThanOrEqual(proposal.original.amount * 0.5);
+      });
+    });
+
+    test('should reject substitutes that introduce new allergens', () => {
+      const recipe = stirFry({
+        ingredients: [
+          { name: 'pancetta', amount: 100, unit: 'g', type: 'protein' },
+          { name: 'spaghetti', amount: 200, unit: 'g', type: 'grain' }
+        ]
+      });
+
+      const result = optimizer.propose(recipe, { maxSodium: 100 });
+
+      expect(result.rejected).toContainEqual(expect.objectContaining({
+        ingredient: 'pancetta',
+        substitute: 'Smoked Tofu',
+        reason: 'Adds allergens: soy'
+      }));
+      expect(result.proposals.map(proposal => proposal.id)).not.toContain('swap-0-smoked_tofu');
+    });
+
+    test('should convert swap quantities with the substitute ratio for the step', () => {
+      const eggs = (action, description) => stirFry({
+        name: 'Egg Dish',
+        servings: 1,
+        ingredients: [
+          { name: 'egg', amount: 3, unit: 'large', type: 'protein' },
+          { name: 'flour', amount: 200, unit: 'g', type: 'grain' }
+        ],
+        instructions: [
+          { step: 'Whisk the eggs into the flour', timing: 5, action: 'prep' },
+          { step: description, timing: 25, action }
+        ]
+      });
+
+      const baked = optimizer.propose(eggs('bake', 'Bake the batter'), { maxFat: 5 });
+      const swap = baked.proposals.find(proposal => proposal.id === 'swap-0-applesauce');
+
+      expect(swap).toMatchObject({
+        original: { name: 'egg', amount: 3, unit: 'large' },
+        replacement: { name: 'applesauce', amount: 180, unit: 'g' },
+        description: 'Replace egg with 180 g applesauce'
+      });
+
+      const fried = optimizer.propose(eggs('fry', 'Fry the batter'), { maxFat: 5 });
+      expect(fried.proposals.map(proposal => proposal.id)).not.toContain('swap-0-applesauce');
+    });
+  });
+
+  describe('Recipe.optimize', () => {
+    test('should not change ingredients unless proposals are applied', () => {
+      const recipe = stirFry();
+      const optimization = recipe.optimize({ nutrition: { maxSodium: 1200 } }, { nutritionOptimizer: optimizer });
+
+      expect(optimization.proposals.length).toBeGreaterThan(0);
+      expect(optimization.applied).toHaveLength(0);
+      expect(recipe.ingredients[2].name).toBe('soy sauce');
+    });
+
+    test('should apply selected proposals and skip conflicts', () => {
+      const recipe = stirFry();
+      const optimization = recipe.optimize({
+        nutrition: { maxSodium: 1200 },
+        apply: ['swap-2-low_sodium_soy_sauce', 'swap-2-tamari', 'unknown']
+      }, { nutritionOptimizer: optimizer });
+
+      expect(optimization.applied).toEqual(['swap-2-low_sodium_soy_sauce']);
+      expect(optimization.skipped.map(skip => skip.id)).toEqual(['swap-2-tamari', 'unknown']);
+      expect(recipe.ingredients[2]).toMatchObject({ name: 'low sodium soy sauce', amount: 3, type: 'condiment' });
+      expect(recipe.ingredients[2]).not.toHaveProperty('ingredientId');
+    });
+  });
+});
@@ -0,0 +1,117 @@
+const Recipe = require('../../src/backend/models/Recipe');
+const IngredientCatalog = require('../../src/backend/services/IngredientCatalog');
+const PantryService = require('../../src/backend/services/PantryService');
+const sampleIngredients = require('../../src/backend/data/sampleIngredients');
+
+describe('PantryService', () => {
+  const DAY = 1000 * 60 * 60 * 24;
+  const now = new Date('2026-05-01T08:00:00Z');
+  let pantry;
+
+  beforeEach(() => {
+    pantry = new PantryService(new IngredientCatalog(sampleIngredients));
+  });
+
+  test('should compute expiry from the catalog shelf life', () => {
+    const spinach = pantry.addLot('home', { ingredient: 'spinach', quantity: 200, unit: 'grams' }, now);
+    expect(spinach).toMatchObject({
+      unit: 'g',
+      expiresAt: new Date(now.getTime() + 5 * DAY),
+      daysUntilExpiry: 5,
+      status: 'fresh',
+      storageConditions: 'refrigerated',
+      source: 'manual'
+    });
+
+    const older = pantry.addLot('home', {
+      ingredient: 'lettuce', quantity: 1, unit: 'piece', acquiredAt: new Date(now.getTime() - 5 * DAY)
+    }, now);
+    expect(older).toMatchObject({ daysUntilExpiry: 2, status: 'use_soon' });
+
+    const unknown = pantry.addLot('home', { ingredient: 'dragon fruit', quantity: 2, unit: 'piece' }, now);
+    expect(unknown).toMatchObject({ ingredientId: null, daysUntilExpiry: 7 });
+
+    expect(pantry.getLots('home', now).map(lot => lot.ingredient)).toEqual(['lettuce', 'spinach', 'dragon fruit']);
+    expect(pantry.getLots('elsewhere', now)).toEqual([]);
+  });
+
+  test('should consume the lot that expires first and convert units', () => {
+    const early = pantry.addLot('home', {
+      ingredient: 'butter', quantity: 20, unit: 'g', expiresAt: new Date(now.getTime() + DAY)
+    }, now);
+    const late = pantry.addLot('home', { ingredient: 'unsalted butter', quantity: 250, unit: 'g' }, now);
+    pantry.addLot('home', { ingredient: 'butter', quantity: 500, unit: 'g' }, now);
+
+    const [butter] = pantry.consume('home', [{ name: 'butter', amount: 3, unit: 'tbsp' }], now);
+
+    expect(butter.status).toBe('consumed');
+    expect(butter.lots.map(lot => lot.lotId)).toEqual([early.id, expect.any(String)]);
+    expect(butter.lots[0].quantity).toBe(20);
+    expect(pantry.getLot('home', early.id, now)).toBeNull();
+    expect(pantry.getLot('home', late.id, now).quantity).toBe(250);
+  });
+
+  test('should report shortfalls and leave expired lots alone', () => {
+    const expired = pantry.addLot('home', {
+      ingredient: 'eggs', quantity: 6, unit: 'piece', expiresAt: new Date(now.getTime() - DAY)
+    }, now);
+    pantry.addLot('home', { ingredient: 'egg', quantity: 2, unit: 'piece' }, now);
+
+    const [eggs, salt] = pantry.consume('home', [
+      { name: 'eggs', amount: 3, unit: 'piece' },
+      { name: 'salt', amount: 1, unit: 'tsp' }
+    ], now);
+
+    expect(eggs).toMatchObject({ status: 'partial', shortfall: 1 });
+    expect(salt).toMatchObject({ status: 'missing', lots: [] });
+    expect(pantry.getLot('home', expired.id, now).quantity).toBe(6);
+  });
+
+  test('should draw down a completed session scaled to its servings with substitutions', () => {
+    pantry.addLot('home', { ingredient: 'eggs', quantity: 12, unit: 'piece' }, now);
+    pantry.addLot('home', { ingredient: 'olive oil', quantity: 500, unit: 'ml' }, now);
+    const recipe = new Recipe(global.testUtils.createSampleRecipe({
+      servings: 2,
+      ingredients: [
+        { name: 'eggs', amount: 2, unit: 'piece' },
+        { name: 'butter', amount: 10, unit: 'g' },
+        { name: 'herbs', amount: 5, unit: 'g', optional: true }
+      ]
+    }));
+    const session = {
+      id: 'session_1',
+      status: 'completed',
+      householdId: 'home',
+      recipe,
+      servings: 4,
+      modifications: { ingredientSubstitutions: [{ original: 'butter', substitute: 'olive oil' }] }
+    };
+
+    const usage = pantry.recordSession(session, now);
+
+    expect(usage.items.map(item => [item.name, item.amount, item.status])).toEqual([
+      ['eggs', 4, 'consumed'],
+      ['olive oil', 20, 'consumed']
+    ]);
+    expect(pantry.getLots('home', now).map(lot => [lot.ingredient, lot.quantity])).toEqual([
+      ['eggs', 8],
+      ['olive oil', 478.02]
+    ]);
+    expect(pantry.recordSession({ ...session, status: 'aborted' }, now)).toBeNull();
+    expect(pantry.recordSession({ ...session, householdId: null }, now)).toBeNull();
+  });
+
+  test('should rank lots to use soon by expiry, then by amount', () => {
+    pantry.addLot('home', { ingredient: 'tomato', quantity: 100, unit: 'g', expiresAt: new Date(now.getTime() + 2 * DAY) }, now);
+    pantry.addLot('home', { ingredient: 'spinach', quantity: 300, unit: 'g', expiresAt: new Date(now.getTime() + 2 * DAY) }, now);
+    pantry.addLot('home', { ingredient: 'lettuce', quantity: 1, unit: 'piece', expiresAt: new Date(now.getTime() - DAY) }, now);
+    pantry.addLot('home', { ingredient: 'rice', quantity: 1, unit: 'kg' }, now);
+
+    expect(pantry.useSoon('home', { now }).map(lot => [lot.ingredient, lot.daysUntilExpiry, lot.status])).toEqual([
+      ['lettuce', -1, 'expired'],
+      ['spinach', 2, 'use_soon'],
+      ['tomato', 2, 'use_soon']
+    ]);
+    expect(pantry.supplies('home', now).map(supply => supply.name)).toEqual(['tomato', 'spinach', 'rice']);
+  });
+});
@@ -0,0 +1,108 @@
+const Recipe = require('../../src/backend/models/Recipe');
+const IngredientCatalog = require('../../src/backend/services/IngredientCatalog');
+const PrepListBuilder = require('../../src/backend/services/PrepListBuilder');
+const sampleIngredients = require('../../src/backend/data/sampleIngredients');
+
+describe('PrepListBuilder', () => {
+  const builder = new PrepListBuilder(new IngredientCatalog(sampleIngredients));
+
+  const sauce = () => new Recipe(global.testUtils.createSampleRecipe({
+    id: 'sauce',
+    name: 'Tomato Sauce',
+    servings: 2,
+    ingredients: [
+      { name: 'onion', amount: 1, unit: 'piece', preparation: 'diced' },
+      { name: 'tomatoes', amount: 400, unit: 'g' },
+      { name: 'olive oil', amount: 2, unit: 'tbsp' }
+    ],
+    instructions: [
+      { step: 'Dice the onion', timing: 4, action: 'dice' },
+      { step: 'Simmer onion and tomatoes in olive oil', timing: 20, action: 'simmer' }
+    ],
+    equipment: ['knife', 'saute_pan']
+  }));
+
+  const soup = () => new Recipe(global.testUtils.createSampleRecipe({
+    id: 'soup',
+    name: 'Onion Soup',
+    servings: 2,
+    ingredients: [
+      { name: 'onion', amount: 2, unit: 'piece', preparation: 'diced' },
+      { name: 'olive oil', amount: 0.5, unit: 'kg' },
+      { name: 'vegetable stock', amount: 1, unit: 'bunch' }
+    ],
+    instructions: [
+      { step: 'Sweat the onion in olive oil', timing: 10, action: 'saute' },
+      { step: 'Simmer with the stock', timing: 30, action: 'simmer' }
+    ],
+    equipment: ['knife', 'large_pot']
+  }));
+
+  test('should combine ingredient quantities across recipes in normalized units', () => {
+    const prepList = builder.build([{ recipe: sauce(), servings: 4 }, { recipe: soup() }]);
+
+    const onion = prepList.ingredients.find(entry => entry.ingredient === 'onion');
+    expect(onion).toMatchObject({ amount: 4, unit: 'piece' });
+    expect(onion.recipes.map(entry => [entry.recipeId, entry.amount])).toEqual([['sauce', 2], ['soup', 2]]);
+
+    // Volume and mass of the same ingredient are combined through grams
+    const oil = prepList.ingredients.find(entry => entry.ingredient === 'olive oil');
+    expect(oil.unit).toBe('g');
+    expect(oil.grams).toBeGreaterThan(500);
+
+    const tomato = prepList.ingredients.find(entry => entry.ingredient === 'tomato');
+    expect(tomato).toMatchObject({ amount: 800, unit: 'g', grams: 800 });
+
+    expect(prepList.unconverted).toEqual([
+      { ingredient: 'vegetable stock', amount: 1, unit: 'bunch', recipeId: 'soup' }
+    ]);
+  });
+
+  test('should express combined quantities in the requested measurement system', () => {
+    const prepList = builder.build([{ recipe: sauce() }], { system: 'us' });
+
+    expect(prepList.ingredients.find(entry => entry.ingredient === 'olive oil')).toMatchObject({ amount: 2, unit: 'tbsp' });
+    expect(prepList.ingredients.find(entry => entry.ingredient === 'tomato').unit).toBe('oz');
+  });
+
+  test('should merge the same preparation of an ingredient into one shared task', () => {
+    const prepList = builder.build([{ recipe: sauce() }, { recipe: soup() }]);
+
+    expect(prepList.prepTasks).toEqual([{
+      task: 'Dice onion',
+      technique: 'dice',
+      ingredient: 'onion',
+      recipes: [{ recipeId: 'sauce', recipeName: 'Tomato Sauce' }, { recipeId: 'soup', recipeName: 'Onion Soup' }],
+      steps: [{ recipeId: 'sauce', stepNumber: 1, step: 'Dice the onion' }],
+      duration: 4,
+      amount: 3,
+      unit: 'piece',
+      shared: true
+    }]);
+  });
+
+  test('should list equipment with the recipes that need it', () => {
+    const prepList = builder.build([{ recipe: sauce() }, { recipe: soup() }]);
+
+    expect(prepList.equipment.map(entry => [entry.equipment, entry.count])).toEqual([
+      ['knife', 2], ['large_pot', 1], ['saute_pan', 1]
+    ]);
+  });
+
+  test('should order prep first, then start recipes so that they finish together', () => {
+    const prepList = builder.build([{ recipe: sauce() }, { recipe: soup() }]);
+
+    expect(prepList.recipes.map(entry => [entry.recipeId, entry.startAt, entry.cookTime])).toEqual([
+      ['sauce', 24, 20],
+      ['soup', 4, 40]
+    ]);
+    expect(prepList.order.map(entry => [entry.phase, entry.start, entry.end, entry.task || `${entry.recipeId}#${entry.stepNumber}`]))
+      .toEqual([
+        ['prep', 0, 4, 'Dice onion'],
+        ['cook', 4, 14, 'soup#1'],
+        ['cook', 14, 44, 'soup#2'],
+        ['cook', 24, 44, 'sauce#2']
+      ]);
+    expect(prepList.totalTime).toBe(44);
+  });
+});
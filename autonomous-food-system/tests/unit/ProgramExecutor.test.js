@@ -0,0 +1,169 @@
+const ProgramExecutor = require('../../src/backend/services/ProgramExecutor');
+const { CookingProcessError } = require('../../src/backend/utils/errors');
+
+describe('ProgramExecutor', () => {
+  let hardwareService;
+  let executor;
+  let session;
+  let onFinish;
+
+  const program = {
+    kitchenId: 'kitchen_1',
+    operations: [
+      { address: 1, stepIndex: 0, type: 'command', deviceId: 'hob_1', command: { action: 'fry', state: 'on', temperature: 180 } },
+      { address: 2, stepIndex: 0, type: 'until', deviceId: 'hob_1', sensor: 'temperature', comparator: '>=', value: 175, timeout: 15 },
+      { address: 3, stepIndex: 0, type: 'wait', duration: 5 },
+      { address: 4, stepIndex: 0, type: 'command', deviceId: 'hob_1', command: { action: 'fry', state: 'off' } },
+      { address: 5, stepIndex: 1, type: 'checkpoint', message: 'Manual step: Plate', reasons: [] },
+      { address: 6, stepIndex: 2, type: 'task', robotId: 'arm_1', task: { type: 'serve', description: 'Serve' } }
+    ]
+  };
+
+  // Stand-in for the CookingSession kept by the cooking routes
+  const createSession = () => ({
+    id: 'session_1',
+    recipeId: 'recipe_1',
+    status: 'in_progress',
+    currentStep: 0,
+    sensorData: [],
+    warnings: [],
+    nextStep() {
+      if (this.currentStep >= 3) this.status = 'completed';
+      else this.currentStep++;
+    },
+    abort(reason) {
+      this.status = 'aborted';
+      this.abortReason = reason;
+    }
+  });
+
+  const reading = (value) => session.sensorData.push({ sensorType: 'temperature', value, timestamp: new Date() });
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    hardwareService = {
+      controlActuator: jest.fn().mockResolvedValue({ success: true }),
+      assignRobotTask: jest.fn().mockResolvedValue({ success: true }),
+      getSensorReadings: jest.fn().mockReturnValue({ readings: {}, timestamp: null })
+    };
+    executor = new ProgramExecutor(hardwareService);
+    session = createSession();
+    onFinish = jest.fn();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should run a program through conditions, waits and checkpoints', async () => {
+    let state = await executor.start(session, program, { onFinish });
+    expect(state).toMatchObject({ status: 'awaiting_condition', position: 2, activeDevices: ['hob_1'] });
+    expect(hardwareService.controlActuator).toHaveBeenCalledWith('kitchen_1', 'hob_1', program.operations[0].command);
+    expect(session.currentStep).toBe(1);
+
+    reading(150);
+    state = await executor.notify(session.id);
+    expect(state.status).toBe('awaiting_condition');
+
+    reading(178);
+    state = await executor.notify(session.id);
+    expect(state).toMatchObject({ status: 'waiting', position: 3 });
+
+    await jest.advanceTimersByTimeAsync(5 * 60000);
+    state = executor.describe(session.id);
+    expect(state).toMatchObject({ status: 'awaiting_checkpoint', position: 5, activeDevices: [] });
+    expect(session.currentStep).toBe(2);
+
+    state = await executor.confirm(session.id);
+    expect(state.status).toBe('completed');
+    expect(hardwareService.assignRobotTask).toHaveBeenCalledWith('kitchen_1', 'arm_1',
+      { type: 'serve', description: 'Serve', sessionId: 'session_1', stepIndex: 2 });
+    expect(session.status).toBe('completed');
+    expect(onFinish).toHaveBeenCalledWith(session, expect.objectContaining({ status: 'completed' }));
+    expect(state.log.map(entry => entry.outcome)).toEqual(['done', 'done', 'done', 'done', 'confirmed', 'done']);
+  });
+
+  test('should turn a condition that times out into a checkpoint', async () => {
+    await executor.start(session, program, { onFinish });
+
+    await jest.advanceTimersByTimeAsync(15 * 60000);
+
+    expect(executor.describe(session.id)).toMatchObject({ status: 'awaiting_checkpoint', position: 2 });
+    expect(session.warnings[0]).toMatchObject({ type: 'automation_timeout', address: 2 });
+
+    await executor.confirm(session.id);
+    expect(executor.describe(session.id)).toMatchObject({ status: 'waiting', position: 3 });
+  });
+
+  test('should only confirm a waiting checkpoint', async () => {
+    await executor.start(session, program, { onFinish });
+
+    await expect(executor.confirm(session.id)).rejects.toThrow(CookingProcessError);
+    await expect(executor.confirm('unknown')).rejects.toThrow(CookingProcessError);
+  });
+
+  test('should hold the remaining wait while paused', async () => {
+    await executor.start(session, program, { onFinish });
+    reading(180);
+    await executor.notify(session.id);
+
+    await jest.advanceTimersByTimeAsync(2 * 60000);
+    executor.pause(session.id);
+    await jest.advanceTimersByTimeAsync(10 * 60000);
+    expect(executor.describe(session.id).status).toBe('paused');
+
+    await executor.resume(session.id);
+    await jest.advanceTimersByTimeAsync(3 * 60000 - 1);
+    expect(executor.describe(session.id).status).toBe('waiting');
+    await jest.advanceTimersByTimeAsync(1);
+    expect(executor.describe(session.id).status).toBe('awaiting_checkpoint');
+  });
+
+  test('should switch devices off when aborted', async () => {
+    await executor.start(session, program, { onFinish });
+
+    await executor.abort(session.id);
+
+    expect(executor.describe(session.id)).toMatchObject({ status: 'aborted', activeDevices: [] });
+    expect(hardwareService.controlActuator).toHaveBeenLastCalledWith('kitchen_1', 'hob_1', { action: 'stop', state: 'off' });
+    await jest.advanceTimersByTimeAsync(60 * 60000);
+    expect(executor.describe(session.id).status).toBe('aborted');
+  });
+
+  test('should switch off a device whose command was still on its way when aborted', async () => {
+    let switchedOn;
+    hardwareService.controlActuator.mockImplementationOnce(() => new Promise(resolve => {
+      switchedOn = () => resolve({ success: true });
+    }));
+
+    const started = executor.start(session, program, { onFinish });
+    await executor.abort(session.id);
+    switchedOn();
+    await started;
+
+    expect(executor.describe(session.id)).toMatchObject({ status: 'aborted', activeDevices: [] });
+    expect(hardwareService.controlActuator).toHaveBeenLastCalledWith('kitchen_1', 'hob_1', { action: 'stop', state: 'off' });
+    expect(executor.describe(session.id).log).toEqual([]);
+  });
+
+  test('should abort the session when hardware fails', async () => {
+    hardwareService.controlActuator
+      .mockResolvedValueOnce({ success: true })
+      .mockRejectedValueOnce(new Error('Actuator hob_1 not responding'));
+    const logger = require('../../src/backend/utils/logger');
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+    await executor.start(session, {
+      ...program,
+      operations: [program.operations[0], { ...program.operations[3], address: 2 }]
+    }, { onFinish });
+
+    expect(executor.describe(session.id)).toMatchObject({
+      status: 'failed',
+      error: { address: 2, message: 'Actuator hob_1 not responding' }
+    });
+    expect(session.status).toBe('aborted');
+    expect(hardwareService.controlActuator).toHaveBeenLastCalledWith('kitchen_1', 'hob_1', { action: 'stop', state: 'off' });
+    expect(onFinish).toHaveBeenCalledWith(session, expect.objectContaining({ status: 'failed' }));
+  });
+});
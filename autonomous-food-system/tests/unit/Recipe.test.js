@@ -232,6 +232,39 @@ describe('Recipe Model', () => {
     });
   });
 
+  describe('Forking', () => {
+    test('should copy content, apply changes and record the parent', () => {
+      const parent = new Recipe({ ...sampleRecipeData, version: '1.2.0' });
+      parent.analytics.timesCooked = 12;
+
+      const fork = parent.fork({ label: 'less salty', reason: 'Too much salt', changes: { servings: 2 } });
+
+      expect(fork.id).not.toBe(parent.id);
+      expect(fork.name).toBe('Test Recipe (less salty)');
+      expect(fork.servings).toBe(2);
+      expect(fork.ingredients).toEqual(parent.ingredients);
+      expect(fork.ingredients).not.toBe(parent.ingredients);
+      expect(fork.source).toBe('fork');
+      expect(fork.analytics.timesCooked).toBe(0);
+      expect(fork.lineage).toMatchObject({
+        parentId: parent.id,
+        parentVersion: '1.2.0',
+        rootId: parent.id,
+        depth: 1,
+        label: 'less salty',
+        reason: 'Too much salt'
+      });
+    });
+
+    test('should keep the root of the tree when forking a fork', () => {
+      const parent = new Recipe(sampleRecipeData);
+      const grandchild = parent.fork({ label: 'vegan' }).fork({ name: 'Vegan Oven-Free Pasta' });
+
+      expect(grandchild.name).toBe('Vegan Oven-Free Pasta');
+      expect(grandchild.lineage).toMatchObject({ rootId: parent.id, depth: 2, label: null });
+    });
+  });
+
   describe('JSON Serialization', () => {
     test('should serialize to JSON correctly', () => {
       const recipe = new Recipe(sampleRecipeData);
@@ -0,0 +1,175 @@
+const Recipe = require('../../src/backend/models/Recipe');
+const RecipeRepository = require('../../src/backend/repositories/RecipeRepository');
+const MemoryRecipeDriver = require('../../src/backend/repositories/drivers/MemoryRecipeDriver');
+const RecipeFeedbackService = require('../../src/backend/services/RecipeFeedbackService');
+const AnalyticsService = require('../../src/backend/services/AnalyticsService');
+const { FeedbackError } = require('../../src/backend/utils/errors');
+
+describe('RecipeFeedbackService', () => {
+  let repository;
+  let service;
+  let recipe;
+  let sessionCount;
+
+  const completedSession = (overrides = {}) => {
+    sessionCount += 1;
+    return {
+      id: `session_${sessionCount}`,
+      recipeId: recipe.id,
+      recipe,
+      userId: 'user_001',
+      status: 'completed',
+      startTime: new Date(Date.now() - 60000),
+      endTime: new Date(),
+      ...overrides
+    };
+  };
+
+  const submit = (input) => service.submitFeedback(completedSession(), { issues: [], ...input });
+
+  beforeEach(async () => {
+    repository = new RecipeRepository(new MemoryRecipeDriver());
+    service = new RecipeFeedbackService(repository);
+    sessionCount = 0;
+
+    recipe = await repository.create(new Recipe(global.testUtils.createSampleRecipe({
+      name: 'Salted Roast Potatoes',
+      ingredients: [
+        { name: 'potatoes', amount: 800, unit: 'g' },
+        { name: 'sea salt', amount: 8, unit: 'g' },
+        { name: 'olive oil', amount: 30, unit: 'ml' }
+      ],
+      instructions: [
+        { step: 'Cut the potatoes', timing: 10, action: 'cut' },
+        { step: 'Boil for a few minutes', timing: 8, action: 'boil' },
+        { step: 'Roast until golden', timing: 40, action: 'roast' }
+      ]
+    })));
+  });
+
+  describe('Submitting feedback', () => {
+    test('should update rating and success rate incrementally', async () => {
+      await submit({ rating: 5, success: true });
+      await submit({ rating: 2, success: false, issues: ['too_salty'] });
+      await submit({ success: true, issues: ['too_salty', 'undercooked'] });
+
+      const stored = await repository.findById(recipe.id);
+
+      expect(stored.analytics.averageRating).toBe(3.5);
+      expect(stored.analytics.ratingCount).toBe(2);
+      expect(stored.analytics.successRate).toBeCloseTo(2 / 3);
+      expect(stored.analytics.feedbackCount).toBe(3);
+      expect(stored.analytics.issueCounts).toEqual({ too_salty: 2, undercooked: 1 });
+      expect(stored.version).toBe(recipe.version);
+    });
+
+    test('should accept feedback only once per session', async () => {
+      const session = completedSession();
+      await service.submitFeedback(session, { rating: 4, success: true, issues: [] });
+
+      await expect(service.submitFeedback(session, { rating: 1, success: false, issues: [] }))
+        .rejects.toThrow(FeedbackError);
+    });
+
+    test('should reject concurrent feedback for a session and release it when storing fails', async () => {
+      const session = completedSession();
+      const results = await Promise.allSettled([
+        service.submitFeedback(session, { rating: 4, success: true, issues: [] }),
+        service.submitFeedback(session, { rating: 1, success: false, issues: [] })
+      ]);
+
+      expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+      expect((await repository.findById(recipe.id)).analytics.feedbackCount).toBe(1);
+
+      const orphan = completedSession({ recipeId: 'recipe_missing' });
+      await expect(service.submitFeedback(orphan, { success: true, issues: [] })).rejects.toThrow('no longer exists');
+      expect(service.sessions.has(orphan.id)).toBe(false);
+    });
+
+    test('should report to the analytics service and list newest feedback first', async () => {
+      await submit({ rating: 4, success: true, review: 'Crispy' });
+      await submit({ rating: 3, success: true, review: 'A bit salty', issues: ['too_salty'] });
+
+      const usage = AnalyticsService.getRecipeAnalytics(recipe.id);
+
+      expect(usage.averageRating).toBe(3.5);
+      expect(usage.feedback).toEqual({ count: 2, successRate: 1, issues: { too_salty: 1 } });
+      expect(service.getFeedback(recipe.id).map(entry => entry.review)).toEqual(['A bit salty', 'Crispy']);
+    });
+
+    test('should count completed sessions as times cooked', async () => {
+      await service.recordSession(completedSession());
+      await service.recordSession(completedSession({ status: 'aborted' }));
+
+      const stored = await repository.findById(recipe.id);
+
+      expect(stored.analytics.timesCooked).toBe(1);
+      expect(AnalyticsService.getRecipeAnalytics(recipe.id)).toMatchObject({ completedSessions: 1, abortedSessions: 1 });
+    });
+
+    test('should count a session only once', async () => {
+      const session = completedSession({ status: 'aborted' });
+      const before = AnalyticsService.getRecipeAnalytics(recipe.id);
+
+      await service.recordSession(session);
+      await service.recordSession(session);
+
+      const after = AnalyticsService.getRecipeAnalytics(recipe.id);
+      expect(after.abortedSessions - ((before && before.abortedSessions) || 0)).toBe(1);
+    });
+  });
+
+  describe('Summary', () => {
+    test('should share issues across all feedback and count ratings', async () => {
+      await submit({ rating: 5, success: true });
+      await submit({ rating: 5, success: true, issues: ['portion_too_big'] });
+      await submit({ rating: 3, success: false, issues: ['portion_too_big', 'too_salty'] });
+
+      const summary = service.summarize(await repository.findById(recipe.id));
+
+      expect(summary).toMatchObject({ feedbackCount: 3, averageRating: 4.33, successRate: 0.667 });
+      expect(summary.ratingDistribution).toEqual({ 1: 0, 2: 0, 3: 1, 4: 0, 5: 2 });
+      expect(summary.issues).toEqual([
+        { issue: 'portion_too_big', label: 'portions too big', count: 2, share: 0.667 },
+        { issue: 'too_salty', label: 'too salty', count: 1, share: 0.333 }
+      ]);
+    });
+  });
+
+  describe('Optimization input', () => {
+    beforeEach(async () => {
+      await submit({ success: false, issues: ['too_salty', 'undercooked'] });
+      await submit({ success: true, issues: ['too_salty', 'undercooked', 'portion_too_small'] });
+      await submit({ success: true, issues: ['portion_too_small'] });
+      await submit({ success: true, issues: ['too_spicy'] });
+    });
+
+    test('should propose changes only for recurring issues', async () => {
+      const { proposals, advice } = service.propose(await repository.findById(recipe.id));
+
+      expect(proposals.map(proposal => proposal.description)).toEqual([
+        'Reduce sea salt from 8 to 6 g',
+        'Change step 3 from 40 to 46 minutes'
+      ]);
+      expect(advice).toEqual([expect.objectContaining({
+        issue: 'portion_too_small',
+        message: 'Split the batch into 3 servings instead of 4'
+      })]);
+    });
+
+    test('should apply feedback proposals through Recipe.optimize', async () => {
+      const stored = await repository.findById(recipe.id);
+
+      const optimization = stored.optimize(
+        { feedback: { minReports: 2 }, apply: ['feedback-too_salty-1', 'feedback-undercooked-step-2'] },
+        { feedbackService: service }
+      );
+
+      expect(optimization.applied).toEqual(['feedback-too_salty-1', 'feedback-undercooked-step-2']);
+      expect(stored.ingredients[1].amount).toBe(6);
+      expect(stored.instructions[2].timing).toBe(46);
+      expect(optimization.feedback.summary.feedbackCount).toBe(4);
+      expect(optimization.changes[1].impact).toBe('Addresses "too salty" reported by 2 of 4 cooks');
+    });
+  });
+});
@@ -0,0 +1,137 @@
+const Recipe = require('../../src/backend/models/Recipe');
+const RecipeRepository = require('../../src/backend/repositories/RecipeRepository');
+const MemoryRecipeDriver = require('../../src/backend/repositories/drivers/MemoryRecipeDriver');
+const RecipeLineageService = require('../../src/backend/services/RecipeLineageService');
+
+describe('RecipeLineageService', () => {
+  let repository;
+  let service;
+  let original;
+  let lessSalty;
+  let ovenFree;
+  let vegan;
+
+  const store = (recipe) => repository.create(recipe);
+
+  beforeEach(async () => {
+    repository = new RecipeRepository(new MemoryRecipeDriver());
+    service = new RecipeLineageService(repository);
+
+    original = await store(new Recipe(global.testUtils.createSampleRecipe({
+      name: 'Roast Vegetables',
+      ingredients: [
+        { name: 'carrots', amount: 500, unit: 'g' },
+        { name: 'salt', amount: 10, unit: 'g' }
+      ],
+      instructions: [
+        { step: 'Chop the carrots', timing: 5, action: 'chop' },
+        { step: 'Roast in the oven', timing: 40, action: 'roast' }
+      ],
+      analytics: { successRate: 0.8, averageRating: 4, timesCooked: 10, optimizationHistory: [] }
+    })));
+
+    lessSalty = await store(original.fork({
+      label: 'less salty',
+      changes: { ingredients: [{ name: 'carrots', amount: 500, unit: 'g' }, { name: 'Salt', amount: 4, unit: 'g' }] }
+    }));
+    lessSalty.analytics.averageRating = 4.5;
+    lessSalty.analytics.successRate = 0.9;
+    lessSalty = await repository.update(lessSalty);
+
+    ovenFree = await store(original.fork({
+      label: 'oven-free',
+      changes: {
+        instructions: [
+          { step: 'Chop the carrots', timing: 5, action: 'chop' },
+          { step: 'Steam until tender', timing: 15, action: 'steam' }
+        ]
+      }
+    }));
+
+    vegan = await store(lessSalty.fork({ label: 'vegan' }));
+  });
+
+  describe('Lineage', () => {
+    test('should return ancestors and the whole tree from the root', async () => {
+      const lineage = await service.getLineage(vegan.id);
+
+      expect(lineage.rootId).toBe(original.id);
+      expect(lineage.depth).toBe(2);
+      expect(lineage.ancestors.map(node => node.id)).toEqual([original.id, lessSalty.id]);
+      expect(lineage.size).toBe(4);
+      expect(lineage.tree.children.map(node => node.label)).toEqual(['less salty', 'oven-free']);
+      expect(lineage.tree.children[0].children.map(node => node.id)).toEqual([vegan.id]);
+      expect(lineage.tree.children[0].analytics).toEqual({ successRate: 0.9, averageRating: 4.5, timesCooked: 0 });
+    });
+
+    test('should treat a fork whose parent was deleted as a new root', async () => {
+      await repository.delete(lessSalty.id);
+
+      const lineage = await service.getLineage(vegan.id);
+
+      expect(lineage.rootId).toBe(vegan.id);
+      expect(lineage.ancestors).toEqual([]);
+      expect(lineage.detachedFrom).toBe(lessSalty.id);
+    });
+
+    test('should return null for an unknown recipe', async () => {
+      expect(await service.getLineage('missing')).toBeNull();
+    });
+  });
+
+  describe('Variant comparison', () => {
+    test('should compare a recipe with its direct forks', async () => {
+      const comparison = await service.compareVariants(original.id);
+
+      expect(comparison.variants.map(variant => variant.id)).toEqual([lessSalty.id, ovenFree.id]);
+
+      const [salty, oven] = comparison.variants;
+      expect(salty.changes).toEqual(['Changed Salt: amount', 'Changed name']);
+      expect(salty.analyticsDelta).toEqual({ successRate: 0.1, averageRating: 0.5, timesCooked: -10 });
+      expect(oven.changes).toEqual(['Changed step 2: step, timing, action', 'Changed name']);
+    });
+
+    test('should line up ingredients and steps across recipes', async () => {
+      const { alignment } = await service.compareVariants(original.id);
+
+      expect(alignment.recipes.map(recipe => recipe.id)).toEqual([original.id, lessSalty.id, ovenFree.id]);
+      expect(alignment.ingredients).toEqual([
+        {
+          name: 'carrots',
+          recipes: {
+            [original.id]: { amount: 500, unit: 'g' },
+            [lessSalty.id]: { amount: 500, unit: 'g' },
+            [ovenFree.id]: { amount: 500, unit: 'g' }
+          },
+          differs: false
+        },
+        {
+          name: 'salt',
+          recipes: {
+            [original.id]: { amount: 10, unit: 'g' },
+            [lessSalty.id]: { amount: 4, unit: 'g' },
+            [ovenFree.id]: { amount: 10, unit: 'g' }
+          },
+          differs: true
+        }
+      ]);
+      expect(alignment.steps[1]).toEqual({
+        index: 1,
+        recipes: {
+          [original.id]: 'Roast in the oven',
+          [lessSalty.id]: 'Roast in the oven',
+          [ovenFree.id]: 'Steam until tender'
+        },
+        differs: true
+      });
+    });
+
+    test('should include every descendant or only the requested recipes', async () => {
+      const all = await service.compareVariants(original.id, { descendants: true });
+      const chosen = await service.compareVariants(lessSalty.id, { variantIds: [ovenFree.id, 'missing'] });
+
+      expect(all.variants.map(variant => variant.id)).toEqual([lessSalty.id, vegan.id, ovenFree.id]);
+      expect(chosen.variants.map(variant => variant.id)).toEqual([ovenFree.id]);
+    });
+  });
+});
@@ -0,0 +1,105 @@
+const Recipe = require('../../src/backend/models/Recipe');
+const IngredientCatalog = require('../../src/backend/services/IngredientCatalog');
+const RecipeLinter = require('../../src/backend/services/RecipeLinter');
+const sampleIngredients = require('../../src/backend/data/sampleIngredients');
+
+describe('RecipeLinter', () => {
+  const linter = new RecipeLinter(new IngredientCatalog(sampleIngredients));
+
+  // No total time unless a test sets one
+  const recipe = (overrides) => new Recipe(global.testUtils.createSampleRecipe({ prepTime: 0, cookTime: 0, totalTime: 0, ...overrides }));
+
+  const rules = (report) => report.findings.map(finding => finding.rule);
+
+  const roastChicken = (instructions, totalTime) => recipe({
+    ingredients: [
+      { name: 'chicken breast', amount: 500, unit: 'g' },
+      { name: 'olive oil', amount: 2, unit: 'tbsp' }
+    ],
+    instructions,
+    totalTime
+  });
+
+  test('should flag ingredients never used and ingredients missing from the list', () => {
+    const report = linter.lint(recipe({
+      ingredients: [
+        { name: 'spaghetti', amount: 400, unit: 'g' },
+        { name: 'parmesan cheese', amount: 50, unit: 'g' },
+        { name: 'black pepper', amount: 1, unit: 'tsp' }
+      ],
+      instructions: [
+        { step: 'Cook the spaghetti in salted water', timing: 8, action: 'boil' },
+        { step: 'Toss with the cheese and garlic', timing: 1, action: 'mix' }
+      ]
+    }));
+
+    expect(report.findings).toEqual([
+      { rule: 'unused_ingredient', severity: 'warning', ingredient: 'black pepper', message: 'black pepper is never used in a step' },
+      {
+        rule: 'unknown_ingredient',
+        severity: 'warning',
+        stepIndex: 1,
+        ingredient: 'Garlic',
+        message: 'Step 2 uses garlic, which is not in the ingredient list'
+      }
+    ]);
+    expect(report.summary).toEqual({ errors: 0, warnings: 2, info: 0 });
+  });
+
+  test('should treat steps using all ingredients as referencing every one', () => {
+    const report = linter.lint(recipe({
+      ingredients: [{ name: 'eggs', amount: 2, unit: 'large' }, { name: 'butter', amount: 10, unit: 'g' }],
+      instructions: [{ step: 'Whisk all ingredients together', timing: 2, action: 'whisk' }]
+    }));
+
+    expect(report.findings).toEqual([]);
+  });
+
+  test('should flag temperatures without a duration', () => {
+    const report = linter.lint(recipe({
+      instructions: [
+        { step: 'Preheat the oven to 180°C', action: 'heat' },
+        { step: 'Bake ingredient1 and ingredient2 for 20 minutes at 180°C', action: 'bake' },
+        { step: 'Heat the pan', temperature: 160, action: 'heat' }
+      ]
+    }));
+
+    expect(report.findings.filter(finding => finding.rule === 'temperature_without_duration')
+      .map(finding => finding.stepIndex)).toEqual([0, 2]);
+  });
+
+  test('should require a safe internal-temperature check after cooking poultry', () => {
+    const cook = { step: 'Sear the chicken in olive oil', timing: 12, temperature: 200, action: 'fry' };
+
+    const unchecked = linter.lint(roastChicken([cook]));
+    expect(unchecked.findings).toEqual([expect.objectContaining({
+      rule: 'poultry_internal_temperature',
+      severity: 'error',
+      stepIndex: 0
+    })]);
+
+    const tooCold = linter.lint(roastChicken([cook, { step: 'Probe until it reads 60°C', timing: 1, action: 'rest' }]));
+    expect(tooCold.findings[0].message).toBe('Step 2 checks chicken at 60°C, below the safe 74°C (165°F)');
+
+    const checked = linter.lint(roastChicken([
+      cook,
+      { step: 'Rest until a thermometer reads 165°F', timing: 5, action: 'rest' }
+    ]));
+    expect(checked.findings).toEqual([]);
+  });
+
+  test('should flag total times outside the range the step timings allow', () => {
+    const steps = [
+      { step: 'Sear the chicken in olive oil', timing: 10, temperature: 200, action: 'fry', safetyNotes: 'Check internal temperature' },
+      { step: 'Rest the chicken', timing: 10, action: 'rest' }
+    ];
+
+    expect(rules(linter.lint(roastChicken(steps, 20)))).toEqual([]);
+    expect(linter.lint(roastChicken(steps, 12)).findings).toEqual([{
+      rule: 'total_time_mismatch',
+      severity: 'warning',
+      message: 'Total time of 12 min is shorter than the 20 min the steps take at best'
+    }]);
+    expect(linter.lint(roastChicken(steps, 90)).findings[0]).toMatchObject({ rule: 'total_time_mismatch', severity: 'info' });
+  });
+});
@@ -0,0 +1,163 @@
+const Recipe = require('../../src/backend/models/Recipe');
+const RecipeRepository = require('../../src/backend/repositories/RecipeRepository');
+const MemoryRecipeDriver = require('../../src/backend/repositories/drivers/MemoryRecipeDriver');
+const recipeSchema = require('../../src/backend/repositories/schemas/RecipeSchema');
+const { recipeFilterSchema } = require('../../src/backend/middleware/validation');
+
+describe('RecipeRepository', () => {
+  let repository;
+
+  beforeEach(() => {
+    repository = new RecipeRepository(new MemoryRecipeDriver());
+  });
+
+  describe('CRUD', () => {
+    test('should store and return Recipe instances', async () => {
+      const recipe = new Recipe(global.testUtils.createSampleRecipe());
+      await repository.create(recipe);
+
+      const stored = await repository.findById(recipe.id);
+
+      expect(stored).toBeInstanceOf(Recipe);
+      expect(stored.toJSON()).toEqual(recipe.toJSON());
+    });
+
+    test('should return null for unknown ids', async () => {
+      expect(await repository.findById('recipe_missing')).toBeNull();
+    });
+
+    test('should not share state with stored documents', async () => {
+      const recipe = new Recipe(global.testUtils.createSampleRecipe());
+      await repository.create(recipe);
+
+      recipe.ingredients[0].amount = 9999;
+      const stored = await repository.findById(recipe.id);
+      stored.name = 'Changed locally';
+
+      const reloaded = await repository.findById(recipe.id);
+      expect(reloaded.ingredients[0].amount).toBe(100);
+      expect(reloaded.name).toBe('Test Recipe');
+    });
+
+    test('should reject duplicate ids', async () => {
+      const recipe = new Recipe(global.testUtils.createSampleRecipe());
+      await repository.create(recipe);
+
+      await expect(repository.create(recipe)).rejects.toMatchObject({ code: 11000 });
+    });
+
+    test('should update and delete recipes', async () => {
+      const recipe = new Recipe(global.testUtils.createSampleRecipe());
+      await repository.create(recipe);
+
+      recipe.name = 'Updated Recipe';
+      await repository.update(recipe);
+      expect((await repository.findById(recipe.id)).name).toBe('Updated Recipe');
+
+      expect(await repository.delete(recipe.id)).toBe(true);
+      expect(await repository.count()).toBe(0);
+    });
+
+    test('should store changes even when a change listener fails', async () => {
+      const seen = [];
+      repository.onChange(() => {
+        throw new Error('listener failed');
+      });
+      repository.onChange(event => seen.push(event.type));
+
+      const stored = await repository.create(new Recipe(global.testUtils.createSampleRecipe()));
+
+      expect(await repository.findById(stored.id)).not.toBeNull();
+      expect(seen).toEqual(['create']);
+    });
+
+    test('should return null when updating a missing recipe', async () => {
+      const recipe = new Recipe(global.testUtils.createSampleRecipe());
+      expect(await repository.update(recipe)).toBeNull();
+    });
+  });
+
+  describe('Listing', () => {
+    beforeEach(async () => {
+      const recipes = [
+        { name: 'Carbonara', category: 'pasta', cuisine: 'italian', prepTime: 10, cookTime: 15, tags: ['quick'] },
+        { name: 'Ramen', category: 'soup', cuisine: 'japanese', prepTime: 30, cookTime: 120, tags: ['slow'] },
+        { name: 'Arrabbiata', category: 'pasta', cuisine: 'italian', prepTime: 5, cookTime: 12, tags: ['spicy'] }
+      ];
+
+      for (const data of recipes) {
+        await repository.create(new Recipe(global.testUtils.createSampleRecipe(data)));
+      }
+    });
+
+    test('should filter by category and maximum time', async () => {
+      const { recipes, total } = await repository.list({
+        filters: { category: 'pasta', maxTime: '25' }
+      });
+
+      expect(total).toBe(2);
+      expect(recipes.map(recipe => recipe.name)).toEqual(['Arrabbiata', 'Carbonara']);
+    });
+
+    test('should search names, descriptions and tags', async () => {
+      const { recipes } = await repository.list({ filters: { search: 'SPICY' } });
+
+      expect(recipes.map(recipe => recipe.name)).toEqual(['Arrabbiata']);
+    });
+
+    test('should sort and paginate', async () => {
+      const { recipes, total } = await repository.list({
+        sortBy: 'totalTime',
+        sortOrder: 'desc',
+        page: 1,
+        limit: 2
+      });
+
+      expect(total).toBe(3);
+      expect(recipes.map(recipe => recipe.name)).toEqual(['Ramen', 'Carbonara']);
+    });
+
+    test('should not read sort paths from inherited keys', async () => {
+      const { total } = await repository.list({ sortBy: 'toString' });
+
+      expect(total).toBe(3);
+      expect(recipeFilterSchema.validate({ sortBy: 'constructor' }).error).toBeDefined();
+      expect(recipeFilterSchema.validate({ sortBy: 'carbonFootprint' }).error).toBeUndefined();
+    });
+
+    test('should cap and sort by footprint per serving, leaving recipes without one last', async () => {
+      const footprints = { Carbonara: [1.2, 900], Arrabbiata: [0.3, 400] };
+      for (const stored of await repository.findAll()) {
+        if (!footprints[stored.name]) continue;
+        const [carbonFootprint, waterUsage] = footprints[stored.name];
+        stored.sustainability = { perServing: { carbonFootprint, waterUsage } };
+        await repository.update(stored);
+      }
+
+      const capped = await repository.list({ filters: { maxCarbon: '0.5' } });
+      expect(capped.recipes.map(recipe => recipe.name)).toEqual(['Arrabbiata']);
+
+      const ascending = await repository.list({ sortBy: 'waterUsage', sortOrder: 'asc' });
+      expect(ascending.recipes.map(recipe => recipe.name)).toEqual(['Arrabbiata', 'Carbonara', 'Ramen']);
+
+      const descending = await repository.list({ sortBy: 'waterUsage', sortOrder: 'desc' });
+      expect(descending.recipes.map(recipe => recipe.name)).toEqual(['Carbonara', 'Arrabbiata', 'Ramen']);
+    });
+  });
+
+  describe('Mongoose schema', () => {
+    test('should mirror every field of Recipe.toJSON()', () => {
+      const recipe = new Recipe(global.testUtils.createSampleRecipe());
+
+      Object.keys(recipe.toJSON()).forEach(field => {
+        expect(recipeSchema.path(field) || recipeSchema.nested[field]).toBeTruthy();
+      });
+    });
+
+    test('should index category, cuisine and tags', () => {
+      const indexedFields = recipeSchema.indexes().map(([fields]) => Object.keys(fields)[0]);
+
+      expect(indexedFields).toEqual(expect.arrayContaining(['category', 'cuisine', 'tags']));
+    });
+  });
+});
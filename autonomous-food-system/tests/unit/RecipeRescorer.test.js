@@ -0,0 +1,122 @@
+const Recipe = require('../../src/backend/models/Recipe');
+const RecipeRepository = require('../../src/backend/repositories/RecipeRepository');
+const MemoryRecipeDriver = require('../../src/backend/repositories/drivers/MemoryRecipeDriver');
+const IngredientCatalog = require('../../src/backend/services/IngredientCatalog');
+const NutritionEngine = require('../../src/backend/services/NutritionEngine');
+const SustainabilityEngine = require('../../src/backend/services/SustainabilityEngine');
+const RecipeVersioningService = require('../../src/backend/services/RecipeVersioningService');
+const RecipeRescorer = require('../../src/backend/services/RecipeRescorer');
+const sampleIngredients = require('../../src/backend/data/sampleIngredients');
+
+describe('RecipeRescorer', () => {
+  let repository;
+  let catalog;
+  let growingModules;
+  let rescorer;
+
+  const store = async (data) => {
+    const recipe = new Recipe(global.testUtils.createSampleRecipe(data));
+    new NutritionEngine(catalog).applyTo(recipe);
+    rescorer.sustainabilityEngine.applyTo(recipe);
+    const { recipe: stored } = await new RecipeVersioningService(repository).createRecipe(recipe);
+    return stored;
+  };
+
+  beforeEach(() => {
+    repository = new RecipeRepository(new MemoryRecipeDriver());
+    catalog = new IngredientCatalog(sampleIngredients);
+    growingModules = new Map();
+    rescorer = new RecipeRescorer(repository, catalog, new SustainabilityEngine(catalog, growingModules));
+  });
+
+  test('should commit recipes whose scores moved as a patch version', async () => {
+    const stirFry = await store({
+      name: 'Stir Fry',
+      ingredients: [
+        { name: 'rice', amount: 150, unit: 'g' },
+        { name: 'soy sauce', amount: 3, unit: 'tbsp' }
+      ]
+    });
+    const salad = await store({
+      name: 'Salad',
+      ingredients: [{ name: 'lettuce', amount: 200, unit: 'g' }]
+    });
+
+    const soySauce = catalog.findByName('soy sauce');
+    catalog.update(soySauce.id, { nutritionPer100g: { ...soySauce.nutritionPer100g, sodium: 1000 } });
+
+    expect(await rescorer.rescore('Scores recalculated after updating ingredient Soy Sauce')).toBe(1);
+
+    const rescored = await repository.findById(stirFry.id);
+    expect(rescored.version).toBe('1.0.1');
+    expect(rescored.nutrition.sodium).toBeLessThan(stirFry.nutrition.sodium);
+    expect((await repository.findById(salad.id)).version).toBe('1.0.0');
+
+    const [, revision] = await repository.getRevisions(stirFry.id);
+    expect(revision).toMatchObject({ bump: 'patch', reason: 'rescore' });
+    expect(revision.summary).toContain('Scores recalculated after updating ingredient Soy Sauce');
+  });
+
+  test('should score a recipe again when it is edited meanwhile', async () => {
+    const stirFry = await store({
+      name: 'Stir Fry',
+      ingredients: [{ name: 'soy sauce', amount: 3, unit: 'tbsp' }]
+    });
+    const soySauce = catalog.findByName('soy sauce');
+    catalog.update(soySauce.id, { nutritionPer100g: { ...soySauce.nutritionPer100g, sodium: 1000 } });
+
+    // A description edit lands between the rescorer's read and its write
+    const findById = repository.findById.bind(repository);
+    let edited = false;
+    jest.spyOn(repository, 'findById').mockImplementation(async (id) => {
+      const found = await findById(id);
+      if (!edited) {
+        edited = true;
+        await repository.update(new Recipe({ ...found.toJSON(), description: 'Edited', version: '1.0.1' }));
+      }
+      return found;
+    });
+
+    expect(await rescorer.rescore('Scores recalculated')).toBe(1);
+
+    const stored = await findById(stirFry.id);
+    expect(stored).toMatchObject({ version: '1.0.2', description: 'Edited' });
+    expect(stored.nutrition.sodium).toBeLessThan(stirFry.nutrition.sodium);
+  });
+
+  test('should credit crops once they grow in the modules', async () => {
+    const salad = await store({ name: 'Salad', ingredients: [{ name: 'lettuce', amount: 200, unit: 'g' }] });
+
+    growingModules.set('module_a', {
+      id: 'module_a',
+      activeCycles: [{ id: 'cycle_a', cropVariety: 'lettuce' }],
+      performance: { waterEfficiency: 0.05, energyEfficiency: 1 }
+    });
+    expect(await rescorer.rescore('Scores recalculated after the crops in the growing modules changed')).toBe(1);
+
+    const stored = await repository.findById(salad.id);
+    expect(stored.version).toBe('1.0.1');
+    expect(stored.sustainability.homeGrown.map(crop => crop.name)).toEqual(['lettuce']);
+    expect(await rescorer.rescore('Scores recalculated after the crops in the growing modules changed')).toBe(0);
+  });
+
+  test('should run one pass at a time and share one pass among requests made meanwhile', async () => {
+    await store({ name: 'Salad', ingredients: [{ name: 'lettuce', amount: 200, unit: 'g' }] });
+    const findAll = jest.spyOn(repository, 'findAll');
+
+    const first = rescorer.rescore('First');
+    const second = rescorer.rescore('Second');
+    const third = rescorer.rescore('Third');
+
+    expect(second).toBe(third);
+    await Promise.all([first, second]);
+    expect(findAll).toHaveBeenCalledTimes(2);
+    expect(rescorer.running).toBeNull();
+  });
+
+  test('should leave recipes alone when nothing changed', async () => {
+    await store({ name: 'Salad', ingredients: [{ name: 'lettuce', amount: 200, unit: 'g' }] });
+
+    expect(await rescorer.rescore('Scores recalculated')).toBe(0);
+  });
+});
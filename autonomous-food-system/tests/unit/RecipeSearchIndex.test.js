@@ -0,0 +1,155 @@
+const Recipe = require('../../src/backend/models/Recipe');
+const RecipeRepository = require('../../src/backend/repositories/RecipeRepository');
+const MemoryRecipeDriver = require('../../src/backend/repositories/drivers/MemoryRecipeDriver');
+const RecipeSearchIndex = require('../../src/backend/services/RecipeSearchIndex');
+const { stem, editDistance } = require('../../src/backend/utils/textSearch');
+
+describe('RecipeSearchIndex', () => {
+  let repository;
+  let index;
+
+  const recipe = (overrides) => new Recipe(global.testUtils.createSampleRecipe(overrides));
+
+  const names = (result) => result.results.map(({ id }) => index.documents.get(id).name);
+
+  beforeEach(async () => {
+    repository = new RecipeRepository(new MemoryRecipeDriver());
+    index = new RecipeSearchIndex(repository);
+
+    await repository.create(recipe({
+      name: 'Chicken Tikka Masala',
+      description: 'Creamy spiced curry',
+      category: 'curry',
+      cuisine: 'indian',
+      totalTime: 45,
+      tags: ['spicy'],
+      ingredients: [{ name: 'chicken thighs', amount: 500, unit: 'g' }, { name: 'tomatoes', amount: 400, unit: 'g' }]
+    }));
+    await repository.create(recipe({
+      name: 'Tomato Soup',
+      description: 'Roasted tomato soup',
+      category: 'soup',
+      cuisine: 'italian',
+      difficulty: 'easy',
+      totalTime: 25,
+      ingredients: [{ name: 'tomatoes', amount: 800, unit: 'g' }],
+      instructions: [{ step: 'Roast the tomatoes until soft' }]
+    }));
+    await repository.create(recipe({
+      name: 'Baked Potatoes',
+      category: 'side_dish',
+      cuisine: 'american',
+      difficulty: 'easy',
+      totalTime: 10,
+      ingredients: [{ name: 'potatoes', amount: 1, unit: 'kg' }],
+      instructions: [{ step: 'Bake the potatoes with chicken fat' }]
+    }));
+  });
+
+  describe('Text analysis', () => {
+    test('should give plurals and verb forms the same stem', () => {
+      expect(stem('tomatoes')).toBe(stem('tomato'));
+      expect(stem('chopped')).toBe(stem('chopping'));
+      expect(stem('baked')).toBe(stem('bake'));
+      expect(stem('fried')).toBe('fry');
+    });
+
+    test('should stop measuring edit distance past the limit', () => {
+      expect(editDistance('chiken', 'chicken', 1)).toBe(1);
+      expect(editDistance('curry', 'carrot', 1)).toBe(2);
+    });
+  });
+
+  describe('Ranking', () => {
+    test('should rank name matches above instruction matches', async () => {
+      const result = await index.search('chicken');
+
+      expect(names(result)).toEqual(['Chicken Tikka Masala', 'Baked Potatoes']);
+      expect(result.results[0].score).toBeGreaterThan(result.results[1].score);
+    });
+
+    test('should match ingredient names through stemming', async () => {
+      expect(names(await index.search('tomato'))).toEqual(['Tomato Soup', 'Chicken Tikka Masala']);
+      expect(names(await index.search('roasting'))).toEqual(['Tomato Soup']);
+    });
+
+    test('should tolerate typos and report the correction', async () => {
+      const result = await index.search('chiken curry');
+
+      expect(names(result)[0]).toBe('Chicken Tikka Masala');
+      expect(result.corrections).toEqual([{ term: 'chiken', matches: ['chicken'] }]);
+    });
+
+    test('should treat the last term as a prefix', async () => {
+      expect(names(await index.search('potat'))).toEqual(['Baked Potatoes']);
+    });
+  });
+
+  describe('Facets and filters', () => {
+    test('should count facets without applying their own filter', async () => {
+      const result = await index.search('tomato', { filters: { cuisine: 'italian' } });
+
+      expect(names(result)).toEqual(['Tomato Soup']);
+      expect(result.facets.cuisine).toEqual([
+        { value: 'indian', count: 1 },
+        { value: 'italian', count: 1 }
+      ]);
+      expect(result.facets.category).toEqual([{ value: 'soup', count: 1 }]);
+    });
+
+    test('should bucket recipes by total time', async () => {
+      const result = await index.search('', { filters: { time: 'under_15' } });
+
+      expect(names(result)).toEqual(['Baked Potatoes']);
+      expect(result.facets.time.map(bucket => bucket.count)).toEqual([1, 1, 1, 0, 0]);
+    });
+
+    test('should cap and sort by footprint per serving, leaving recipes without one last', async () => {
+      const footprints = { 'Chicken Tikka Masala': [1.8, 1200], 'Tomato Soup': [0.4, 150] };
+      for (const stored of await repository.findAll()) {
+        if (!footprints[stored.name]) continue;
+        const [carbonFootprint, waterUsage] = footprints[stored.name];
+        stored.sustainability = { perServing: { carbonFootprint, waterUsage } };
+        await repository.update(stored);
+      }
+
+      expect(names(await index.search('', { filters: { maxCarbon: '1' } }))).toEqual(['Tomato Soup']);
+      expect(names(await index.search('', { filters: { maxWater: '2000' } }))).toEqual(['Chicken Tikka Masala', 'Tomato Soup']);
+      expect(names(await index.search('', { sortBy: 'carbonFootprint', sortOrder: 'desc' })))
+        .toEqual(['Chicken Tikka Masala', 'Tomato Soup', 'Baked Potatoes']);
+    });
+  });
+
+  describe('Catalog changes', () => {
+    test('should follow repository updates and deletes', async () => {
+      await index.search('');
+      const soup = (await repository.findAll()).find(candidate => candidate.name === 'Tomato Soup');
+
+      soup.name = 'Gazpacho';
+      await repository.update(soup);
+      expect(names(await index.search('gazpacho'))).toEqual(['Gazpacho']);
+
+      await repository.delete(soup.id);
+      expect((await index.search('gazpacho')).total).toBe(0);
+      expect(index.size).toBe(2);
+    });
+
+    test('should apply changes made while the catalog is being read', async () => {
+      const catalog = await repository.findAll();
+      let finishRead;
+      jest.spyOn(repository, 'findAll').mockImplementationOnce(() => new Promise(resolve => {
+        finishRead = () => resolve(catalog);
+      }));
+
+      const building = index.ensureBuilt();
+      await repository.create(recipe({ name: 'Lentil Dal', ingredients: [{ name: 'red lentils', amount: 200, unit: 'g' }] }));
+      await repository.delete(catalog.find(candidate => candidate.name === 'Tomato Soup').id);
+      finishRead();
+      await building;
+
+      expect(names(await index.search('lentil'))).toEqual(['Lentil Dal']);
+      expect((await index.search('soup')).total).toBe(0);
+      expect(index.size).toBe(3);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+const RecipeSimulator = require('../../src/backend/services/RecipeSimulator');
+const HardwareIntegrationService = require('../../src/backend/services/HardwareIntegrationService');
+const Recipe = require('../../src/backend/models/Recipe');
+const { registryKitchen } = require('../../src/backend/utils/equipmentMatching');
+
+describe('RecipeSimulator', () => {
+  let simulator;
+
+  const braise = new Recipe(global.testUtils.createSampleRecipe({
+    name: 'Braised Beef',
+    ingredients: [
+      { name: 'beef', amount: 1, unit: 'kg' },
+      { name: 'stock', amount: 500, unit: 'ml' }
+    ],
+    instructions: [
+      { step: 'Brown the beef', timing: 10, temperature: 200, action: 'fry' },
+      { step: 'Braise the beef in the stock', timing: 120, temperature: 160, action: 'braise' }
+    ],
+    equipment: ['casserole']
+  }));
+
+  beforeEach(() => {
+    // Actuator simulators log every command and add a random delay
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    simulator = new RecipeSimulator(new HardwareIntegrationService());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should run a long braise on a virtual clock', () => {
+    const simulation = simulator.simulate(braise, registryKitchen(), { ambientTemperature: 20 });
+
+    expect(simulation.simulatedIn).toBeLessThan(1000);
+    expect(simulation.duration).toBe(151);
+    expect(simulation.steps.map(step => [step.start, step.end, step.plannedDuration])).toEqual([
+      [0, 17.25, 10],
+      [17.25, 151, 120]
+    ]);
+    expect(simulation.timeline.slice(0, 3)).toEqual([
+      { address: 1, stepIndex: 0, type: 'command', description: 'COMMAND hob on 200°C (fry)', start: 0, end: 0, outcome: 'done', temperature: 20 },
+      { address: 2, stepIndex: 0, type: 'until', description: 'UNTIL temperature >= 195 (timeout 15 min, then checkpoint)', start: 0, end: 7, outcome: 'done', temperature: 195 },
+      { address: 3, stepIndex: 0, type: 'command', description: 'COMMAND dispenser dispense 1 kg beef', start: 7, end: 7.25, outcome: 'done' }
+    ]);
+    expect(simulation.violations).toEqual([]);
+    expect(simulation.safe).toBe(true);
+  });
+
+  test('should report peak load and energy per device', () => {
+    const simulation = simulator.simulate(braise, registryKitchen(), { ambientTemperature: 20 });
+
+    expect(simulation.devices).toEqual([
+      {
+        deviceId: 'oven', type: 'oven', commands: 2, activeTime: 133.75, utilization: 0.886,
+        peakTemperature: 160, peakSpeed: null, peakLoad: 0.609, peakPower: 2130, energyKwh: 4.749
+      },
+      {
+        deviceId: 'hob', type: 'hob', commands: 2, activeTime: 17.25, utilization: 0.114,
+        peakTemperature: 200, peakSpeed: null, peakLoad: 0.857, peakPower: 1714, energyKwh: 0.493
+      },
+      {
+        deviceId: 'dispenser', type: 'dispenser', commands: 2, activeTime: 0.5, utilization: 0.003,
+        peakTemperature: null, peakSpeed: null, peakLoad: 1, peakPower: 50, energyKwh: 0
+      }
+    ]);
+    // The stock is dispensed while the oven holds its temperature
+    expect(simulation.peakPower).toEqual({ watts: 2180, at: 30.75 });
+    expect(simulation.energyKwh).toBe(5.242);
+  });
+
+  test('should flag heat-up timeouts, run-time and power limits', () => {
+    const recipe = new Recipe(global.testUtils.createSampleRecipe({
+      instructions: [
+        { step: 'Roast hard', timing: 20, temperature: 250, action: 'roast' },
+        { step: 'Blend smooth', timing: 8, action: 'blend' }
+      ],
+      equipment: ['oven', 'blender']
+    }));
+
+    const simulation = simulator.simulate(recipe, registryKitchen(), { ambientTemperature: 20, powerLimit: 3000 });
+
+    expect(simulation.violations.map(violation => [violation.rule, violation.severity, violation.deviceId])).toEqual([
+      ['power_limit', 'error', null],
+      ['heat_up_timeout', 'warning', 'oven'],
+      ['max_run_time', 'error', 'blender']
+    ]);
+    expect(simulation.timeline[1]).toMatchObject({ type: 'until', start: 0, end: 16, outcome: 'timed_out' });
+    expect(simulation.safe).toBe(false);
+  });
+
+  test('should let a cook take manual steps and refuse them when fully automated', () => {
+    const recipe = new Recipe(global.testUtils.createSampleRecipe({
+      instructions: [
+        { step: 'Plate the salad', timing: 3, action: 'plate' },
+        { step: 'Serve', action: 'serve' }
+      ]
+    }));
+
+    const semi = simulator.simulate(recipe, registryKitchen(), { ambientTemperature: 20, checkpointDelay: 2 });
+    expect(semi.timeline.map(entry => [entry.outcome, entry.end])).toEqual([['manual', 3], ['manual', 5]]);
+    expect(semi.safe).toBe(true);
+
+    const full = simulator.simulate(recipe, registryKitchen(), { ambientTemperature: 20, automationLevel: 'fully_automated' });
+    expect(full.violations[0]).toMatchObject({ rule: 'manual_checkpoint', severity: 'error' });
+    expect(full.safe).toBe(false);
+  });
+
+  test('should default to a fixed ambient temperature so runs are repeatable', () => {
+    const first = simulator.simulate(braise, registryKitchen());
+    const second = simulator.simulate(braise, registryKitchen());
+
+    expect(first.ambientTemperature).toBe(20);
+    expect(second.timeline).toEqual(first.timeline);
+  });
+});
@@ -0,0 +1,144 @@
+const Recipe = require('../../src/backend/models/Recipe');
+const RecipeRepository = require('../../src/backend/repositories/RecipeRepository');
+const MemoryRecipeDriver = require('../../src/backend/repositories/drivers/MemoryRecipeDriver');
+const RecipeVersioningService = require('../../src/backend/services/RecipeVersioningService');
+const { RecipeVersionConflictError } = require('../../src/backend/utils/errors');
+
+describe('RecipeVersioningService', () => {
+  let repository;
+  let service;
+  let recipe;
+
+  beforeEach(async () => {
+    repository = new RecipeRepository(new MemoryRecipeDriver());
+    service = new RecipeVersioningService(repository);
+    ({ recipe } = await service.createRecipe(new Recipe(global.testUtils.createSampleRecipe())));
+  });
+
+  const update = async (changes, reason = 'update') => {
+    const previous = await repository.findById(recipe.id);
+    const updated = new Recipe({ ...previous.toJSON(), ...changes });
+    const result = await service.commitChange(previous, updated, reason);
+    recipe = result.recipe;
+    return result;
+  };
+
+  describe('Version bumps', () => {
+    test('should record the initial revision on create', async () => {
+      const versions = await service.listVersions(recipe.id);
+
+      expect(versions).toHaveLength(1);
+      expect(versions[0]).toMatchObject({ version: '1.0.0', bump: 'initial', reason: 'created' });
+      expect(versions[0]).not.toHaveProperty('snapshot');
+    });
+
+    test('should bump patch for descriptive changes', async () => {
+      const { revision } = await update({ description: 'Reworded' });
+
+      expect(revision.version).toBe('1.0.1');
+      expect(revision.bump).toBe('patch');
+    });
+
+    test('should bump minor for quantity changes', async () => {
+      const ingredients = recipe.ingredients.map((ingredient, index) =>
+        index === 0 ? { ...ingredient, amount: 150 } : ingredient
+      );
+      const { revision } = await update({ ingredients });
+
+      expect(revision.version).toBe('1.1.0');
+      expect(revision.summary).toContain('Changed ingredient1: amount');
+    });
+
+    test('should bump major when ingredients are added', async () => {
+      const ingredients = [...recipe.ingredients, { name: 'salt', amount: 1, unit: 'tsp' }];
+      const { revision } = await update({ ingredients });
+
+      expect(revision.version).toBe('2.0.0');
+      expect(revision.bump).toBe('major');
+    });
+
+    test('should version optimization runs', async () => {
+      const previous = await repository.findById(recipe.id);
+      const optimized = await repository.findById(recipe.id);
+      optimized.optimize({ time: { maxTotalTime: 30 } });
+
+      const { revision } = await service.commitChange(previous, optimized, 'optimize');
+
+      expect(revision.reason).toBe('optimize');
+      expect(revision.version).toBe('1.0.1');
+      expect(revision.bump).toBe('patch');
+    });
+
+    test('should record a baseline for recipes stored before versioning', async () => {
+      const legacy = new Recipe(global.testUtils.createSampleRecipe({ version: '1.4.2' }));
+      await repository.create(legacy);
+
+      const updated = new Recipe({ ...legacy.toJSON(), servings: 6 });
+      await service.commitChange(legacy, updated, 'update');
+
+      const versions = await service.listVersions(legacy.id);
+      expect(versions.map(version => version.version)).toEqual(['1.4.2', '1.5.0']);
+    });
+
+    test('should refuse a second change made from the same version', async () => {
+      const previous = await repository.findById(recipe.id);
+      await service.commitChange(previous, new Recipe({ ...previous.toJSON(), description: 'First' }), 'update');
+
+      await expect(service.commitChange(previous, new Recipe({ ...previous.toJSON(), servings: 8 }), 'update'))
+        .rejects.toBeInstanceOf(RecipeVersionConflictError);
+
+      const stored = await repository.findById(recipe.id);
+      const versions = await service.listVersions(recipe.id);
+      expect(stored).toMatchObject({ version: '1.0.1', description: 'First', servings: recipe.servings });
+      expect(versions.map(version => version.version)).toEqual(['1.0.0', '1.0.1']);
+    });
+  });
+
+  describe('Diff and rollback', () => {
+    test('should diff ingredients, instructions and nutrition', async () => {
+      await update({
+        ingredients: [{ ...recipe.ingredients[0], amount: 50 }],
+        instructions: [...recipe.instructions, { step: 'Garnish and serve' }],
+        nutrition: { ...recipe.nutrition, sodium: 400 }
+      });
+
+      const diff = await service.diffVersions(recipe.id, '1.0.0');
+
+      expect(diff.to).toBe('2.0.0');
+      expect(diff.ingredients.removed.map(ingredient => ingredient.name)).toEqual(['ingredient2']);
+      expect(diff.ingredients.changed[0].changes.amount).toEqual({ from: 100, to: 50 });
+      expect(diff.instructions.added[0].index).toBe(3);
+      expect(diff.nutrition.sodium).toEqual({ from: 0, to: 400, delta: 400 });
+    });
+
+    test('should return null for unknown versions', async () => {
+      expect(await service.diffVersions(recipe.id, '9.9.9')).toBeNull();
+      expect(await service.rollback(recipe.id, '9.9.9')).toBeNull();
+    });
+
+    test('should restore old content as a new version and keep analytics', async () => {
+      await update({ name: 'Renamed', servings: 8 });
+      recipe.analytics.timesCooked = 3;
+      await repository.update(recipe);
+
+      const { recipe: restored, revision } = await service.rollback(recipe.id, '1.0.0');
+
+      expect(restored.name).toBe('Test Recipe');
+      expect(restored.servings).toBe(4);
+      expect(restored.version).toBe('1.2.0');
+      expect(restored.analytics.timesCooked).toBe(3);
+      expect(revision.restoredVersion).toBe('1.0.0');
+
+      const stored = await service.getVersion(recipe.id, '1.1.0');
+      expect(stored.snapshot.name).toBe('Renamed');
+    });
+  });
+
+  describe('bumpVersion', () => {
+    test('should follow semantic versioning', () => {
+      expect(RecipeVersioningService.bumpVersion('1.2.3', 'major')).toBe('2.0.0');
+      expect(RecipeVersioningService.bumpVersion('1.2.3', 'minor')).toBe('1.3.0');
+      expect(RecipeVersioningService.bumpVersion('1.2.3', 'patch')).toBe('1.2.4');
+    });
+  });
+});
@@ -0,0 +1,130 @@
+const Recipe = require('../../src/backend/models/Recipe');
+const IngredientCatalog = require('../../src/backend/services/IngredientCatalog');
+const SubstitutionEngine = require('../../src/backend/services/SubstitutionEngine');
+const sampleIngredients = require('../../src/backend/data/sampleIngredients');
+
+describe('SubstitutionEngine', () => {
+  let catalog;
+  let engine;
+
+  const cake = () => new Recipe(global.testUtils.createSampleRecipe({
+    name: 'Apple Cake',
+    ingredients: [
+      { name: 'all-purpose flour', amount: 200, unit: 'g' },
+      { name: 'eggs', amount: 2, unit: 'piece' },
+      { name: 'butter', amount: 100, unit: 'g' }
+    ],
+    instructions: [
+      { step: 'Whisk the eggs with the melted butter', action: 'whisk', timing: 3 },
+      { step: 'Fold in the flour', action: 'fold', timing: 2 },
+      { step: 'Pour into a tin and cook until golden', action: 'bake', timing: 40 }
+    ]
+  }));
+
+  beforeEach(() => {
+    catalog = new IngredientCatalog(sampleIngredients);
+    engine = new SubstitutionEngine(catalog);
+  });
+
+  test('should read plain names as one-for-one substitutes for any context', () => {
+    const [canned, paste] = catalog.findByName('tomato').getSubstitutes();
+
+    expect(canned).toEqual({
+      name: 'canned_tomato',
+      ratio: { from: { amount: 1, unit: null }, to: { amount: 1, unit: null } },
+      contexts: [],
+      texture: null,
+      notes: null
+    });
+    expect(paste.contexts).toEqual(['sauce']);
+    expect(catalog.findByName('tomato').findSubstitutes({ context: 'raw' }).map(edge => edge.name)).toEqual(['canned_tomato']);
+  });
+
+  test('should take the context from the step or the next step that cooks', () => {
+    const { instructions } = cake();
+
+    expect(SubstitutionEngine.stepContext(instructions, 0)).toBe('baking');
+    expect(SubstitutionEngine.stepContext([{ step: 'Roast in the oven for 30 minutes' }], 0)).toBe('roasting');
+    expect(SubstitutionEngine.stepContext([{ step: 'Toss the leaves', action: 'mix' }], 0)).toBe('raw');
+    expect(engine.findStep(cake(), catalog.findByName('egg'))).toBe(0);
+  });
+
+  test('should scale amounts by the ratio and report nutrition and cost changes', () => {
+    const ranking = engine.rank(catalog.findByName('egg'), { recipe: cake() });
+
+    expect(ranking).toMatchObject({ step: 1, context: 'baking', quantity: { amount: 2, unit: 'piece' } });
+    expect(ranking.substitutes.map(substitute => [substitute.name, substitute.amount, substitute.unit])).toEqual([
+      ['flax_egg', 90, 'g'],
+      ['Applesauce', 120, 'g']
+    ]);
+
+    // Applesauce keeps little of the eggs' protein; flax egg has no catalog data to judge
+    const [flax, applesauce] = ranking.substitutes;
+    expect(applesauce.effects).toMatchObject({
+      texture: 'moister, denser crumb with less rise',
+      nutrition: { calories: -92.6, protein: -12.4 },
+      cost: 0.13
+    });
+    expect(applesauce.reasons).toContain('suited to baking');
+    expect(flax.effects).toMatchObject({ nutrition: null, cost: null });
+    expect(flax.notes).toBe('1 tbsp ground flaxseed soaked in 3 tbsp water');
+  });
+
+  test('should exclude substitutes for other contexts and ones the profile rules out', () => {
+    const omelette = engine.rank(catalog.findByName('egg'), { context: 'frying' });
+    expect(omelette.substitutes).toEqual([]);
+    expect(omelette.excluded).toEqual([
+      { name: 'flax_egg', reasons: ['meant for baking, not frying'] },
+      { name: 'Applesauce', reasons: ['meant for baking, not frying'] }
+    ]);
+
+    const butter = engine.rank(catalog.findByName('butter'), {
+      context: 'frying',
+      amount: 4,
+      unit: 'tbsp',
+      preferences: { allergies: ['dairy'] }
+    });
+    expect(butter.substitutes.map(substitute => [substitute.name, substitute.amount, substitute.unit])).toEqual([
+      ['Olive Oil', 3, 'tbsp']
+    ]);
+    expect(butter.excluded).toEqual([
+      { name: 'Unsalted Butter', reasons: ['contains dairy via Unsalted Butter'] }
+    ]);
+  });
+
+  test('should exclude substitutes named by an allergy there are no rules for', () => {
+    const ranking = engine.rank(catalog.findByName('butter'), {
+      context: 'frying',
+      preferences: { allergies: ['olives'] }
+    });
+
+    expect(ranking.substitutes.map(substitute => substitute.name)).not.toContain('Olive Oil');
+    expect(ranking.excluded).toContainEqual({ name: 'Olive Oil', reasons: ['contains olive via Olive Oil'] });
+    expect(ranking).toMatchObject({ checkedByName: ['olive'], unsupported: [] });
+  });
+
+  test('should rank substitutes in stock first and flag short supplies', () => {
+    const soySauce = catalog.findByName('soy sauce');
+    const line = { amount: 30, unit: 'ml' };
+
+    const ranked = engine.rank(soySauce, {
+      ...line,
+      supplies: [
+        { source: 'pantry', name: 'coconut aminos', amount: 500, unit: 'ml', daysUntilExpiry: 90 },
+        { source: 'pantry', name: 'tamari', amount: 10, unit: 'ml', daysUntilExpiry: 120 }
+      ]
+    });
+
+    expect(ranked.substitutes[0]).toMatchObject({
+      name: 'Coconut Aminos',
+      stock: { inStock: true, sufficient: true }
+    });
+    expect(ranked.substitutes[0].reasons).toContain('in stock (pantry)');
+
+    const tamari = ranked.substitutes.find(substitute => substitute.name === 'Tamari');
+    expect(tamari.stock).toMatchObject({ inStock: true, sufficient: false });
+    expect(tamari.reasons).toContain('not enough in stock');
+    expect(ranked.substitutes.indexOf(tamari)).toBeLessThan(
+      ranked.substitutes.findIndex(substitute => substitute.name === 'Low Sodium Soy Sauce'));
+  });
+});
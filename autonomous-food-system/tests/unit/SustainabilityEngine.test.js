@@ -0,0 +1,176 @@
+const Recipe = require('../../src/backend/models/Recipe');
+const IngredientCatalog = require('../../src/backend/services/IngredientCatalog');
+const SustainabilityEngine = require('../../src/backend/services/SustainabilityEngine');
+const sampleIngredients = require('../../src/backend/data/sampleIngredients');
+
+describe('SustainabilityEngine', () => {
+  let catalog;
+  let growingModules;
+  let engine;
+
+  const salad = (overrides = {}) => new Recipe(global.testUtils.createSampleRecipe({
+    name: 'Grilled Chicken Salad',
+    servings: 2,
+    ingredients: [
+      { name: 'lettuce', amount: 200, unit: 'g' },
+      { name: 'chicken breast', amount: 300, unit: 'g' },
+      { name: 'olive oil', amount: 2, unit: 'tbsp' },
+      { name: 'dragon fruit', amount: 1, unit: 'piece' }
+    ],
+    instructions: [
+      { step: 'Grill the chicken breast', action: 'grill', timing: 10 },
+      { step: 'Toss the lettuce with olive oil and the sliced chicken', action: 'mix', timing: 2 }
+    ],
+    ...overrides
+  }));
+
+  const growingModule = (id, crops, performance = {}) => ({
+    id,
+    activeCycles: crops.map((cropVariety, index) => ({ id: `${id}_cycle_${index}`, cropVariety })),
+    performance: { waterEfficiency: 0, energyEfficiency: 0, ...performance }
+  });
+
+  beforeEach(() => {
+    catalog = new IngredientCatalog(sampleIngredients);
+    growingModules = new Map();
+    engine = new SustainabilityEngine(catalog, growingModules, { gridCarbonIntensity: 0.2 });
+  });
+
+  describe('Footprint', () => {
+    test('should total catalog footprints per recipe and per serving by origin', () => {
+      const result = engine.calculate(salad());
+
+      expect(result).toMatchObject({
+        carbonFootprint: 2.244,
+        waterUsage: 1735.1,
+        perServing: { carbonFootprint: 1.122, waterUsage: 867.6 },
+        breakdown: {
+          homeGrown: { grams: 0, carbonFootprint: 0, waterUsage: 0 },
+          local: { grams: 200, carbonFootprint: 0.08, waterUsage: 47.4 },
+          imported: { grams: 327, carbonFootprint: 2.164, waterUsage: 1687.7 }
+        },
+        localShare: 0.38,
+        homeGrown: [],
+        unmatched: ['dragon fruit'],
+        coverage: 0.75
+      });
+      expect(result.ingredients[1]).toEqual({
+        name: 'chicken breast',
+        matchedName: 'Chicken Breast',
+        origin: 'imported',
+        carbonFootprint: 2.07,
+        waterUsage: 1297.5
+      });
+    });
+
+    test('should credit home-grown crops with the measured efficiency of their modules', () => {
+      growingModules.set('module_a', growingModule('module_a', ['lettuce'], { waterEfficiency: 0.05, energyEfficiency: 1 }));
+      // Unmeasured modules neither count towards the average nor change the figures
+      growingModules.set('module_b', growingModule('module_b', ['lettuce', 'spinach']));
+
+      const result = engine.calculate(salad({
+        ingredients: [
+          { name: 'lettuce', amount: 200, unit: 'g' },
+          { name: 'spinach', amount: 100, unit: 'g' }
+        ]
+      }));
+
+      // 20 L of water and 1 kWh at 0.2 kg CO2e per kg of lettuce
+      expect(result.ingredients).toEqual([
+        { name: 'lettuce', matchedName: 'Lettuce', origin: 'homeGrown', carbonFootprint: 0.04, waterUsage: 4 },
+        { name: 'spinach', matchedName: 'Spinach', origin: 'homeGrown', carbonFootprint: 0.05, waterUsage: 29.2 }
+      ]);
+      expect(result.homeGrown).toEqual([
+        {
+          name: 'lettuce',
+          matchedName: 'Lettuce',
+          moduleIds: ['module_a', 'module_b'],
+          measured: true,
+          carbonSaved: 0.04,
+          waterSaved: 43.4
+        },
+        {
+          name: 'spinach',
+          matchedName: 'Spinach',
+          moduleIds: ['module_b'],
+          measured: false,
+          carbonSaved: 0,
+          waterSaved: 0
+        }
+      ]);
+      expect(result.localShare).toBe(1);
+    });
+
+    test('should store the footprint on the recipe and leave per-serving values empty when nothing matches', () => {
+      const recipe = salad();
+      engine.applyTo(recipe);
+
+      expect(recipe.toJSON().sustainability.perServing).toEqual({ carbonFootprint: 1.122, waterUsage: 867.6 });
+      expect(recipe.sustainability.calculatedAt).toBeInstanceOf(Date);
+
+      const unknown = engine.calculate(salad({ ingredients: [{ name: 'dragon fruit', amount: 1, unit: 'piece' }] }));
+      expect(unknown).toMatchObject({
+        carbonFootprint: 0,
+        perServing: { carbonFootprint: null, waterUsage: null },
+        coverage: 0
+      });
+    });
+  });
+
+  describe('Proposals', () => {
+    test('should propose swaps that lower the footprint and reject added allergens', () => {
+      const result = engine.propose(salad(), { metric: 'carbon' });
+
+      expect(result.before).toEqual({ carbonFootprint: 1.122, waterUsage: 867.6 });
+      expect(result.proposals.map(proposal => proposal.id)).toEqual(['sustain-1-turkey_breast']);
+      expect(result.proposals[0]).toMatchObject({
+        objective: 'sustainability',
+        replacement: { name: 'turkey breast', amount: 300, unit: 'g' },
+        footprintPerServing: { delta: { carbonFootprint: -0.165, waterUsage: -3.7 } },
+        impact: 'Saves 0.165 kg CO2e per serving'
+      });
+      expect(result.rejected).toEqual([
+        { ingredient: 'chicken breast', substitute: 'Tofu', reason: 'Adds allergens: soy' },
+        { ingredient: 'olive oil', substitute: 'Butter', reason: 'Adds allergens: dairy' }
+      ]);
+    });
+
+    test('should only propose swaps for recipes over their caps', () => {
+      expect(engine.propose(salad(), { maxCarbon: 2, maxWater: 1000 })).toMatchObject({
+        violations: [],
+        proposals: []
+      });
+
+      const result = engine.propose(salad(), { metric: 'water', maxWater: 866 });
+      expect(result.violations).toEqual([
+        { metric: 'waterUsage', type: 'max', limit: 866, value: 867.6, gap: 1.6 }
+      ]);
+      expect(result.proposals[0]).toMatchObject({
+        id: 'sustain-1-turkey_breast',
+        resolves: ['waterUsage'],
+        impact: 'Saves 3.7 L water per serving'
+      });
+    });
+
+    test('should let Recipe.optimize apply a selected swap', () => {
+      const recipe = salad();
+
+      const skipped = recipe.optimize({ sustainability: { metric: 'carbon' } });
+      expect(skipped.changes[0].description).toBe('Sustainability optimization skipped');
+
+      const optimization = recipe.optimize(
+        { sustainability: { metric: 'carbon' }, apply: ['sustain-1-turkey_breast'] },
+        { sustainabilityEngine: engine }
+      );
+
+      expect(optimization.applied).toEqual(['sustain-1-turkey_breast']);
+      expect(optimization.sustainability.before.carbonFootprint).toBe(1.122);
+      expect(recipe.ingredients[1]).toMatchObject({ name: 'turkey breast', amount: 300, unit: 'g' });
+      expect(optimization.changes).toContainEqual({
+        type: 'sustainability',
+        description: 'Replace chicken breast with 300 g turkey breast',
+        impact: 'Saves 0.165 kg CO2e per serving'
+      });
+    });
+  });
+});
@@ -0,0 +1,139 @@
+const Recipe = require('../../src/backend/models/Recipe');
+const {
+  compileProgram,
+  validateProgram,
+  listProgram
+} = require('../../src/backend/utils/automationProgram');
+
+describe('automationProgram', () => {
+  const device = (id, type, overrides = {}) => ({
+    id,
+    type,
+    kind: 'actuator',
+    available: true,
+    actions: [],
+    capabilities: {},
+    sensors: [],
+    ...overrides
+  });
+
+  const kitchen = {
+    id: 'kitchen_1',
+    name: 'Line 1',
+    devices: [
+      device('hob_1', 'hob', { capabilities: { minTemperature: 40, maxTemperature: 230 }, sensors: ['temperature'] }),
+      device('stirrer_1', 'stirrer', { capabilities: { minSpeed: 10, maxSpeed: 200 } }),
+      device('dispenser_1', 'dispenser', { capabilities: { ingredients: ['olive oil', 'rice'] } }),
+      device('arm_1', 'robot_arm', { kind: 'robot', actions: ['serve'] })
+    ],
+    sensors: []
+  };
+
+  const recipe = new Recipe(global.testUtils.createSampleRecipe({
+    name: 'Rice',
+    ingredients: [
+      { name: 'olive oil', amount: 2, unit: 'tbsp' },
+      { name: 'rice', amount: 300, unit: 'g' },
+      { name: 'parsley', amount: 5, unit: 'g' }
+    ],
+    instructions: [
+      { step: 'Heat the olive oil', timing: 2, temperature: 160, action: 'heat' },
+      { step: 'Stir in the rice', timing: 18, action: 'stir', speed: 40 },
+      { step: 'Chop the parsley', action: 'chop' },
+      { step: 'Serve', action: 'serve' }
+    ],
+    equipment: ['pan']
+  }));
+
+  test('should compile steps into typed operations', () => {
+    const program = compileProgram(recipe, kitchen);
+
+    expect(program.operations.map(operation => [operation.address, operation.stepIndex, operation.type])).toEqual([
+      [1, 0, 'command'], [2, 0, 'until'], [3, 0, 'command'], [4, 0, 'wait'], [5, 0, 'command'],
+      [6, 1, 'command'], [7, 1, 'command'], [8, 1, 'wait'], [9, 1, 'command'],
+      [10, 2, 'checkpoint'],
+      [11, 3, 'task']
+    ]);
+    expect(program.operations[0].command).toEqual({ action: 'heat', state: 'on', temperature: 160 });
+    expect(program.operations[1]).toMatchObject({ sensor: 'temperature', comparator: '>=', value: 155, timeout: 15 });
+    expect(program.operations[2].command).toEqual({
+      action: 'dispense', state: 'run', ingredient: 'olive oil', amount: 2, unit: 'tbsp'
+    });
+    expect(program.operations[6].command).toEqual({ action: 'stir', state: 'on', speed: 40 });
+    expect(program.operations[9].reasons).toEqual(['No cutter available to chop', 'No dispenser holds parsley']);
+    expect(program.steps[1]).toEqual({ index: 1, step: 'Stir in the rice', automatable: true, operations: [6, 9] });
+    expect(program.summary).toMatchObject({
+      commands: 6, tasks: 1, waits: 2, conditions: 1, checkpoints: 1, automatableSteps: 3, totalSteps: 4, minimumDuration: 20
+    });
+  });
+
+  test('should add a checkpoint before each step when assisted', () => {
+    const program = compileProgram(recipe, kitchen, { confirmEachStep: true });
+
+    expect(program.operations.filter(operation => operation.type === 'checkpoint')
+      .map(operation => operation.message)).toEqual([
+      'Confirm to start: Heat the olive oil',
+      'Confirm to start: Stir in the rice',
+      'Manual step: Chop the parsley',
+      'Confirm to start: Serve'
+    ]);
+  });
+
+  test('should ask the cook to end heated steps without a timing', () => {
+    const untimed = new Recipe(global.testUtils.createSampleRecipe({
+      instructions: [{ step: 'Simmer until thick', temperature: 90, action: 'simmer' }],
+      equipment: ['pot']
+    }));
+
+    const program = compileProgram(untimed, kitchen);
+
+    expect(program.operations.map(operation => operation.type)).toEqual(['command', 'until', 'checkpoint', 'command']);
+    expect(validateProgram(program, kitchen).valid).toBe(true);
+  });
+
+  test('should validate devices, limits, sensors and switch-offs', () => {
+    const program = compileProgram(recipe, kitchen);
+    expect(validateProgram(program, kitchen)).toEqual({
+      valid: true,
+      errors: [],
+      warnings: ['1 checkpoint(s) need a cook to confirm']
+    });
+
+    const broken = {
+      ...program,
+      operations: [
+        { address: 1, type: 'command', deviceId: 'hob_1', command: { action: 'fry', state: 'on', temperature: 300 } },
+        { address: 2, type: 'until', deviceId: 'stirrer_1', sensor: 'temperature', comparator: '>=', value: 100, timeout: 0 },
+        { address: 3, type: 'command', deviceId: 'oven_1', command: { action: 'bake', state: 'on' } },
+        { address: 4, type: 'wait', duration: 0 },
+        { address: 5, type: 'jump' }
+      ]
+    };
+
+    expect(validateProgram(broken, kitchen).errors).toEqual([
+      { address: 1, message: "temperature 300 is outside hob_1's range 40–230" },
+      { address: 2, message: 'Condition needs a positive timeout' },
+      { address: 2, message: 'No temperature sensor to evaluate the condition' },
+      { address: 3, message: 'No actuator oven_1 in kitchen kitchen_1' },
+      { address: 4, message: 'Wait duration must be positive' },
+      { address: 5, message: 'Unknown operation type jump' },
+      { address: 1, message: 'hob_1 is switched on and never switched off' }
+    ]);
+  });
+
+  test('should list operations by step', () => {
+    const listing = listProgram(compileProgram(recipe, kitchen)).split('\n');
+
+    expect(listing[0]).toBe('Program for Rice (v1.0.0, 4 servings) on kitchen kitchen_1');
+    expect(listing.slice(1, 7)).toEqual([
+      'Step 1: Heat the olive oil',
+      '  001 COMMAND     hob_1 on 160°C (heat)',
+      '  002 UNTIL       temperature >= 155 (timeout 15 min, then checkpoint)',
+      '  003 COMMAND     dispenser_1 dispense 2 tbsp olive oil',
+      '  004 WAIT        2 min',
+      '  005 COMMAND     hob_1 off (heat)'
+    ]);
+    expect(listing).toContain('Step 3: Chop the parsley (manual)');
+    expect(listing).toContain('  011 TASK        arm_1 serve');
+  });
+});
@@ -0,0 +1,118 @@
+const Recipe = require('../../src/backend/models/Recipe');
+const {
+  registryKitchen,
+  deviceTypesFor,
+  stepIngredients,
+  matchStep,
+  assessKitchen
+} = require('../../src/backend/utils/equipmentMatching');
+
+describe('equipmentMatching', () => {
+  const device = (id, type, overrides = {}) => ({
+    id,
+    type,
+    kind: 'actuator',
+    available: true,
+    actions: [],
+    capabilities: {},
+    sensors: [],
+    ...overrides
+  });
+
+  const kitchen = (devices, sensors = []) => ({ id: 'kitchen_1', name: 'Test kitchen', devices, sensors });
+
+  const recipe = new Recipe(global.testUtils.createSampleRecipe({
+    ingredients: [
+      { name: 'onions', amount: 2, unit: 'piece' },
+      { name: 'olive oil', amount: 2, unit: 'tbsp' },
+      { name: 'rice', amount: 300, unit: 'g' }
+    ],
+    instructions: [
+      { step: 'Dice the onion', action: 'dice' },
+      { step: 'Fry the onion in olive oil', timing: 5, temperature: 160, action: 'fry' },
+      { step: 'Stir in the rice', timing: 18, action: 'stir', speed: 40 },
+      { step: 'Bake until crisp', timing: 20, temperature: 220, action: 'bake' },
+      { step: 'Serve hot', action: 'serve' }
+    ],
+    equipment: ['large_pot', 'oven']
+  }));
+
+  describe('Requirements', () => {
+    test('should narrow device types by step equipment, then recipe equipment', () => {
+      expect(deviceTypesFor({ step: 'Mix', action: 'mix' }, { equipment: [] })).toEqual(['stirrer', 'mixer']);
+      expect(deviceTypesFor({ step: 'Mix', action: 'mix' }, { equipment: ['stand_mixer'] })).toEqual(['mixer']);
+      expect(deviceTypesFor({ step: 'Mix', action: 'mix', equipment: ['wooden spoon'] }, { equipment: ['stand_mixer'] }))
+        .toEqual(['stirrer']);
+      expect(deviceTypesFor({ step: 'Heat', action: 'heat' }, recipe)).toEqual(['oven', 'hob']);
+    });
+
+    test('should find the ingredients a step names, singular or plural', () => {
+      expect(stepIngredients(recipe.instructions[1], recipe)).toEqual(['onions', 'olive oil']);
+      expect(stepIngredients(recipe.instructions[3], recipe)).toEqual([]);
+    });
+  });
+
+  describe('Matching a step', () => {
+    test('should report missing devices, limits, sensors and ingredients', () => {
+      const smallKitchen = kitchen([
+        device('hob_1', 'hob', { capabilities: { minTemperature: 40, maxTemperature: 150 }, sensors: [] }),
+        device('dispenser_1', 'dispenser', { capabilities: { ingredients: ['Olive Oil'] } })
+      ]);
+
+      const fry = matchStep(recipe.instructions[1], 1, recipe, smallKitchen);
+      expect(fry.automatable).toBe(false);
+      expect(fry.missing).toEqual([
+        expect.objectContaining({ type: 'capability', deviceId: 'hob_1', capability: 'temperature', required: 160 }),
+        { type: 'sensor', sensor: 'temperature', message: 'No temperature sensor to monitor this step' },
+        { type: 'ingredient', ingredient: 'onions', message: 'No dispenser holds onions' }
+      ]);
+
+      const dice = matchStep(recipe.instructions[0], 0, recipe, smallKitchen);
+      expect(dice.missing[0]).toMatchObject({ type: 'device', deviceTypes: ['cutter'], message: 'No cutter available to dice' });
+    });
+
+    test('should let robots take actions no device type performs', () => {
+      const serve = matchStep(recipe.instructions[4], 4, recipe, kitchen([
+        device('arm_1', 'robot_arm', { kind: 'robot', actions: ['serve', 'garnish'] })
+      ]));
+
+      expect(serve.automatable).toBe(true);
+      expect(serve.devices).toEqual([{ id: 'arm_1', type: 'robot_arm' }]);
+    });
+
+    test('should ignore devices that are not available', () => {
+      const step = matchStep(recipe.instructions[3], 3, recipe, kitchen([
+        device('oven_1', 'oven', { available: false, capabilities: { maxTemperature: 250 } })
+      ], ['temperature']));
+
+      expect(step.missing[0].type).toBe('device');
+    });
+  });
+
+  describe('Assessing a kitchen', () => {
+    test('should summarize coverage and what is missing', () => {
+      const assessment = assessKitchen(recipe, kitchen([
+        device('oven_1', 'oven', { capabilities: { minTemperature: 50, maxTemperature: 200 }, sensors: ['temperature'] }),
+        device('stirrer_1', 'stirrer', { capabilities: { minSpeed: 10, maxSpeed: 200 } }),
+        device('dispenser_1', 'dispenser', { capabilities: { ingredients: ['*'] } })
+      ]));
+
+      expect(assessment.steps.map(step => step.automatable)).toEqual([false, false, true, false, false]);
+      expect(assessment).toMatchObject({ automatableSteps: 1, totalSteps: 5, coverage: 0.2 });
+      expect(assessment.missing).toEqual({
+        deviceTypes: ['cutter', 'hob'],
+        unmatchedActions: ['serve'],
+        capabilities: ['oven_1 covers 50–200°C; step needs 220°C'],
+        sensors: ['temperature'],
+        ingredients: []
+      });
+    });
+
+    test('should treat the registry as a kitchen with every device type', () => {
+      const assessment = assessKitchen(recipe, registryKitchen());
+
+      expect(assessment.kitchenId).toBeNull();
+      expect(assessment.steps.filter(step => !step.automatable).map(step => step.action)).toEqual(['serve']);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+const {
+  parseCsv,
+  mapNutrients,
+  conversionData,
+  parseFdcJson,
+  parseFdcCsv
+} = require('../../src/backend/utils/fdcImport');
+
+describe('FoodData Central import', () => {
+  const nutrient = (number, unitName, amount) => ({ nutrient: { number, unitName }, amount });
+
+  const spinachJson = {
+    SRLegacyFoods: [{
+      fdcId: 168462,
+      description: 'Spinach, raw',
+      dataType: 'SR Legacy',
+      publicationDate: '4/1/2019',
+      foodNutrients: [
+        nutrient('208', 'kcal', 23),
+        nutrient('268', 'kJ', 97),
+        nutrient('203', 'g', 2.86),
+        nutrient('205', 'g', 3.63),
+        nutrient('204', 'g', 0.39),
+        nutrient('291', 'g', 2.2),
+        nutrient('269', 'g', 0.42),
+        nutrient('307', 'mg', 79),
+        nutrient('303', 'mg', 2.71),
+        nutrient('401', 'mg', 28.1),
+        nutrient('430', 'µg', 483),
+        nutrient('306', 'mg', 558)
+      ],
+      foodPortions: [
+        { sequenceNumber: 2, amount: 1, gramWeight: 10, modifier: 'leaf', measureUnit: { name: 'undetermined' } },
+        { sequenceNumber: 1, amount: 1, gramWeight: 30, modifier: 'cup', measureUnit: { name: 'undetermined' } },
+        { sequenceNumber: 3, amount: 1, gramWeight: 284, modifier: 'package (10 oz)', measureUnit: { name: 'undetermined' } }
+      ]
+    }]
+  };
+
+  test('should parse quoted CSV fields', () => {
+    expect(parseCsv('"fdc_id","description"\r\n"1","Oil, olive, ""extra virgin"""\r\n"2","Salt"\n')).toEqual([
+      { fdc_id: '1', description: 'Oil, olive, "extra virgin"' },
+      { fdc_id: '2', description: 'Salt' }
+    ]);
+  });
+
+  test('should map nutrient numbers to catalog nutrients in catalog units', () => {
+    expect(mapNutrients([
+      { number: '957', unit: 'KCAL', amount: '41' },
+      { number: '958', unit: 'KCAL', amount: '40' },
+      { number: '298', unit: 'G', amount: '0.2' },
+      { number: '307', unit: 'G', amount: '0.005' },
+      { number: '418', unit: 'UG', amount: '' },
+      { number: '9999', unit: 'G', amount: '1' }
+    ])).toEqual({ calories: 40, fat: 0.2, sodium: 5 });
+  });
+
+  test('should derive density and piece weights from portions', () => {
+    const { density, pieceWeights, skipped } = conversionData([
+      { amount: 1, gramWeight: 180, modifier: 'cup, chopped', measureUnit: 'undetermined' },
+      { amount: 2, gramWeight: 30, measureUnit: 'tablespoon' },
+      { amount: 1, gramWeight: 123, modifier: 'medium (2-3/5" dia)' },
+      { amount: 3, gramWeight: 60, description: '3 slices' },
+      { amount: 1, gramWeight: 85, modifier: 'NLEA serving' }
+    ]);
+
+    expect(density).toBe(0.888); // median of 0.761 (cup) and 1.014 (tbsp)
+    expect(pieceWeights).toEqual({ medium: 123, slice: 20 });
+    expect(skipped).toEqual(['NLEA serving']);
+  });
+
+  test('should read foods from a JSON download', () => {
+    const [spinach] = parseFdcJson(JSON.stringify(spinachJson));
+
+    expect(spinach).toMatchObject({ fdcId: '168462', description: 'Spinach, raw', dataType: 'SR Legacy' });
+    expect(spinach.nutritionPer100g).toEqual({
+      calories: 23, protein: 2.86, carbohydrates: 3.63, fat: 0.39, fiber: 2.2, sugar: 0.42,
+      sodium: 79, iron: 2.71, vitaminC: 28.1, vitaminK: 483, potassium: 558
+    });
+    expect(spinach.density).toBeCloseTo(0.127, 3);
+    expect(spinach.skipped).toEqual(['leaf', 'package (10 oz)']);
+  });
+
+  test('should read foods from the CSV tables of a download', () => {
+    const foods = parseFdcCsv({
+      food: '"fdc_id","data_type","description","food_category_id","publication_date"\n' +
+        '"171413","sr_legacy_food","Oil, olive, salad or cooking","4","2019-04-01"\n',
+      nutrient: '"id","name","unit_name","nutrient_nbr","rank"\n' +
+        '"1004","Total lipid (fat)","G","204","800"\n"1008","Energy","KCAL","208","300"\n',
+      food_nutrient: '"id","fdc_id","nutrient_id","amount"\n' +
+        '"1","171413","1004","100"\n"2","171413","1008","884"\n"3","999","1008","1"\n',
+      food_portion: '"id","fdc_id","seq_num","amount","measure_unit_id","portion_description","modifier","gram_weight"\n' +
+        '"10","171413","2","1","1001","","","216"\n"11","171413","1","1","1002","","","13.5"\n',
+      measure_unit: '"id","name"\n"1000","cup"\n"1001","cup"\n"1002","tablespoon"\n'
+    });
+
+    expect(foods).toHaveLength(1);
+    expect(foods[0]).toMatchObject({
+      fdcId: '171413',
+      dataType: 'sr_legacy_food',
+      nutritionPer100g: { calories: 884, fat: 100 }
+    });
+    expect(foods[0].density).toBeCloseTo(0.913, 3);
+
+    expect(() => parseFdcCsv({ food: 'fdc_id\n1\n' })).toThrow('Missing FoodData Central tables: nutrient.csv, food_nutrient.csv');
+  });
+});
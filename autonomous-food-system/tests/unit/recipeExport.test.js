@@ -0,0 +1,117 @@
+const Recipe = require('../../src/backend/models/Recipe');
+const {
+  toIsoDuration,
+  formatAmount,
+  formatIngredient,
+  toJsonLd,
+  toPlainText,
+  toMarkdown,
+  toHtmlCard
+} = require('../../src/backend/utils/recipeExport');
+const { importRecipe } = require('../../src/backend/utils/recipeImport');
+
+describe('Recipe export', () => {
+  const soup = () => new Recipe(global.testUtils.createSampleRecipe({
+    name: 'Tomato & Basil Soup',
+    description: 'A simple weeknight soup.',
+    servings: 4,
+    prepTime: 10,
+    cookTime: 75,
+    totalTime: 85,
+    ingredients: [
+      { name: 'olive oil', amount: 1.5, unit: 'tbsp' },
+      { name: 'onion', amount: 1, unit: 'piece', preparation: 'diced' },
+      { name: 'vegetable stock', amount: 500, unit: 'ml' },
+      { name: 'cream', amount: 0.25, unit: 'cup', optional: true }
+    ],
+    instructions: [
+      { step: 'Soften the onion in the oil.', timing: 5, action: 'saute' },
+      { step: 'Simmer with the stock.', timing: 20, action: 'simmer', temperature: 95 }
+    ],
+    equipment: ['large_pot'],
+    nutrition: { calories: 800, protein: 12, carbohydrates: 60, fat: 40, fiber: 8, sugar: 20, sodium: 1600 },
+    tags: ['soup', 'quick']
+  }));
+
+  describe('Formatting', () => {
+    test('should write minutes as ISO-8601 durations', () => {
+      expect(toIsoDuration(85)).toBe('PT1H25M');
+      expect(toIsoDuration(60)).toBe('PT1H');
+      expect(toIsoDuration(0)).toBe('PT0M');
+    });
+
+    test('should use fractions for spoons, cups and counts only', () => {
+      expect(formatAmount(1.5, 'tbsp')).toBe('1 1/2');
+      expect(formatAmount(0.333, 'cup')).toBe('1/3');
+      expect(formatAmount(2.2, 'tsp')).toBe('2.2');
+      expect(formatAmount(1.5, 'kg')).toBe('1.5');
+    });
+
+    test('should render ingredient lines with plural units and notes', () => {
+      expect(formatIngredient({ name: 'flour', amount: 2.5, unit: 'cup', preparation: 'sifted' }))
+        .toBe('2 1/2 cups flour, sifted');
+      expect(formatIngredient({ name: 'onion', amount: 1, unit: 'piece', optional: true }))
+        .toBe('1 onion (optional)');
+      expect(formatIngredient({ name: 'cream', amount: 4, unit: 'fl_oz' })).toBe('4 fl oz cream');
+    });
+  });
+
+  describe('Formats', () => {
+    test('should map onto schema.org Recipe with per-serving nutrition', () => {
+      const jsonLd = toJsonLd(soup());
+
+      expect(jsonLd).toMatchObject({
+        '@context': 'https://schema.org',
+        '@type': 'Recipe',
+        name: 'Tomato & Basil Soup',
+        recipeYield: '4 servings',
+        prepTime: 'PT10M',
+        cookTime: 'PT1H15M',
+        totalTime: 'PT1H25M',
+        keywords: 'soup, quick',
+        tool: ['large pot']
+      });
+      expect(jsonLd.recipeIngredient[0]).toBe('1 1/2 tbsp olive oil');
+      expect(jsonLd.recipeInstructions[1]).toEqual({ '@type': 'HowToStep', position: 2, text: 'Simmer with the stock.' });
+      expect(jsonLd.nutrition).toMatchObject({ calories: '200 calories', sodiumContent: '400 mg' });
+    });
+
+    test('should produce plain text the importer reads back', () => {
+      const { recipe } = importRecipe(toPlainText(soup()));
+
+      expect(recipe).toMatchObject({
+        name: 'Tomato & Basil Soup',
+        servings: 4,
+        prepTime: 10,
+        cookTime: 75,
+        totalTime: 85,
+        tags: ['soup', 'quick']
+      });
+      expect(recipe.ingredients).toEqual([
+        { name: 'olive oil', amount: 1.5, unit: 'tbsp' },
+        { name: 'onion', amount: 1, unit: 'piece', preparation: 'diced' },
+        { name: 'vegetable stock', amount: 500, unit: 'ml' },
+        { name: 'cream', amount: 0.25, unit: 'cup', optional: true }
+      ]);
+    });
+
+    test('should render Markdown sections with step details', () => {
+      const markdown = toMarkdown(soup());
+
+      expect(markdown).toMatch(/^# Tomato & Basil Soup\n/);
+      expect(markdown).toContain('- **Total time:** 1 hour 25 min');
+      expect(markdown).toContain('2. Simmer with the stock. _(20 min, 95°C)_');
+      expect(markdown).toContain('## Nutrition per serving');
+    });
+
+    test('should escape the printable card and embed its JSON-LD', () => {
+      const recipe = soup().previewScale(8).recipe;
+      const html = toHtmlCard(recipe, { scaledFrom: 4 });
+
+      expect(html).toContain('<h1>Tomato &amp; Basil Soup</h1>');
+      expect(html).toContain('<li>3 tbsp olive oil</li>');
+      expect(html).toContain('Scaled from 4 servings.');
+      expect(importRecipe(html).recipe).toMatchObject({ name: 'Tomato & Basil Soup', servings: 8 });
+    });
+  });
+});
@@ -0,0 +1,162 @@
+const {
+  parseDuration,
+  parseIngredientLine,
+  parseInstruction,
+  detectFormat,
+  importRecipe
+} = require('../../src/backend/utils/recipeImport');
+const { recipeSchema } = require('../../src/backend/middleware/validation');
+
+describe('Recipe import', () => {
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@graph': [
+      { '@type': 'WebSite', name: 'Example Kitchen' },
+      {
+        '@type': 'Recipe',
+        name: 'Banana Bread',
+        description: 'Moist &amp; <em>easy</em>.',
+        author: { '@type': 'Person', name: 'Sam Baker' },
+        recipeYield: ['8', '8 slices'],
+        prepTime: 'PT15M',
+        cookTime: 'PT1H',
+        recipeCategory: 'Dessert',
+        recipeCuisine: 'American',
+        keywords: 'banana, quick bread',
+        recipeIngredient: ['3 ripe bananas, mashed', '1 ½ cups flour', 'Pinch of salt'],
+        recipeInstructions: [
+          { '@type': 'HowToSection', itemListElement: [{ '@type': 'HowToStep', text: 'Preheat the oven to 350°F.' }] },
+          { '@type': 'HowToStep', text: 'Bake for 55-60 minutes until golden.' }
+        ],
+        nutrition: { '@type': 'NutritionInformation', calories: '230 calories', sodiumContent: '0.2 g' }
+      }
+    ]
+  };
+
+  describe('Parsing helpers', () => {
+    test('should parse ISO-8601 and written durations into minutes', () => {
+      expect(parseDuration('PT1H30M')).toBe(90);
+      expect(parseDuration('P0DT0H20M')).toBe(20);
+      expect(parseDuration('1 hour 15 minutes')).toBe(75);
+      expect(parseDuration('45')).toBe(45);
+      expect(parseDuration('soon')).toBeUndefined();
+    });
+
+    test('should split ingredient lines into name, amount and unit', () => {
+      expect(parseIngredientLine('2 1/2 cups all-purpose flour, sifted')).toEqual({
+        name: 'all-purpose flour', amount: 2.5, unit: 'cup', preparation: 'sifted'
+      });
+      expect(parseIngredientLine('½ tsp salt')).toEqual({ name: 'salt', amount: 0.5, unit: 'tsp' });
+      expect(parseIngredientLine('3 cloves garlic, minced')).toMatchObject({ name: 'garlic', amount: 3, unit: 'clove' });
+      expect(parseIngredientLine('1 (400 g) can chopped tomatoes')).toEqual({
+        name: 'chopped tomatoes', amount: 1, unit: 'piece', preparation: '400 g can'
+      });
+      expect(parseIngredientLine('2 fl oz cream (optional)')).toEqual({
+        name: 'cream', amount: 2, unit: 'fl_oz', optional: true
+      });
+    });
+
+    test('should warn about ranges and missing quantities', () => {
+      const warnings = [];
+
+      expect(parseIngredientLine('2-3 carrots', warnings)).toMatchObject({ amount: 2, unit: 'piece' });
+      expect(parseIngredientLine('Salt to taste', warnings)).toEqual({
+        name: 'Salt', amount: 1, unit: 'pinch', preparation: 'to taste'
+      });
+      expect(warnings).toHaveLength(2);
+    });
+
+    test('should read action, timing and temperature from step text', () => {
+      expect(parseInstruction('2. Bake at 200°C for 20-25 minutes.')).toEqual({
+        step: 'Bake at 200°C for 20-25 minutes.',
+        action: 'bake',
+        timing: 25,
+        temperature: 200
+      });
+      expect(parseInstruction('Preheat the oven to 350 degrees F.')).toMatchObject({ action: 'heat', temperature: 177 });
+    });
+
+    test('should detect the payload format', () => {
+      expect(detectFormat(jsonLd)).toBe('jsonld');
+      expect(detectFormat('{"@type":"Recipe"}')).toBe('jsonld');
+      expect(detectFormat('<html><script type="application/ld+json">{}</script></html>')).toBe('html');
+      expect(detectFormat('Soup\nIngredients\n- 1 onion')).toBe('text');
+    });
+  });
+
+  describe('importRecipe', () => {
+    test('should map schema.org JSON-LD onto a valid recipe', () => {
+      const { format, recipe, warnings } = importRecipe(jsonLd);
+
+      expect(format).toBe('jsonld');
+      expect(recipe).toMatchObject({
+        name: 'Banana Bread',
+        description: 'Moist & easy.',
+        category: 'dessert',
+        cuisine: 'american',
+        servings: 8,
+        prepTime: 15,
+        cookTime: 60,
+        tags: ['banana', 'quick bread'],
+        notes: 'By Sam Baker',
+        source: 'import'
+      });
+      expect(recipe.ingredients[2]).toEqual({ name: 'salt', amount: 1, unit: 'pinch' });
+      expect(recipe.instructions.map(instruction => instruction.action)).toEqual(['heat', 'bake']);
+      // Per-serving nutrition becomes recipe totals; sodium is reported in mg
+      expect(recipe.nutrition).toEqual({ calories: 1840, sodium: 1600 });
+      expect(warnings).toEqual([]);
+      expect(recipeSchema.validate(recipe).error).toBeUndefined();
+    });
+
+    test('should find JSON-LD embedded in an HTML page', () => {
+      const html = `<html><head>
+        <script type="application/ld+json">{ not json }</script>
+        <script type="application/ld+json">${JSON.stringify(jsonLd)}</script>
+      </head><body></body></html>`;
+
+      const { format, recipe } = importRecipe(html);
+
+      expect(format).toBe('html');
+      expect(recipe.name).toBe('Banana Bread');
+    });
+
+    test('should parse a plain-text recipe with sections and metadata', () => {
+      const text = [
+        'Tomato Soup',
+        'A simple weeknight soup.',
+        'Serves: 4',
+        'Prep time: 10 min',
+        'Cook time: 1 hour',
+        '',
+        'Ingredients',
+        '- 2 tbsp olive oil',
+        '- 1 onion, diced',
+        '',
+        'Method',
+        '1. Soften the onion in the oil for 5 minutes.',
+        '2. Simmer with the tomatoes for 20 minutes.'
+      ].join('\n');
+
+      const { format, recipe } = importRecipe(text);
+
+      expect(format).toBe('text');
+      expect(recipe).toMatchObject({
+        name: 'Tomato Soup',
+        description: 'A simple weeknight soup.',
+        servings: 4,
+        prepTime: 10,
+        cookTime: 60
+      });
+      expect(recipe.ingredients).toHaveLength(2);
+      expect(recipe.instructions[1]).toMatchObject({ step: 'Simmer with the tomatoes for 20 minutes.', timing: 20 });
+      expect(recipeSchema.validate(recipe).error).toBeUndefined();
+    });
+
+    test('should reject content without a recipe', () => {
+      expect(() => importRecipe({ '@type': 'WebPage' })).toThrow('No schema.org Recipe found');
+      expect(() => importRecipe('{broken', { format: 'jsonld' })).toThrow('Invalid JSON-LD document');
+      expect(() => importRecipe('just a sentence')).toThrow('"Ingredients" and "Instructions" sections');
+    });
+  });
+});
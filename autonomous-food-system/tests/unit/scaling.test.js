@@ -0,0 +1,103 @@
+const Recipe = require('../../src/backend/models/Recipe');
+const {
+  practicalQuantity,
+  scaleIngredient,
+  scaleRecipe
+} = require('../../src/backend/utils/scaling');
+
+describe('Recipe scaling', () => {
+  describe('Practical quantities', () => {
+    test('should promote spoons to larger measures', () => {
+      expect(practicalQuantity(2, 'tsp')).toEqual({ amount: 2, unit: 'tsp' });
+      expect(practicalQuantity(6, 'tsp')).toEqual({ amount: 2, unit: 'tbsp' });
+      expect(practicalQuantity(8, 'tbsp')).toEqual({ amount: 0.5, unit: 'cup' });
+    });
+
+    test('should round cups to the nearer third or quarter', () => {
+      expect(practicalQuantity(1 / 3, 'cup')).toEqual({ amount: 0.333, unit: 'cup' });
+      expect(practicalQuantity(2 / 3, 'cup')).toEqual({ amount: 0.667, unit: 'cup' });
+      expect(practicalQuantity(16, 'tbsp')).toEqual({ amount: 1, unit: 'cup' });
+      expect(practicalQuantity(1.3, 'cup')).toEqual({ amount: 1.333, unit: 'cup' });
+      expect(practicalQuantity(1.2, 'cup')).toEqual({ amount: 1.25, unit: 'cup' });
+    });
+
+    test('should promote grams to kilograms and round to sensible steps', () => {
+      expect(practicalQuantity(1500, 'g')).toEqual({ amount: 1.5, unit: 'kg' });
+      expect(practicalQuantity(1200, 'g')).toEqual({ amount: 1.2, unit: 'kg' });
+      expect(practicalQuantity(333.33, 'g')).toEqual({ amount: 335, unit: 'g' });
+      expect(practicalQuantity(2.2, 'ml')).toEqual({ amount: 2, unit: 'ml' });
+    });
+
+    test('should keep eggs whole', () => {
+      expect(practicalQuantity(1.5, 'piece', { eggs: true })).toEqual({ amount: 2, unit: 'piece' });
+      expect(practicalQuantity(1.4, 'piece')).toEqual({ amount: 1.5, unit: 'piece' });
+    });
+  });
+
+  describe('Ingredient rules', () => {
+    test('should scale spices and leaveners more slowly than the rest', () => {
+      const pepper = scaleIngredient({ name: 'black pepper', amount: 4, unit: 'g', type: 'spice' }, 4);
+      const yeast = scaleIngredient({ name: 'dried yeast', amount: 8, unit: 'g' }, 2);
+
+      expect(pepper.ingredient.amount).toBe(12); // 4 * 4^0.8 = 12.1
+      expect(pepper.adjustment).toMatchObject({ rule: 'spice', linearAmount: 16 });
+      expect(yeast.ingredient.amount).toBe(14); // 8 * 2^0.85 = 14.4
+      expect(yeast.adjustment.rule).toBe('leavener');
+    });
+
+    test('should warn when rounding whole items moves the amount noticeably', () => {
+      const result = scaleIngredient({ name: 'eggs', amount: 3, unit: 'piece' }, 0.5);
+
+      expect(result.ingredient).toMatchObject({ amount: 2, unit: 'piece' });
+      expect(result.adjustment.rule).toBe('whole');
+      expect(result.warning).toContain('eggs: rounded from 1.5 piece to 2 piece (+33%)');
+    });
+  });
+
+  describe('scaleRecipe', () => {
+    const stew = () => new Recipe(global.testUtils.createSampleRecipe({
+      servings: 4,
+      ingredients: [{ name: 'beef', amount: 600, unit: 'g' }],
+      instructions: [
+        { step: 'Brown the beef', action: 'fry', timing: 10 },
+        { step: 'Braise in the oven', action: 'braise', timing: 120 }
+      ],
+      equipment: ['casserole dish', 'tongs']
+    }));
+
+    test('should note cooking time and pan size changes', () => {
+      const result = scaleRecipe(stew(), 12);
+
+      expect(result.instructions[0].timing).toBe(10);
+      expect(result.instructions[1].timing).toBe(173); // 120 * 3^(1/3)
+      expect(result.notes).toEqual([
+        expect.stringContaining('Step 2 (Braise in the oven): 120 -> 173 min'),
+        expect.stringContaining('casserole dish: use one about 1.7x as wide')
+      ]);
+      expect(result.warnings).toEqual([]);
+    });
+
+    test('should warn about large scaling factors', () => {
+      expect(scaleRecipe(stew(), 20).warnings).toEqual([
+        expect.stringContaining('Scaling by 5x changes the recipe substantially')
+      ]);
+    });
+  });
+
+  describe('Recipe.previewScale', () => {
+    test('should scale a copy and leave the recipe untouched', () => {
+      const recipe = new Recipe(global.testUtils.createSampleRecipe({
+        servings: 4,
+        ingredients: [{ name: 'pasta', amount: 400, unit: 'g' }]
+      }));
+
+      const preview = recipe.previewScale(8);
+
+      expect(preview).toMatchObject({ originalServings: 4, servings: 8, scaleFactor: 2 });
+      expect(preview.recipe.ingredients[0].amount).toBe(800);
+      expect(preview.recipe.createdAt).toEqual(recipe.createdAt);
+      expect(recipe.servings).toBe(4);
+      expect(recipe.ingredients[0].amount).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,145 @@
+const Recipe = require('../../src/backend/models/Recipe');
+const {
+  buildStepGraph,
+  validateStepDependencies,
+  scheduleSteps
+} = require('../../src/backend/utils/stepSchedule');
+
+describe('Step scheduling', () => {
+  // Roast chicken dinner: oven and stovetop work can overlap
+  const dinner = [
+    { step: 'Season the chicken', timing: 5, action: 'season' },
+    { step: 'Roast the chicken', timing: 60, action: 'roast' },
+    { step: 'Peel and chop potatoes', timing: 10, action: 'chop', dependsOn: [] },
+    { step: 'Boil the potatoes', timing: 20, action: 'boil', dependsOn: [3] },
+    { step: 'Mash the potatoes', timing: 5, action: 'prep', dependsOn: [4] },
+    { step: 'Rest and carve', timing: 10, action: 'rest', dependsOn: [2, 5] }
+  ];
+
+  describe('Dependency graph', () => {
+    test('should default to the previous step when dependsOn is omitted', () => {
+      const { nodes } = buildStepGraph([
+        { step: 'One', timing: 1 },
+        { step: 'Two', timing: 1 },
+        { step: 'Three', timing: 1, dependsOn: [] }
+      ]);
+
+      expect(nodes.map(node => node.dependsOn)).toEqual([[], [0], []]);
+    });
+
+    test('should infer resources from the action', () => {
+      const { nodes } = buildStepGraph(dinner);
+
+      expect(nodes[1].resources).toEqual(['oven']);
+      expect(nodes[3].resources).toEqual(['burner']);
+      expect(nodes[2].resources).toEqual(['hands']);
+    });
+
+    test('should report unknown steps and cycles', () => {
+      expect(validateStepDependencies([
+        { step: 'One', dependsOn: [2] },
+        { step: 'Two', dependsOn: [1] }
+      ])).toContain('Step dependencies contain a cycle');
+
+      expect(validateStepDependencies([{ step: 'One', dependsOn: [5] }]))
+        .toEqual(['Step 1 depends on unknown step 5']);
+    });
+  });
+
+  describe('Schedule', () => {
+    test('should overlap independent steps and follow the critical path', () => {
+      const schedule = scheduleSteps(dinner);
+
+      expect(schedule.sequentialTime).toBe(110);
+      expect(schedule.criticalPath).toEqual({ steps: [1, 2, 6], time: 75 });
+      expect(schedule.totalTime).toBe(75);
+      expect(schedule.timeSaved).toBe(35);
+
+      const roast = schedule.steps.find(step => step.stepNumber === 2);
+      expect(roast).toMatchObject({ start: 5, end: 65, critical: true, slack: 0 });
+      expect(roast.parallelWith).toEqual(expect.arrayContaining([3, 4, 5]));
+    });
+
+    test('should not let two hands-on steps overlap', () => {
+      const schedule = scheduleSteps([
+        { step: 'Chop onions', timing: 10, action: 'chop', dependsOn: [] },
+        { step: 'Grate cheese', timing: 5, action: 'grate', dependsOn: [] }
+      ]);
+
+      expect(schedule.totalTime).toBe(15);
+      expect(schedule.criticalPath.time).toBe(10);
+    });
+
+    test('should respect kitchen capacity overrides', () => {
+      const steps = [
+        { step: 'Simmer sauce', timing: 20, action: 'simmer', dependsOn: [] },
+        { step: 'Boil pasta', timing: 10, action: 'boil', dependsOn: [] }
+      ];
+
+      expect(scheduleSteps(steps).totalTime).toBe(20);
+      expect(scheduleSteps(steps, { capacity: { burner: 1 } }).totalTime).toBe(30);
+    });
+
+    test('should skip completed steps', () => {
+      const schedule = scheduleSteps(dinner, { completed: [0, 1, 2] });
+
+      expect(schedule.steps.map(step => step.stepNumber)).toEqual([4, 5, 6]);
+      expect(schedule.totalTime).toBe(35);
+    });
+
+    test('should reject invalid dependencies', () => {
+      expect(() => scheduleSteps([{ step: 'One', dependsOn: [1] }]))
+        .toThrow('Step 1 cannot depend on itself');
+    });
+  });
+
+  describe('Recipe integration', () => {
+    test('should derive total time from the schedule', () => {
+      const recipe = new Recipe(global.testUtils.createSampleRecipe({ instructions: dinner }));
+
+      expect(recipe.calculateTotalTime()).toBe(75);
+    });
+
+    test('should fall back to prep and cook time without step timings', () => {
+      const recipe = new Recipe(global.testUtils.createSampleRecipe({
+        instructions: [{ step: 'Assemble' }]
+      }));
+
+      expect(recipe.calculateTotalTime()).toBe(45);
+    });
+
+    test('should flag invalid dependencies during validation', () => {
+      const recipe = new Recipe(global.testUtils.createSampleRecipe({
+        instructions: [{ step: 'Serve', dependsOn: [3] }]
+      }));
+
+      expect(recipe.validate().errors).toContain('Step 1 depends on unknown step 3');
+    });
+
+    test('should return the schedule from time optimization', () => {
+      const recipe = new Recipe(global.testUtils.createSampleRecipe({ instructions: dinner }));
+
+      const optimization = recipe.optimize({ time: { maxTotalTime: 60 } });
+
+      expect(optimization.schedule.totalTime).toBe(75);
+      expect(recipe.totalTime).toBe(45);
+      expect(optimization.proposals).toEqual([expect.objectContaining({
+        id: 'time-schedule',
+        replacement: { totalTime: 75 },
+        resolves: []
+      })]);
+      expect(optimization.changes.map(change => change.description))
+        .toContain('Exceeds maximum total time of 60 minutes');
+    });
+
+    test('should set total time from the schedule only when the proposal is applied', () => {
+      const recipe = new Recipe(global.testUtils.createSampleRecipe({ instructions: dinner }));
+
+      const optimization = recipe.optimize({ time: { maxTotalTime: 90 }, apply: ['time-schedule'] });
+
+      expect(optimization.applied).toEqual(['time-schedule']);
+      expect(optimization.proposals[0].resolves).toEqual(['maxTotalTime']);
+      expect(recipe.totalTime).toBe(75);
+    });
+  });
+});
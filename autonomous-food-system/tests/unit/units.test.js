@@ -0,0 +1,104 @@
+const Ingredient = require('../../src/backend/models/Ingredient');
+const Recipe = require('../../src/backend/models/Recipe');
+const { UnitConversionError } = require('../../src/backend/utils/errors');
+const {
+  ACCEPTED_UNITS,
+  normalizeUnit,
+  toGrams,
+  convert,
+  toSystem,
+  scaleQuantity
+} = require('../../src/backend/utils/units');
+
+describe('Unit conversion', () => {
+  const flour = new Ingredient(global.testUtils.createSampleIngredient({
+    name: 'All-Purpose Flour',
+    density: 0.53
+  }));
+  const egg = new Ingredient(global.testUtils.createSampleIngredient({
+    name: 'Egg',
+    pieceWeights: { piece: 50, large: 50, small: 38 }
+  }));
+
+  describe('Unit names', () => {
+    test('should normalize aliases to canonical units', () => {
+      expect(normalizeUnit('Tablespoons')).toBe('tbsp');
+      expect(normalizeUnit('cups')).toBe('cup');
+      expect(normalizeUnit('litre')).toBe('l');
+      expect(normalizeUnit('fl oz')).toBe('fl_oz');
+      expect(normalizeUnit('handful')).toBeNull();
+    });
+
+    test('should keep accepting every unit recipes used before', () => {
+      ['g', 'kg', 'ml', 'l', 'cup', 'cups', 'tbsp', 'tsp', 'oz', 'lb', 'piece', 'pieces',
+        'slice', 'slices', 'clove', 'cloves', 'large', 'medium', 'small', 'whole', 'half', 'quarter']
+        .forEach(unit => expect(ACCEPTED_UNITS).toContain(unit));
+    });
+  });
+
+  describe('Conversions', () => {
+    test('should weigh volumes by ingredient density', () => {
+      expect(toGrams(1, 'cup', flour)).toBeCloseTo(125.4, 1);
+      expect(toGrams(1, 'cup')).toBeCloseTo(236.6, 1); // water
+      expect(flour.convertToGrams(250, 'ml')).toBeCloseTo(132.5, 1);
+    });
+
+    test('should convert mass back to volume', () => {
+      expect(convert(125.4, 'g', 'cup', flour)).toBeCloseTo(1, 2);
+      expect(flour.convert(100, 'g', 'tbsp')).toBeCloseTo(12.76, 2);
+    });
+
+    test('should convert between measurement systems without density', () => {
+      expect(convert(1, 'imp_pint', 'ml')).toBeCloseTo(568.26, 2);
+      expect(convert(1, 'pint', 'ml')).toBeCloseTo(473.18, 2);
+      expect(convert(1, 'lb', 'oz')).toBeCloseTo(16, 3);
+    });
+
+    test('should use piece weights for counts', () => {
+      expect(egg.convertToGrams(3, 'large')).toBe(150);
+      expect(egg.convertToGrams(1, 'half')).toBe(25);
+      expect(egg.convertToGrams(2, 'medium')).toBe(200); // falls back to the default
+    });
+
+    test('should keep supporting legacy average piece weights', () => {
+      const tomato = new Ingredient({ name: 'Tomato', averagePieceWeight: 120 });
+
+      expect(tomato.convertToGrams(2, 'piece')).toBe(240);
+    });
+
+    test('should reject unknown units', () => {
+      expect(() => toGrams(1, 'handful')).toThrow('Unknown unit: handful');
+    });
+
+    test('should not estimate nutrition or footprint for free-text units', () => {
+      expect(() => flour.calculateNutrition(200, 'handful')).toThrow(UnitConversionError);
+      expect(() => flour.calculateEnvironmentalImpact(2000, 'to taste')).toThrow(UnitConversionError);
+    });
+  });
+
+  describe('Measurement systems', () => {
+    test('should pick the largest readable unit', () => {
+      expect(toSystem(1500, 'ml', 'metric')).toEqual({ amount: 1.5, unit: 'l' });
+      expect(toSystem(48, 'tsp', 'us').unit).toBe('cup');
+      expect(toSystem(500, 'g', 'us')).toEqual({ amount: expect.closeTo(1.1, 1), unit: 'lb' });
+      expect(toSystem(2, 'tbsp', 'imperial')).toEqual({ amount: expect.closeTo(1.04, 2), unit: 'imp_fl_oz' });
+    });
+  });
+
+  describe('Scaling', () => {
+    test('should turn fractional counts into pieces', () => {
+      expect(scaleQuantity(1, 'half', 3)).toEqual({ amount: 1.5, unit: 'piece' });
+      expect(scaleQuantity(2, 'cups', 2)).toEqual({ amount: 4, unit: 'cups' });
+    });
+
+    test('should be used by Recipe.scaleServings', () => {
+      const recipe = new Recipe(global.testUtils.createSampleRecipe({
+        ingredients: [{ name: 'lemon', amount: 1, unit: 'half' }]
+      }));
+
+      recipe.scaleServings(8);
+
+      expect(recipe.ingredients[0]).toMatchObject({ amount: 1, unit: 'piece' });
+    });
+  });
+});